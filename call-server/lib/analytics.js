@@ -0,0 +1,163 @@
+/**
+ * Analytics — Trends across persisted call records
+ *
+ * Every finished call's scoring, AMD result and outcome already lives in the
+ * call store (CallSession.toRecord). computeAnalytics rolls those records up
+ * into totals and a day-by-day (or week-by-week) trend for the dashboard
+ * (public/dashboard.html):
+ *
+ * - connect rate: dials that reached a person (not busy / no answer / voicemail)
+ * - voicemail rate: dials answered by a machine (Twilio AMD)
+ * - meeting conversion: meetings booked per connected call
+ * - average overallScore of connected calls
+ * - most common objections (by type, see OBJECTION_PATTERNS in call-session.js)
+ * - gatekeeper pass-through: calls where Michael got past a gatekeeper,
+ *   out of the calls that hit one
+ *
+ * Only finished outbound phone calls count: chats, browser calls and inbound
+ * returns aren't dials, and live calls join once they end. Simulator calls are
+ * left out unless asked for. The output is aggregate only: no names, numbers
+ * or transcript text.
+ */
+
+const { reachedProspect } = require('./call-records');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BUCKETS = 400;
+const TOP_OBJECTIONS = 8;
+
+function rate(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 1000 : null;
+}
+
+function average(values) {
+  return values.length ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10 : null;
+}
+
+function sameText(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+// Objection types raised on a call; older records only have the count
+function objectionTypes(record) {
+  const types = record.objections?.map(o => o.type) || record.scoring?.objectionHandling?.types || [];
+  return [...new Set(types)];
+}
+
+function metGatekeeper(record) {
+  const o = record.outcome || {};
+  return Boolean(o.gatekeeperEncountered || o.isGatekeeper || o.gatekeeperNavigated);
+}
+
+/**
+ * Roll a set of records up into the dashboard metrics.
+ */
+function summarize(records) {
+  const connected = records.filter(reachedProspect);
+  const voicemails = records.filter(r => r.amd?.isVoicemail).length;
+  const meetings = connected.filter(r => r.outcome?.meetingBooked).length;
+  const gatekeepers = connected.filter(metGatekeeper);
+  const gatekeepersPassed = gatekeepers.filter(r => r.outcome?.gatekeeperNavigated).length;
+
+  return {
+    dials: records.length,
+    connects: connected.length,
+    voicemails,
+    meetings,
+    connectRate: rate(connected.length, records.length),
+    voicemailRate: rate(voicemails, records.length),
+    meetingConversion: rate(meetings, connected.length),
+    avgScore: average(connected.map(r => r.scoring?.overallScore).filter(Number.isFinite)),
+    gatekeepers: gatekeepers.length,
+    gatekeepersPassed,
+    gatekeeperPassRate: rate(gatekeepersPassed, gatekeepers.length),
+  };
+}
+
+function countObjections(records) {
+  const connected = records.filter(reachedProspect);
+  const counts = new Map();
+  for (const record of connected) {
+    for (const type of objectionTypes(record)) counts.set(type, (counts.get(type) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([type, calls]) => ({ type, calls, share: rate(calls, connected.length) }))
+    .sort((a, b) => b.calls - a.calls)
+    .slice(0, TOP_OBJECTIONS);
+}
+
+// Start of the UTC day / week (weeks start on Monday) containing `time`
+function bucketStart(time, interval) {
+  const day = Math.floor(time / DAY_MS) * DAY_MS;
+  if (interval !== 'week') return day;
+  const weekday = (new Date(day).getUTCDay() + 6) % 7;
+  return day - weekday * DAY_MS;
+}
+
+function buildTrend(records, { from, to, interval }) {
+  const step = interval === 'week' ? 7 * DAY_MS : DAY_MS;
+  const byBucket = new Map();
+  for (const record of records) {
+    const key = bucketStart(record.createdAt, interval);
+    if (!byBucket.has(key)) byBucket.set(key, []);
+    byBucket.get(key).push(record);
+  }
+
+  // Every period in the range, so quiet days show as gaps rather than vanishing
+  const first = bucketStart(from ?? Math.min(...byBucket.keys(), to), interval);
+  const last = bucketStart(to, interval);
+  const trend = [];
+  for (let start = Math.max(first, last - (MAX_BUCKETS - 1) * step); start <= last; start += step) {
+    trend.push({ period: new Date(start).toISOString().slice(0, 10), ...summarize(byBucket.get(start) || []) });
+  }
+  return trend;
+}
+
+/**
+ * @param {Object[]} records - Call records from the call store
+ * @param {Object} [filters]
+ * @param {number} [filters.from] - epoch ms, inclusive
+ * @param {number} [filters.to] - epoch ms, inclusive (default now)
+ * @param {string} [filters.playbookId]
+ * @param {string} [filters.industry] - Case-insensitive exact match on the call's industry
+ * @param {string} [filters.targetRole] - Case-insensitive exact match on the call's target role
+ * @param {boolean} [filters.includeSimulated=false]
+ * @param {string} [filters.interval] - day | week (default: day for ranges up to 62 days)
+ * @returns {{ filters: Object, totals: Object, trend: Object[], objections: Object[], options: Object }}
+ */
+function computeAnalytics(records, {
+  from, to = Date.now(), playbookId, industry, targetRole, includeSimulated = false, interval,
+} = {}) {
+  const inRange = records.filter(r =>
+    r.endedAt
+    && (r.direction || 'outbound') === 'outbound'
+    && (r.channel || 'phone') === 'phone'
+    && (includeSimulated || !r.simulated)
+    && (from == null || r.createdAt >= from)
+    && r.createdAt <= to);
+
+  // Dropdown choices come from the whole range, so picking one doesn't hide the others
+  const options = {
+    playbooks: [...new Map(inRange.filter(r => r.playbook).map(r => [r.playbook.id, { id: r.playbook.id, name: r.playbook.name }])).values()],
+    industries: [...new Set(inRange.map(r => r.context?.industry?.trim()).filter(Boolean))].sort(),
+    targetRoles: [...new Set(inRange.map(r => r.context?.targetRole?.trim()).filter(Boolean))].sort(),
+  };
+
+  const selected = inRange.filter(r =>
+    (!playbookId || r.playbook?.id === playbookId)
+    && (!industry || sameText(r.context?.industry, industry))
+    && (!targetRole || sameText(r.context?.targetRole, targetRole)));
+
+  const span = to - (from ?? selected.reduce((min, r) => Math.min(min, r.createdAt), to));
+  const bucket = interval === 'week' || interval === 'day' ? interval : span > 62 * DAY_MS ? 'week' : 'day';
+
+  return {
+    filters: { from: from ?? null, to, playbookId: playbookId || null, industry: industry || null, targetRole: targetRole || null, includeSimulated, interval: bucket },
+    totals: summarize(selected),
+    trend: buildTrend(selected, { from, to, interval: bucket }),
+    objections: countObjections(selected),
+    options,
+  };
+}
+
+module.exports = { computeAnalytics };
@@ -0,0 +1,155 @@
+/**
+ * Anthropic Brain (LLM_PROVIDER=anthropic)
+ *
+ * Claude Messages API adapter for lib/llm.js. Talks to the API with fetch —
+ * the same way the debrief function does — so there's no extra SDK to install.
+ *
+ * The rest of the server speaks OpenAI shapes, so this adapter translates at
+ * the edges: the system prompt moves to `system`, consecutive same-role turns
+ * are merged (Claude requires strict user/assistant alternation), and OpenAI
+ * tool definitions become `input_schema` tools. Tool calls are run through the
+ * same `onToolCall(name, argsJson)` callback as the OpenAI adapter.
+ */
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const MAX_TOOL_ROUNDS = 3;
+
+// Claude needs the conversation to open with a user turn; openings and voicemails have none
+const CONVERSATION_START = '[The call has connected.]';
+
+function toAnthropicTools(tools) {
+  return tools.map(({ function: fn }) => ({
+    name: fn.name,
+    description: fn.description,
+    input_schema: fn.parameters || { type: 'object', properties: {} },
+  }));
+}
+
+function toAnthropicMessages(messages) {
+  const out = [];
+  for (const { role, content } of messages) {
+    if (role !== 'user' && role !== 'assistant') continue;
+    const text = typeof content === 'string' ? content : '';
+    if (!text.trim()) continue;
+    const last = out[out.length - 1];
+    if (last && last.role === role) last.content += `\n${text}`;
+    else out.push({ role, content: text });
+  }
+  if (!out.length || out[0].role !== 'user') out.unshift({ role: 'user', content: CONVERSATION_START });
+  return out;
+}
+
+/**
+ * Parse a server-sent event stream into JSON events.
+ * @yields {Object}
+ */
+async function* readEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const data = block.split('\n').filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('');
+      if (data) yield JSON.parse(data);
+    }
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.apiKey]
+ * @param {string} [options.model] - Default model
+ */
+function createAnthropicBrain({
+  apiKey = process.env.ANTHROPIC_API_KEY,
+  model = process.env.ANTHROPIC_MODEL || 'claude-haiku-4-5-20251001',
+} = {}) {
+  if (!apiKey) throw new Error('ANTHROPIC_API_KEY is not set');
+
+  async function request(body, signal) {
+    const response = await fetch(ANTHROPIC_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`Anthropic API ${response.status}: ${detail.substring(0, 200)}`);
+    }
+    return response;
+  }
+
+  /**
+   * Stream Michael's next response as text deltas. Same contract as the
+   * OpenAI adapter's stream().
+   *
+   * @yields {string} Text deltas
+   */
+  async function* stream(systemPrompt, messages, { tools, onToolCall, signal, ...settings } = {}) {
+    const conversation = toAnthropicMessages(messages);
+    const useTools = Array.isArray(tools) && tools.length > 0 && typeof onToolCall === 'function';
+    const anthropicTools = useTools ? toAnthropicTools(tools) : null;
+
+    for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+      const allowTools = useTools && round < MAX_TOOL_ROUNDS;
+      const response = await request({
+        model: settings.model || model,
+        max_tokens: settings.maxTokens || 200, // Keep it short — this is a phone call
+        temperature: Math.min(1, settings.temperature ?? 0.85), // Claude caps temperature at 1
+        system: systemPrompt,
+        messages: conversation,
+        stream: true,
+        ...(allowTools ? { tools: anthropicTools } : {}),
+      }, signal);
+
+      // Content blocks by index: text as it streams, tool_use input JSON in fragments
+      const blocks = [];
+      for await (const event of readEvents(response.body)) {
+        if (event.type === 'content_block_start') {
+          blocks[event.index] = event.content_block.type === 'tool_use'
+            ? { type: 'tool_use', id: event.content_block.id, name: event.content_block.name, json: '' }
+            : { type: 'text', text: '' };
+        } else if (event.type === 'content_block_delta') {
+          const block = blocks[event.index];
+          if (event.delta.type === 'text_delta') {
+            block.text += event.delta.text;
+            yield event.delta.text;
+          } else if (event.delta.type === 'input_json_delta') {
+            block.json += event.delta.partial_json;
+          }
+        } else if (event.type === 'error') {
+          throw new Error(`Anthropic stream error: ${event.error?.message || 'unknown'}`);
+        }
+      }
+
+      const toolUses = blocks.filter(b => b && b.type === 'tool_use');
+      if (!allowTools || toolUses.length === 0 || signal?.aborted) return;
+
+      // Run the requested tools and hand the results back for the spoken reply
+      conversation.push({
+        role: 'assistant',
+        content: blocks.filter(Boolean).map(b => (b.type === 'tool_use'
+          ? { type: 'tool_use', id: b.id, name: b.name, input: JSON.parse(b.json || '{}') }
+          : { type: 'text', text: b.text })).filter(b => b.type !== 'text' || b.text),
+      });
+      const results = [];
+      for (const call of toolUses) {
+        const result = await onToolCall(call.name, call.json || '{}');
+        results.push({ type: 'tool_result', tool_use_id: call.id, content: JSON.stringify(result ?? { ok: true }) });
+      }
+      conversation.push({ role: 'user', content: results });
+    }
+  }
+
+  return { name: 'anthropic', model, stream };
+}
+
+module.exports = { createAnthropicBrain };
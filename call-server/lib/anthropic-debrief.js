@@ -0,0 +1,84 @@
+/**
+ * Anthropic Debrief (DEBRIEF_PROVIDER=anthropic) — Claude writes the debrief
+ *
+ * Claude is made to answer through a submit_debrief tool whose input_schema is
+ * DEBRIEF_SCHEMA, so the debrief arrives as JSON rather than markdown to be
+ * scraped. On a repair the rejected draft is replayed as Claude's own tool
+ * call, with the validation errors as an is_error tool result.
+ *
+ * Config:
+ *   ANTHROPIC_API_KEY   Required
+ *   DEBRIEF_MODEL       Optional, default claude-haiku-4-5-20251001
+ */
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const REQUEST_TIMEOUT_MS = 60000;
+const TOOL_NAME = 'submit_debrief';
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.apiKey]
+ * @param {string} [options.model]
+ */
+function createAnthropicDebrief({
+  apiKey = process.env.ANTHROPIC_API_KEY,
+  model = process.env.DEBRIEF_MODEL || 'claude-haiku-4-5-20251001',
+} = {}) {
+  if (!apiKey) throw new Error('ANTHROPIC_API_KEY is required for the anthropic debrief provider');
+  const { DEBRIEF_SCHEMA } = require('./debrief');
+
+  return {
+    name: 'anthropic',
+    model,
+
+    async draft({ system, prompt, feedback }) {
+      const messages = [{ role: 'user', content: prompt }];
+      if (feedback) {
+        messages.push(
+          { role: 'assistant', content: [{ type: 'tool_use', id: 'draft', name: TOOL_NAME, input: feedback.previous ?? {} }] },
+          {
+            role: 'user',
+            content: [{
+              type: 'tool_result',
+              tool_use_id: 'draft',
+              is_error: true,
+              content: `The debrief does not match the schema:\n- ${feedback.errors.join('\n- ')}\nCall ${TOOL_NAME} again with the complete, corrected debrief.`,
+            }],
+          },
+        );
+      }
+
+      const response = await fetch(ANTHROPIC_API_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: 3000,
+          system,
+          messages,
+          tools: [{ name: TOOL_NAME, description: 'Submit the structured call debrief.', input_schema: DEBRIEF_SCHEMA }],
+          tool_choice: { type: 'tool', name: TOOL_NAME },
+        }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`Anthropic API ${response.status}: ${detail.substring(0, 200)}`);
+      }
+
+      const data = await response.json();
+      const toolUse = data.content?.find(block => block.type === 'tool_use' && block.name === TOOL_NAME);
+      return {
+        debrief: toolUse ? toolUse.input : null,
+        model: data.model,
+        usage: { inputTokens: data.usage?.input_tokens || 0, outputTokens: data.usage?.output_tokens || 0 },
+      };
+    },
+  };
+}
+
+module.exports = { createAnthropicDebrief };
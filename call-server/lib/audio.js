@@ -0,0 +1,177 @@
+/**
+ * Audio — G.711 mu-law codec, resampling and WAV container helpers
+ *
+ * Twilio Media Streams and the ElevenLabs ulaw_8000 output both carry 8kHz
+ * mono mu-law. Browsers can't reliably play mu-law WAV files, so anything we
+ * hand to an <audio> element is decoded to 16-bit PCM first. Local TTS
+ * engines produce 16-bit PCM at their own rate, which is resampled and
+ * encoded to mu-law here — no ffmpeg round trip.
+ */
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+// 0xFF is mu-law for a zero sample — used to pad silence
+const MULAW_SILENCE = 0xff;
+
+const DECODE_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const u = ~i & 0xff;
+  const sign = u & 0x80;
+  const exponent = (u >> 4) & 0x07;
+  const mantissa = u & 0x0f;
+  const sample = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  DECODE_TABLE[i] = sign ? -sample : sample;
+}
+
+/**
+ * @param {Buffer} mulaw
+ * @returns {Int16Array} Linear PCM samples
+ */
+function decodeMulaw(mulaw) {
+  const pcm = new Int16Array(mulaw.length);
+  for (let i = 0; i < mulaw.length; i++) pcm[i] = DECODE_TABLE[mulaw[i]];
+  return pcm;
+}
+
+/**
+ * @param {Int16Array} pcm - Linear PCM samples
+ * @returns {Buffer} mu-law bytes
+ */
+function encodeMulaw(pcm) {
+  const out = Buffer.alloc(pcm.length);
+  for (let i = 0; i < pcm.length; i++) {
+    let sample = pcm[i];
+    const sign = sample < 0 ? 0x80 : 0;
+    if (sign) sample = -sample;
+    if (sample > MULAW_CLIP) sample = MULAW_CLIP;
+    sample += MULAW_BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+    const mantissa = (sample >> (exponent + 3)) & 0x0f;
+    out[i] = ~(sign | (exponent << 4) | mantissa) & 0xff;
+  }
+  return out;
+}
+
+/**
+ * Build a 16-bit PCM WAV file. Channels are interleaved in the order given;
+ * shorter channels are padded with silence to the longest one.
+ *
+ * @param {Object} options
+ * @param {Int16Array[]} options.channels
+ * @param {number} [options.sampleRate=8000]
+ * @returns {Buffer}
+ */
+function buildWav({ channels, sampleRate = 8000 }) {
+  const channelCount = channels.length;
+  const frames = Math.max(0, ...channels.map(c => c.length));
+  const dataBytes = frames * channelCount * 2;
+  const wav = Buffer.alloc(44 + dataBytes);
+
+  wav.write('RIFF', 0, 'ascii');
+  wav.writeUInt32LE(36 + dataBytes, 4);
+  wav.write('WAVE', 8, 'ascii');
+  wav.write('fmt ', 12, 'ascii');
+  wav.writeUInt32LE(16, 16);                           // fmt chunk size
+  wav.writeUInt16LE(1, 20);                            // PCM
+  wav.writeUInt16LE(channelCount, 22);
+  wav.writeUInt32LE(sampleRate, 24);
+  wav.writeUInt32LE(sampleRate * channelCount * 2, 28); // byte rate
+  wav.writeUInt16LE(channelCount * 2, 32);             // block align
+  wav.writeUInt16LE(16, 34);                           // bits per sample
+  wav.write('data', 36, 'ascii');
+  wav.writeUInt32LE(dataBytes, 40);
+
+  let offset = 44;
+  for (let frame = 0; frame < frames; frame++) {
+    for (const channel of channels) {
+      wav.writeInt16LE(frame < channel.length ? channel[frame] : 0, offset);
+      offset += 2;
+    }
+  }
+  return wav;
+}
+
+/**
+ * Read a 16-bit PCM WAV file. Multi-channel audio is mixed down to mono.
+ *
+ * @param {Buffer} wav
+ * @returns {{ sampleRate: number, samples: Int16Array }}
+ */
+function parseWav(wav) {
+  if (wav.length < 12 || wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= wav.length) {
+    const id = wav.toString('ascii', offset, offset + 4);
+    // Streamed WAVs (espeak-ng --stdout) leave the data size at 0xFFFFFFFF — clamp to what we have
+    const size = Math.min(wav.readUInt32LE(offset + 4), wav.length - offset - 8);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: wav.readUInt16LE(body),
+        channels: wav.readUInt16LE(body + 2),
+        sampleRate: wav.readUInt32LE(body + 4),
+        bitsPerSample: wav.readUInt16LE(body + 14),
+      };
+    } else if (id === 'data') {
+      if (!format) throw new Error('WAV data chunk before fmt chunk');
+      if (format.audioFormat !== 1 || format.bitsPerSample !== 16) throw new Error('Only 16-bit PCM WAV is supported');
+      const frames = Math.floor(size / (2 * format.channels));
+      const samples = new Int16Array(frames);
+      for (let i = 0; i < frames; i++) {
+        let sum = 0;
+        for (let c = 0; c < format.channels; c++) sum += wav.readInt16LE(body + (i * format.channels + c) * 2);
+        samples[i] = Math.round(sum / format.channels);
+      }
+      return { sampleRate: format.sampleRate, samples };
+    }
+    offset = body + size + (size % 2);
+  }
+  throw new Error('WAV file has no data chunk');
+}
+
+/**
+ * Simple resampler — plenty for speech headed to an 8kHz phone line.
+ * Downsampling averages each output sample's input window (a box filter, so
+ * 22kHz engine output doesn't alias); upsampling interpolates linearly.
+ *
+ * @param {Int16Array} samples
+ * @param {number} fromRate
+ * @param {number} toRate
+ * @returns {Int16Array}
+ */
+function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate || samples.length === 0) return samples;
+  const ratio = fromRate / toRate;
+  const out = new Int16Array(Math.floor(samples.length / ratio));
+  for (let i = 0; i < out.length; i++) {
+    const pos = i * ratio;
+    if (ratio > 1) {
+      const start = Math.floor(pos);
+      const end = Math.min(samples.length, Math.max(start + 1, Math.floor(pos + ratio)));
+      let sum = 0;
+      for (let j = start; j < end; j++) sum += samples[j];
+      out[i] = Math.round(sum / (end - start));
+    } else {
+      const index = Math.floor(pos);
+      const next = Math.min(index + 1, samples.length - 1);
+      out[i] = Math.round(samples[index] + (samples[next] - samples[index]) * (pos - index));
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {Int16Array} samples
+ * @param {number} sampleRate
+ * @returns {Buffer} mu-law 8kHz, ready for Twilio
+ */
+function pcmToTwilioMulaw(samples, sampleRate) {
+  return encodeMulaw(resample(samples, sampleRate, 8000));
+}
+
+module.exports = { MULAW_SILENCE, decodeMulaw, encodeMulaw, buildWav, parseWav, resample, pcmToTwilioMulaw };
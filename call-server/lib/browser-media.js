@@ -0,0 +1,127 @@
+/**
+ * Browser Media — a browser microphone standing in for Twilio's Media Stream
+ *
+ * The page ("Browser call" mode in public/index.html) opens
+ * /call/browser/:sessionId and speaks a small protocol:
+ *
+ *   page → server
+ *     { event: 'start', sampleRate }   once, before any audio
+ *     binary frames                    16-bit little-endian mono PCM at sampleRate
+ *     { event: 'mark', name }          echo of a server mark, once played up to it
+ *     { event: 'stop' }                hang up (closing the socket works too)
+ *
+ *   server → page
+ *     binary frames                    16-bit little-endian mono PCM, 8kHz — Michael's voice
+ *     { event: 'clear' }               barge-in: drop everything queued for playback
+ *     { event: 'mark', name }          echo it back when playback reaches this point
+ *
+ * createBrowserLine wraps that socket so handleMediaStream can't tell it from
+ * Twilio: it emits Twilio-format 'message' events (connected, start, 20ms
+ * mu-law media frames, mark, stop) and accepts Twilio-format sends (media,
+ * clear, mark), transcoding audio in both directions. Everything downstream —
+ * STT, barge-in, recording, the transcript relay — runs unchanged.
+ */
+
+const { EventEmitter } = require('events');
+const { decodeMulaw, pcmToTwilioMulaw } = require('./audio');
+
+const FRAME_BYTES = 160; // 20ms of 8kHz mu-law — Twilio's frame size
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 96000;
+
+/**
+ * @param {WebSocket} ws - The page's socket
+ * @param {Object} options
+ * @param {string} options.sessionId
+ * @returns {EventEmitter} Twilio-shaped socket: on('message' | 'close' | 'error'), send(json), close(), readyState
+ */
+function createBrowserLine(ws, { sessionId }) {
+  const line = new EventEmitter();
+  const streamSid = `browser-${sessionId}`;
+  let sampleRate = null;
+  let pending = Buffer.alloc(0); // mu-law not yet cut into 20ms frames
+  let timestampMs = 0;           // position of the next inbound frame, like Twilio's media.timestamp
+
+  const emit = (msg) => line.emit('message', JSON.stringify({ streamSid, ...msg }));
+
+  function receiveAudio(bytes) {
+    if (!sampleRate) return; // audio before 'start' has no known rate
+    const samples = new Int16Array(bytes.length >> 1);
+    for (let i = 0; i < samples.length; i++) samples[i] = bytes.readInt16LE(i * 2);
+
+    pending = Buffer.concat([pending, pcmToTwilioMulaw(samples, sampleRate)]);
+    let offset = 0;
+    for (; offset + FRAME_BYTES <= pending.length; offset += FRAME_BYTES) {
+      const payload = pending.subarray(offset, offset + FRAME_BYTES).toString('base64');
+      emit({ event: 'media', media: { track: 'inbound', timestamp: String(timestampMs), payload } });
+      timestampMs += 20;
+    }
+    pending = Buffer.from(pending.subarray(offset));
+  }
+
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) {
+      receiveAudio(Buffer.isBuffer(data) ? data : Buffer.from(data));
+      return;
+    }
+
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch {
+      return;
+    }
+    switch (msg.event) {
+      case 'start': {
+        const rate = Number(msg.sampleRate);
+        if (sampleRate || !Number.isFinite(rate) || rate < MIN_SAMPLE_RATE || rate > MAX_SAMPLE_RATE) return;
+        sampleRate = Math.round(rate);
+        console.log(`[${sessionId}] Browser microphone: ${sampleRate}Hz`);
+        emit({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+        emit({
+          event: 'start',
+          start: {
+            streamSid,
+            callSid: null,
+            tracks: ['inbound'],
+            mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+          },
+        });
+        break;
+      }
+      case 'mark':
+        if (typeof msg.name === 'string') emit({ event: 'mark', mark: { name: msg.name } });
+        break;
+      case 'stop':
+        emit({ event: 'stop' });
+        ws.close();
+        break;
+    }
+  });
+
+  ws.on('close', () => line.emit('close'));
+  ws.on('error', (err) => line.emit('error', err));
+
+  /** Twilio-format outbound message from the call pipeline → the page. */
+  line.send = (data) => {
+    const msg = JSON.parse(data);
+    if (msg.event === 'media') {
+      const pcm = decodeMulaw(Buffer.from(msg.media.payload, 'base64'));
+      const out = Buffer.alloc(pcm.length * 2);
+      for (let i = 0; i < pcm.length; i++) out.writeInt16LE(pcm[i], i * 2);
+      ws.send(out);
+    } else if (msg.event === 'clear') {
+      ws.send(JSON.stringify({ event: 'clear' }));
+    } else if (msg.event === 'mark') {
+      ws.send(JSON.stringify({ event: 'mark', name: msg.mark?.name }));
+    }
+  };
+
+  line.close = () => ws.close();
+
+  Object.defineProperty(line, 'readyState', { get: () => ws.readyState });
+
+  return line;
+}
+
+module.exports = { createBrowserLine };
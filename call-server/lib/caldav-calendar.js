@@ -0,0 +1,179 @@
+/**
+ * CalDAV Calendar — Busy times and event creation over CalDAV (RFC 4791)
+ *
+ * Config:
+ *   CALDAV_URL       Calendar collection URL, e.g. https://caldav.fastmail.com/dav/calendars/user/me@x.com/Default/
+ *   CALDAV_USERNAME  Basic auth user
+ *   CALDAV_PASSWORD  Basic auth (app) password
+ *   CALENDAR_ORGANIZER_EMAIL  Rep's address, used as ORGANIZER on invites
+ *
+ * Busy times come from a calendar-query REPORT with <expand>, so the server
+ * flattens recurring events into UTC instances for us. Events are PUT as
+ * ICS; servers with scheduling support (iCloud, Fastmail, Google) email the
+ * ATTENDEE invites themselves.
+ */
+
+const { zonedTimeToEpoch } = require('./time-parser');
+
+function toIcsUtc(epochMs) {
+  return new Date(epochMs).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 §3.1: lines longer than 75 octets are folded
+function foldLine(line) {
+  const parts = [];
+  while (line.length > 74) {
+    parts.push(line.slice(0, 74));
+    line = ' ' + line.slice(74);
+  }
+  parts.push(line);
+  return parts.join('\r\n');
+}
+
+/**
+ * Build a VCALENDAR document for a single meeting.
+ */
+function buildIcsEvent({ uid, start, end, summary, description, attendees = [], organizerEmail }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Michael BDR//Call Server//EN',
+    'CALSCALE:GREGORIAN',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${toIcsUtc(Date.now())}`,
+    `DTSTART:${toIcsUtc(start)}`,
+    `DTEND:${toIcsUtc(end)}`,
+    `SUMMARY:${escapeIcsText(summary)}`,
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    'STATUS:CONFIRMED',
+    'SEQUENCE:0',
+  ];
+  if (organizerEmail) lines.push(`ORGANIZER:mailto:${organizerEmail}`);
+  for (const a of attendees) {
+    const cn = a.name ? `;CN=${escapeIcsText(a.name)}` : '';
+    lines.push(`ATTENDEE${cn};ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${a.email}`);
+  }
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse an ICS date-time value into epoch ms.
+ * Handles UTC ("...Z"), TZID-qualified local times and all-day dates.
+ */
+function parseIcsDate(value, params = {}) {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h = '00', mi = '00', , utc] = m;
+  const parts = { year: +y, month: +mo, day: +d, hour: +h, minute: +mi };
+  if (utc) return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  const tz = params.TZID || process.env.CALENDAR_TIMEZONE || process.env.DEFAULT_TIMEZONE || 'America/New_York';
+  return zonedTimeToEpoch(parts, tz);
+}
+
+/**
+ * Pull busy intervals out of the calendar-data blocks in a multistatus body.
+ */
+function parseBusyFromIcs(ics) {
+  const unfolded = ics.replace(/\r?\n[ \t]/g, '');
+  const busy = [];
+  const events = unfolded.split('BEGIN:VEVENT').slice(1);
+  for (const block of events) {
+    const body = block.split('END:VEVENT')[0];
+    const read = (prop) => {
+      const line = body.split(/\r?\n/).find(l => l.startsWith(`${prop};`) || l.startsWith(`${prop}:`));
+      if (!line) return null;
+      const [head, value] = [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1)];
+      const params = Object.fromEntries(head.split(';').slice(1).map(p => p.split('=')));
+      return parseIcsDate(value.trim(), params);
+    };
+    if (/^TRANSP:TRANSPARENT/m.test(body) || /^STATUS:CANCELLED/m.test(body)) continue;
+    const start = read('DTSTART');
+    if (!start) continue;
+    const end = read('DTEND') || start + 86400000; // all-day events without DTEND
+    busy.push({ start, end });
+  }
+  return busy;
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#13;/g, '\r').replace(/&#10;/g, '\n')
+    .replace(/&amp;/g, '&');
+}
+
+function createCaldavCalendar({
+  url = process.env.CALDAV_URL,
+  username = process.env.CALDAV_USERNAME,
+  password = process.env.CALDAV_PASSWORD,
+  organizerEmail = process.env.CALENDAR_ORGANIZER_EMAIL,
+} = {}) {
+  if (!url) throw new Error('CALDAV_URL is required for the caldav calendar provider');
+  const baseUrl = url.endsWith('/') ? url : `${url}/`;
+  const authHeader = username ? `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}` : null;
+
+  function headers(extra = {}) {
+    return { ...(authHeader ? { Authorization: authHeader } : {}), ...extra };
+  }
+
+  return {
+    async getBusy({ from, to }) {
+      const body = `<?xml version="1.0" encoding="utf-8"?>
+<C:calendar-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">
+  <D:prop>
+    <C:calendar-data>
+      <C:expand start="${toIcsUtc(from)}" end="${toIcsUtc(to)}"/>
+    </C:calendar-data>
+  </D:prop>
+  <C:filter>
+    <C:comp-filter name="VCALENDAR">
+      <C:comp-filter name="VEVENT">
+        <C:time-range start="${toIcsUtc(from)}" end="${toIcsUtc(to)}"/>
+      </C:comp-filter>
+    </C:comp-filter>
+  </C:filter>
+</C:calendar-query>`;
+
+      const response = await fetch(baseUrl, {
+        method: 'REPORT',
+        headers: headers({ 'Content-Type': 'application/xml; charset=utf-8', Depth: '1' }),
+        body,
+      });
+      if (!response.ok && response.status !== 207) {
+        throw new Error(`CalDAV REPORT failed: ${response.status} ${await response.text()}`);
+      }
+
+      const xml = await response.text();
+      const blocks = [...xml.matchAll(/<(?:\w+:)?calendar-data[^>]*>([\s\S]*?)<\/(?:\w+:)?calendar-data>/g)];
+      return blocks.flatMap(([, data]) => parseBusyFromIcs(decodeXmlEntities(data.replace(/^<!\[CDATA\[|\]\]>$/g, ''))));
+    },
+
+    async createEvent({ uid, start, end, summary, description, attendees }) {
+      const ics = buildIcsEvent({ uid, start, end, summary, description, attendees, organizerEmail });
+      const eventUrl = `${baseUrl}${encodeURIComponent(uid)}.ics`;
+      const response = await fetch(eventUrl, {
+        method: 'PUT',
+        headers: headers({ 'Content-Type': 'text/calendar; charset=utf-8', 'If-None-Match': '*' }),
+        body: ics,
+      });
+      // 412 = an event with this UID already exists (retried booking) — treat as success
+      if (!response.ok && response.status !== 412) {
+        throw new Error(`CalDAV PUT failed: ${response.status} ${await response.text()}`);
+      }
+      return { id: uid, url: eventUrl };
+    },
+  };
+}
+
+module.exports = { createCaldavCalendar, buildIcsEvent, parseBusyFromIcs };
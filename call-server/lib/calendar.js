@@ -0,0 +1,143 @@
+/**
+ * Calendar — Availability lookups and event creation for booked meetings
+ *
+ * Michael proposes times from the rep's real availability and, when the
+ * prospect confirms, an event is created on the rep's calendar with the
+ * prospect invited. The provider is selected with CALENDAR_PROVIDER:
+ *
+ * - caldav: Any CalDAV server (iCloud, Fastmail, Nextcloud, Google's CalDAV
+ *   endpoint...). Busy times via calendar-query, events written as ICS.
+ * - webhook: POSTs availability/event requests as JSON to CALENDAR_WEBHOOK_URL,
+ *   for Zapier/Make flows, an internal scheduling service or a local stand-in.
+ * - none (default): Calendar features off — meetings are still detected and
+ *   recorded, Michael just can't check availability or send a real invite.
+ *
+ * Provider contract — both methods async:
+ *   getBusy({ from, to })                       → [{ start, end }] epoch ms
+ *   createEvent({ start, end, summary, description, attendees, timezone, uid })
+ *                                               → { id, url? }
+ *
+ * Custom providers can be added with registerProvider(name, factory).
+ */
+
+const { getZonedParts, zonedTimeToEpoch, resolveTimezone } = require('./time-parser');
+
+const MEETING_MINUTES = parseInt(process.env.CALENDAR_MEETING_MINUTES) || 30;
+const WORKING_HOURS = {
+  start: parseInt(process.env.CALENDAR_WORKDAY_START) || 9,  // rep's local hours
+  end: parseInt(process.env.CALENDAR_WORKDAY_END) || 17,
+};
+const REP_TIMEZONE = process.env.CALENDAR_TIMEZONE || process.env.DEFAULT_TIMEZONE || 'America/New_York';
+const LOOKAHEAD_DAYS = 7;
+const SLOT_STEP_MINUTES = 30;
+const MIN_NOTICE_MS = 2 * 3600000; // don't offer slots starting in the next 2h
+const PROSPECT_HOURS = { start: 8, end: 18 }; // never offer a 6am slot to a west-coast prospect
+
+const providers = {
+  caldav: (options) => require('./caldav-calendar').createCaldavCalendar(options),
+  webhook: (options) => require('./webhook-calendar').createWebhookCalendar(options),
+};
+
+function registerProvider(name, factory) {
+  providers[name] = factory;
+}
+
+/**
+ * Walk the rep's working hours and return free slots of `durationMinutes`.
+ * At most `perDay` slots per day are returned so the offer spans several days.
+ * When the prospect's timezone is known, slots outside their business day are skipped.
+ *
+ * @param {Array<{start:number,end:number}>} busy
+ * @returns {Array<{start:number,end:number}>}
+ */
+function findOpenSlots(busy, { from, to, durationMinutes = MEETING_MINUTES, timezone = REP_TIMEZONE, prospectTimezone = null, perDay = 2, max = 6 } = {}) {
+  const slots = [];
+  const durationMs = durationMinutes * 60000;
+  const overlaps = (start, end) => busy.some(b => start < b.end && end > b.start);
+  const suitsProspect = (start, end) => {
+    if (!prospectTimezone) return true;
+    const s = getZonedParts(start, prospectTimezone);
+    const e = getZonedParts(end, prospectTimezone);
+    return s.hour >= PROSPECT_HOURS.start && (e.hour < PROSPECT_HOURS.end || (e.hour === PROSPECT_HOURS.end && e.minute === 0));
+  };
+
+  const cursorDay = getZonedParts(from, timezone);
+  for (let d = 0; d <= LOOKAHEAD_DAYS * 2 && slots.length < max; d++) {
+    const dayStart = zonedTimeToEpoch({ year: cursorDay.year, month: cursorDay.month, day: cursorDay.day + d, hour: WORKING_HOURS.start }, timezone);
+    if (dayStart >= to) break;
+    const dayParts = getZonedParts(dayStart, timezone);
+    if (dayParts.weekday === 0 || dayParts.weekday === 6) continue;
+
+    const dayEnd = zonedTimeToEpoch({ year: dayParts.year, month: dayParts.month, day: dayParts.day, hour: WORKING_HOURS.end }, timezone);
+    let taken = 0;
+    for (let start = dayStart; start + durationMs <= dayEnd && taken < perDay && slots.length < max; start += SLOT_STEP_MINUTES * 60000) {
+      if (start < from || overlaps(start, start + durationMs) || !suitsProspect(start, start + durationMs)) continue;
+      slots.push({ start, end: start + durationMs });
+      taken++;
+      start += 90 * 60000; // spread same-day offers (e.g. 9:00 and 11:00, not 9:00 and 9:30)
+    }
+  }
+  return slots;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.provider] - caldav | webhook | none (default CALENDAR_PROVIDER)
+ * @returns {Object|null} Calendar, or null when no provider is configured
+ */
+function createCalendar({ provider = process.env.CALENDAR_PROVIDER || 'none', ...options } = {}) {
+  if (!provider || provider === 'none') return null;
+  const factory = providers[provider];
+  if (!factory) throw new Error(`Unknown calendar provider "${provider}"`);
+  const backend = factory(options);
+
+  return {
+    provider,
+    meetingMinutes: MEETING_MINUTES,
+    timezone: REP_TIMEZONE,
+
+    /**
+     * Free slots over the next week within the rep's working hours
+     * (and the prospect's, when their timezone is known).
+     */
+    async getAvailability({ from = Date.now() + MIN_NOTICE_MS, days = LOOKAHEAD_DAYS, durationMinutes = MEETING_MINUTES, prospectTimezone } = {}) {
+      const to = from + days * 86400000;
+      const busy = await backend.getBusy({ from, to });
+      return findOpenSlots(busy, { from, to, durationMinutes, prospectTimezone: prospectTimezone ? resolveTimezone(prospectTimezone) : null });
+    },
+
+    /**
+     * True if nothing on the calendar overlaps [start, end).
+     */
+    async isFree(start, end) {
+      const busy = await backend.getBusy({ from: start, to: end });
+      return !busy.some(b => start < b.end && end > b.start);
+    },
+
+    /**
+     * Create the meeting and invite the prospect.
+     *
+     * @param {Object} meeting
+     * @param {number} meeting.start - epoch ms
+     * @param {number} [meeting.durationMinutes]
+     * @param {string} meeting.summary
+     * @param {string} [meeting.description]
+     * @param {Array<{email:string,name?:string}>} [meeting.attendees]
+     * @param {string} [meeting.timezone] - Prospect's zone (for the invite's display time)
+     * @param {string} [meeting.uid] - Stable id; re-sending the same uid must not duplicate the event
+     */
+    createEvent({ start, durationMinutes = MEETING_MINUTES, summary, description = '', attendees = [], timezone, uid }) {
+      return backend.createEvent({
+        start,
+        end: start + durationMinutes * 60000,
+        summary,
+        description,
+        attendees: attendees.filter(a => a && a.email),
+        timezone: resolveTimezone(timezone),
+        uid,
+      });
+    },
+  };
+}
+
+module.exports = { createCalendar, registerProvider, findOpenSlots };
@@ -0,0 +1,170 @@
+/**
+ * Call Recorder — Two-channel WAV recording of a call, aligned on one timeline
+ *
+ * Left channel is the prospect (Twilio inbound track), right channel is
+ * Michael (the audio we send). Both are placed by time rather than appended:
+ * inbound frames carry Twilio's media timestamp, and outbound frames are
+ * placed where they will actually play — after anything still queued on the
+ * phone. Gaps stay silent, so the two sides line up with each other and with
+ * the transcript timestamps.
+ *
+ * Consent: recording can be switched off globally (RECORDING_ENABLED=off),
+ * per call or campaign (`record: false`), or for whole jurisdictions by
+ * number prefix (RECORDING_DISABLED_PREFIXES, e.g. all-party-consent regions).
+ * See recordingDecision().
+ *
+ * Finished recordings are written as <sessionId>.wav under RECORDINGS_DIR
+ * (defaults to DATA_DIR/recordings, so a Railway volume keeps them too).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MULAW_SILENCE, decodeMulaw, buildWav } = require('./audio');
+
+const SAMPLE_RATE = 8000;
+const BYTES_PER_MS = SAMPLE_RATE / 1000;
+const MAX_RECORDING_MS = (parseInt(process.env.RECORDING_MAX_MINUTES) || 60) * 60000;
+const TRACKS = ['inbound', 'outbound'];
+
+const DEFAULT_RECORDINGS_DIR = process.env.RECORDINGS_DIR
+  || path.join(process.env.DATA_DIR || path.join(__dirname, '..', 'data'), 'recordings');
+
+// ─── One mu-law channel that can be written at any offset ───
+function createChannel() {
+  let data = Buffer.alloc(SAMPLE_RATE * 30, MULAW_SILENCE);
+  let length = 0;
+
+  function ensure(size) {
+    if (size <= data.length) return;
+    const grown = Buffer.alloc(Math.max(size, data.length * 2), MULAW_SILENCE);
+    data.copy(grown, 0, 0, length);
+    data = grown;
+  }
+
+  return {
+    write(offset, buffer) {
+      const end = Math.min(offset + buffer.length, MAX_RECORDING_MS * BYTES_PER_MS);
+      if (end <= offset) return;
+      ensure(end);
+      buffer.copy(data, offset, 0, end - offset);
+      length = Math.max(length, end);
+    },
+    truncate(offset) {
+      if (offset >= length) return;
+      data.fill(MULAW_SILENCE, offset, length);
+      length = offset;
+    },
+    get length() {
+      return length;
+    },
+    pcm() {
+      return decodeMulaw(data.subarray(0, length));
+    },
+  };
+}
+
+/**
+ * @returns {{ startedAt: number, write: Function, truncate: Function, elapsedMs: Function, durationMs: number, toWav: Function }}
+ */
+function createCallRecorder() {
+  const startedAt = Date.now();
+  const channels = { inbound: createChannel(), outbound: createChannel() };
+
+  return {
+    startedAt,
+
+    /**
+     * Place mu-law audio on a track.
+     * @param {'inbound'|'outbound'} track
+     * @param {Buffer} mulaw
+     * @param {number} atMs - Position from the start of the recording
+     */
+    write(track, mulaw, atMs) {
+      if (!TRACKS.includes(track) || !(atMs >= 0)) return;
+      channels[track].write(Math.round(atMs * BYTES_PER_MS), mulaw);
+    },
+
+    /** Drop audio queued past `atMs` — Twilio discarded it on 'clear', so it was never heard. */
+    truncate(track, atMs) {
+      if (!TRACKS.includes(track)) return;
+      channels[track].truncate(Math.max(0, Math.round(atMs * BYTES_PER_MS)));
+    },
+
+    elapsedMs() {
+      return Date.now() - startedAt;
+    },
+
+    get durationMs() {
+      return Math.round(Math.max(channels.inbound.length, channels.outbound.length) / BYTES_PER_MS);
+    },
+
+    /** Stereo 16-bit PCM WAV: left = prospect, right = Michael. */
+    toWav() {
+      return buildWav({ channels: [channels.inbound.pcm(), channels.outbound.pcm()], sampleRate: SAMPLE_RATE });
+    },
+  };
+}
+
+function parsePrefixes(value) {
+  return String(value || '')
+    .split(',')
+    .map(p => p.trim().replace(/[^\d+]/g, ''))
+    .filter(Boolean)
+    .map(p => (p.startsWith('+') ? p : `+${p}`));
+}
+
+/**
+ * Decide whether a call may be recorded. The most restrictive setting wins.
+ *
+ * @param {Object} options
+ * @param {string} options.phone - E.164 number being called
+ * @param {boolean} [options.record] - Per-call or per-campaign switch (false = don't record)
+ * @returns {{ enabled: boolean, reason: string }}
+ */
+function recordingDecision({ phone, record } = {}) {
+  if ((process.env.RECORDING_ENABLED || 'on').toLowerCase() === 'off') {
+    return { enabled: false, reason: 'Recording is disabled on this server' };
+  }
+  if (record === false || record === 'false') {
+    return { enabled: false, reason: 'Recording turned off for this call' };
+  }
+  const prefix = parsePrefixes(process.env.RECORDING_DISABLED_PREFIXES)
+    .find(p => String(phone || '').startsWith(p));
+  if (prefix) {
+    return { enabled: false, reason: `Recording not allowed for ${prefix} numbers` };
+  }
+  return { enabled: true, reason: 'Recording with disclosure' };
+}
+
+// ─── Finished recordings on disk ───
+function createRecordingStore({ dir = DEFAULT_RECORDINGS_DIR } = {}) {
+  function fileFor(sessionId) {
+    // Session IDs come from URLs — never let them escape the recordings directory
+    return path.join(dir, `${String(sessionId).replace(/[^\w-]/g, '_')}.wav`);
+  }
+
+  return {
+    /** @returns {Promise<{ file: string, bytes: number }>} */
+    async save(sessionId, wav) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = fileFor(sessionId);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, wav);
+      await fs.promises.rename(tmp, file);
+      return { file, bytes: wav.length };
+    },
+
+    /** @returns {Promise<string|null>} Absolute path, or null if there's no recording */
+    async find(sessionId) {
+      const file = fileFor(sessionId);
+      try {
+        await fs.promises.access(file);
+        return path.resolve(file);
+      } catch {
+        return null;
+      }
+    },
+  };
+}
+
+module.exports = { createCallRecorder, createRecordingStore, recordingDecision };
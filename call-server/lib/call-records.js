@@ -0,0 +1,151 @@
+/**
+ * Call Records — Persistent history of every call Michael has made
+ *
+ * Live calls are CallSession instances in the server's in-memory `sessions` Map.
+ * That map is cleaned up a few minutes after hangup and wiped on every redeploy,
+ * so each session is snapshotted (CallSession.toRecord) into the `calls`
+ * collection of the store whenever its state changes meaningfully.
+ *
+ * Records are written with a per-session queue so a burst of status callbacks
+ * can never land out of order on disk.
+ */
+
+// Twilio outcomes where nobody picked up
+const UNCONNECTED_STATUSES = ['busy', 'no-answer', 'failed', 'canceled'];
+
+/**
+ * @param {Object} store - Store from createStore()
+ */
+function createCallRecords(store) {
+  const calls = store.collection('calls');
+  const pendingWrites = new Map(); // sessionId → Promise (serializes writes per call)
+
+  /**
+   * Persist the current state of a session. Never throws — a storage hiccup
+   * must not take down a live call.
+   *
+   * @param {CallSession} session
+   * @returns {Promise<Object|null>} The stored record
+   */
+  function save(session) {
+    const record = session.toRecord();
+    const previous = pendingWrites.get(session.sessionId) || Promise.resolve();
+    const write = previous
+      .then(() => calls.put(session.sessionId, record))
+      .catch(err => {
+        console.error(`[${session.sessionId}] Failed to persist call record: ${err.message}`);
+        return null;
+      })
+      .finally(() => {
+        if (pendingWrites.get(session.sessionId) === write) pendingWrites.delete(session.sessionId);
+      });
+    pendingWrites.set(session.sessionId, write);
+    return write;
+  }
+
+  /**
+   * Merge `changes` into a stored record whose session is no longer live
+   * (e.g. a CRM re-sync after the 5-minute cleanup). Queued behind any
+   * pending save of the same call.
+   *
+   * @param {string} sessionId
+   * @param {Object} changes
+   * @returns {Promise<Object|null>} The updated record, or null if there is none
+   */
+  function update(sessionId, changes) {
+    const previous = pendingWrites.get(sessionId) || Promise.resolve();
+    const write = previous
+      .then(async () => {
+        const record = await calls.get(sessionId);
+        if (!record) return null;
+        const updated = { ...record, ...changes, updatedAt: Date.now() };
+        await calls.put(sessionId, updated);
+        return updated;
+      });
+    // Later writes queue behind this one whether or not it fails
+    const queued = write.catch(() => null).finally(() => {
+      if (pendingWrites.get(sessionId) === queued) pendingWrites.delete(sessionId);
+    });
+    pendingWrites.set(sessionId, queued);
+    return write;
+  }
+
+  /**
+   * Fetch a single call record.
+   *
+   * @param {string} sessionId
+   */
+  function get(sessionId) {
+    return calls.get(sessionId);
+  }
+
+  /**
+   * List call records, newest first.
+   *
+   * @param {Object} [filters]
+   * @param {string} [filters.phone] - Exact E.164 match
+   * @param {string} [filters.status] - Twilio call status (completed, busy, no-answer...)
+   * @param {number} [filters.since] - Only calls created at/after this epoch ms
+   * @param {string} [filters.playbookId] - Only calls that used this playbook
+   * @param {number} [filters.playbookVersion] - ...and this version of it
+   * @param {string} [filters.experimentId] - Only calls assigned to this experiment
+   * @param {number} [filters.limit=50]
+   * @param {number} [filters.offset=0]
+   * @returns {Promise<{ total: number, calls: Object[] }>}
+   */
+  async function list({ phone, status, since, playbookId, playbookVersion, experimentId, limit = 50, offset = 0 } = {}) {
+    let records = await calls.list();
+    if (phone) records = records.filter(r => r.phone === phone);
+    if (status) records = records.filter(r => r.status === status);
+    if (since) records = records.filter(r => r.createdAt >= since);
+    if (playbookId) records = records.filter(r => r.playbook?.id === playbookId);
+    if (playbookVersion) records = records.filter(r => r.playbook?.version === playbookVersion);
+    if (experimentId) records = records.filter(r => r.experiment?.id === experimentId);
+    records.sort((a, b) => b.createdAt - a.createdAt);
+    return {
+      total: records.length,
+      calls: records.slice(offset, offset + limit),
+    };
+  }
+
+  return { save, update, get, list };
+}
+
+/**
+ * Did this finished call reach a person? False while it's live, and for
+ * voicemails and calls nobody picked up.
+ */
+function reachedProspect(record) {
+  return Boolean(record.endedAt) && !record.amd?.isVoicemail && !UNCONNECTED_STATUSES.includes(record.status);
+}
+
+/**
+ * Lightweight list-view of a record (no transcript / sentiment history).
+ */
+function summarizeRecord(record) {
+  return {
+    sessionId: record.sessionId,
+    callSid: record.callSid,
+    phone: record.phone,
+    firstName: record.firstName,
+    lastName: record.lastName,
+    company: record.company,
+    direction: record.direction || 'outbound',
+    simulated: Boolean(record.simulated),
+    channel: record.channel || 'phone',
+    playbook: record.playbook ? { id: record.playbook.id, version: record.playbook.version, name: record.playbook.name } : null,
+    experiment: record.experiment ? { id: record.experiment.id, variant: record.experiment.variant } : null,
+    status: record.status,
+    duration: record.duration,
+    createdAt: record.createdAt,
+    endedAt: record.endedAt,
+    overallScore: record.scoring?.overallScore ?? null,
+    answeredBy: record.amd?.answeredBy || null,
+    recorded: record.recording?.status === 'ready',
+    crm: record.crm ? { provider: record.crm.provider, status: record.crm.status } : null,
+    debrief: record.debrief ? { status: record.debrief.status, score: record.debrief.report?.score.value ?? null } : null,
+    outcome: record.outcome,
+  };
+}
+
+module.exports = { createCallRecords, summarizeRecord, reachedProspect, UNCONNECTED_STATUSES };
@@ -8,13 +8,34 @@
  * - Barge-in detection (isSpeaking flag + abort controller)
  * - Sentiment tracking (running score + history)
  * - Call scoring (talk-time ratio, objection count, qualification depth)
+ * - Per-line timing: measured speech spans, latency and dead air (lib/call-timing.js)
  * - Gatekeeper detection
  * - Callback scheduling
  * - Language detection
+ * - Supervisor controls (whispers, mute, listen-in)
+ * - Two-channel call recording (consent-aware)
+ * - Serializable call record (toRecord) for the persistent call store
  */
 
+const { timeTranscript, summarizeTiming } = require('./call-timing');
+
+// Prospect objections by type — the type is what analytics groups on
+const OBJECTION_PATTERNS = [
+  { type: 'not-interested', patterns: [/not interested/i, /no thanks/i, /we're good/i, /don't need/i] },
+  { type: 'price', patterns: [/too expensive/i, /no budget/i] },
+  { type: 'timing', patterns: [/bad time/i, /busy right now/i] },
+  { type: 'competitor', patterns: [/already have/i, /using .+ competitor/i] },
+  { type: 'send-email', patterns: [/send me an email/i] },
+  { type: 'do-not-call', patterns: [/take me off/i, /don't call/i] },
+  { type: 'how-got-number', patterns: [/how did you get/i] },
+];
+
 class CallSession {
-  constructor({ sessionId, phone, firstName, lastName, email, company, systemPrompt, context }) {
+  constructor({
+    sessionId, phone, firstName, lastName, email, company, systemPrompt, context,
+    campaignId = null, prospectId = null, direction = 'outbound', previousSessionId = null, simulated = false, channel = 'phone',
+    playbook = null, experiment = null,
+  }) {
     this.sessionId = sessionId;
     this.phone = phone;
     this.firstName = firstName;
@@ -23,6 +44,15 @@ class CallSession {
     this.company = company;
     this.systemPrompt = systemPrompt;
     this.context = context;
+    this.campaignId = campaignId;  // set when dialed by the campaign dialer
+    this.prospectId = prospectId;
+    this.direction = direction;    // outbound (Michael dials) | inbound (prospect calls back)
+    this.previousSessionId = previousSessionId; // earlier call this one follows up on
+    this.simulated = simulated;    // no real prospect — call simulator or text chat; no DNC, calendar or callbacks
+    this.channel = channel;        // phone | browser (page microphone — POST /call/browser) | chat (typed — POST /chat)
+    this.playbook = playbook;      // { id, version, name, overrides } — the exact playbook version the prompt came from
+    this.experiment = experiment;  // { id, name, variant, changes } — A/B variant this call was assigned (lib/experiments.js)
+    this.voice = experiment?.changes?.voice || null; // per-call TTS voice; null = the provider's default
 
     // Call state
     this.callSid = null;
@@ -30,7 +60,9 @@ class CallSession {
     this.status = 'pending'; // pending → initiating → ringing → connected → completed
     this.duration = 0;
     this.meetingBooked = false;
+    this.optedOut = false;
     this.createdAt = Date.now();
+    this.endedAt = null;
 
     // Conversation history (OpenAI format)
     this.messages = [];
@@ -47,6 +79,7 @@ class CallSession {
     this.speakingStartedAt = 0;    // timestamp when current audio playback started (for grace period)
     this.bargeInAbort = null;      // AbortController to cancel mid-send audio
     this.bargeInCount = 0;         // how many times prospect interrupted
+    this.playbackMarks = new Map(); // Twilio mark name → { timing, edge, onPlayed } until it's echoed back
 
     // ─── Enterprise: Sentiment tracking ───
     this.sentimentScore = 0;       // running score: -10 (hostile) to +10 (enthusiastic)
@@ -57,16 +90,34 @@ class CallSession {
     this.michaelWordCount = 0;
     this.prospectWordCount = 0;
     this.objectionCount = 0;
+    this.objections = [];          // [{ type, text, at }] — one entry per objection type raised in a turn
     this.qualificationDepth = 0;   // 0-5 based on BANT qualification
     this.qualificationChecklist = { budget: false, authority: false, need: false, timeline: false };
 
     // ─── Enterprise: Gatekeeper detection ───
     this.isGatekeeper = false;     // true if we detect a receptionist/assistant
     this.gatekeeperNavigated = false;
+    this.gatekeeperEncountered = false; // stays true after navigating past — isGatekeeper doesn't
+
+    // ─── Calendar booking ───
+    this.availabilityPrompt = '';  // open slots appended to the system prompt (see attachAvailability)
+    this.offeredSlots = [];
+    this.meeting = null;           // { status, start, timezone, eventId, ... } once a booking is confirmed
 
     // ─── Enterprise: Callback scheduling ───
     this.callbackRequested = false;
     this.callbackTime = null;      // captured preferred callback time
+    this.callbackPhrase = null;    // full utterance the time came from (parsed by the scheduler)
+    this.callbackAt = null;        // exact epoch ms when set by the schedule_callback tool
+    this.callbackNote = null;
+    this.callbackJobId = null;     // scheduled redial job, once the call has ended
+    this.callbackScheduledFor = null;
+
+    // ─── CRM sync (lib/crm.js) ───
+    this.crm = null;               // { provider, status, contactId, activityId, ... } once the call has ended
+
+    // ─── Post-call debrief (lib/debrief.js) ───
+    this.debrief = null;           // { provider, status, report, ... } once the call has ended
 
     // ─── Enterprise: Language detection ───
     this.detectedLanguage = 'en';
@@ -75,22 +126,55 @@ class CallSession {
     // ─── Enterprise: Voicemail detection ───
     this.isVoicemail = false;
     this.voicemailHandled = false;
+    this.answeredBy = null;        // raw Twilio AMD result (human, machine_end_beep, fax...)
+
+    // ─── Tool-driven call control ───
+    this.pendingHangup = null;     // reason the call ends after Michael's current reply (end_call, book_meeting...)
+    this.hangupTimer = null;
+    this.endReason = null;
+
+    // ─── Warm transfer to a human rep (see lib/warm-transfer.js) ───
+    this.transfer = null;            // { status, reason, source, rep, attempts, connectedAt, ... }
+    this.resumeAfterTransfer = false; // prospect was sent back to Michael after a failed bridge
+
+    // ─── Supervisor console (see lib/supervisor.js) ───
+    this.supervisors = new Set();    // authenticated supervisor sockets
+    this.listeners = new Set();      // supervisor sockets receiving forked call audio
+    this.supervisorNotes = [];       // private whispers for Michael's next reply
+    this.muted = false;              // supervisor took over — Michael listens but doesn't respond
+    this.supervisorActions = [];     // audit trail: [{ type, text?, at }]
+
+    // ─── Call recording (see lib/call-recorder.js) ───
+    this.recording = { enabled: false, reason: null, status: 'off' }; // + startedAt, durationMs, bytes once saved
+    this.recorder = null;            // live two-channel recorder while the media stream is up
 
     // ─── Opening line guard ───
     this.openingSent = false;        // prevents duplicate opening on double 'start' event
     this.openingCooldown = false;    // suppresses user turn processing while opening plays
   }
 
-  addMessage(role, content) {
+  /**
+   * @param {string} role - user | assistant
+   * @param {string} content
+   * @param {Object} [options]
+   * @param {number} [options.at] - When the line started being spoken (defaults to now);
+   *                                the recording player seeks to this
+   * @param {Object} [options.timing] - { startedAt, endedAt, source } speech span; may still be
+   *                                    filled in after the line is added (Michael's playback marks)
+   * @returns {Object} the transcript entry
+   */
+  addMessage(role, content, { at = Date.now(), timing = null } = {}) {
     // OpenAI format
     this.messages.push({ role, content });
 
     // Display transcript
-    this.transcript.push({
+    const entry = {
       speaker: role === 'assistant' ? 'Michael' : this.firstName || 'Prospect',
       text: content,
-      timestamp: Date.now(),
-    });
+      timestamp: at,
+      timing,
+    };
+    this.transcript.push(entry);
 
     // ─── Enterprise: Track word counts for talk-time ratio ───
     const wordCount = (content || '').split(/\s+/).filter(Boolean).length;
@@ -102,14 +186,10 @@ class CallSession {
 
     // ─── Enterprise: Track objections ───
     if (role === 'user') {
-      const objectionPatterns = [
-        /not interested/i, /no thanks/i, /we're good/i, /don't need/i,
-        /too expensive/i, /no budget/i, /bad time/i, /busy right now/i,
-        /already have/i, /using .+ competitor/i, /send me an email/i,
-        /take me off/i, /don't call/i, /how did you get/i,
-      ];
-      if (objectionPatterns.some(p => p.test(content))) {
+      const raised = OBJECTION_PATTERNS.filter(o => o.patterns.some(p => p.test(content)));
+      if (raised.length) {
         this.objectionCount++;
+        for (const { type } of raised) this.objections.push({ type, text: content, at });
       }
 
       // Track qualification depth (BANT)
@@ -119,13 +199,17 @@ class CallSession {
       if (/when|timeline|quarter|month|week|soon|urgency/i.test(content)) this.qualificationChecklist.timeline = true;
       this.qualificationDepth = Object.values(this.qualificationChecklist).filter(Boolean).length;
     }
+
+    return entry;
   }
 
   getFullTranscript() {
-    return this.transcript.map(t => ({
+    const timing = timeTranscript(this.transcript);
+    return this.transcript.map((t, i) => ({
       speaker: t.speaker,
       text: t.text,
       timestamp: t.timestamp,
+      timing: timing[i],
     }));
   }
 
@@ -139,8 +223,13 @@ class CallSession {
    * Get call scoring data for debrief
    */
   getCallScoring() {
+    // Talk ratio from measured speech when every line was measured, word counts otherwise
+    const timing = summarizeTiming(this.transcript);
+    const measured = Boolean(timing?.measured && timing.talkTime.michaelMs + timing.talkTime.prospectMs > 0);
     const totalWords = this.michaelWordCount + this.prospectWordCount;
-    const talkRatio = totalWords > 0 ? Math.round((this.prospectWordCount / totalWords) * 100) : 0;
+    const talkRatio = measured
+      ? timing.talkTime.prospectPercent
+      : totalWords > 0 ? Math.round((this.prospectWordCount / totalWords) * 100) : 0;
 
     // Ideal talk ratio: prospect should talk 60-70% of the time
     let talkRatioScore = 0;
@@ -175,13 +264,79 @@ class CallSession {
 
     return {
       overallScore: Math.min(100, Math.max(0, overallScore)),
-      talkRatio: { prospectPercent: talkRatio, michaelPercent: 100 - talkRatio, score: talkRatioScore },
-      objectionHandling: { count: this.objectionCount, score: objectionScore },
+      talkRatio: { prospectPercent: talkRatio, michaelPercent: 100 - talkRatio, score: talkRatioScore, source: measured ? 'audio' : 'words' },
+      objectionHandling: { count: this.objectionCount, types: [...new Set(this.objections.map(o => o.type))], score: objectionScore },
       meetingConversion: { booked: this.meetingBooked, callbackRequested: this.callbackRequested, score: meetingScore },
       sentimentTrajectory: { history: this.sentimentHistory, finalLabel: this.sentimentLabel, score: sentimentScore },
       qualificationDepth: { checklist: this.qualificationChecklist, depth: this.qualificationDepth, score: this.qualificationDepth },
       bargeInCount: this.bargeInCount,
       exchangeCount: Math.floor(messageCount / 2),
+      timing, // talk time, longest monologue, response latency, dead air — null for chats
+    };
+  }
+
+  /**
+   * Snapshot everything worth keeping after the call is gone.
+   * This is what the call store persists — no sockets, timers or abort controllers.
+   */
+  toRecord() {
+    return {
+      sessionId: this.sessionId,
+      callSid: this.callSid,
+      phone: this.phone,
+      firstName: this.firstName,
+      lastName: this.lastName,
+      email: this.email,
+      company: this.company,
+      context: this.context,
+      campaignId: this.campaignId,
+      prospectId: this.prospectId,
+      direction: this.direction,
+      previousSessionId: this.previousSessionId,
+      simulated: this.simulated,
+      channel: this.channel,
+      playbook: this.playbook,
+      experiment: this.experiment,
+      status: this.status,
+      duration: this.duration,
+      createdAt: this.createdAt,
+      endedAt: this.endedAt,
+      transcript: this.getFullTranscript(),
+      objections: this.objections,
+      supervisorActions: this.supervisorActions,
+      recording: this.recording,
+      crm: this.crm,
+      debrief: this.debrief,
+      scoring: this.getCallScoring(),
+      sentiment: {
+        score: this.sentimentScore,
+        label: this.sentimentLabel,
+        history: this.sentimentHistory,
+      },
+      amd: {
+        answeredBy: this.answeredBy,
+        isVoicemail: this.isVoicemail,
+        voicemailHandled: this.voicemailHandled,
+      },
+      outcome: {
+        meetingBooked: this.meetingBooked,
+        optedOut: this.optedOut,
+        callbackRequested: this.callbackRequested,
+        callbackTime: this.callbackTime,
+        callbackAt: this.callbackAt,
+        callbackNote: this.callbackNote,
+        callbackJobId: this.callbackJobId,
+        callbackScheduledFor: this.callbackScheduledFor,
+        meeting: this.meeting,
+        endReason: this.endReason,
+        transfer: this.transfer,
+        isGatekeeper: this.isGatekeeper,
+        gatekeeperEncountered: this.gatekeeperEncountered,
+        gatekeeperNavigated: this.gatekeeperNavigated,
+        nonEnglishDetected: this.nonEnglishDetected,
+        detectedLanguage: this.detectedLanguage,
+      },
+      updatedAt: Date.now(),
     };
   }
 }
@@ -0,0 +1,438 @@
+/**
+ * Call Simulator — Drives the real call pipeline end to end without Twilio
+ *
+ * Plays the part of Twilio's Media Streams client on /call/media/:sessionId
+ * for a session created by POST /call/simulate, so handleMediaStream, turn
+ * detection, processUserTurn, the LLM, TTS, tools and scoring all run exactly
+ * as they do on a phone call. Like a phone, it "plays" Michael's audio in real
+ * time (honouring `clear` on barge-in and echoing `mark`s), sends a steady
+ * 20ms inbound frame clock, and waits for Michael to finish before answering.
+ *
+ * Scenario files (scenarios/*.json) describe a persona and what should happen:
+ *
+ *   {
+ *     "name": "Gatekeeper screens the call",
+ *     "persona": "gatekeeper",            // gatekeeper | hostile | busy | eager-buyer | ...
+ *     "input": "text",                    // text (default): injected past STT
+ *                                         // audio: spoken with the local TTS voice (or
+ *                                         //   a turn's "audio" WAV) and transcribed by the server's STT
+ *     "call": { ...POST /call/simulate body — firstName, company, selling, ... },
+ *     "turns": [
+ *       { "say": "Who's calling?" },
+ *       { "say": "Hang on—", "interrupt": true, "afterMs": 800 },  // barge in while Michael talks
+ *       { "say": "...", "pauseMs": 2000, "expectReply": false },
+ *       { "hangup": true }
+ *     ],
+ *     "expect": {
+ *       "outcome": { "optedOut": true },  // fields of the call record's outcome
+ *       "events": ["opt_out_detected"],   // UI events that must be broadcast
+ *       "notEvents": ["meeting_booked"],
+ *       "michaelSays": ["removed"],       // regexes (case-insensitive), any of Michael's lines
+ *       "michaelNeverSays": ["guarantee"],
+ *       "score": { "min": 20, "max": 100 },
+ *       "sentiment": ["negative", "hostile"],
+ *       "endedBy": "michael"              // michael | prospect
+ *     }
+ *   }
+ *
+ * Used by scripts/simulate.js (`npm run simulate`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { MULAW_SILENCE, parseWav, pcmToTwilioMulaw } = require('./audio');
+
+const FRAME_BYTES = 160; // 20ms of mulaw 8kHz
+const FRAME_MS = 20;
+// Michael counts as finished once his audio has played out and nothing new arrived for this long
+const AUDIO_SETTLE_MS = 400;
+const POLL_MS = 50;
+
+const DEFAULT_TIMING = {
+  replyTimeoutMs: 20000,  // longest wait for Michael to answer a line
+  replyDelayMs: 600,      // prospect's pause after Michael stops talking
+  openingPauseMs: 1800,   // after the opening — the server ignores speech until its cooldown clears
+  interruptAfterMs: 800,  // default barge-in point, from when Michael's reply starts playing
+  endWaitMs: 10000,       // after the last line, how long to wait for Michael to end the call
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(predicate, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() >= deadline) return false;
+    await sleep(POLL_MS);
+  }
+  return true;
+}
+
+function openSocket(url) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+/**
+ * Read and validate a scenario file. Turn audio paths resolve relative to the file.
+ *
+ * @param {string} file
+ * @returns {Object} Scenario
+ */
+function loadScenario(file) {
+  const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const where = path.basename(file);
+  if (!scenario.name) scenario.name = path.basename(file, '.json');
+  if (!scenario.call || !scenario.call.firstName || !scenario.call.company || !scenario.call.selling) {
+    throw new Error(`${where}: "call" needs firstName, company and selling`);
+  }
+  if (!Array.isArray(scenario.turns) || scenario.turns.length === 0) {
+    throw new Error(`${where}: "turns" must be a non-empty array`);
+  }
+  scenario.turns = scenario.turns.map((turn, i) => {
+    const t = typeof turn === 'string' ? { say: turn } : turn;
+    if (!t.hangup && !t.say && !t.audio) throw new Error(`${where}: turn ${i + 1} needs "say", "audio" or "hangup"`);
+    return t.audio ? { ...t, audio: path.resolve(path.dirname(file), t.audio) } : t;
+  });
+  scenario.file = file;
+  return scenario;
+}
+
+/**
+ * Expand files and directories into scenarios, sorted by file name within a directory.
+ *
+ * @param {string[]} targets
+ * @returns {Object[]}
+ */
+function loadScenarios(targets) {
+  const files = [];
+  for (const target of targets) {
+    if (fs.statSync(target).isDirectory()) {
+      files.push(...fs.readdirSync(target).filter(f => f.endsWith('.json')).sort().map(f => path.join(target, f)));
+    } else {
+      files.push(target);
+    }
+  }
+  return files.map(loadScenario);
+}
+
+/**
+ * The fake Twilio end of the call: a frame clock for inbound audio and a
+ * real-time model of what the "phone" is currently playing.
+ */
+function createPhoneLine(ws, { streamSid, callSid }) {
+  const speech = [];    // inbound frames waiting to be "spoken"
+  let chunk = 0;
+  let playbackEndsAt = 0;
+  let lastAudioAt = 0;
+  let michaelAudioMs = 0;
+  let clears = 0;
+  const pendingMarks = new Set();
+  let closed = false;
+
+  const send = (msg) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+  };
+
+  send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+  send({
+    event: 'start',
+    streamSid,
+    start: { streamSid, callSid, tracks: ['inbound'], mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 } },
+  });
+
+  // Twilio sends inbound audio continuously, speech or not
+  const silence = Buffer.alloc(FRAME_BYTES, MULAW_SILENCE);
+  const clock = setInterval(() => {
+    const frame = speech.shift() || silence;
+    chunk++;
+    send({ event: 'media', streamSid, media: { track: 'inbound', chunk: String(chunk), timestamp: String(chunk * FRAME_MS), payload: frame.toString('base64') } });
+  }, FRAME_MS);
+
+  const echoMark = (name) => send({ event: 'mark', streamSid, mark: { name } });
+
+  ws.on('message', (data) => {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch {
+      return;
+    }
+    if (msg.event === 'media') {
+      const ms = (Buffer.from(msg.media.payload, 'base64').length / 8000) * 1000;
+      playbackEndsAt = Math.max(playbackEndsAt, Date.now()) + ms;
+      lastAudioAt = Date.now();
+      michaelAudioMs += ms;
+    } else if (msg.event === 'clear') {
+      // Barge-in: queued audio is dropped and pending marks come straight back
+      clears++;
+      playbackEndsAt = Date.now();
+      for (const timer of pendingMarks) {
+        clearTimeout(timer.ref);
+        echoMark(timer.name);
+      }
+      pendingMarks.clear();
+    } else if (msg.event === 'mark') {
+      // Echoed when playback reaches it
+      const timer = { name: msg.mark?.name };
+      timer.ref = setTimeout(() => {
+        pendingMarks.delete(timer);
+        echoMark(timer.name);
+      }, Math.max(0, playbackEndsAt - Date.now()));
+      pendingMarks.add(timer);
+    }
+  });
+  ws.on('close', () => {
+    closed = true;
+    clearInterval(clock);
+    for (const timer of pendingMarks) clearTimeout(timer.ref);
+  });
+
+  return {
+    get closed() {
+      return closed;
+    },
+    get stats() {
+      return { michaelAudioMs: Math.round(michaelAudioMs), clears };
+    },
+    /** Michael's audio is still playing (or still arriving). */
+    playing() {
+      const now = Date.now();
+      return now < playbackEndsAt || now - lastAudioAt < AUDIO_SETTLE_MS;
+    },
+    sendText(text) {
+      send({ event: 'prospect_text', text });
+    },
+    sendAudio(mulaw) {
+      for (let offset = 0; offset < mulaw.length; offset += FRAME_BYTES) {
+        const frame = Buffer.alloc(FRAME_BYTES, MULAW_SILENCE);
+        mulaw.copy(frame, 0, offset, Math.min(offset + FRAME_BYTES, mulaw.length));
+        speech.push(frame);
+      }
+    },
+    /** Resolves once queued speech has been sent. */
+    drained() {
+      return waitFor(() => speech.length === 0 || closed, 60000);
+    },
+    hangup() {
+      clearInterval(clock);
+      send({ event: 'stop', streamSid, stop: { callSid } });
+      ws.close();
+    },
+  };
+}
+
+function matches(pattern, text) {
+  return new RegExp(pattern, 'i').test(text);
+}
+
+/**
+ * Compare a run against the scenario's `expect` block.
+ *
+ * @param {Object} [expect]
+ * @param {Object} result - From runScenario
+ * @returns {string[]} Failure messages (empty = passed)
+ */
+function checkExpectations(expect = {}, result) {
+  const failures = [];
+  const eventTypes = new Set(result.events.map(e => e.type));
+  const michael = result.transcript.filter(t => t.speaker === 'michael').map(t => t.text);
+
+  for (const [field, expected] of Object.entries(expect.outcome || {})) {
+    const actual = result.outcome?.[field];
+    const ok = typeof expected === 'boolean' ? Boolean(actual) === expected : JSON.stringify(actual) === JSON.stringify(expected);
+    if (!ok) failures.push(`outcome.${field}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual ?? null)}`);
+  }
+  for (const type of expect.events || []) {
+    if (!eventTypes.has(type)) failures.push(`event "${type}" was never broadcast`);
+  }
+  for (const type of expect.notEvents || []) {
+    if (eventTypes.has(type)) failures.push(`event "${type}" was broadcast`);
+  }
+  for (const pattern of expect.michaelSays || []) {
+    if (!michael.some(line => matches(pattern, line))) failures.push(`Michael never said /${pattern}/`);
+  }
+  for (const pattern of expect.michaelNeverSays || []) {
+    const line = michael.find(l => matches(pattern, l));
+    if (line) failures.push(`Michael said /${pattern}/: "${line}"`);
+  }
+  if (expect.score) {
+    const score = result.scoring?.overallScore;
+    if (score == null) failures.push('no call score');
+    else if ((expect.score.min != null && score < expect.score.min) || (expect.score.max != null && score > expect.score.max)) {
+      failures.push(`score ${score} outside ${expect.score.min ?? 0}–${expect.score.max ?? 100}`);
+    }
+  }
+  if (expect.sentiment) {
+    const allowed = [].concat(expect.sentiment);
+    if (!allowed.includes(result.sentiment)) failures.push(`sentiment "${result.sentiment}", expected ${allowed.join(' | ')}`);
+  }
+  if (expect.endedBy && result.endedBy !== expect.endedBy) {
+    failures.push(`call ended by ${result.endedBy || 'nobody'}, expected ${expect.endedBy}`);
+  }
+  return failures;
+}
+
+/**
+ * Run one scenario against a call server.
+ *
+ * @param {Object} scenario - From loadScenario
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Call server, e.g. http://localhost:3000
+ * @param {string} [options.secret] - CALL_SERVER_SECRET
+ * @param {string} [options.input] - Override the scenario's input mode (text | audio)
+ * @param {Function} [options.onLine] - (speaker, text) => void, as the conversation happens
+ * @returns {Promise<Object>} Transcript, events, scoring, outcome and `failures` / `passed`
+ */
+async function runScenario(scenario, {
+  baseUrl = 'http://localhost:3000',
+  secret = process.env.CALL_SERVER_SECRET,
+  input,
+  onLine = () => {},
+} = {}) {
+  const mode = input || scenario.input || 'text';
+  const timing = { ...DEFAULT_TIMING, ...scenario.timing };
+  const startedAt = Date.now();
+  const headers = { 'Content-Type': 'application/json', ...(secret ? { Authorization: `Bearer ${secret}` } : {}) };
+
+  const result = {
+    name: scenario.name,
+    persona: scenario.persona || null,
+    input: mode,
+    sessionId: null,
+    transcript: [],
+    events: [],
+    notes: [],
+    scoring: null,
+    outcome: null,
+    sentiment: null,
+    endedBy: null,
+    audio: null,
+    durationMs: 0,
+    failures: [],
+    passed: false,
+  };
+
+  const created = await fetch(`${baseUrl}/call/simulate`, { method: 'POST', headers, body: JSON.stringify(scenario.call) });
+  const session = await created.json().catch(() => ({}));
+  if (!created.ok) throw new Error(`POST /call/simulate → ${created.status}: ${session.error || 'failed'}`);
+  result.sessionId = session.sessionId;
+
+  const wsBase = baseUrl.replace(/^http/, 'ws');
+  const ui = await openSocket(`${wsBase}${session.transcriptPath}`);
+  let michaelLines = 0;
+  let callEnded = null;
+  ui.on('message', (data) => {
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch {
+      return;
+    }
+    result.events.push({ ...event, at: Date.now() - startedAt });
+    if (event.type === 'michael_speech' && event.final !== false && event.text) {
+      michaelLines++;
+      result.transcript.push({ speaker: 'michael', text: event.text, at: Date.now() - startedAt });
+      onLine('michael', event.text);
+    } else if (event.type === 'call_ended') {
+      callEnded = event;
+    }
+  });
+
+  const media = await openSocket(`${wsBase}${session.mediaPath}`);
+  const line = createPhoneLine(media, { streamSid: `MZsim${session.sessionId.replace(/-/g, '').slice(0, 24)}`, callSid: `CAsim-${session.sessionId}` });
+  const ended = () => Boolean(callEnded) || line.closed;
+
+  let voice = null;
+  async function speak(turn) {
+    const text = turn.say || `[audio: ${path.basename(turn.audio)}]`;
+    result.transcript.push({ speaker: 'prospect', text, at: Date.now() - startedAt });
+    onLine('prospect', text);
+
+    if (mode === 'text' && turn.say) return line.sendText(turn.say);
+
+    let audio;
+    if (turn.audio) {
+      const { samples, sampleRate } = parseWav(fs.readFileSync(turn.audio));
+      audio = pcmToTwilioMulaw(samples, sampleRate);
+    } else {
+      voice = voice || require('./local-tts').createLocalTts();
+      audio = await voice.synthesize(turn.say);
+    }
+    line.sendAudio(audio);
+    await line.drained();
+  }
+
+  // Michael answers the phone first
+  if (!(await waitFor(() => michaelLines > 0 || ended(), timing.replyTimeoutMs))) result.notes.push('no opening line');
+  await waitFor(() => !line.playing() || ended(), timing.replyTimeoutMs);
+  await sleep(timing.openingPauseMs);
+
+  for (let i = 0; i < scenario.turns.length && !ended(); i++) {
+    const turn = scenario.turns[i];
+    if (turn.hangup) {
+      result.endedBy = 'prospect';
+      line.hangup();
+      break;
+    }
+
+    if (turn.interrupt) {
+      await waitFor(() => line.playing() || ended(), timing.replyTimeoutMs);
+      await sleep(turn.afterMs ?? timing.interruptAfterMs);
+    } else {
+      await sleep(turn.pauseMs ?? timing.replyDelayMs);
+    }
+    if (ended()) break;
+
+    const before = michaelLines;
+    await speak(turn);
+    if (turn.expectReply === false) continue;
+
+    // Barging in on this reply is the next turn's job — only wait for it to start
+    const next = scenario.turns[i + 1];
+    if (next?.interrupt) continue;
+
+    if (!(await waitFor(() => michaelLines > before || ended(), timing.replyTimeoutMs))) {
+      result.notes.push(`no reply to turn ${i + 1}`);
+      continue;
+    }
+    await waitFor(() => !line.playing() || ended(), timing.replyTimeoutMs);
+  }
+
+  if (!ended()) {
+    // Script is done — give Michael the chance to wrap up and hang up himself
+    if (!(await waitFor(ended, timing.endWaitMs))) {
+      result.endedBy = 'prospect';
+      line.hangup();
+    }
+  }
+  if (!result.endedBy) result.endedBy = 'michael';
+
+  await waitFor(() => Boolean(callEnded), 5000);
+  if (!line.closed) line.hangup();
+  ui.close();
+
+  result.scoring = callEnded?.scoring || null;
+  result.audio = line.stats;
+  result.durationMs = Date.now() - startedAt;
+
+  // The persisted record has the full outcome; give the last write a moment to land
+  await sleep(300);
+  const record = await fetch(`${baseUrl}/calls/${result.sessionId}`, { headers }).then(r => (r.ok ? r.json() : null)).catch(() => null);
+  if (record) {
+    result.outcome = record.outcome;
+    result.sentiment = record.sentiment?.label || null;
+    result.scoring = result.scoring || record.scoring;
+  } else {
+    result.notes.push('call record not found');
+  }
+
+  result.failures = checkExpectations(scenario.expect, result);
+  result.passed = result.failures.length === 0;
+  return result;
+}
+
+module.exports = { loadScenario, loadScenarios, runScenario, checkExpectations };
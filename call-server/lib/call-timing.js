@@ -0,0 +1,140 @@
+/**
+ * Call Timing — who was actually talking, and when
+ *
+ * Transcript entries carry a timing span once the audio is measured:
+ *   { startedAt, endedAt, source, interrupted? }   (epoch ms)
+ *
+ * - Prospect lines are timed from the recognizer's word timestamps
+ *   (source 'words'), or from when the transcript arrived if it had none
+ *   ('estimate').
+ * - Michael's lines are timed from Twilio `mark` events sent around his audio
+ *   and echoed back when playback reaches them ('mark'). Until the echo
+ *   arrives the span is what was queued ('estimate').
+ *
+ * From those spans: real talk-time ratio, longest monologue, response latency
+ * per turn and dead-air periods. Chats have no audio, so no spans and no
+ * timing summary — scoring falls back to word counts.
+ *
+ * Config:
+ *   DEAD_AIR_MS   Optional, default 3000 — silence at least this long counts as dead air
+ */
+
+const DEAD_AIR_MS = parseInt(process.env.DEAD_AIR_MS) || 3000;
+const MEASURED_SOURCES = ['words', 'mark'];
+
+const isMichael = (entry) => entry.speaker === 'Michael';
+
+function spanOf(entry) {
+  const t = entry.timing;
+  if (!t || !Number.isFinite(t.startedAt) || !Number.isFinite(t.endedAt) || t.endedAt < t.startedAt) return null;
+  return { startedAt: t.startedAt, endedAt: t.endedAt, durationMs: t.endedAt - t.startedAt, source: t.source };
+}
+
+/**
+ * Per-line timing, in transcript order (null for lines that were never played
+ * or heard — e.g. chat, or a reply cut off before any audio went out).
+ * Michael's first line after each prospect turn also gets latencyMs: how long
+ * the prospect waited between finishing and hearing him.
+ *
+ * @param {Array<{speaker: string, timing?: Object}>} transcript
+ * @returns {Array<Object|null>}
+ */
+function timeTranscript(transcript) {
+  let prospectEndedAt = null; // end of the prospect turn Michael hasn't answered yet
+
+  return transcript.map(entry => {
+    const span = spanOf(entry);
+    if (!span) return null;
+
+    if (!isMichael(entry)) {
+      prospectEndedAt = Math.max(prospectEndedAt ?? 0, span.endedAt);
+      return { ...span, speechMs: entry.timing.speechMs ?? span.durationMs };
+    }
+
+    const latencyMs = prospectEndedAt !== null && span.startedAt >= prospectEndedAt
+      ? span.startedAt - prospectEndedAt
+      : null;
+    prospectEndedAt = null;
+    return { ...span, interrupted: Boolean(entry.timing.interrupted), latencyMs };
+  });
+}
+
+/**
+ * Talk time, longest monologue, response latency and dead air for a call.
+ *
+ * @param {Array<{speaker: string, timing?: Object}>} transcript
+ * @param {Object} [options]
+ * @param {number} [options.deadAirMs]
+ * @returns {Object|null} null when nothing in the call was timed
+ */
+function summarizeTiming(transcript, { deadAirMs = DEAD_AIR_MS } = {}) {
+  const timed = timeTranscript(transcript);
+  const spans = transcript
+    .map((entry, i) => timed[i] && { ...timed[i], michael: isMichael(entry) })
+    .filter(Boolean)
+    .sort((a, b) => a.startedAt - b.startedAt);
+  if (!spans.length) return null;
+
+  // ─── Talk time: measured speech on each side ───
+  const michaelMs = sum(spans.filter(s => s.michael).map(s => s.durationMs));
+  const prospectMs = sum(spans.filter(s => !s.michael).map(s => s.speechMs));
+  const totalMs = michaelMs + prospectMs;
+  const prospectPercent = totalMs > 0 ? Math.round((prospectMs / totalMs) * 100) : 0;
+
+  // ─── Longest monologue: back-to-back lines from one side, start to finish ───
+  const longestMonologue = { michaelMs: 0, prospectMs: 0 };
+  let run = null;
+  for (const span of spans) {
+    if (run && run.michael === span.michael) {
+      run.endedAt = Math.max(run.endedAt, span.endedAt);
+    } else {
+      run = { michael: span.michael, startedAt: span.startedAt, endedAt: span.endedAt };
+    }
+    const key = run.michael ? 'michaelMs' : 'prospectMs';
+    longestMonologue[key] = Math.max(longestMonologue[key], run.endedAt - run.startedAt);
+  }
+
+  // ─── Response latency: prospect stops → Michael starts playing ───
+  const perTurnMs = timed.filter(t => t && Number.isFinite(t.latencyMs)).map(t => t.latencyMs);
+  const sorted = [...perTurnMs].sort((a, b) => a - b);
+  const responseLatency = {
+    turns: perTurnMs.length,
+    averageMs: perTurnMs.length ? Math.round(sum(perTurnMs) / perTurnMs.length) : null,
+    medianMs: sorted.length ? sorted[Math.floor((sorted.length - 1) / 2)] : null,
+    maxMs: sorted.length ? sorted[sorted.length - 1] : null,
+    perTurnMs,
+  };
+
+  // ─── Dead air: nobody talking for deadAirMs or more ───
+  const periods = [];
+  let floorEndsAt = spans[0].endedAt;
+  let lastSpeaker = spans[0].michael ? 'michael' : 'prospect';
+  for (const span of spans.slice(1)) {
+    const gapMs = span.startedAt - floorEndsAt;
+    if (gapMs >= deadAirMs) periods.push({ startedAt: floorEndsAt, durationMs: gapMs, after: lastSpeaker });
+    if (span.endedAt >= floorEndsAt) {
+      floorEndsAt = span.endedAt;
+      lastSpeaker = span.michael ? 'michael' : 'prospect';
+    }
+  }
+
+  return {
+    measured: spans.every(s => MEASURED_SOURCES.includes(s.source)),
+    talkTime: { michaelMs, prospectMs, prospectPercent, michaelPercent: totalMs > 0 ? 100 - prospectPercent : 0 },
+    longestMonologue,
+    responseLatency,
+    deadAir: {
+      thresholdMs: deadAirMs,
+      count: periods.length,
+      totalMs: sum(periods.map(p => p.durationMs)),
+      longestMs: periods.length ? Math.max(...periods.map(p => p.durationMs)) : 0,
+      periods,
+    },
+  };
+}
+
+function sum(values) {
+  return values.reduce((total, v) => total + v, 0);
+}
+
+module.exports = { timeTranscript, summarizeTiming, DEAD_AIR_MS };
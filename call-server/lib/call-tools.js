@@ -0,0 +1,170 @@
+/**
+ * Call Tools — Structured actions Michael can take mid-call
+ *
+ * Instead of inferring outcomes from phrases like "got you down for", the
+ * model calls these functions and the server executes them against the live
+ * CallSession. The regex detectors in server.js remain as the fallback when
+ * tools are disabled (LLM_TOOLS=off); opt-out keyword detection always runs
+ * first regardless, because compliance can't wait on the model.
+ *
+ * Tools:
+ * - book_meeting(datetime)          Prospect confirmed a specific meeting time
+ * - schedule_callback(datetime)     Prospect asked to be called back later
+ * - mark_opt_out(reason)            Prospect asked not to be contacted again
+ * - transfer_to_human(reason)       Prospect wants / needs a real person now
+ * - end_call(reason)                Conversation is over — hang up after speaking
+ */
+
+const { parseSpokenTime, zonedTimeToEpoch, resolveTimezone, formatInTimezone } = require('./time-parser');
+
+const END_REASONS = ['meeting_booked', 'callback_scheduled', 'opted_out', 'not_interested', 'wrong_person', 'voicemail', 'other'];
+
+/**
+ * OpenAI tool definitions. Rebuilt each turn so the model knows today's date
+ * in the prospect's timezone — it needs that to turn "Thursday at 2" into a datetime.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @param {string} [options.timezone] - Prospect's IANA timezone
+ */
+function buildCallTools({ now = Date.now(), timezone } = {}) {
+  const tz = resolveTimezone(timezone);
+  const today = formatInTimezone(now, tz);
+  const datetimeParam = {
+    type: 'string',
+    description: `ISO 8601 start time with UTC offset, e.g. "2025-03-14T14:00:00-05:00". Right now it is ${today} in the prospect's timezone (${tz}).`,
+  };
+
+  return [
+    {
+      type: 'function',
+      function: {
+        name: 'book_meeting',
+        description: 'Book the meeting once the prospect has explicitly agreed to a specific day AND time. Call this before you confirm the booking out loud.',
+        parameters: {
+          type: 'object',
+          properties: { datetime: datetimeParam },
+          required: ['datetime'],
+        },
+      },
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'schedule_callback',
+        description: 'Schedule a call back when the prospect is busy and asks you to call another time. Use their stated time; if they gave none, ask first.',
+        parameters: {
+          type: 'object',
+          properties: {
+            datetime: datetimeParam,
+            note: { type: 'string', description: 'Anything to remember for the callback (e.g. "wants pricing first")' },
+          },
+          required: ['datetime'],
+        },
+      },
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'mark_opt_out',
+        description: 'The prospect asked not to be called or contacted again. Records them on the Do-Not-Call list.',
+        parameters: {
+          type: 'object',
+          properties: { reason: { type: 'string' } },
+        },
+      },
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'transfer_to_human',
+        description: 'Transfer the call to a human sales rep, e.g. when the prospect asks for a real person or is ready to buy now.',
+        parameters: {
+          type: 'object',
+          properties: { reason: { type: 'string' } },
+          required: ['reason'],
+        },
+      },
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'end_call',
+        description: 'End the call after your next sentence. Use once the conversation has reached a natural end (always say goodbye in the same reply).',
+        parameters: {
+          type: 'object',
+          properties: { reason: { type: 'string', enum: END_REASONS } },
+          required: ['reason'],
+        },
+      },
+    },
+  ];
+}
+
+// Appended to the system prompt when tools are on
+const TOOL_INSTRUCTIONS = `
+
+ACTIONS:
+You can take real actions with your tools. Use them instead of just saying you'll do something:
+- The moment the prospect agrees to a specific day AND time, call book_meeting, then confirm it back and say goodbye.
+- If they ask you to call back later, get a day/time, call schedule_callback, confirm it, then end_call.
+- Any opt-out request ("stop calling", "take me off your list") → mark_opt_out.
+- If they ask for a real person or want to buy right now → transfer_to_human.
+- When the conversation is over for any other reason (not interested, wrong person) → end_call with your goodbye.
+Never mention the tools or function names out loud.`;
+
+/**
+ * Turn a tool's datetime argument into epoch ms. Accepts ISO with an offset,
+ * ISO without one (read as the prospect's local time) or natural phrases.
+ *
+ * @returns {number|null}
+ */
+function parseToolDatetime(value, timezone) {
+  if (!value || typeof value !== 'string') return null;
+  const tz = resolveTimezone(timezone);
+
+  const local = value.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/);
+  if (local) {
+    const [, year, month, day, hour, minute] = local.map(Number);
+    return zonedTimeToEpoch({ year, month, day, hour, minute }, tz);
+  }
+
+  const iso = Date.parse(value);
+  if (!Number.isNaN(iso) && /\d{4}-\d{2}-\d{2}/.test(value)) return iso;
+
+  return parseSpokenTime(value, { timezone: tz })?.at ?? null;
+}
+
+/**
+ * Wrap named handlers into the onToolCall callback generateResponse expects.
+ * Handlers receive parsed arguments and return a JSON-able result for the model.
+ * Unknown tools, bad JSON and handler errors become `{ ok: false, error }`
+ * so a tool failure never kills the turn.
+ *
+ * @param {Object<string, Function>} handlers - name → async (args) => result
+ * @param {string} [logPrefix]
+ */
+function createToolExecutor(handlers, logPrefix = '[Tools]') {
+  return async function onToolCall(name, rawArgs) {
+    const handler = handlers[name];
+    if (!handler) return { ok: false, error: `Unknown tool ${name}` };
+
+    let args;
+    try {
+      args = typeof rawArgs === 'string' ? JSON.parse(rawArgs || '{}') : (rawArgs || {});
+    } catch {
+      return { ok: false, error: 'Arguments were not valid JSON' };
+    }
+
+    try {
+      const result = await handler(args);
+      console.log(`${logPrefix} ${name}(${JSON.stringify(args)}) → ${JSON.stringify(result)}`);
+      return result;
+    } catch (err) {
+      console.error(`${logPrefix} ${name} failed: ${err.message}`);
+      return { ok: false, error: err.message };
+    }
+  };
+}
+
+module.exports = { buildCallTools, parseToolDatetime, createToolExecutor, TOOL_INSTRUCTIONS, END_REASONS };
@@ -0,0 +1,309 @@
+/**
+ * Callback Scheduler — Redials prospects who asked Michael to call back
+ *
+ * When a prospect says "call me tomorrow at 3", processUserTurn flags the
+ * session with callbackRequested + the phrase they used. Once that call ends,
+ * the phrase is resolved to an absolute time in the prospect's timezone and a
+ * job is written to the `callbacks` collection. A ticker dials due jobs through
+ * the server's normal dial path, with the earlier call attached so Michael can
+ * pick up where the conversation left off.
+ *
+ * Rules:
+ * - Never dial outside 8am–9pm in the prospect's timezone (TCPA calling window);
+ *   times outside it are moved to the next 9am
+ * - No time given at all → next business day, 10am
+ * - One pending callback per phone number; a newer request replaces the old one
+ * - Jobs that were mid-dial when the server restarted are marked `interrupted`
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { parseSpokenTime, getZonedParts, zonedTimeToEpoch, resolveTimezone, formatInTimezone } = require('./time-parser');
+
+const TICK_MS = 15000;
+
+const CALLING_WINDOW = { startHour: 8, endHour: 21 };
+const FALLBACK_HOUR = 10;
+
+// Job states: pending → dialing → dialed | failed, or cancelled / interrupted
+
+/**
+ * Move a timestamp into the prospect's calling window.
+ */
+function fitCallingWindow(at, timezone) {
+  const parts = getZonedParts(at, timezone);
+  if (parts.hour >= CALLING_WINDOW.startHour && parts.hour < CALLING_WINDOW.endHour) return at;
+  const dayOffset = parts.hour >= CALLING_WINDOW.endHour ? 1 : 0;
+  return zonedTimeToEpoch({ year: parts.year, month: parts.month, day: parts.day + dayOffset, hour: 9, minute: 0 }, timezone);
+}
+
+function nextBusinessMorning(now, timezone) {
+  const today = getZonedParts(now, timezone);
+  let delta = 1;
+  while ([0, 6].includes((today.weekday + delta) % 7)) delta++;
+  return zonedTimeToEpoch({ year: today.year, month: today.month, day: today.day + delta, hour: FALLBACK_HOUR, minute: 0 }, timezone);
+}
+
+/**
+ * Resolve a spoken callback phrase into a dial time.
+ *
+ * @returns {{ at: number, timezone: string, inferred: boolean }}
+ */
+function resolveCallbackTime(phrase, timezone, now = Date.now()) {
+  const tz = resolveTimezone(timezone);
+  const parsed = parseSpokenTime(phrase, { timezone: tz, now });
+  if (!parsed || parsed.at <= now) {
+    return { at: nextBusinessMorning(now, tz), timezone: tz, inferred: true };
+  }
+  return { at: fitCallingWindow(parsed.at, tz), timezone: tz, inferred: !parsed.precise };
+}
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.store - Store from createStore()
+ * @param {Function} deps.dial - async (profile, { previousSessionId, campaignId, prospectId }) => CallSession
+ *                               Throws on failure.
+ */
+function createCallbackScheduler({ store, dial }) {
+  const collection = store.collection('callbacks');
+  const jobs = new Map(); // id → job
+  let ticker = null;
+
+  function persist(job) {
+    job.updatedAt = Date.now();
+    return collection.put(job.id, { ...job })
+      .catch(err => console.error(`[Callback ${job.id}] Failed to persist: ${err.message}`));
+  }
+
+  function ensureTicker() {
+    if (ticker) return;
+    ticker = setInterval(tick, TICK_MS);
+    ticker.unref();
+  }
+
+  function tick() {
+    const now = Date.now();
+    for (const job of jobs.values()) {
+      if (job.status === 'pending' && job.scheduledFor <= now) runJob(job);
+    }
+  }
+
+  async function runJob(job) {
+    job.status = 'dialing';
+    job.attempts++;
+    await persist(job);
+
+    try {
+      const session = await dial(job.profile, {
+        previousSessionId: job.sessionId,
+        campaignId: job.campaignId,
+        prospectId: job.prospectId,
+      });
+      job.status = 'dialed';
+      job.resultSessionId = session.sessionId;
+      console.log(`[Callback ${job.id}] Redialed ${job.phone} → ${session.sessionId}`);
+    } catch (err) {
+      job.status = err.blocked ? 'cancelled' : 'failed';
+      job.lastError = err.message;
+      if (err.blocked) job.cancelReason = 'number is on the DNC list';
+      console.error(`[Callback ${job.id}] Redial to ${job.phone} failed: ${err.message}`);
+    }
+    await persist(job);
+  }
+
+  function openJobForPhone(phone) {
+    return [...jobs.values()].find(j => j.phone === phone && j.status === 'pending');
+  }
+
+  return {
+    /**
+     * Load persisted jobs and start the ticker.
+     */
+    async restore() {
+      const stored = await collection.list();
+      for (const job of stored) {
+        if (job.status === 'dialing') {
+          job.status = 'interrupted';
+          console.warn(`[Callback ${job.id}] Was mid-dial at restart — marked interrupted`);
+          persist(job);
+        }
+        jobs.set(job.id, job);
+      }
+      ensureTicker();
+      console.log(`[Callback] Restored ${stored.length} job(s), ${stored.filter(j => j.status === 'pending').length} pending`);
+    },
+
+    /**
+     * Schedule a callback for a finished call that asked for one.
+     *
+     * @param {CallSession} session - callbackRequested must be set
+     * @returns {Promise<Object>} The job
+     */
+    async scheduleFromSession(session) {
+      const timezone = session.context?.timezone;
+      const phrase = session.callbackPhrase || session.callbackTime || '';
+      // An exact time from the schedule_callback tool wins over re-parsing the phrase
+      const { at, timezone: tz, inferred } = session.callbackAt > Date.now()
+        ? { at: fitCallingWindow(session.callbackAt, resolveTimezone(timezone)), timezone: resolveTimezone(timezone), inferred: false }
+        : resolveCallbackTime(phrase, timezone);
+
+      const existing = openJobForPhone(session.phone);
+      if (existing) {
+        existing.status = 'cancelled';
+        existing.cancelReason = `superseded by callback from ${session.sessionId}`;
+        persist(existing);
+      }
+
+      const job = {
+        id: uuidv4(),
+        sessionId: session.sessionId,
+        phone: session.phone,
+        firstName: session.firstName,
+        lastName: session.lastName,
+        company: session.company,
+        campaignId: session.campaignId,
+        prospectId: session.prospectId,
+        profile: session.context,
+        phrase,
+        note: session.callbackNote || null,
+        timezone: tz,
+        inferred,
+        scheduledFor: at,
+        status: 'pending',
+        attempts: 0,
+        resultSessionId: null,
+        lastError: null,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+      };
+      jobs.set(job.id, job);
+      await persist(job);
+      ensureTicker();
+
+      console.log(`[Callback ${job.id}] ${job.phone} → ${formatInTimezone(at, tz)}${inferred ? ' (time inferred)' : ''} from "${phrase}"`);
+      return job;
+    },
+
+    /**
+     * @param {Object} [filters]
+     * @param {string} [filters.status] - pending, dialed, failed, cancelled, interrupted
+     * @param {string} [filters.phone]
+     */
+    list({ status, phone } = {}) {
+      let result = [...jobs.values()];
+      if (status) result = result.filter(j => j.status === status);
+      if (phone) result = result.filter(j => j.phone === phone);
+      return result.sort((a, b) => a.scheduledFor - b.scheduledFor);
+    },
+
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    /**
+     * Move a pending callback. Accepts an ISO timestamp / epoch ms (`at`) or a
+     * spoken-style phrase ("friday at 2pm") resolved in the prospect's timezone.
+     * Either way the time must be in the future, and is moved into the calling window.
+     *
+     * @returns {Promise<Object|null>} The job, or null if not found.
+     *          Throws with `err.status = 400/409` on bad input or a closed job.
+     */
+    async reschedule(id, { at, phrase }) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      if (!['pending', 'failed', 'interrupted'].includes(job.status)) {
+        const err = new Error(`Callback is ${job.status} and can't be rescheduled`);
+        err.status = 409;
+        throw err;
+      }
+
+      let scheduledFor;
+      if (at !== undefined) {
+        scheduledFor = typeof at === 'number' ? at : Date.parse(at);
+        if (Number.isNaN(scheduledFor)) {
+          const err = new Error('Invalid "at" — use an ISO timestamp or epoch ms');
+          err.status = 400;
+          throw err;
+        }
+      } else if (phrase) {
+        const parsed = parseSpokenTime(phrase, { timezone: job.timezone });
+        if (!parsed) {
+          const err = new Error(`Couldn't understand "${phrase}"`);
+          err.status = 400;
+          throw err;
+        }
+        scheduledFor = parsed.at;
+        job.phrase = phrase;
+      } else {
+        const err = new Error('Provide "at" or "phrase"');
+        err.status = 400;
+        throw err;
+      }
+
+      if (scheduledFor <= Date.now()) {
+        const err = new Error('Callback time is in the past');
+        err.status = 400;
+        throw err;
+      }
+      scheduledFor = fitCallingWindow(scheduledFor, job.timezone);
+
+      job.scheduledFor = scheduledFor;
+      job.inferred = false;
+      job.status = 'pending';
+      job.lastError = null;
+      await persist(job);
+      console.log(`[Callback ${id}] Rescheduled → ${formatInTimezone(scheduledFor, job.timezone)}`);
+      return job;
+    },
+
+    /**
+     * Cancel a pending callback. Closed jobs are returned unchanged.
+     *
+     * @returns {Promise<Object|null>} The job, or null if not found.
+     *          Throws with `err.status = 409` while the job is being dialed.
+     */
+    async cancel(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      if (job.status === 'dialing') {
+        const err = new Error('Callback is being dialed and can\'t be cancelled');
+        err.status = 409;
+        throw err;
+      }
+      if (job.status === 'pending') {
+        job.status = 'cancelled';
+        job.cancelReason = 'cancelled by user';
+        await persist(job);
+        console.log(`[Callback ${id}] Cancelled`);
+      }
+      return job;
+    },
+
+    /**
+     * Drop pending callbacks for a number (e.g. the prospect opted out or
+     * already booked on a later call).
+     */
+    async cancelForPhone(phone, reason) {
+      const open = [...jobs.values()].filter(j => j.phone === phone && j.status === 'pending');
+      for (const job of open) {
+        job.status = 'cancelled';
+        job.cancelReason = reason;
+        await persist(job);
+        console.log(`[Callback ${job.id}] Cancelled — ${reason}`);
+      }
+      return open.length;
+    },
+  };
+}
+
+/**
+ * API view of a job (the stored prospect profile stays server-side).
+ */
+function summarizeJob(job) {
+  const { profile, ...rest } = job;
+  return {
+    ...rest,
+    scheduledForLocal: formatInTimezone(job.scheduledFor, job.timezone),
+  };
+}
+
+module.exports = { createCallbackScheduler, resolveCallbackTime, summarizeJob };
@@ -0,0 +1,419 @@
+/**
+ * Campaign Manager — Batch dialer for prospect lists
+ *
+ * A campaign is a list of prospects that share one Michael configuration
+ * (the same buildSystemPrompt fields the single-call form sends). The manager
+ * walks the list and places each call through the server's normal dial path,
+ * so every campaign call is a regular CallSession with transcript, scoring
+ * and a persisted call record.
+ *
+ * Features:
+ * - Concurrency limit: never more than `maxConcurrent` live calls per campaign
+ * - Pacing: at most `callsPerMinute` dials in any rolling 60s window
+ * - Retries: busy / no-answer outcomes are re-queued after `retryDelayMinutes`,
+ *   up to `maxAttempts` total attempts per prospect
+ * - Pause / resume / cancel
+ * - Live progress from the outcomes Twilio reports to /call/status
+ * - Durable: campaign state lives in the store and resumes after a restart
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { normalizePhone } = require('./phone');
+
+const TICK_MS = 2000;
+
+const DEFAULT_SETTINGS = {
+  maxConcurrent: 2,
+  callsPerMinute: 6,
+  maxAttempts: 3,
+  retryDelayMinutes: 30,
+  retryOn: ['busy', 'no-answer'],
+};
+
+// Prospect-level columns that may override the shared campaign config
+const PROSPECT_OVERRIDE_FIELDS = ['industry', 'targetRole', 'additionalContext', 'timezone'];
+
+// Prospect states that count against the concurrency limit
+const ACTIVE_STATES = ['dialing', 'in-progress'];
+
+// Twilio statuses that end a call attempt
+const TERMINAL_CALL_STATUSES = ['completed', 'busy', 'no-answer', 'canceled', 'failed'];
+
+function clampInt(value, fallback, min, max) {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+function normalizeSettings(settings = {}) {
+  return {
+    maxConcurrent: clampInt(settings.maxConcurrent, DEFAULT_SETTINGS.maxConcurrent, 1, 20),
+    callsPerMinute: clampInt(settings.callsPerMinute, DEFAULT_SETTINGS.callsPerMinute, 1, 60),
+    maxAttempts: clampInt(settings.maxAttempts, DEFAULT_SETTINGS.maxAttempts, 1, 10),
+    retryDelayMinutes: clampInt(settings.retryDelayMinutes, DEFAULT_SETTINGS.retryDelayMinutes, 1, 7 * 24 * 60),
+    retryOn: Array.isArray(settings.retryOn)
+      ? settings.retryOn.filter(s => TERMINAL_CALL_STATUSES.includes(s))
+      : [...DEFAULT_SETTINGS.retryOn],
+  };
+}
+
+/**
+ * Validate raw prospect rows (from JSON or CSV) into campaign prospects.
+ *
+ * @returns {{ prospects: Object[], rejected: Object[] }}
+ */
+function buildProspects(rows) {
+  const prospects = [];
+  const rejected = [];
+  const seen = new Set();
+
+  rows.forEach((row, index) => {
+    const phone = normalizePhone(row.phone);
+    const firstName = (row.firstName || '').trim();
+    if (!phone || !firstName) {
+      rejected.push({ row: index + 1, reason: !phone ? 'invalid or missing phone' : 'missing firstName', data: row });
+      return;
+    }
+    if (seen.has(phone)) {
+      rejected.push({ row: index + 1, reason: 'duplicate phone', data: row });
+      return;
+    }
+    seen.add(phone);
+
+    const overrides = {};
+    for (const field of PROSPECT_OVERRIDE_FIELDS) {
+      if (row[field]) overrides[field] = row[field];
+    }
+
+    prospects.push({
+      id: uuidv4(),
+      firstName,
+      lastName: (row.lastName || '').trim(),
+      email: (row.email || '').trim(),
+      phone,
+      overrides,
+      status: 'queued',    // queued → dialing → in-progress → completed | busy | no-answer | failed | canceled | blocked
+      attempts: 0,
+      nextAttemptAt: 0,
+      sessionIds: [],
+      lastStatus: null,
+      lastError: null,
+      outcome: null,
+    });
+  });
+
+  return { prospects, rejected };
+}
+
+/**
+ * Summarize prospect states for progress reporting.
+ */
+function computeProgress(campaign) {
+  const counts = {};
+  let meetingsBooked = 0;
+  let optOuts = 0;
+  let voicemails = 0;
+  for (const p of campaign.prospects) {
+    counts[p.status] = (counts[p.status] || 0) + 1;
+    if (p.outcome?.meetingBooked) meetingsBooked++;
+    if (p.outcome?.optedOut) optOuts++;
+    if (p.outcome?.isVoicemail) voicemails++;
+  }
+  const total = campaign.prospects.length;
+  const finished = campaign.prospects.filter(p => !isPending(p) && !ACTIVE_STATES.includes(p.status)).length;
+  return {
+    total,
+    finished,
+    percentComplete: total > 0 ? Math.round((finished / total) * 100) : 100,
+    active: campaign.prospects.filter(p => ACTIVE_STATES.includes(p.status)).length,
+    counts,
+    dials: campaign.prospects.reduce((sum, p) => sum + p.attempts, 0),
+    meetingsBooked,
+    optOuts,
+    voicemails,
+  };
+}
+
+function isPending(prospect) {
+  return prospect.status === 'queued';
+}
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.store - Store from createStore()
+ * @param {Function} deps.dial - async (profile, { campaignId, prospectId }) => CallSession
+ *                               Throws on failure. Profile = shared config + prospect fields.
+ */
+function createCampaignManager({ store, dial }) {
+  const collection = store.collection('campaigns');
+  const campaigns = new Map();       // id → campaign (authoritative in-memory copy)
+  const recentDials = new Map();     // id → [timestamps] for per-minute pacing
+  const pendingWrites = new Map();
+  let ticker = null;
+
+  function persist(campaign) {
+    campaign.updatedAt = Date.now();
+    const snapshot = JSON.parse(JSON.stringify(campaign));
+    const previous = pendingWrites.get(campaign.id) || Promise.resolve();
+    const write = previous
+      .then(() => collection.put(campaign.id, snapshot))
+      .catch(err => console.error(`[Campaign ${campaign.id}] Failed to persist: ${err.message}`))
+      .finally(() => {
+        if (pendingWrites.get(campaign.id) === write) pendingWrites.delete(campaign.id);
+      });
+    pendingWrites.set(campaign.id, write);
+    return write;
+  }
+
+  function publicView(campaign, { includeProspects = true } = {}) {
+    const { prospects, ...rest } = campaign;
+    return {
+      ...rest,
+      progress: computeProgress(campaign),
+      ...(includeProspects ? { prospects } : {}),
+    };
+  }
+
+  function ensureTicker() {
+    if (ticker) return;
+    ticker = setInterval(tick, TICK_MS);
+    ticker.unref();
+  }
+
+  function tick() {
+    for (const campaign of campaigns.values()) {
+      if (campaign.status === 'running') pump(campaign);
+    }
+  }
+
+  /**
+   * Dial as many due prospects as the concurrency and pacing limits allow.
+   */
+  function pump(campaign) {
+    const now = Date.now();
+    const { maxConcurrent, callsPerMinute } = campaign.settings;
+
+    const window = (recentDials.get(campaign.id) || []).filter(t => now - t < 60000);
+    recentDials.set(campaign.id, window);
+
+    let active = campaign.prospects.filter(p => ACTIVE_STATES.includes(p.status)).length;
+
+    for (const prospect of campaign.prospects) {
+      if (active >= maxConcurrent || window.length >= callsPerMinute) break;
+      if (!isPending(prospect) || prospect.nextAttemptAt > now) continue;
+
+      active++;
+      window.push(now);
+      dialProspect(campaign, prospect);
+    }
+
+    maybeComplete(campaign);
+  }
+
+  async function dialProspect(campaign, prospect) {
+    prospect.status = 'dialing';
+    prospect.attempts++;
+    prospect.lastError = null;
+    persist(campaign);
+
+    const profile = {
+      ...campaign.config,
+      ...prospect.overrides,
+      firstName: prospect.firstName,
+      lastName: prospect.lastName,
+      email: prospect.email,
+      phone: prospect.phone,
+    };
+
+    try {
+      const session = await dial(profile, { campaignId: campaign.id, prospectId: prospect.id });
+      prospect.sessionIds.push(session.sessionId);
+      console.log(`[Campaign ${campaign.id}] Dialed ${prospect.phone} (attempt ${prospect.attempts}/${campaign.settings.maxAttempts}) → ${session.sessionId}`);
+    } catch (err) {
+      console.error(`[Campaign ${campaign.id}] Dial failed for ${prospect.phone}: ${err.message}`);
+      prospect.lastError = err.message;
+      settleAttempt(campaign, prospect, err.blocked ? 'blocked' : 'failed');
+    }
+    persist(campaign);
+  }
+
+  /**
+   * Decide what happens to a prospect after a call attempt ends.
+   */
+  function settleAttempt(campaign, prospect, callStatus) {
+    prospect.lastStatus = callStatus;
+    const { retryOn, maxAttempts, retryDelayMinutes } = campaign.settings;
+
+    const canRetry = retryOn.includes(callStatus) && prospect.attempts < maxAttempts;
+    if (canRetry && campaign.status !== 'cancelled') {
+      prospect.status = 'queued';
+      prospect.nextAttemptAt = Date.now() + retryDelayMinutes * 60000;
+      console.log(`[Campaign ${campaign.id}] ${prospect.phone} ${callStatus} — retry ${prospect.attempts + 1}/${maxAttempts} in ${retryDelayMinutes}m`);
+    } else {
+      prospect.status = callStatus;
+    }
+    maybeComplete(campaign);
+  }
+
+  function maybeComplete(campaign) {
+    if (campaign.status !== 'running' && campaign.status !== 'cancelled') return;
+    const outstanding = campaign.prospects.some(p => isPending(p) || ACTIVE_STATES.includes(p.status));
+    if (!outstanding) {
+      if (campaign.status === 'running') campaign.status = 'completed';
+      campaign.completedAt = campaign.completedAt || Date.now();
+      console.log(`[Campaign ${campaign.id}] Finished (${campaign.status}) — ${JSON.stringify(computeProgress(campaign).counts)}`);
+      persist(campaign);
+    }
+  }
+
+  function findProspect(campaignId, prospectId) {
+    const campaign = campaigns.get(campaignId);
+    const prospect = campaign?.prospects.find(p => p.id === prospectId);
+    return { campaign, prospect };
+  }
+
+  return {
+    /**
+     * Load persisted campaigns and resume the running ones.
+     * Calls that were mid-flight when the server died can't be reconciled,
+     * so they're marked `interrupted` rather than redialed (no double-dialing).
+     */
+    async restore() {
+      const stored = await collection.list();
+      for (const campaign of stored) {
+        let interrupted = 0;
+        for (const p of campaign.prospects) {
+          if (ACTIVE_STATES.includes(p.status)) {
+            p.status = 'interrupted';
+            interrupted++;
+          }
+        }
+        campaigns.set(campaign.id, campaign);
+        if (interrupted) {
+          console.warn(`[Campaign ${campaign.id}] ${interrupted} call(s) were in flight at restart — marked interrupted`);
+          persist(campaign);
+        }
+      }
+      if (stored.some(c => c.status === 'running')) ensureTicker();
+      console.log(`[Campaign] Restored ${stored.length} campaign(s)`);
+    },
+
+    /**
+     * Create and start a campaign.
+     *
+     * @param {Object} input
+     * @param {string} [input.name]
+     * @param {Object} input.config - Shared buildSystemPrompt fields (company, selling, tone...)
+     * @param {Object[]} input.rows - Raw prospect rows (JSON or parsed CSV)
+     * @param {Object} [input.settings] - maxConcurrent, callsPerMinute, maxAttempts, retryDelayMinutes, retryOn
+     * @param {boolean} [input.start=true] - false to create the campaign paused
+     */
+    async create({ name, config, rows, settings, start = true }) {
+      const { prospects, rejected } = buildProspects(rows);
+      const campaign = {
+        id: uuidv4(),
+        name: name || `Campaign ${new Date().toISOString().slice(0, 10)}`,
+        status: start ? 'running' : 'paused',
+        config,
+        settings: normalizeSettings(settings),
+        prospects,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        completedAt: null,
+      };
+      campaigns.set(campaign.id, campaign);
+      await persist(campaign);
+
+      console.log(`[Campaign ${campaign.id}] Created "${campaign.name}" with ${prospects.length} prospect(s), ${rejected.length} rejected`);
+      if (start) {
+        ensureTicker();
+        pump(campaign);
+      }
+      return { campaign: publicView(campaign), rejected };
+    },
+
+    list() {
+      return [...campaigns.values()]
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(c => publicView(c, { includeProspects: false }));
+    },
+
+    get(id) {
+      const campaign = campaigns.get(id);
+      return campaign ? publicView(campaign) : null;
+    },
+
+    pause(id) {
+      const campaign = campaigns.get(id);
+      if (!campaign) return null;
+      if (campaign.status === 'running') {
+        campaign.status = 'paused';
+        persist(campaign);
+        console.log(`[Campaign ${id}] Paused`);
+      }
+      return publicView(campaign);
+    },
+
+    resume(id) {
+      const campaign = campaigns.get(id);
+      if (!campaign) return null;
+      if (campaign.status === 'paused') {
+        campaign.status = 'running';
+        persist(campaign);
+        console.log(`[Campaign ${id}] Resumed`);
+        ensureTicker();
+        pump(campaign);
+      }
+      return publicView(campaign);
+    },
+
+    /**
+     * Stop dialing. Calls already in progress are left to finish naturally.
+     */
+    cancel(id) {
+      const campaign = campaigns.get(id);
+      if (!campaign) return null;
+      if (campaign.status === 'running' || campaign.status === 'paused') {
+        campaign.status = 'cancelled';
+        for (const p of campaign.prospects) {
+          if (isPending(p)) p.status = 'canceled';
+        }
+        console.log(`[Campaign ${id}] Cancelled`);
+        maybeComplete(campaign);
+        persist(campaign);
+      }
+      return publicView(campaign);
+    },
+
+    /**
+     * Feed a Twilio status callback for a campaign call into the campaign.
+     *
+     * @param {CallSession} session - Must carry campaignId + prospectId
+     * @param {string} callStatus - Twilio CallStatus
+     */
+    handleCallStatus(session, callStatus) {
+      const { campaign, prospect } = findProspect(session.campaignId, session.prospectId);
+      if (!campaign || !prospect) return;
+      // Ignore late callbacks from an earlier attempt
+      if (prospect.sessionIds[prospect.sessionIds.length - 1] !== session.sessionId) return;
+
+      if (TERMINAL_CALL_STATUSES.includes(callStatus)) {
+        prospect.outcome = {
+          sessionId: session.sessionId,
+          duration: session.duration,
+          meetingBooked: session.meetingBooked,
+          optedOut: session.optedOut,
+          isVoicemail: session.isVoicemail,
+          callbackRequested: session.callbackRequested,
+          callbackTime: session.callbackTime,
+        };
+        settleAttempt(campaign, prospect, callStatus);
+      } else if (callStatus === 'in-progress' || callStatus === 'ringing' || callStatus === 'answered') {
+        prospect.status = 'in-progress';
+      }
+      persist(campaign);
+    },
+  };
+}
+
+module.exports = { createCampaignManager };
@@ -0,0 +1,270 @@
+/**
+ * Conversation — Michael's turn-by-turn rules, independent of the phone line
+ *
+ * The keyword checks a prospect's turn goes through before Michael answers —
+ * opt-out, gatekeeper, callback request, sentiment — and the meeting-booked
+ * check. Voice calls (handleMediaStream) and text chat (POST /chat) both run
+ * every turn through here, so a pitch tried out in chat behaves the way it
+ * will on a call.
+ */
+
+const { updateSentiment, getSentimentPromptInjection } = require('./sentiment');
+const { TOOL_INSTRUCTIONS } = require('./call-tools');
+const { getTransferPromptInjection } = require('./warm-transfer');
+const { takeSupervisorPromptInjection } = require('./supervisor');
+
+const OPT_OUT_RESPONSE = "Absolutely, I'll make sure you're removed from our list right away. Sorry for the interruption, and have a great day.";
+
+// A callback time in the prospect's words — "2pm", "tomorrow", "in a couple hours"
+const CALLBACK_TIME_PATTERN = /(\d{1,2}(?::\d{2})?\s*(?:am|pm)|\b(?:morning|afternoon|evening)\b|\b(?:tomorrow|next week|monday|tuesday|wednesday|thursday|friday)\b|\bin (?:an?|\d+|a couple|a few) (?:minutes?|hours?|days?)\b)/i;
+
+// ─── Enterprise: Opt-out keyword detection ───
+const OPT_OUT_PATTERNS = [
+  /\b(quit|cancel|unsubscribe)\b/i,
+  /\bstop\s*(calling|contacting|this|it)\b/i, // "stop calling me" — context-specific
+  /\bstop\s*$/i, // standalone "stop" at end of utterance
+  /\btake me off/i,
+  /\bdon't call (me|again)/i,
+  /\bremove (me|my number)/i,
+  /\bdo not call/i,
+  /\bno more calls/i,
+];
+
+function detectOptOut(text) {
+  return OPT_OUT_PATTERNS.some(p => p.test(text));
+}
+
+// ─── Enterprise: Gatekeeper detection ───
+const GATEKEEPER_PATTERNS = [
+  /\bwho('s| is) calling/i,
+  /\bwhat('s| is) (this|it) (regarding|about|in reference)/i,
+  /\bcan i (ask |tell her |tell him )?what (this|it)('s| is) (about|regarding)/i,
+  /\b(he|she)('s| is) (not available|in a meeting|busy|out|unavailable)/i,
+  /\blet me (transfer|connect|put you through)/i,
+  /\b(receptionist|front desk|operator) speaking/i,
+  /\bthis is .{1,20}'s (office|assistant)/i,
+  /\bi('ll| will) see if/i,
+  /\bcan i take a message/i,
+  /\bmay i ask who/i,
+];
+
+function detectGatekeeper(text) {
+  return GATEKEEPER_PATTERNS.some(p => p.test(text));
+}
+
+// ─── Enterprise: Callback request detection ───
+const CALLBACK_PATTERNS = [
+  /\bcall (me )?(back|later|another time|tomorrow|next week)/i,
+  /\b(bad|terrible|wrong) time/i,
+  /\b(busy|swamped|slammed|in a meeting|driving|can't talk)/i,
+  /\bnot a good time/i,
+  /\btry (me )?(again|back|later)/i,
+  /\bcan you (call|reach|try) (back|again|later)/i,
+];
+
+function detectCallbackRequest(text) {
+  return CALLBACK_PATTERNS.some(p => p.test(text));
+}
+
+// ─── Warm transfer request detection (used when tool calling is off) ───
+const TRANSFER_REQUEST_PATTERNS = [
+  /\b(talk|speak) (to|with) (a |an )?(real |actual |live )?(person|human|someone|rep|salesperson)/i,
+  /\b(get|put) (me )?(a |an )?(real |actual |live )?(person|human|someone) on/i,
+  /\bis there (a |an )?(real |actual )?(person|human|someone) (i can|to)/i,
+  /\bconnect me (to|with)/i,
+  /\bready to (buy|sign|get started) (now|today|right now)/i,
+];
+
+function detectTransferRequest(text) {
+  return TRANSFER_REQUEST_PATTERNS.some(p => p.test(text));
+}
+
+// ─── Detect if a meeting was booked (STRICT — requires explicit date+time confirmation) ───
+//
+// options.requireExplicitConfirmation (default: false)
+//   When true (used by the PRE-response check), Michael's text must contain explicit
+//   booking confirmation language ("I've got you down", "calendar invite", etc.) —
+//   NOT just a proposal ("How about Thursday?"). This prevents the call from hanging up
+//   before Michael confirms back to the prospect.
+//
+//   When false (used by the POST-response check), any scheduling language from Michael
+//   is accepted since Michael's response was just generated and should contain the
+//   confirmation naturally.
+//
+function detectMeetingBooked(michaelText, userText, options = {}) {
+  const { requireExplicitConfirmation = false } = options;
+  const michaelLower = (michaelText || '').toLowerCase();
+  const userLower = (userText || '').toLowerCase();
+  const combined = `${michaelLower} ${userLower}`;
+
+  // Step 1: A SPECIFIC time must be mentioned (not just "morning" or "afternoon")
+  const specificTimePatterns = [
+    /\b\d{1,2}\s*(am|pm|a\.m\.|p\.m\.)\b/,
+    /\b\d{1,2}:\d{2}\b/,
+  ];
+  const hasSpecificTime = specificTimePatterns.some(pat => pat.test(combined));
+
+  // Step 2: A SPECIFIC day must also be mentioned
+  const specificDayPatterns = [
+    /\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/i,
+    /\b(tomorrow)\b/i,
+    /\b(january|february|march|april|may|june|july|august|september|october|november|december)\s+\d{1,2}\b/,
+    /\b(next\s+(monday|tuesday|wednesday|thursday|friday|saturday|sunday))\b/i,
+    /\bthis\s+(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/i,
+  ];
+  const hasSpecificDay = specificDayPatterns.some(pat => pat.test(combined));
+
+  // Must have BOTH a day AND a time (not just one)
+  if (!hasSpecificTime || !hasSpecificDay) return false;
+
+  // Step 3: The PROSPECT must explicitly confirm with scheduling-specific language
+  const confirmPhrases = [
+    'that works', 'works for me', 'that time works', 'that day works',
+    'let\'s do it', 'book it', 'let\'s book it', 'see you then',
+    'looking forward', 'i\'ll be there', 'count me in', 'put me down',
+    'lock it in', 'i can do that', 'i\'m available then',
+    'sounds good', 'sounds great', 'sounds perfect',
+    'perfect let\'s do', 'yes that works', 'yeah that works',
+    'sure that works', 'ok that works', 'great see you',
+    'should work', 'think it should work', 'think that works',
+    'that should be fine', 'that\'s fine', 'i can make that work',
+    'i think so', 'i believe so', 'that should work',
+    'i can do that time', 'i can make it', 'i\'m free then',
+    'ok sounds good', 'okay sounds good', 'okay great',
+  ];
+  const confirmWithTimePatterns = [
+    /\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\s+(works|is good|is fine|is perfect|should work)\b/i,
+    /\b\d{1,2}\s*(am|pm)\s+(works|is good|is fine|is perfect|should work)\b/i,
+    /\b(yes|yeah|yep|sure|ok|okay).{0,20}(works|book|schedule|perfect|great|do it|see you|sounds good)/i,
+    /\b(works|perfect|great).{0,20}(see you|looking forward|i'll be there)/i,
+    /\bi\s+think\s+(it\s+)?(should|could|will)\s+work/i,
+  ];
+
+  const prospectConfirmed = confirmPhrases.some(phrase => userLower.includes(phrase))
+    || confirmWithTimePatterns.some(pat => pat.test(userLower));
+
+  if (!prospectConfirmed) return false;
+
+  // Step 4: Michael must have used scheduling language.
+  //
+  // In STRICT mode (pre-response check): Michael must have already explicitly CONFIRMED
+  // the booking — not just proposed a time. This ensures we don't hang up before Michael
+  // says "I've got you down for..." and mentions sending a calendar invite.
+  //
+  // In NORMAL mode (post-response check): Any scheduling language is accepted since
+  // Michael's response was just generated.
+
+  if (requireExplicitConfirmation) {
+    // STRICT: Only explicit booking confirmation language from Michael
+    const confirmationPhrases = [
+      'i\'ve got you down', 'got you down for', 'i have you down',
+      'calendar invite', 'send over a calendar', 'send you a calendar',
+      'i\'ll send', 'pencil you in', 'you\'re booked',
+      'booked for', 'confirmed for', 'set up for',
+      'you\'re all set', 'all set for',
+      'talk soon', 'talk to you',
+    ];
+    const michaelConfirmed = confirmationPhrases.some(phrase => michaelLower.includes(phrase));
+    if (!michaelConfirmed) return false;
+  } else {
+    // NORMAL: Any scheduling language (proposals + confirmations)
+    const schedulingPhrases = [
+      'how about', 'does that work', 'would that work', 'can you do',
+      'let me book', 'i\'ll send', 'calendar invite',
+      'schedule', 'book a time', 'set up a meeting',
+      'i\'ve got you down', 'got you down for', 'pencil you in', 'block off',
+      'work for you', 'talk soon', 'looking forward to it',
+      'have a great', 'have a good',
+    ];
+    const michaelProposed = schedulingPhrases.some(phrase => michaelLower.includes(phrase));
+    if (!michaelProposed) return false;
+  }
+
+  const mode = requireExplicitConfirmation ? 'STRICT/pre-response' : 'NORMAL/post-response';
+  console.log(`[detectMeetingBooked] TRIGGERED (${mode}) — Michael: "${michaelText}", User: "${userText}"`);
+  return true;
+}
+
+/**
+ * Run the rule-based checks on one prospect turn and apply them to the session:
+ * gatekeeper in/out, callback request and time, running sentiment.
+ *
+ * An opt-out short-circuits the rest — the caller records it and says goodbye
+ * with OPT_OUT_RESPONSE.
+ *
+ * @param {CallSession} session
+ * @param {string} text - What the prospect said (or typed)
+ * @returns {{ optOut: boolean, sentiment: Object|null, events: Array<Object> }}
+ *          `events` are UI messages (gatekeeper_detected, sentiment_update, ...) in order
+ */
+function reviewProspectTurn(session, text) {
+  const { sessionId } = session;
+  if (detectOptOut(text)) {
+    console.log(`[${sessionId}] OPT-OUT detected: "${text}"`);
+    return { optOut: true, sentiment: null, events: [] };
+  }
+
+  const events = [];
+
+  // ─── Enterprise: Gatekeeper detection ───
+  if (!session.gatekeeperNavigated && detectGatekeeper(text)) {
+    session.isGatekeeper = true;
+    session.gatekeeperEncountered = true;
+    console.log(`[${sessionId}] GATEKEEPER detected: "${text}"`);
+    events.push({ type: 'gatekeeper_detected' });
+  }
+  // If we hear the prospect's name after gatekeeper, mark as navigated
+  if (session.isGatekeeper && text.toLowerCase().includes(session.firstName.toLowerCase())) {
+    if (/\b(speaking|here|this is|hi|hello)\b/i.test(text)) {
+      session.isGatekeeper = false;
+      session.gatekeeperNavigated = true;
+      console.log(`[${sessionId}] Gatekeeper NAVIGATED — now talking to ${session.firstName}`);
+      events.push({ type: 'gatekeeper_navigated' });
+    }
+  }
+
+  // ─── Enterprise: Callback detection ───
+  if (detectCallbackRequest(text) && !session.callbackRequested) {
+    session.callbackRequested = true;
+    console.log(`[${sessionId}] Callback request detected: "${text}"`);
+    events.push({ type: 'callback_requested' });
+  }
+
+  // Check if they specified a time — often in the turn after the request ("how about Thursday at 2?")
+  if (session.callbackRequested && !session.callbackTime) {
+    const timeMatch = text.match(CALLBACK_TIME_PATTERN);
+    if (timeMatch) {
+      session.callbackTime = timeMatch[0];
+      session.callbackPhrase = text; // full utterance, so the scheduler sees "thursday" AND "at 2"
+      console.log(`[${sessionId}] Callback time captured: "${session.callbackTime}"`);
+    }
+  }
+
+  // ─── Enterprise: Update sentiment ───
+  const sentiment = updateSentiment(session, text);
+  events.push({ type: 'sentiment_update', score: sentiment.score, label: sentiment.label });
+
+  return { optOut: false, sentiment, events };
+}
+
+/**
+ * System prompt for Michael's next reply: the session prompt plus open calendar
+ * slots, tool instructions, and the live sentiment / transfer / supervisor notes.
+ * Supervisor whispers are consumed.
+ */
+function buildTurnPrompt(session, { tools = false } = {}) {
+  return session.systemPrompt + session.availabilityPrompt
+    + (tools ? TOOL_INSTRUCTIONS : '') + getSentimentPromptInjection(session) + getTransferPromptInjection(session)
+    + takeSupervisorPromptInjection(session);
+}
+
+module.exports = {
+  OPT_OUT_RESPONSE,
+  detectOptOut,
+  detectGatekeeper,
+  detectCallbackRequest,
+  detectTransferRequest,
+  detectMeetingBooked,
+  reviewProspectTurn,
+  buildTurnPrompt,
+};
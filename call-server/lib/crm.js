@@ -0,0 +1,198 @@
+/**
+ * CRM — Push call outcomes into the rep's CRM when a call ends
+ *
+ * Reps shouldn't re-type what Michael already knows. When a real call ends
+ * the prospect is upserted as a contact and the call is logged against them
+ * with the transcript, duration, scoring and disposition; a booked meeting
+ * becomes a meeting and a requested callback becomes a task. The provider is
+ * selected with CRM_PROVIDER:
+ *
+ * - hubspot: HubSpot CRM v3 objects API with a private app token.
+ * - salesforce: Salesforce REST API (Contact / Account / Task / Event).
+ * - webhook: POSTs each step as JSON to CRM_WEBHOOK_URL, for Zapier/Make
+ *   flows or any CRM without a built-in adapter.
+ * - none (default): Nothing is synced.
+ *
+ * `node scripts/mock-crm.js` speaks all three dialects for local testing.
+ *
+ * Provider contract — all async, each returns { id }:
+ *   upsertContact({ firstName, lastName, email, phone, company })
+ *   logCall({ contactId, call })        call: see buildCallActivity
+ *   createMeeting({ contactId, meeting }) meeting: { callId, start, end, title, description, timezone }
+ *   createTask({ contactId, task })     task: { callId, dueAt, subject, description }
+ *
+ * Syncing is resumable: each step's id is kept on the record's `crm` field
+ * and a retry only runs the steps that haven't succeeded, so a CRM outage
+ * never logs the same call twice.
+ *
+ * Custom providers can be added with registerProvider(name, factory).
+ */
+
+const { UNCONNECTED_STATUSES } = require('./call-records');
+
+const MEETING_MINUTES = parseInt(process.env.CALENDAR_MEETING_MINUTES) || 30;
+const CALLBACK_TASK_DELAY_MS = 24 * 3600000; // due date when the prospect didn't give a time
+
+const providers = {
+  hubspot: (options) => require('./hubspot-crm').createHubspotCrm(options),
+  salesforce: (options) => require('./salesforce-crm').createSalesforceCrm(options),
+  webhook: (options) => require('./webhook-crm').createWebhookCrm(options),
+};
+
+function registerProvider(name, factory) {
+  providers[name] = factory;
+}
+
+/**
+ * One-word result of a call, the way a rep would log it.
+ *
+ * @param {Object} record - Call record (CallSession.toRecord)
+ * @returns {string} busy | no-answer | failed | canceled | voicemail | do-not-call |
+ *                   meeting-booked | transferred | callback-requested | not-interested | connected
+ */
+function callDisposition(record) {
+  const outcome = record.outcome || {};
+  if (UNCONNECTED_STATUSES.includes(record.status)) return record.status;
+  if (record.amd?.isVoicemail) return 'voicemail';
+  if (outcome.optedOut) return 'do-not-call';
+  if (outcome.meetingBooked) return 'meeting-booked';
+  if (outcome.transfer?.connectedAt) return 'transferred';
+  if (outcome.callbackRequested) return 'callback-requested';
+  if (record.objections?.some(o => o.type === 'not-interested')) return 'not-interested';
+  return 'connected';
+}
+
+function formatTranscript(transcript = []) {
+  return transcript.map(t => `${t.speaker}: ${t.text}`).join('\n');
+}
+
+/**
+ * Everything a CRM call activity needs, from a finished call record.
+ */
+function buildCallActivity(record) {
+  const disposition = callDisposition(record);
+  const name = [record.firstName, record.lastName].filter(Boolean).join(' ') || record.phone || 'prospect';
+  const scoring = record.scoring || {};
+  const summary = [
+    `Disposition: ${disposition}`,
+    scoring.overallScore != null ? `Call score: ${scoring.overallScore}/100` : null,
+    scoring.talkRatio ? `Talk ratio: prospect ${scoring.talkRatio.prospectPercent}% / Michael ${scoring.talkRatio.michaelPercent}%` : null,
+    scoring.objectionHandling ? `Objections: ${scoring.objectionHandling.count}${scoring.objectionHandling.types?.length ? ` (${scoring.objectionHandling.types.join(', ')})` : ''}` : null,
+    scoring.qualificationDepth ? `Qualification (BANT): ${scoring.qualificationDepth.depth}/5` : null,
+    record.outcome?.callbackRequested ? `Callback requested: ${record.outcome.callbackTime || 'no time given'}` : null,
+  ].filter(Boolean).join('\n');
+
+  return {
+    callId: record.sessionId,
+    direction: record.direction || 'outbound',
+    channel: record.channel || 'phone',
+    phone: record.phone,
+    title: `${record.direction === 'inbound' ? 'Inbound' : 'Outbound'} call with ${name} — ${disposition}`,
+    startedAt: record.createdAt,
+    endedAt: record.endedAt,
+    durationSeconds: record.duration ?? (record.endedAt ? Math.round((record.endedAt - record.createdAt) / 1000) : 0),
+    disposition,
+    summary,
+    transcript: formatTranscript(record.transcript),
+    scoring,
+  };
+}
+
+function buildMeeting(record) {
+  const meeting = record.outcome?.meeting;
+  if (!record.outcome?.meetingBooked || !meeting?.start) return null;
+  const name = [record.firstName, record.lastName].filter(Boolean).join(' ');
+  return {
+    callId: record.sessionId,
+    start: meeting.start,
+    end: meeting.start + MEETING_MINUTES * 60000,
+    timezone: meeting.timezone || null,
+    title: `Meeting with ${name || 'prospect'}${record.company ? ` (${record.company})` : ''}`,
+    description: `Booked by Michael on a call.${meeting.agreedText ? `\nAgreed: "${meeting.agreedText}"` : ''}`,
+  };
+}
+
+function buildCallbackTask(record) {
+  const outcome = record.outcome || {};
+  if (!outcome.callbackRequested || outcome.meetingBooked || outcome.optedOut) return null;
+  const name = [record.firstName, record.lastName].filter(Boolean).join(' ');
+  return {
+    callId: record.sessionId,
+    dueAt: outcome.callbackScheduledFor || outcome.callbackAt || (record.endedAt || Date.now()) + CALLBACK_TASK_DELAY_MS,
+    subject: `Call back ${name || record.phone || 'prospect'}${record.company ? ` at ${record.company}` : ''}`,
+    description: [
+      outcome.callbackTime ? `Prospect asked for a callback: "${outcome.callbackTime}"` : 'Prospect asked for a callback.',
+      outcome.callbackNote,
+      outcome.callbackJobId ? 'Michael has an automatic redial scheduled for this time.' : null,
+    ].filter(Boolean).join('\n'),
+  };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.provider] - hubspot | salesforce | webhook | none (default CRM_PROVIDER)
+ * @returns {Object|null} CRM, or null when no provider is configured
+ */
+function createCrm({ provider = process.env.CRM_PROVIDER || 'none', ...options } = {}) {
+  if (!provider || provider === 'none') return null;
+  const factory = providers[provider];
+  if (!factory) throw new Error(`Unknown CRM provider "${provider}"`);
+  const backend = factory(options);
+
+  return {
+    provider,
+
+    /**
+     * Sync a finished call. Steps that already succeeded (ids in `previous`)
+     * are skipped. Never throws — a failure is reported in the result, with
+     * the ids of the steps that did go through.
+     *
+     * @param {Object} record - Call record (CallSession.toRecord)
+     * @param {Object} [previous] - The record's earlier crm result, when retrying
+     * @returns {Promise<Object>} { provider, status: synced|skipped|failed, contactId, activityId, meetingId, taskId, error, syncedAt }
+     */
+    async syncCall(record, previous = null) {
+      const result = {
+        provider,
+        status: 'synced',
+        contactId: null,
+        activityId: null,
+        meetingId: null,
+        taskId: null,
+        disposition: callDisposition(record),
+        error: null,
+        syncedAt: null,
+        ...(previous?.provider === provider ? previous : {}),
+        attempts: (previous?.provider === provider ? previous.attempts || 0 : 0) + 1,
+      };
+
+      if (!record.email && !record.phone) {
+        return { ...result, status: 'skipped', error: 'No email or phone to match a contact on' };
+      }
+
+      const meeting = buildMeeting(record);
+      const task = buildCallbackTask(record);
+      let step = 'contact';
+      try {
+        if (!result.contactId) {
+          const { firstName, lastName, email, phone, company } = record;
+          result.contactId = (await backend.upsertContact({ firstName, lastName, email, phone, company })).id;
+        }
+        step = 'call';
+        if (!result.activityId) result.activityId = (await backend.logCall({ contactId: result.contactId, call: buildCallActivity(record) })).id;
+        step = 'meeting';
+        if (meeting && !result.meetingId) result.meetingId = (await backend.createMeeting({ contactId: result.contactId, meeting })).id;
+        step = 'task';
+        if (task && !result.taskId) result.taskId = (await backend.createTask({ contactId: result.contactId, task })).id;
+
+        console.log(`[CRM] Synced ${record.sessionId} to ${provider} (contact ${result.contactId}, ${result.disposition})`);
+        return { ...result, status: 'synced', error: null, syncedAt: Date.now() };
+      } catch (err) {
+        console.error(`[CRM] ${provider} sync of ${record.sessionId} failed at ${step}: ${err.message}`);
+        return { ...result, status: 'failed', error: `${step}: ${err.message}`, syncedAt: null };
+      }
+    },
+  };
+}
+
+module.exports = { createCrm, registerProvider, callDisposition, buildCallActivity };
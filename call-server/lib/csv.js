@@ -0,0 +1,116 @@
+/**
+ * CSV — Minimal RFC 4180 reader/writer for prospect lists and admin exports
+ *
+ * Handles quoted fields, escaped quotes ("") and CRLF line endings. Header
+ * names are normalized to the camelCase keys the rest of the server uses, so
+ * "First Name", "first_name" and "FIRSTNAME" all become `firstName`.
+ */
+
+const HEADER_ALIASES = {
+  firstname: 'firstName',
+  first: 'firstName',
+  lastname: 'lastName',
+  last: 'lastName',
+  email: 'email',
+  emailaddress: 'email',
+  phone: 'phone',
+  phonenumber: 'phone',
+  mobile: 'phone',
+  company: 'company',
+  industry: 'industry',
+  targetrole: 'targetRole',
+  title: 'targetRole',
+  role: 'targetRole',
+  timezone: 'timezone',
+  tz: 'timezone',
+  additionalcontext: 'additionalContext',
+  notes: 'additionalContext',
+};
+
+function normalizeHeader(header) {
+  const key = String(header || '').trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+  return HEADER_ALIASES[key] || String(header || '').trim();
+}
+
+/**
+ * Split CSV text into rows of raw string cells.
+ */
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { cell += '"'; i++; }
+        else inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects.
+ *
+ * @param {string} text
+ * @returns {Object[]} One object per data row, keyed by normalized header
+ */
+function parseCsv(text) {
+  const rows = parseRows(String(text || '').replace(/^\uFEFF/, ''));
+  if (rows.length === 0) return [];
+  const headers = rows[0].map(normalizeHeader);
+  return rows.slice(1).map(cells => {
+    const obj = {};
+    headers.forEach((h, i) => {
+      if (h) obj[h] = (cells[i] ?? '').trim();
+    });
+    return obj;
+  });
+}
+
+function escapeCell(value) {
+  const str = value == null ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Serialize objects to CSV.
+ *
+ * @param {Object[]} records
+ * @param {string[]} columns - Keys to emit, in order (also used as the header row)
+ * @returns {string}
+ */
+function toCsv(records, columns) {
+  const lines = [columns.map(escapeCell).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(c => escapeCell(record[c])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { parseCsv, toCsv };
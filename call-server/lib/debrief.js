@@ -0,0 +1,311 @@
+/**
+ * Debrief — Post-call analysis written by the call server when a call ends
+ *
+ * Every finished call with a conversation in it gets a debrief: an overall
+ * score and verdict, a five-metric scorecard, summary, meeting details,
+ * objections, coaching notes, next steps and a follow-up email. It's built
+ * from the stored transcript and the real-time scoring (getCallScoring), kept
+ * on the call record, and served at GET /call/:sessionId/debrief — so it
+ * exists whether or not anyone still has the page open. The provider is
+ * selected with DEBRIEF_PROVIDER:
+ *
+ * - anthropic (default when ANTHROPIC_API_KEY is set): Claude, answering
+ *   through a forced submit_debrief tool — see lib/anthropic-debrief.js.
+ * - mock: Built from the call's own scoring, no model — see lib/mock-debrief.js.
+ * - none (default otherwise): No debriefs.
+ *
+ * Whatever a provider returns is validated against DEBRIEF_SCHEMA. On failure
+ * the provider is asked again with the rejected debrief and the list of
+ * errors, up to DEBRIEF_MAX_REPAIRS times, before the debrief is marked failed.
+ *
+ * Provider contract:
+ *   name, model
+ *   draft({ system, prompt, record, feedback }) → Promise<{ debrief, model, usage }>
+ *     feedback is null on the first attempt; on a repair it's
+ *     { previous, errors } — the rejected debrief and what was wrong with it
+ *
+ * Custom providers can be added with registerProvider(name, factory).
+ */
+
+const MAX_REPAIRS = parseInt(process.env.DEBRIEF_MAX_REPAIRS) || 2;
+
+const SCORECARD_METRICS = [
+  'Talk Ratio',
+  'Objection Handling',
+  'Meeting Conversion',
+  'Sentiment Management',
+  'Qualification Depth',
+];
+
+const text = (description) => ({ type: 'string', minLength: 1, description });
+const textList = (minItems, maxItems, description) => ({ type: 'array', minItems, maxItems, items: text(), description });
+
+const DEBRIEF_SCHEMA = {
+  type: 'object',
+  required: ['score', 'scorecard', 'summary', 'meeting', 'objections', 'coachingNotes', 'nextSteps', 'followUpEmail'],
+  properties: {
+    score: {
+      type: 'object',
+      required: ['value', 'verdict'],
+      properties: {
+        value: { type: 'integer', minimum: 0, maximum: 100 },
+        verdict: text('One sentence: what this score means'),
+      },
+    },
+    scorecard: {
+      type: 'array',
+      minItems: SCORECARD_METRICS.length,
+      maxItems: SCORECARD_METRICS.length,
+      description: 'Exactly one row per metric',
+      items: {
+        type: 'object',
+        required: ['metric', 'score', 'notes'],
+        properties: {
+          metric: { type: 'string', enum: SCORECARD_METRICS },
+          score: { type: 'integer', minimum: 1, maximum: 5 },
+          notes: text(),
+        },
+      },
+    },
+    summary: text('2-3 sentence overview of the call'),
+    meeting: {
+      type: 'object',
+      required: ['booked', 'proposedTime', 'interestLevel', 'highlights'],
+      properties: {
+        booked: { type: 'boolean' },
+        proposedTime: { type: ['string', 'null'], description: 'Time discussed for the meeting, or null' },
+        interestLevel: { type: 'string', enum: ['HIGH', 'MEDIUM', 'LOW'] },
+        highlights: text('What worked well, what could improve'),
+      },
+    },
+    objections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['objection', 'response', 'handled'],
+        properties: {
+          objection: text('What the prospect said'),
+          response: text('How Michael responded'),
+          handled: { type: 'boolean', description: 'Whether the objection was resolved' },
+        },
+      },
+    },
+    coachingNotes: textList(1, 5, 'Specific, actionable coaching tips'),
+    nextSteps: textList(1, 6, 'Actionable next steps for the sales team'),
+    followUpEmail: {
+      type: 'object',
+      required: ['subject', 'body'],
+      properties: {
+        subject: text(),
+        body: text('Plain text, paragraphs separated by blank lines'),
+      },
+    },
+  },
+};
+
+const providers = {
+  anthropic: (options) => require('./anthropic-debrief').createAnthropicDebrief(options),
+  mock: (options) => require('./mock-debrief').createMockDebrief(options),
+};
+
+function registerProvider(name, factory) {
+  providers[name] = factory;
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+// The subset of JSON Schema DEBRIEF_SCHEMA uses
+function validate(value, schema, path) {
+  const types = [].concat(schema.type);
+  const actual = typeOf(value);
+  if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+    return [`${path}: expected ${types.join(' or ')}, got ${actual}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (actual === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${path}: must not be empty`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be at most ${schema.maximum}`);
+  }
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: allows at most ${schema.maxItems} items`);
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+  }
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validate(value[key], child, `${path}.${key}`));
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check a debrief against DEBRIEF_SCHEMA.
+ *
+ * @returns {string[]} "path: problem" for each error; empty when valid
+ */
+function validateDebrief(debrief) {
+  const errors = validate(debrief, DEBRIEF_SCHEMA, 'debrief');
+  if (errors.length === 0) {
+    const missing = SCORECARD_METRICS.filter(metric => !debrief.scorecard.some(row => row.metric === metric));
+    if (missing.length) errors.push(`debrief.scorecard: missing rows for ${missing.join(', ')}`);
+  }
+  return errors;
+}
+
+function formatScoring(scoring) {
+  if (!scoring) return '';
+  const bant = scoring.qualificationDepth?.checklist || {};
+  const yn = (value) => (value ? 'Y' : 'N');
+  return `
+CALL ANALYTICS DATA (from real-time tracking):
+- Overall Score: ${scoring.overallScore}/100
+- Talk Ratio: Prospect spoke ${scoring.talkRatio?.prospectPercent ?? '?'}% / Michael spoke ${scoring.talkRatio?.michaelPercent ?? '?'}% (${scoring.talkRatio?.source === 'audio' ? 'measured talk time' : 'by word count'})
+${formatTiming(scoring.timing)}- Objections Raised: ${scoring.objectionHandling?.count || 0}${scoring.objectionHandling?.types?.length ? ` (${scoring.objectionHandling.types.join(', ')})` : ''}
+- Meeting Booked: ${scoring.meetingConversion?.booked ? 'YES' : 'NO'}
+- Callback Requested: ${scoring.meetingConversion?.callbackRequested ? 'YES' : 'NO'}
+- Qualification Depth (BANT): ${scoring.qualificationDepth?.depth || 0}/4 (Budget: ${yn(bant.budget)}, Authority: ${yn(bant.authority)}, Need: ${yn(bant.need)}, Timeline: ${yn(bant.timeline)})
+- Sentiment Trajectory: ${scoring.sentimentTrajectory?.finalLabel || 'unknown'}
+- Barge-in Count: ${scoring.bargeInCount || 0} (times prospect interrupted)
+- Exchange Count: ${scoring.exchangeCount || 0} back-and-forth exchanges
+`;
+}
+
+function formatTiming(timing) {
+  if (!timing) return '';
+  const seconds = (ms) => (ms == null ? '?' : `${(ms / 1000).toFixed(1)}s`);
+  return `- Longest Monologue: Michael ${seconds(timing.longestMonologue.michaelMs)} / Prospect ${seconds(timing.longestMonologue.prospectMs)}
+- Response Latency: ${seconds(timing.responseLatency.averageMs)} average, ${seconds(timing.responseLatency.maxMs)} worst over ${timing.responseLatency.turns} turns
+- Dead Air: ${timing.deadAir.count} silence(s) of ${seconds(timing.deadAir.thresholdMs)}+, ${seconds(timing.deadAir.totalMs)} in total
+`;
+}
+
+/**
+ * System prompt and transcript message for a finished call.
+ *
+ * @param {Object} record - Call record (CallSession.toRecord)
+ * @returns {{ system: string, prompt: string }}
+ */
+function buildDebriefPrompt(record) {
+  const context = record.context || {};
+  const prospect = [record.firstName, record.lastName].filter(Boolean).join(' ') || 'Unknown';
+
+  const system = `You are analyzing a cold call transcript between Michael (a BDR/sales development rep) and a prospect. Generate a structured debrief with scoring.
+
+CONTEXT:
+- Prospect: ${prospect}${record.company ? ` at ${record.company}` : ''}
+- Product/Service Being Sold: ${context.selling || 'Unknown'}
+- Tone Used: ${context.tone || 'professional'}
+${context.industry ? `- Industry: ${context.industry}\n` : ''}${context.targetRole ? `- Prospect Role: ${context.targetRole}\n` : ''}- Call: ${record.direction === 'inbound' ? 'inbound (the prospect called back)' : 'outbound'}, ${record.channel || 'phone'}, ${record.duration ?? '?'}s, ended ${record.status}
+${formatScoring(record.scoring)}
+Submit the debrief by calling the submit_debrief tool. Guidance for each field:
+- score: 0-100 overall, with a one-sentence verdict (e.g. "Strong discovery call with good objection handling but missed the close.")
+- scorecard: one row per metric, scored 1-5. Talk Ratio (ideal: prospect 60-70%), Objection Handling (how well Michael handled pushback), Meeting Conversion (did he book a meeting), Sentiment Management (did the prospect's sentiment improve), Qualification Depth (how many BANT criteria were explored)
+- summary: 2-3 sentences on how the call went, key moments, and outcome
+- meeting: whether a meeting was booked, the proposed time if one was discussed (otherwise null), the prospect's interest level, and what worked well / what could improve
+- objections: every objection the prospect raised, how Michael responded, and whether it was resolved. Empty if there were none
+- coachingNotes: 2-3 specific, actionable tips that reference moments in the call
+- nextSteps: 3-5 specific, actionable next steps for the sales team
+- followUpEmail: a specific subject line and a 100-150 word professional email referencing points from the call, addressed to the prospect by first name, with a clear CTA`;
+
+  const transcript = (record.transcript || []).map(t => `${t.speaker}: ${t.text}`).join('\n');
+  const prompt = `Here is the full call transcript:\n\n${transcript}\n\nPlease generate the debrief with scoring.`;
+  return { system, prompt };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.provider] - anthropic | mock | none (default DEBRIEF_PROVIDER,
+ *        else anthropic when ANTHROPIC_API_KEY is set)
+ * @returns {Object|null} Debriefer, or null when no provider is configured
+ */
+function createDebriefer({
+  provider = process.env.DEBRIEF_PROVIDER || (process.env.ANTHROPIC_API_KEY ? 'anthropic' : 'none'),
+  ...options
+} = {}) {
+  if (!provider || provider === 'none') return null;
+  const factory = providers[provider];
+  if (!factory) throw new Error(`Unknown debrief provider "${provider}"`);
+  const backend = factory(options);
+
+  return {
+    provider,
+    model: backend.model,
+
+    /**
+     * Write the debrief for a finished call. Never throws — a failure is
+     * reported in the result.
+     *
+     * @param {Object} record - Call record (CallSession.toRecord)
+     * @returns {Promise<Object>} { provider, model, status: ready|skipped|failed, report, repairs, usage, error, generatedAt }
+     */
+    async generate(record) {
+      const result = {
+        provider,
+        model: backend.model,
+        status: 'ready',
+        report: null,
+        repairs: 0,
+        usage: { inputTokens: 0, outputTokens: 0 },
+        error: null,
+        generatedAt: null,
+      };
+
+      // Voicemail, no-answer, a prospect who never spoke: nothing to analyse
+      if (!record.transcript?.some(t => t.speaker !== 'Michael')) {
+        return { ...result, status: 'skipped', error: 'No conversation to debrief' };
+      }
+
+      const { system, prompt } = buildDebriefPrompt(record);
+      let feedback = null;
+      try {
+        for (;;) {
+          const draft = await backend.draft({ system, prompt, record, feedback });
+          result.model = draft.model || result.model;
+          result.usage.inputTokens += draft.usage?.inputTokens || 0;
+          result.usage.outputTokens += draft.usage?.outputTokens || 0;
+
+          const errors = validateDebrief(draft.debrief);
+          if (errors.length === 0) {
+            console.log(`[Debrief] ${record.sessionId} ready (${provider}, score ${draft.debrief.score.value}${result.repairs ? `, ${result.repairs} repair(s)` : ''})`);
+            return { ...result, report: draft.debrief, generatedAt: Date.now() };
+          }
+
+          console.warn(`[Debrief] ${record.sessionId} failed validation (attempt ${result.repairs + 1}): ${errors.join('; ')}`);
+          if (result.repairs >= MAX_REPAIRS) {
+            return { ...result, status: 'failed', error: `Debrief did not match the schema: ${errors.join('; ')}` };
+          }
+          result.repairs++;
+          feedback = { previous: draft.debrief, errors };
+        }
+      } catch (err) {
+        console.error(`[Debrief] ${provider} debrief of ${record.sessionId} failed: ${err.message}`);
+        return { ...result, status: 'failed', error: err.message };
+      }
+    },
+  };
+}
+
+module.exports = {
+  createDebriefer,
+  registerProvider,
+  validateDebrief,
+  buildDebriefPrompt,
+  DEBRIEF_SCHEMA,
+  SCORECARD_METRICS,
+};
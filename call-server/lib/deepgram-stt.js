@@ -1,5 +1,5 @@
 /**
- * Deepgram Real-Time Speech-to-Text
+ * Deepgram Real-Time Speech-to-Text (STT_PROVIDER=deepgram, the default)
  *
  * Connects to Deepgram's streaming API to transcribe audio from Twilio
  * Media Streams in real-time. Twilio sends mulaw 8kHz mono audio.
@@ -11,55 +11,14 @@
  *
  * Enterprise features:
  * - Language detection (detect non-English speech)
- * - Semantic turn detection (context-aware endpointing)
+ *
+ * Semantic turn detection is applied on top of every provider in lib/stt.js.
  */
 
 const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
 
 const DEEPGRAM_API_KEY = process.env.DEEPGRAM_API_KEY;
 
-// ─── Enterprise: Semantic Turn Detection ───
-// Patterns that suggest the speaker is MID-THOUGHT (don't interrupt)
-const MID_THOUGHT_PATTERNS = [
-  /\b(and|but|so|because|however|also|plus|actually|basically|well)\s*$/i,
-  /,\s*$/,  // trailing comma
-  /\b(i think|i mean|you know|like)\s*$/i,
-  /\b(the thing is|here's what|what i'm saying is)\s*$/i,
-];
-
-// Patterns that suggest the speaker has FINISHED their thought
-const END_OF_TURN_PATTERNS = [
-  /[.!?]\s*$/,  // ends with punctuation
-  /\b(right|okay|sure|yeah|yes|no|nah|nope)\s*[.!?]?\s*$/i,
-  /\b(bye|goodbye|take care|have a good one)\s*[.!?]?\s*$/i,
-  /\b(what do you think|does that make sense|you know what i mean)\s*[.!?]?\s*$/i,
-  /\b(that's it|that's all|i'm done)\s*[.!?]?\s*$/i,
-];
-
-/**
- * Analyze if the current transcript suggests the speaker is done talking
- *
- * @param {string} text - Current transcript text
- * @param {string} fullContext - Full conversation so far
- * @returns {'complete' | 'mid-thought' | 'ambiguous'}
- */
-function analyzeTurnCompletion(text) {
-  if (!text || !text.trim()) return 'ambiguous';
-
-  const trimmed = text.trim();
-
-  // Check end-of-turn first (higher priority)
-  if (END_OF_TURN_PATTERNS.some(p => p.test(trimmed))) return 'complete';
-
-  // Check mid-thought
-  if (MID_THOUGHT_PATTERNS.some(p => p.test(trimmed))) return 'mid-thought';
-
-  // Short responses (1-3 words) are usually complete turns
-  if (trimmed.split(/\s+/).length <= 3) return 'complete';
-
-  return 'ambiguous';
-}
-
 /**
  * Initialize a Deepgram live transcription connection.
  *
@@ -95,7 +54,8 @@ async function initDeepgram(sessionId, { onTranscript, onUtteranceEnd, onError }
       console.log(`[${sessionId}] Deepgram connection opened`);
 
       connection.on(LiveTranscriptionEvents.Transcript, (data) => {
-        const transcript = data.channel?.alternatives?.[0]?.transcript;
+        const alternative = data.channel?.alternatives?.[0];
+        const transcript = alternative?.transcript;
         if (!transcript) return;
 
         const isFinal = data.is_final;
@@ -105,16 +65,11 @@ async function initDeepgram(sessionId, { onTranscript, onUtteranceEnd, onError }
           data.channel?.detected_language || null;
         const confidence = data.channel?.alternatives?.[0]?.confidence || 0;
 
-        // Enterprise: Semantic turn analysis on final transcripts
-        let turnStatus = 'ambiguous';
-        if (isFinal) {
-          turnStatus = analyzeTurnCompletion(transcript);
-        }
-
         onTranscript(transcript, isFinal, {
           detectedLanguage,
           confidence,
-          turnStatus,
+          // Seconds into the audio sent on this connection — when the prospect actually spoke
+          words: (alternative.words || []).map(w => ({ start: w.start, end: w.end })),
         });
       });
 
@@ -154,4 +109,21 @@ function processAudio(connection, audioData) {
   }
 }
 
-module.exports = { initDeepgram, processAudio, analyzeTurnCompletion };
+/**
+ * Deepgram as an STT provider (see lib/stt.js for the contract).
+ */
+function createDeepgramStt() {
+  if (!DEEPGRAM_API_KEY) console.warn('[STT] DEEPGRAM_API_KEY is not set — Deepgram connections will fail');
+
+  return {
+    async connect(sessionId, callbacks) {
+      const connection = await initDeepgram(sessionId, callbacks);
+      return {
+        send: (audioData) => processAudio(connection, audioData),
+        finish: () => connection.finish(),
+      };
+    },
+  };
+}
+
+module.exports = { initDeepgram, processAudio, createDeepgramStt };
@@ -0,0 +1,164 @@
+/**
+ * DNC Registry — Internal Do-Not-Call list enforced before every dial
+ *
+ * Numbers land here when a prospect opts out mid-call (Michael promises to
+ * remove them, so this is where that promise is kept), when an admin adds one,
+ * or from a CSV import. placeCall checks the registry before Twilio is ever
+ * asked to dial, so single calls, campaigns and scheduled callbacks are all
+ * covered by one check.
+ *
+ * Storage:
+ * - `dnc` collection: one entry per E.164 number (the current state)
+ * - `dnc-audit` collection: append-only log of every add / remove, including
+ *   the transcript snippet that triggered an opt-out
+ *
+ * Entries are mirrored in memory so the pre-dial check never waits on disk.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { normalizePhone } = require('./phone');
+const { parseCsv, toCsv } = require('./csv');
+
+const EXPORT_COLUMNS = ['phone', 'source', 'reason', 'addedBy', 'sessionId', 'addedAt'];
+
+/**
+ * @param {Object} store - Store from createStore()
+ */
+function createDncRegistry(store) {
+  const entries = store.collection('dnc');
+  const auditLog = store.collection('dnc-audit');
+  const cache = new Map(); // phone → entry
+  let ready = null;
+
+  function load() {
+    if (!ready) {
+      ready = entries.list().then(stored => {
+        for (const entry of stored) cache.set(entry.phone, entry);
+        console.log(`[DNC] Loaded ${stored.length} blocked number(s)`);
+      }).catch(err => {
+        ready = null; // retry on next access
+        throw err;
+      });
+    }
+    return ready;
+  }
+
+  function keyFor(phone) {
+    return phone.replace(/^\+/, '');
+  }
+
+  async function audit(action, phone, details) {
+    const event = { id: uuidv4(), action, phone, ...details, at: Date.now() };
+    try {
+      await auditLog.put(event.id, event);
+    } catch (err) {
+      console.error(`[DNC] Failed to write audit event for ${phone}: ${err.message}`);
+    }
+    return event;
+  }
+
+  /**
+   * Look up a number. Returns the entry if it's blocked, otherwise null.
+   * Unparseable numbers are never blocked here — Twilio rejects them anyway.
+   */
+  async function check(rawPhone) {
+    await load();
+    const phone = normalizePhone(rawPhone);
+    return phone ? cache.get(phone) || null : null;
+  }
+
+  /**
+   * Block a number. Re-adding an already blocked number keeps the original
+   * entry and only records an audit event.
+   *
+   * @param {string} rawPhone
+   * @param {Object} [details]
+   * @param {string} [details.source] - opt-out | admin | import
+   * @param {string} [details.reason]
+   * @param {string} [details.addedBy] - Who did it (michael, admin, a CSV file name...)
+   * @param {string} [details.sessionId] - Call the opt-out happened on
+   * @param {Object[]} [details.snippet] - Transcript lines that triggered it
+   * @returns {Promise<{ entry: Object, created: boolean }|null>} null if the number is invalid
+   */
+  async function add(rawPhone, { source = 'admin', reason = '', addedBy = null, sessionId = null, snippet = null } = {}) {
+    await load();
+    const phone = normalizePhone(rawPhone);
+    if (!phone) return null;
+
+    const existing = cache.get(phone);
+    await audit(existing ? 'add-duplicate' : 'add', phone, { source, reason, addedBy, sessionId, snippet });
+    if (existing) return { entry: existing, created: false };
+
+    const entry = { phone, source, reason, addedBy, sessionId, snippet, addedAt: Date.now() };
+    cache.set(phone, entry);
+    await entries.put(keyFor(phone), entry);
+    console.log(`[DNC] Blocked ${phone} (${source}${reason ? `: ${reason}` : ''})`);
+    return { entry, created: true };
+  }
+
+  /**
+   * Unblock a number.
+   *
+   * @returns {Promise<boolean>} false if it wasn't on the list
+   */
+  async function remove(rawPhone, { reason = '', removedBy = null } = {}) {
+    await load();
+    const phone = normalizePhone(rawPhone);
+    if (!phone || !cache.has(phone)) return false;
+
+    cache.delete(phone);
+    await entries.delete(keyFor(phone));
+    await audit('remove', phone, { reason, removedBy });
+    console.log(`[DNC] Unblocked ${phone}${reason ? ` (${reason})` : ''}`);
+    return true;
+  }
+
+  async function list({ source } = {}) {
+    await load();
+    let result = [...cache.values()];
+    if (source) result = result.filter(e => e.source === source);
+    return result.sort((a, b) => b.addedAt - a.addedAt);
+  }
+
+  /**
+   * Audit history, newest first.
+   */
+  async function history({ phone, limit = 100 } = {}) {
+    let events = await auditLog.list();
+    if (phone) {
+      const normalized = normalizePhone(phone);
+      events = events.filter(e => e.phone === normalized);
+    }
+    return events.sort((a, b) => b.at - a.at).slice(0, limit);
+  }
+
+  /**
+   * Import numbers from CSV (a `phone` column; optional `reason`).
+   *
+   * @returns {Promise<{ added: number, alreadyBlocked: number, rejected: Object[] }>}
+   */
+  async function importCsv(text, { addedBy = 'import' } = {}) {
+    const rows = parseCsv(text);
+    let added = 0;
+    let alreadyBlocked = 0;
+    const rejected = [];
+
+    for (const [index, row] of rows.entries()) {
+      const result = await add(row.phone, { source: 'import', reason: row.reason || '', addedBy });
+      if (!result) rejected.push({ row: index + 1, reason: 'invalid or missing phone', data: row });
+      else if (result.created) added++;
+      else alreadyBlocked++;
+    }
+    console.log(`[DNC] Import: ${added} added, ${alreadyBlocked} already blocked, ${rejected.length} rejected`);
+    return { added, alreadyBlocked, rejected };
+  }
+
+  async function exportCsv() {
+    const all = await list();
+    return toCsv(all.map(e => ({ ...e, addedAt: new Date(e.addedAt).toISOString() })), EXPORT_COLUMNS);
+  }
+
+  return { load, check, add, remove, list, history, importCsv, exportCsv };
+}
+
+module.exports = { createDncRegistry };
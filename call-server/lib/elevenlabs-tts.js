@@ -1,15 +1,15 @@
 /**
- * ElevenLabs TTS — Michael's Voice
+ * ElevenLabs TTS — Michael's Voice (TTS_PROVIDER=elevenlabs, the default)
  *
  * Converts text to speech using ElevenLabs API.
  * Returns audio as mulaw 8kHz buffer (Twilio's required format).
  *
- * Uses the streaming endpoint for lowest latency.
- * Then converts mp3 → raw PCM → mulaw using ffmpeg.
+ * Two paths:
+ * - synthesize: whole-utterance mp3 → mulaw via ffmpeg (openings, cache warm)
+ * - stream: streaming endpoint with ulaw_8000 output — audio chunks are
+ *   already in Twilio's format, so they're forwarded as they arrive, no ffmpeg.
  *
- * Enterprise features:
- * - Response caching: Pre-generated audio for common phrases (50ms vs 500ms+)
- * - Cache hit/miss logging for monitoring
+ * Both throw on failure; caching and failover to another voice happen in lib/tts.js.
  */
 
 const { exec } = require('child_process');
@@ -18,187 +18,112 @@ const execAsync = util.promisify(exec);
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 
 const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
 const VOICE_ID = process.env.ELEVENLABS_VOICE_ID || 'pdoiqZrWfcY60KV2vt2G';
-const TTS_URL = `https://api.elevenlabs.io/v1/text-to-speech/${VOICE_ID}`;
-
-console.log(`[TTS] Voice ID: ${VOICE_ID}`);
-console.log(`[TTS] API Key set: ${!!ELEVENLABS_API_KEY}`);
-
-// ─── Enterprise: Response Cache ───
-// LRU-style cache for frequently spoken phrases
-// Key: normalized text, Value: { mulawBuffer, createdAt, hitCount }
-const responseCache = new Map();
-const CACHE_MAX_SIZE = 50;
-const CACHE_TTL_MS = 3600000; // 1 hour
-
-// Phrases that are very likely to be spoken — pre-warm on first call
-const COMMON_PHRASES = [
-  'Could you give me 30 seconds?',
-  'I totally understand.',
-  'That makes sense.',
-  "I appreciate your time.",
-  'Let me be quick.',
-  'Absolutely, I hear you.',
-  "That's a great question.",
-  "Here's the thing.",
-];
-
-let cacheStats = { hits: 0, misses: 0 };
-
-function normalizeForCache(text) {
-  return (text || '').trim().toLowerCase().replace(/[^\w\s]/g, '');
-}
-
-function getCachedAudio(text) {
-  const key = normalizeForCache(text);
-  const entry = responseCache.get(key);
-  if (entry && (Date.now() - entry.createdAt) < CACHE_TTL_MS) {
-    entry.hitCount++;
-    cacheStats.hits++;
-    console.log(`[TTS-Cache] HIT: "${text.substring(0, 40)}..." (hits: ${entry.hitCount})`);
-    return entry.mulawBuffer;
-  }
-  cacheStats.misses++;
-  return null;
-}
-
-function setCachedAudio(text, mulawBuffer) {
-  const key = normalizeForCache(text);
-
-  // Evict oldest if at capacity
-  if (responseCache.size >= CACHE_MAX_SIZE) {
-    let oldestKey = null;
-    let oldestTime = Infinity;
-    for (const [k, v] of responseCache) {
-      if (v.createdAt < oldestTime) {
-        oldestTime = v.createdAt;
-        oldestKey = k;
-      }
-    }
-    if (oldestKey) responseCache.delete(oldestKey);
-  }
-
-  responseCache.set(key, {
-    mulawBuffer,
-    createdAt: Date.now(),
-    hitCount: 0,
+// 0-4; higher trades a little quality for faster first byte
+const STREAM_LATENCY_OPTIMIZATION = process.env.ELEVENLABS_STREAM_LATENCY || '3';
+
+function requestBody(text) {
+  return JSON.stringify({
+    text,
+    model_id: 'eleven_turbo_v2_5',
+    voice_settings: {
+      stability: 0.5,
+      similarity_boost: 0.8,
+      style: 0.3,
+      use_speaker_boost: true,
+    },
   });
 }
 
 /**
- * Pre-warm the cache with common phrases (called once on first call)
- */
-let cacheWarmed = false;
-async function warmCache() {
-  if (cacheWarmed) return;
-  cacheWarmed = true;
-  console.log(`[TTS-Cache] Warming cache with ${COMMON_PHRASES.length} common phrases...`);
-
-  // Warm in background — don't block
-  for (const phrase of COMMON_PHRASES) {
-    try {
-      const buffer = await synthesizeSpeechInternal(phrase);
-      if (buffer) setCachedAudio(phrase, buffer);
-    } catch (e) {
-      console.error(`[TTS-Cache] Warm failed for: "${phrase}": ${e.message}`);
-    }
-  }
-  console.log(`[TTS-Cache] Cache warmed: ${responseCache.size} entries`);
-}
-
-/**
- * Synthesize speech and return mulaw 8kHz audio buffer for Twilio.
- * Checks cache first for ~50ms response on common phrases.
+ * ElevenLabs as a TTS provider (see lib/tts.js for the contract).
  *
- * @param {string} text - Text to speak
- * @returns {Buffer|null} Mulaw audio buffer, or null on failure
+ * @param {Object} [options]
+ * @param {string} [options.apiKey]
+ * @param {string} [options.voiceId]
  */
-async function synthesizeSpeech(text) {
-  if (!text || !text.trim()) {
-    console.log('[TTS] Skipped: empty text');
-    return null;
-  }
-
-  // Warm cache on first call (non-blocking background)
-  if (!cacheWarmed) warmCache();
-
-  // Check cache first
-  const cached = getCachedAudio(text);
-  if (cached) return cached;
-
-  // Cache miss — generate fresh
-  const buffer = await synthesizeSpeechInternal(text);
+function createElevenLabsTts({ apiKey = ELEVENLABS_API_KEY, voiceId = VOICE_ID } = {}) {
+  // A per-call voice (e.g. an experiment variant) replaces the default for that request only
+  const ttsUrl = (voice) => `https://api.elevenlabs.io/v1/text-to-speech/${voice || voiceId}`;
+  console.log(`[TTS] ElevenLabs voice ID: ${voiceId}, API key set: ${!!apiKey}`);
+
+  return {
+    voice: voiceId,
+
+    /**
+     * Whole utterance: mp3 from the API, converted to mulaw with ffmpeg.
+     * @returns {Promise<Buffer>}
+     */
+    async synthesize(text, { voice } = {}) {
+      const startTime = Date.now();
+      console.log(`[TTS] Synthesizing ${text.length} chars: "${text.substring(0, 80)}..."`);
+
+      // Call ElevenLabs TTS API
+      const response = await fetch(ttsUrl(voice), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'xi-api-key': apiKey,
+          'Accept': 'audio/mpeg',
+        },
+        body: requestBody(text),
+      });
 
-  // Cache short responses (likely to repeat)
-  if (buffer && text.length < 100) {
-    setCachedAudio(text, buffer);
-  }
+      if (!response.ok) {
+        const err = await response.text().catch(() => '');
+        throw new Error(`ElevenLabs API error ${response.status}: ${err}`);
+      }
 
-  return buffer;
-}
+      // Get mp3 audio as buffer
+      const mp3Buffer = Buffer.from(await response.arrayBuffer());
+      console.log(`[TTS] ElevenLabs returned ${mp3Buffer.length} bytes MP3 in ${Date.now() - startTime}ms`);
 
-/**
- * Internal synthesis — always hits ElevenLabs API
- */
-async function synthesizeSpeechInternal(text) {
-  const startTime = Date.now();
-  console.log(`[TTS] Synthesizing ${text.length} chars: "${text.substring(0, 80)}..."`);
+      if (mp3Buffer.length < 100) {
+        throw new Error(`MP3 buffer suspiciously small (${mp3Buffer.length} bytes)`);
+      }
 
-  try {
-    // Call ElevenLabs TTS API
-    const response = await fetch(TTS_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'xi-api-key': ELEVENLABS_API_KEY,
-        'Accept': 'audio/mpeg',
-      },
-      body: JSON.stringify({
-        text,
-        model_id: 'eleven_turbo_v2_5',
-        voice_settings: {
-          stability: 0.5,
-          similarity_boost: 0.8,
-          style: 0.3,
-          use_speaker_boost: true,
+      // Convert mp3 → mulaw 8kHz using ffmpeg (async — won't block event loop)
+      const mulawBuffer = await convertToMulaw(mp3Buffer);
+      if (!mulawBuffer) throw new Error('ffmpeg conversion failed');
+      console.log(`[TTS] Conversion complete: ${mulawBuffer.length} bytes mulaw in ${Date.now() - startTime}ms total`);
+      return mulawBuffer;
+    },
+
+    /**
+     * Stream mulaw 8kHz chunks while ElevenLabs is still generating.
+     * Aborting `signal` cancels the request mid-stream (barge-in).
+     *
+     * @yields {Buffer} Mulaw audio chunks (arbitrary sizes)
+     */
+    async* stream(text, { signal, voice } = {}) {
+      const startTime = Date.now();
+      const response = await fetch(`${ttsUrl(voice)}/stream?output_format=ulaw_8000&optimize_streaming_latency=${STREAM_LATENCY_OPTIMIZATION}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'xi-api-key': apiKey,
+          'Accept': 'audio/basic',
         },
-      }),
-    });
-
-    if (!response.ok) {
-      const err = await response.text();
-      console.error(`[TTS] ElevenLabs API error ${response.status}: ${err}`);
-      return null;
-    }
-
-    // Get mp3 audio as buffer
-    const mp3Buffer = Buffer.from(await response.arrayBuffer());
-    const apiTime = Date.now() - startTime;
-    console.log(`[TTS] ElevenLabs returned ${mp3Buffer.length} bytes MP3 in ${apiTime}ms`);
-
-    if (mp3Buffer.length < 100) {
-      console.error(`[TTS] MP3 buffer suspiciously small (${mp3Buffer.length} bytes), skipping`);
-      return null;
-    }
-
-    // Convert mp3 → mulaw 8kHz using ffmpeg (async — won't block event loop)
-    const mulawBuffer = await convertToMulaw(mp3Buffer);
-    const totalTime = Date.now() - startTime;
-
-    if (mulawBuffer) {
-      console.log(`[TTS] Conversion complete: ${mulawBuffer.length} bytes mulaw in ${totalTime}ms total`);
-    } else {
-      console.error(`[TTS] ffmpeg conversion returned null`);
-    }
+        body: requestBody(text),
+        signal,
+      });
+      if (!response.ok) {
+        throw new Error(`ElevenLabs stream error ${response.status}: ${await response.text().catch(() => '')}`);
+      }
 
-    return mulawBuffer;
-  } catch (err) {
-    console.error(`[TTS] Synthesis error: ${err.message}`);
-    console.error(err.stack);
-    return null;
-  }
+      let first = true;
+      for await (const chunk of response.body) {
+        if (first) {
+          console.log(`[TTS] First audio for "${text.substring(0, 40)}" in ${Date.now() - startTime}ms`);
+          first = false;
+        }
+        yield Buffer.from(chunk);
+      }
+    },
+  };
 }
 
 /**
@@ -214,9 +139,10 @@ async function synthesizeSpeechInternal(text) {
  */
 async function convertToMulaw(mp3Buffer) {
   const tmpDir = os.tmpdir();
-  const ts = Date.now();
-  const inputPath = path.join(tmpDir, `michael-tts-${ts}.mp3`);
-  const outputPath = path.join(tmpDir, `michael-tts-${ts}.raw`);
+  // Unique per conversion — the cache warm-up and a live line can convert in the same millisecond
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const inputPath = path.join(tmpDir, `michael-tts-${id}.mp3`);
+  const outputPath = path.join(tmpDir, `michael-tts-${id}.raw`);
 
   try {
     // Write mp3 to temp file
@@ -245,8 +171,4 @@ async function convertToMulaw(mp3Buffer) {
   }
 }
 
-function getCacheStats() {
-  return { ...cacheStats, size: responseCache.size };
-}
-
-module.exports = { synthesizeSpeech, getCacheStats };
+module.exports = { createElevenLabsTts, convertToMulaw };
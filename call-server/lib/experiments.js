@@ -0,0 +1,351 @@
+/**
+ * Experiments — A/B tests across Michael's prompts, voices and models
+ *
+ * An experiment splits calls at random between two or more variants and
+ * reports how each one did. A variant can change any of:
+ *
+ * - openingInstruction: what Michael is told to do when the call connects
+ *   (the AI disclosure requirement is always added on top)
+ * - tone: professional | friendly | consultative (buildSystemPrompt's toneGuide)
+ * - voice: TTS voice for the call, e.g. an ElevenLabs voice ID
+ * - sentimentInjections: { hostile, negative, neutral, positive, enthusiastic }
+ *   guidance that replaces the default sentiment note ('' = no note)
+ * - llm: model settings, as in a call body (see normalizeModelSettings)
+ *
+ * The first variant is the control; leave its changes empty to compare
+ * against Michael's defaults.
+ *
+ * Assignment: each new call joins at most one experiment — the oldest running
+ * one whose scope (playbookId, campaignId, channels, includeSimulated) fits.
+ * Follow-up calls (callbacks, inbound returns) keep the variant of the call
+ * they follow, so a prospect never hears a different voice the second time.
+ * The assignment is pinned on the call record as `experiment`.
+ *
+ * Variants can't be edited once the experiment exists — that would mix two
+ * configurations in one set of results. Pause, resume or complete it instead.
+ *
+ * Results: per variant, meeting-booked rate, average overallScore, opt-out
+ * rate and average duration, each compared with the control (two-proportion
+ * z-test for rates, Welch's test for averages).
+ *
+ * Storage: `experiments` collection, mirrored in memory so assignment never
+ * waits on disk.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { normalizeModelSettings } = require('./llm');
+const { TONES } = require('./playbooks');
+const { SENTIMENT_LABELS } = require('./sentiment');
+const { reachedProspect } = require('./call-records');
+
+const CHANNELS = ['phone', 'browser', 'chat'];
+
+// Below this many calls in either group a comparison is reported as insufficient data
+const MIN_SAMPLE = 30;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+function invalid(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function normalizeChanges(input = {}, label) {
+  if (typeof input !== 'object' || Array.isArray(input)) throw invalid(`${label}.changes must be an object`);
+  const changes = {};
+
+  for (const field of ['openingInstruction', 'voice']) {
+    if (input[field] == null || input[field] === '') continue;
+    if (typeof input[field] !== 'string') throw invalid(`${label}.changes.${field} must be a string`);
+    changes[field] = input[field].trim();
+  }
+  if (input.tone) {
+    const tone = String(input.tone).toLowerCase();
+    if (!TONES.includes(tone)) throw invalid(`${label}.changes.tone must be one of: ${TONES.join(', ')}`);
+    changes.tone = tone;
+  }
+  if (input.sentimentInjections != null) {
+    const injections = input.sentimentInjections;
+    if (typeof injections !== 'object' || Array.isArray(injections)) throw invalid(`${label}.changes.sentimentInjections must be an object`);
+    changes.sentimentInjections = {};
+    for (const [sentiment, text] of Object.entries(injections)) {
+      if (!SENTIMENT_LABELS.includes(sentiment)) throw invalid(`${label}.changes.sentimentInjections: unknown sentiment "${sentiment}" (use ${SENTIMENT_LABELS.join(', ')})`);
+      if (typeof text !== 'string') throw invalid(`${label}.changes.sentimentInjections.${sentiment} must be a string`);
+      changes.sentimentInjections[sentiment] = text.trim();
+    }
+  }
+  try {
+    const llm = normalizeModelSettings(input.llm);
+    if (llm) changes.llm = llm;
+  } catch (err) {
+    throw invalid(`${label}.changes.llm: ${err.message}`);
+  }
+  return changes;
+}
+
+function normalizeVariants(input) {
+  if (!Array.isArray(input) || input.length < 2) throw invalid('An experiment needs at least two variants');
+  const keys = new Set();
+  return input.map((variant, i) => {
+    const label = `variants[${i}]`;
+    const key = String(variant?.key || String.fromCharCode(97 + i)).trim();
+    if (!/^[\w-]{1,40}$/.test(key)) throw invalid(`${label}.key may only contain letters, numbers, - and _`);
+    if (keys.has(key)) throw invalid(`Duplicate variant key "${key}"`);
+    keys.add(key);
+
+    const weight = variant.weight == null ? 1 : Number(variant.weight);
+    if (!Number.isFinite(weight) || weight <= 0) throw invalid(`${label}.weight must be a positive number`);
+
+    return {
+      key,
+      name: typeof variant.name === 'string' && variant.name.trim() ? variant.name.trim() : key,
+      weight,
+      changes: normalizeChanges(variant.changes, label),
+    };
+  });
+}
+
+function normalizeScope(input = {}) {
+  const scope = { includeSimulated: Boolean(input.includeSimulated) };
+  if (input.playbookId) scope.playbookId = String(input.playbookId);
+  if (input.campaignId) scope.campaignId = String(input.campaignId);
+  if (input.channels != null) {
+    if (!Array.isArray(input.channels) || input.channels.some(c => !CHANNELS.includes(c))) {
+      throw invalid(`scope.channels must be a list of: ${CHANNELS.join(', ')}`);
+    }
+    scope.channels = input.channels;
+  }
+  return scope;
+}
+
+function inScope(scope, call) {
+  if (call.simulated && !scope.includeSimulated) return false;
+  if (scope.channels && !scope.channels.includes(call.channel)) return false;
+  if (scope.playbookId && scope.playbookId !== call.playbookId) return false;
+  if (scope.campaignId && scope.campaignId !== call.campaignId) return false;
+  return true;
+}
+
+function pickVariant(variants) {
+  const total = variants.reduce((sum, v) => sum + v.weight, 0);
+  let roll = Math.random() * total;
+  for (const variant of variants) {
+    roll -= variant.weight;
+    if (roll < 0) return variant;
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Apply a variant's prompt and model changes to a call profile. The voice,
+ * opening and sentiment changes are read from session.experiment during the call.
+ */
+function applyVariant(profile, changes = {}) {
+  const applied = { ...profile };
+  if (changes.tone) applied.tone = changes.tone;
+  if (changes.llm) applied.llm = { ...profile.llm, ...changes.llm };
+  return applied;
+}
+
+// ─── Significance ───
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function twoSidedP(z) {
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+function verdict(pValue, n1, n2) {
+  if (n1 < MIN_SAMPLE || n2 < MIN_SAMPLE) return 'insufficient data';
+  if (pValue == null) return 'no difference';
+  return pValue < SIGNIFICANCE_LEVEL ? 'significant' : 'not significant';
+}
+
+function round(value, digits = 3) {
+  return value == null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+// Two-proportion z-test (pooled)
+function compareRates(successes, n, controlSuccesses, controlN) {
+  if (!n || !controlN) return null;
+  const p1 = successes / n;
+  const p2 = controlSuccesses / controlN;
+  const pooled = (successes + controlSuccesses) / (n + controlN);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / n + 1 / controlN));
+  const pValue = se > 0 ? twoSidedP((p1 - p2) / se) : null;
+  return { difference: round(p1 - p2), pValue: round(pValue, 4), verdict: verdict(pValue, n, controlN) };
+}
+
+function meanAndVariance(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.length > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1) : 0;
+  return { mean, variance };
+}
+
+// Welch's test, normal approximation (fine at the sample sizes we report on)
+function compareMeans(values, controlValues) {
+  if (!values.length || !controlValues.length) return null;
+  const a = meanAndVariance(values);
+  const b = meanAndVariance(controlValues);
+  const se = Math.sqrt(a.variance / values.length + b.variance / controlValues.length);
+  const pValue = se > 0 ? twoSidedP((a.mean - b.mean) / se) : null;
+  return { difference: round(a.mean - b.mean, 2), pValue: round(pValue, 4), verdict: verdict(pValue, values.length, controlValues.length) };
+}
+
+function variantSample(records) {
+  const scores = records.map(r => r.scoring?.overallScore).filter(Number.isFinite);
+  const durations = records.map(r => Number(r.duration)).filter(Number.isFinite);
+  return {
+    calls: records.length,
+    meetingsBooked: records.filter(r => r.outcome?.meetingBooked).length,
+    optOuts: records.filter(r => r.outcome?.optedOut).length,
+    scores,
+    durations,
+  };
+}
+
+/**
+ * Per-variant results for an experiment.
+ *
+ * @param {Object} experiment
+ * @param {Object[]} records - Call records pinned to this experiment
+ */
+function summarizeResults(experiment, records) {
+  // Calls that never reached a conversation say nothing about the variant
+  const counted = records.filter(reachedProspect);
+  const samples = experiment.variants.map(v => variantSample(counted.filter(r => r.experiment?.variant === v.key)));
+  const control = samples[0];
+  const average = (values) => (values.length ? round(values.reduce((a, b) => a + b, 0) / values.length, 2) : null);
+
+  return {
+    counted: counted.length,
+    excluded: records.length - counted.length, // still live, voicemail or never connected
+    minSample: MIN_SAMPLE,
+    control: experiment.variants[0].key,
+    variants: experiment.variants.map((variant, i) => {
+      const s = samples[i];
+      return {
+        key: variant.key,
+        name: variant.name,
+        calls: s.calls,
+        meetingsBooked: s.meetingsBooked,
+        meetingBookedRate: s.calls ? round(s.meetingsBooked / s.calls) : null,
+        optOuts: s.optOuts,
+        optOutRate: s.calls ? round(s.optOuts / s.calls) : null,
+        avgOverallScore: average(s.scores),
+        avgDuration: average(s.durations),
+        vsControl: i === 0 ? null : {
+          meetingBookedRate: compareRates(s.meetingsBooked, s.calls, control.meetingsBooked, control.calls),
+          optOutRate: compareRates(s.optOuts, s.calls, control.optOuts, control.calls),
+          avgOverallScore: compareMeans(s.scores, control.scores),
+          avgDuration: compareMeans(s.durations, control.durations),
+        },
+      };
+    }),
+  };
+}
+
+/**
+ * @param {Object} store - Store from createStore()
+ */
+function createExperiments(store) {
+  const collection = store.collection('experiments');
+  const experiments = new Map(); // id → experiment (authoritative in-memory copy)
+
+  function persist(experiment) {
+    experiment.updatedAt = Date.now();
+    return collection.put(experiment.id, experiment)
+      .catch(err => console.error(`[Experiment ${experiment.id}] Failed to persist: ${err.message}`));
+  }
+
+  function setStatus(id, from, to) {
+    const experiment = experiments.get(id);
+    if (!experiment) return null;
+    if (from.includes(experiment.status)) {
+      experiment.status = to;
+      if (to === 'completed') experiment.completedAt = Date.now();
+      persist(experiment);
+      console.log(`[Experiment ${id}] ${to}`);
+    }
+    return experiment;
+  }
+
+  return {
+    async restore() {
+      const stored = await collection.list();
+      for (const experiment of stored) experiments.set(experiment.id, experiment);
+      console.log(`[Experiment] Restored ${stored.length} experiment(s), ${stored.filter(e => e.status === 'running').length} running`);
+    },
+
+    /**
+     * @param {Object} input
+     * @param {string} input.name
+     * @param {Object[]} input.variants - [{ key, name, weight, changes }], control first
+     * @param {Object} [input.scope] - { playbookId, campaignId, channels, includeSimulated }
+     * @param {boolean} [input.start=true] - false to create it paused
+     */
+    async create({ name, description, variants, scope, start = true }) {
+      if (typeof name !== 'string' || !name.trim()) throw invalid('Missing required field: name');
+      const experiment = {
+        id: uuidv4(),
+        name: name.trim(),
+        description: typeof description === 'string' ? description.trim() : '',
+        status: start === false ? 'paused' : 'running',
+        scope: normalizeScope(scope),
+        variants: normalizeVariants(variants),
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        completedAt: null,
+      };
+      experiments.set(experiment.id, experiment);
+      await persist(experiment);
+      console.log(`[Experiment ${experiment.id}] Created "${experiment.name}" — variants ${experiment.variants.map(v => v.key).join(' / ')}`);
+      return experiment;
+    },
+
+    list() {
+      return [...experiments.values()].sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    get(id) {
+      return experiments.get(id) || null;
+    },
+
+    pause: (id) => setStatus(id, ['running'], 'paused'),
+    resume: (id) => setStatus(id, ['paused'], 'running'),
+    complete: (id) => setStatus(id, ['running', 'paused'], 'completed'),
+
+    /**
+     * Pick the experiment variant for a new call.
+     *
+     * @param {Object} call
+     * @param {string} [call.playbookId]
+     * @param {string} [call.campaignId]
+     * @param {string} call.channel
+     * @param {boolean} call.simulated
+     * @param {Object} [call.previous] - The `experiment` pin of the call this one follows up on
+     * @returns {Object|null} { id, name, variant, changes } to pin on the session, or null
+     */
+    assign({ playbookId, campaignId, channel, simulated, previous }) {
+      if (previous) {
+        const experiment = experiments.get(previous.id);
+        const variant = experiment?.status === 'running' && experiment.variants.find(v => v.key === previous.variant);
+        return variant ? { id: experiment.id, name: experiment.name, variant: variant.key, changes: variant.changes } : null;
+      }
+
+      const experiment = [...experiments.values()]
+        .filter(e => e.status === 'running' && inScope(e.scope, { playbookId, campaignId, channel, simulated }))
+        .sort((a, b) => a.createdAt - b.createdAt)[0];
+      if (!experiment) return null;
+
+      const variant = pickVariant(experiment.variants);
+      return { id: experiment.id, name: experiment.name, variant: variant.key, changes: variant.changes };
+    },
+  };
+}
+
+module.exports = { createExperiments, applyVariant, summarizeResults };
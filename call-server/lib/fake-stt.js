@@ -0,0 +1,105 @@
+/**
+ * Fake Speech-to-Text (STT_PROVIDER=fake)
+ *
+ * Produces transcripts without listening to anything, so the whole call
+ * pipeline — turn detection, barge-in, the LLM, TTS, tools — can run in
+ * tests and on machines with no Deepgram credentials. Three ways to make
+ * the "prospect" speak:
+ *
+ * - Script: STT_FAKE_SCRIPT is a JSON array (inline, or a path to a .json
+ *   file) of lines, each a string or { text, afterMs }. Lines are spoken in
+ *   order, `afterMs` (default STT_FAKE_LINE_DELAY_MS, 4000) after the
+ *   previous one — the first counts from when the stream opens.
+ * - In-band: a media payload that decodes to `SAY:<text>` is spoken as-is.
+ *   Handy for test clients that drive a real media-stream WebSocket.
+ * - In-process: stt.backend.say(sessionId, text).
+ *
+ * Each line is reported like a real recognizer would: an interim result,
+ * then the final, then an utterance end.
+ */
+
+const fs = require('fs');
+
+const LINE_DELAY_MS = parseInt(process.env.STT_FAKE_LINE_DELAY_MS) || 4000;
+const INTERIM_TO_FINAL_MS = 150;
+const FINAL_TO_UTTERANCE_END_MS = 300;
+const SAY_PREFIX = 'SAY:';
+
+/**
+ * @param {string|Array|undefined} source - Inline JSON, a path to a JSON file, or an array
+ * @returns {Array<{ text: string, afterMs: number }>}
+ */
+function loadScript(source) {
+  if (!source) return [];
+  let lines = source;
+  if (typeof source === 'string') {
+    const raw = source.trim().startsWith('[') ? source : fs.readFileSync(source, 'utf8');
+    lines = JSON.parse(raw);
+  }
+  if (!Array.isArray(lines)) throw new Error('STT_FAKE_SCRIPT must be a JSON array of lines');
+  return lines
+    .map(line => (typeof line === 'string' ? { text: line } : line))
+    .filter(line => line && typeof line.text === 'string' && line.text.trim())
+    .map(line => ({ text: line.text.trim(), afterMs: Number.isFinite(line.afterMs) ? line.afterMs : LINE_DELAY_MS }));
+}
+
+function createFakeStt({ script = process.env.STT_FAKE_SCRIPT } = {}) {
+  const lines = loadScript(script);
+  const streams = new Map(); // sessionId → speak(text)
+
+  return {
+    /** Make the prospect on a live call "say" something. Returns false if there's no such stream. */
+    say(sessionId, text) {
+      const speak = streams.get(sessionId);
+      if (!speak) return false;
+      speak(text);
+      return true;
+    },
+
+    async connect(sessionId, { onTranscript, onUtteranceEnd }) {
+      const timers = new Set();
+      let finished = false;
+
+      const later = (fn, ms) => {
+        const timer = setTimeout(() => {
+          timers.delete(timer);
+          if (!finished) fn();
+        }, ms);
+        timers.add(timer);
+      };
+
+      const speak = (text) => {
+        onTranscript(text, false, { confidence: 1 });
+        later(() => {
+          onTranscript(text, true, { confidence: 1 });
+          later(onUtteranceEnd, FINAL_TO_UTTERANCE_END_MS);
+        }, INTERIM_TO_FINAL_MS);
+      };
+      streams.set(sessionId, speak);
+
+      // Scripted lines, each timed from the one before
+      let at = 0;
+      for (const line of lines) {
+        at += line.afterMs;
+        later(() => speak(line.text), at);
+      }
+      console.log(`[${sessionId}] Fake STT stream opened${lines.length ? ` (${lines.length} scripted lines)` : ''}`);
+
+      return {
+        send(audioData) {
+          if (audioData.length > SAY_PREFIX.length && audioData.toString('latin1', 0, SAY_PREFIX.length) === SAY_PREFIX) {
+            speak(audioData.toString('utf8', SAY_PREFIX.length).trim());
+          }
+        },
+        finish() {
+          finished = true;
+          for (const timer of timers) clearTimeout(timer);
+          timers.clear();
+          if (streams.get(sessionId) === speak) streams.delete(sessionId);
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createFakeStt, loadScript };
@@ -0,0 +1,71 @@
+/**
+ * Fixture TTS (TTS_PROVIDER=fixture) — deterministic audio for tests
+ *
+ * No API, no engine: every line becomes a quiet tone whose length tracks the
+ * text (~70ms per character, like real speech), so pacing, barge-in windows,
+ * recordings and hangup timing all behave realistically. If TTS_FIXTURE_DIR
+ * holds a recording named after the line (`<slug>.ulaw`, raw mulaw 8kHz, or
+ * `<slug>.wav`, 16-bit PCM), that is played instead.
+ *
+ * TTS_FIXTURE_FAIL=1 makes every request fail — for exercising failover.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { encodeMulaw, parseWav, pcmToTwilioMulaw } = require('./audio');
+
+const MS_PER_CHAR = 70;
+const MIN_MS = 400;
+const TONE_HZ = 220;
+const TONE_AMPLITUDE = 2000;
+const STREAM_CHUNK_BYTES = 640;
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^\w\s]/g, '').trim().replace(/\s+/g, '-').substring(0, 80);
+}
+
+function tone(durationMs) {
+  const samples = new Int16Array(Math.round(durationMs * 8));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.round(Math.sin((2 * Math.PI * TONE_HZ * i) / 8000) * TONE_AMPLITUDE);
+  }
+  return encodeMulaw(samples);
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Directory of recorded lines
+ * @param {boolean} [options.fail] - Fail every request
+ */
+function createFixtureTts({ dir = process.env.TTS_FIXTURE_DIR, fail = process.env.TTS_FIXTURE_FAIL === '1' } = {}) {
+  function load(text) {
+    if (dir) {
+      const base = path.join(dir, slugify(text));
+      if (fs.existsSync(`${base}.ulaw`)) return fs.readFileSync(`${base}.ulaw`);
+      if (fs.existsSync(`${base}.wav`)) {
+        const { samples, sampleRate } = parseWav(fs.readFileSync(`${base}.wav`));
+        return pcmToTwilioMulaw(samples, sampleRate);
+      }
+    }
+    return tone(Math.max(MIN_MS, text.length * MS_PER_CHAR));
+  }
+
+  return {
+    voice: dir ? `fixture:${path.basename(dir)}` : 'fixture:tone',
+
+    async synthesize(text) {
+      if (fail) throw new Error('Fixture TTS set to fail (TTS_FIXTURE_FAIL=1)');
+      return load(text);
+    },
+
+    async* stream(text) {
+      if (fail) throw new Error('Fixture TTS set to fail (TTS_FIXTURE_FAIL=1)');
+      const audio = load(text);
+      for (let offset = 0; offset < audio.length; offset += STREAM_CHUNK_BYTES) {
+        yield audio.subarray(offset, offset + STREAM_CHUNK_BYTES);
+      }
+    },
+  };
+}
+
+module.exports = { createFixtureTts };
@@ -0,0 +1,120 @@
+/**
+ * HubSpot CRM — Contacts, calls, meetings and tasks via the CRM v3 objects API
+ *
+ * Config:
+ *   HUBSPOT_ACCESS_TOKEN  Private app token (scopes: crm.objects.contacts.read/write)
+ *   HUBSPOT_API_URL       Optional, default https://api.hubapi.com (point at scripts/mock-crm.js to test)
+ *
+ * Contacts are matched on email, then phone; a match is updated with any
+ * fields the call filled in, otherwise a contact is created. Calls, meetings
+ * and tasks are created with a HUBSPOT_DEFINED association to the contact.
+ */
+
+const { UNCONNECTED_STATUSES } = require('./call-records');
+
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_BODY_LENGTH = 65000; // hs_call_body limit is 65,536 characters
+
+// HubSpot-defined association type ids (engagement → contact)
+const ASSOCIATION_TYPES = { call: 194, meeting: 200, task: 204 };
+
+function createHubspotCrm({
+  accessToken = process.env.HUBSPOT_ACCESS_TOKEN,
+  apiUrl = process.env.HUBSPOT_API_URL || 'https://api.hubapi.com',
+} = {}) {
+  if (!accessToken) throw new Error('HUBSPOT_ACCESS_TOKEN is required for the hubspot CRM provider');
+  const baseUrl = apiUrl.replace(/\/+$/, '');
+
+  async function request(method, path, payload) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}` },
+      body: payload ? JSON.stringify(payload) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`HubSpot ${method} ${path} failed: ${response.status} ${await response.text()}`);
+    }
+    return response.json();
+  }
+
+  async function findContact(property, value) {
+    if (!value) return null;
+    const data = await request('POST', '/crm/v3/objects/contacts/search', {
+      filterGroups: [{ filters: [{ propertyName: property, operator: 'EQ', value }] }],
+      properties: ['email', 'phone'],
+      limit: 1,
+    });
+    return data.results?.[0] || null;
+  }
+
+  function associate(contactId, type) {
+    return [{ to: { id: contactId }, types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: ASSOCIATION_TYPES[type] }] }];
+  }
+
+  return {
+    async upsertContact({ firstName, lastName, email, phone, company }) {
+      const properties = Object.fromEntries(
+        Object.entries({ firstname: firstName, lastname: lastName, email, phone, company }).filter(([, v]) => v));
+      const existing = (await findContact('email', email)) || (await findContact('phone', phone));
+      if (existing) {
+        await request('PATCH', `/crm/v3/objects/contacts/${existing.id}`, { properties });
+        return { id: existing.id };
+      }
+      const created = await request('POST', '/crm/v3/objects/contacts', { properties });
+      return { id: created.id };
+    },
+
+    async logCall({ contactId, call }) {
+      const body = [call.summary, '', 'Transcript:', call.transcript].join('\n').slice(0, MAX_BODY_LENGTH);
+      const created = await request('POST', '/crm/v3/objects/calls', {
+        properties: {
+          hs_timestamp: new Date(call.startedAt).toISOString(),
+          hs_call_title: call.title,
+          hs_call_body: body,
+          hs_call_duration: String(call.durationSeconds * 1000),
+          hs_call_direction: call.direction === 'inbound' ? 'INBOUND' : 'OUTBOUND',
+          hs_call_status: UNCONNECTED_STATUSES.includes(call.disposition)
+            ? call.disposition.replace('-', '_').toUpperCase()
+            : 'COMPLETED',
+          hs_call_to_number: call.direction === 'inbound' ? undefined : call.phone,
+          hs_call_from_number: call.direction === 'inbound' ? call.phone : undefined,
+        },
+        associations: associate(contactId, 'call'),
+      });
+      return { id: created.id };
+    },
+
+    async createMeeting({ contactId, meeting }) {
+      const created = await request('POST', '/crm/v3/objects/meetings', {
+        properties: {
+          hs_timestamp: new Date(meeting.start).toISOString(),
+          hs_meeting_title: meeting.title,
+          hs_meeting_body: meeting.description,
+          hs_meeting_start_time: new Date(meeting.start).toISOString(),
+          hs_meeting_end_time: new Date(meeting.end).toISOString(),
+          hs_meeting_outcome: 'SCHEDULED',
+        },
+        associations: associate(contactId, 'meeting'),
+      });
+      return { id: created.id };
+    },
+
+    async createTask({ contactId, task }) {
+      const created = await request('POST', '/crm/v3/objects/tasks', {
+        properties: {
+          hs_timestamp: new Date(task.dueAt).toISOString(),
+          hs_task_subject: task.subject,
+          hs_task_body: task.description,
+          hs_task_status: 'NOT_STARTED',
+          hs_task_priority: 'HIGH',
+          hs_task_type: 'CALL',
+        },
+        associations: associate(contactId, 'task'),
+      });
+      return { id: created.id };
+    },
+  };
+}
+
+module.exports = { createHubspotCrm };
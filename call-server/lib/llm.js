@@ -0,0 +1,278 @@
+/**
+ * LLM — Pluggable brain for Michael with timeout-based failover
+ *
+ * Selected with LLM_PROVIDER, with LLM_FALLBACK as the secondary brain:
+ *
+ * - openai (default): GPT-4o via the OpenAI API — see lib/openai-brain.js.
+ * - anthropic: Claude via the Messages API — see lib/anthropic-brain.js.
+ * - openai-compatible: Any local/self-hosted server that speaks the OpenAI
+ *   API (Ollama, vLLM, LM Studio) at LLM_COMPAT_BASE_URL.
+ * - mock: Deterministic scripted replies for tests — see lib/mock-brain.js.
+ *
+ * Failover: a provider that errors, or produces nothing within
+ * LLM_FIRST_TOKEN_TIMEOUT_MS (streamed turns) / LLM_TIMEOUT_MS (whole
+ * replies), is abandoned and the next one takes the turn. After a failure a
+ * provider is skipped for LLM_FAILOVER_COOLDOWN_MS. Once a provider has
+ * started talking or run a tool it owns the turn — switching brains then
+ * would repeat words or double-book a meeting.
+ *
+ * When every provider fails, callers that pass `recover: true` get a canned
+ * LLM_RECOVERY_LINE ("Sorry, could you repeat that?") instead of dead air.
+ *
+ * Per-campaign settings (`llm` in the campaign config or call body) pick the
+ * provider, fallback, model, temperature and max tokens — see normalizeModelSettings.
+ *
+ * Provider contract:
+ *   name, model                               → strings, for logs and stats
+ *   stream(systemPrompt, messages, options)   → AsyncIterable<string> text deltas
+ *   generate(systemPrompt, messages, options) → Promise<string> (optional; falls back to stream)
+ * options: { tools, onToolCall, signal, model, temperature, maxTokens }
+ *
+ * Custom providers can be added with registerProvider(name, factory).
+ */
+
+const { chainNames, orderByHealth, startCooldown } = require('./provider-chain');
+
+const FIRST_TOKEN_TIMEOUT_MS = parseInt(process.env.LLM_FIRST_TOKEN_TIMEOUT_MS) || 4000;
+const TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS) || 10000;
+const FAILOVER_COOLDOWN_MS = parseInt(process.env.LLM_FAILOVER_COOLDOWN_MS) || 30000;
+const RECOVERY_LINE = process.env.LLM_RECOVERY_LINE || "Sorry, I didn't quite catch that — could you repeat it?";
+
+const providers = {
+  openai: (options) => require('./openai-brain').createOpenAiBrain(options),
+  anthropic: (options) => require('./anthropic-brain').createAnthropicBrain(options),
+  'openai-compatible': (options) => require('./openai-brain').createOpenAiBrain({
+    name: 'openai-compatible',
+    baseURL: process.env.LLM_COMPAT_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LLM_COMPAT_API_KEY || 'not-needed',
+    model: process.env.LLM_COMPAT_MODEL || 'llama3.1',
+    tools: process.env.LLM_COMPAT_TOOLS !== 'off',
+    ...options,
+  }),
+  mock: (options) => require('./mock-brain').createMockBrain(options),
+};
+
+function registerProvider(name, factory) {
+  providers[name] = factory;
+}
+
+/**
+ * Validate per-campaign / per-call model settings.
+ *
+ * @param {Object} [input] - { provider, fallback, model, temperature, maxTokens }
+ * @returns {Object|null} Normalized settings, or null if none were given.
+ *          Throws with `err.status = 400` on an unknown provider or bad value.
+ */
+function normalizeModelSettings(input) {
+  if (input == null || input === '') return null;
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+  if (typeof input !== 'object' || Array.isArray(input)) throw invalid('llm must be an object');
+
+  const settings = {};
+  for (const key of ['provider', 'fallback']) {
+    if (!input[key]) continue;
+    if (input[key] !== 'none' && !providers[input[key]]) throw invalid(`Unknown LLM ${key} "${input[key]}"`);
+    settings[key] = input[key];
+  }
+  if (input.model) settings.model = String(input.model).trim();
+  if (input.temperature != null && input.temperature !== '') {
+    const temperature = Number(input.temperature);
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) throw invalid('llm.temperature must be between 0 and 2');
+    settings.temperature = temperature;
+  }
+  if (input.maxTokens != null && input.maxTokens !== '') {
+    const maxTokens = parseInt(input.maxTokens, 10);
+    if (!Number.isFinite(maxTokens) || maxTokens < 16 || maxTokens > 4000) throw invalid('llm.maxTokens must be between 16 and 4000');
+    settings.maxTokens = maxTokens;
+  }
+  return Object.keys(settings).length ? settings : null;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Primary (default LLM_PROVIDER or openai)
+ * @param {string} [options.fallback] - Secondary (default LLM_FALLBACK or none)
+ * @returns {{ provider: string, generateResponse: Function, streamResponse: Function, getStats: Function }}
+ */
+function createBrain({
+  provider = process.env.LLM_PROVIDER || 'openai',
+  fallback = process.env.LLM_FALLBACK || 'none',
+} = {}) {
+  for (const name of [provider, fallback]) {
+    if (name !== 'none' && !providers[name]) throw new Error(`Unknown LLM provider "${name}"`);
+  }
+
+  // Backends are built on first use — a campaign may ask for a provider the default chain doesn't include
+  const backends = new Map(); // name → { name, backend, error, failedAt }
+  const stats = { failovers: 0, timeouts: 0, recoveries: 0 };
+
+  function entry(name) {
+    if (!backends.has(name)) {
+      const p = { name, backend: null, error: null, failedAt: 0 };
+      try {
+        p.backend = providers[name]();
+      } catch (err) {
+        p.error = err;
+        console.error(`[LLM] Provider "${name}" unavailable — ${err.message}`);
+      }
+      backends.set(name, p);
+    }
+    return backends.get(name);
+  }
+
+  // Built per turn — a campaign can swap the brain, and cooldowns follow the provider across campaigns
+  function chainFor(settings = {}) {
+    const chain = chainNames(settings.provider || provider, settings.fallback || fallback).map(entry);
+    return { primary: chain[0], ordered: orderByHealth(chain, FAILOVER_COOLDOWN_MS) };
+  }
+
+  function markFailed(p, err, label) {
+    startCooldown(p);
+    console.error(`[LLM] ${p.name} failed${label ? ` (${label})` : ''}: ${err.message}`);
+  }
+
+  /**
+   * One provider's attempt at the turn, as text deltas. Rejects if nothing
+   * arrives within `timeoutMs`; the clock stops at the first delta or tool call.
+   */
+  async function* attempt(p, systemPrompt, messages, { settings, whole, timeoutMs, signal, onCommit, tools, onToolCall }) {
+    if (p.error) throw p.error;
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    let timer = null;
+    let armed = true;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        stats.timeouts++;
+        controller.abort();
+        reject(new Error(`no response within ${timeoutMs}ms`));
+      }, timeoutMs);
+    });
+    timeout.catch(() => {});
+    const commit = () => {
+      if (!armed) return;
+      armed = false;
+      clearTimeout(timer);
+      onCommit();
+    };
+
+    // Model settings only carry to the provider they were chosen for; a fallback uses its own defaults
+    const own = p.name === (settings.provider || provider) ? settings : {};
+    const options = {
+      tools,
+      onToolCall: onToolCall && (async (...args) => {
+        commit();
+        return onToolCall(...args);
+      }),
+      signal: controller.signal,
+      model: own.model,
+      temperature: own.temperature,
+      maxTokens: own.maxTokens,
+    };
+
+    const source = whole && p.backend.generate
+      ? (async function* () { yield await p.backend.generate(systemPrompt, messages, options); })()
+      : p.backend.stream(systemPrompt, messages, options);
+    const iterator = source[Symbol.asyncIterator]();
+
+    try {
+      while (true) {
+        const next = armed ? await Promise.race([iterator.next(), timeout]) : await iterator.next();
+        if (next.done) return;
+        if (!next.value) continue;
+        commit();
+        yield next.value;
+      }
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      Promise.resolve(iterator.return?.()).catch(() => {});
+    }
+  }
+
+  /**
+   * Run the turn through the provider chain.
+   * @yields {string} Text deltas from whichever provider took the turn
+   */
+  async function* run(systemPrompt, messages, { settings, recover, whole, signal, tools, onToolCall }) {
+    const { primary, ordered } = chainFor(settings || {});
+    const timeoutMs = whole ? TIMEOUT_MS : FIRST_TOKEN_TIMEOUT_MS;
+
+    for (const p of ordered) {
+      if (signal?.aborted) return;
+      let committed = false;
+      try {
+        let produced = false;
+        const deltas = attempt(p, systemPrompt, messages, {
+          settings: settings || {}, whole, timeoutMs, signal, tools, onToolCall,
+          onCommit: () => { committed = true; },
+        });
+        for await (const delta of deltas) {
+          if (!produced && p !== primary) {
+            stats.failovers++;
+            console.warn(`[LLM] Failover: turn answered by ${p.name}`);
+          }
+          produced = true;
+          yield delta;
+        }
+        if (produced || committed) return;
+        throw new Error('empty reply');
+      } catch (err) {
+        if (signal?.aborted) return;
+        // Already spoke or acted — another brain would repeat it
+        if (committed) {
+          markFailed(p, err, 'mid-turn');
+          return;
+        }
+        markFailed(p, err);
+      }
+    }
+
+    if (signal?.aborted) return;
+    if (!recover) throw new Error('All LLM providers failed');
+    stats.recoveries++;
+    console.error(`[LLM] All providers failed — speaking the recovery line`);
+    yield RECOVERY_LINE;
+  }
+
+  /**
+   * Generate Michael's next response in the conversation.
+   *
+   * @param {string} systemPrompt - Michael's persona + context
+   * @param {Array} messages - Conversation history [{role, content}]
+   * @param {Object} [options]
+   * @param {Array} [options.tools] - OpenAI tool definitions (see lib/call-tools.js)
+   * @param {Function} [options.onToolCall] - async (name, argsJson) => result object
+   * @param {Object} [options.settings] - Per-campaign model settings (normalizeModelSettings)
+   * @param {boolean} [options.recover] - Return the recovery line instead of throwing when every provider fails
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<string>} Michael's response text
+   */
+  async function generateResponse(systemPrompt, messages, options = {}) {
+    let text = '';
+    for await (const delta of run(systemPrompt, messages, { ...options, whole: true })) text += delta;
+    return text;
+  }
+
+  /**
+   * Stream Michael's next response as text deltas. Same options as
+   * generateResponse; aborting `signal` cancels the request (barge-in).
+   *
+   * @yields {string} Text deltas
+   */
+  function streamResponse(systemPrompt, messages, options = {}) {
+    return run(systemPrompt, messages, { ...options, whole: false });
+  }
+
+  function getStats() {
+    return { provider, fallback, ...stats };
+  }
+
+  console.log(`[LLM] Providers: ${[provider, fallback].filter(n => n !== 'none').join(' → ')}`);
+  return { provider, generateResponse, streamResponse, getStats };
+}
+
+module.exports = { createBrain, registerProvider, normalizeModelSettings };
@@ -0,0 +1,103 @@
+/**
+ * Local Speech-to-Text (STT_PROVIDER=local)
+ *
+ * Offline transcription through a recognizer that speaks the Vosk WebSocket
+ * protocol — vosk-server out of the box:
+ *
+ *   docker run -d -p 2700:2700 alphacep/kaldi-en:latest
+ *
+ * Protocol: send {"config":{"sample_rate":8000}}, then 16-bit PCM frames;
+ * the server answers {"partial":"..."} while someone is talking and
+ * {"text":"...","result":[{conf,start,end,...}]} once it hears the end of an utterance.
+ * Twilio's mulaw is decoded to PCM here, so the recognizer needs no codec
+ * support. Vosk only finalizes at a pause, so every final is also an
+ * utterance end.
+ */
+
+const WebSocket = require('ws');
+const { decodeMulaw } = require('./audio');
+
+const LOCAL_STT_URL = process.env.LOCAL_STT_URL || 'ws://localhost:2700';
+const CONNECT_TIMEOUT_MS = 5000;
+
+function createLocalStt({ url = LOCAL_STT_URL } = {}) {
+  return {
+    connect(sessionId, { onTranscript, onUtteranceEnd, onError }) {
+      const ws = new WebSocket(url);
+      let lastPartial = '';
+
+      ws.on('message', (data) => {
+        let msg;
+        try {
+          msg = JSON.parse(data);
+        } catch {
+          return;
+        }
+
+        if (typeof msg.partial === 'string') {
+          const partial = msg.partial.trim();
+          // Vosk repeats the same partial for every frame — only report changes
+          if (partial && partial !== lastPartial) {
+            lastPartial = partial;
+            onTranscript(partial, false, {});
+          }
+          return;
+        }
+
+        if (typeof msg.text === 'string') {
+          lastPartial = '';
+          const text = msg.text.trim();
+          if (!text) return;
+          const words = Array.isArray(msg.result) ? msg.result : [];
+          const confidence = words.length ? words.reduce((sum, w) => sum + (w.conf || 0), 0) / words.length : 0;
+          onTranscript(text, true, {
+            confidence,
+            words: words.filter(w => Number.isFinite(w.start)).map(w => ({ start: w.start, end: w.end })),
+          });
+          onUtteranceEnd();
+        }
+      });
+
+      ws.on('close', () => {
+        console.log(`[${sessionId}] Local STT connection closed`);
+      });
+
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          ws.terminate();
+          reject(new Error(`Local STT server at ${url} did not answer within ${CONNECT_TIMEOUT_MS}ms`));
+        }, CONNECT_TIMEOUT_MS);
+
+        ws.once('error', (err) => {
+          clearTimeout(timer);
+          reject(err);
+        });
+
+        ws.once('open', () => {
+          clearTimeout(timer);
+          console.log(`[${sessionId}] Local STT connection opened (${url})`);
+          ws.on('error', (err) => {
+            console.error(`[${sessionId}] Local STT error:`, err.message);
+            onError(err);
+          });
+          ws.send(JSON.stringify({ config: { sample_rate: 8000 } }));
+
+          resolve({
+            send(audioData) {
+              if (ws.readyState !== WebSocket.OPEN) return;
+              const pcm = decodeMulaw(audioData);
+              ws.send(Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength));
+            },
+            finish() {
+              if (ws.readyState !== WebSocket.OPEN) return;
+              ws.send(JSON.stringify({ eof: 1 }));
+              ws.close();
+            },
+          });
+        });
+      });
+    },
+  };
+}
+
+module.exports = { createLocalStt };
@@ -0,0 +1,102 @@
+/**
+ * Local TTS (TTS_PROVIDER=local) — an offline voice that needs no API key
+ *
+ * Runs a speech engine installed on the server and converts its 16-bit PCM
+ * output to mulaw 8kHz in-process. Selected with LOCAL_TTS_ENGINE:
+ *
+ * - espeak (default): espeak-ng. Robotic, but tiny and in every distro
+ *   (`apt-get install espeak-ng`). LOCAL_TTS_VOICE is an espeak voice (en-us).
+ * - piper: Piper neural TTS — much more natural. LOCAL_TTS_VOICE is the path
+ *   to a .onnx voice model; its sample rate is read from the .onnx.json next to it.
+ *
+ * Mostly useful as the failover voice (TTS_FALLBACK=local): if ElevenLabs is
+ * down the prospect hears a different voice instead of silence.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const { parseWav, pcmToTwilioMulaw } = require('./audio');
+
+const ENGINE = process.env.LOCAL_TTS_ENGINE || 'espeak';
+const VOICE = process.env.LOCAL_TTS_VOICE || '';
+const RATE_WPM = parseInt(process.env.LOCAL_TTS_RATE) || 165; // espeak words per minute
+const ENGINE_TIMEOUT_MS = 15000;
+
+/**
+ * Run an engine binary, feed it `input` on stdin and collect stdout.
+ * @returns {Promise<Buffer>}
+ */
+function run(bin, args, input = '') {
+  return new Promise((resolve, reject) => {
+    const child = spawn(bin, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    const out = [];
+    let stderr = '';
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`${bin} timed out after ${ENGINE_TIMEOUT_MS}ms`));
+    }, ENGINE_TIMEOUT_MS);
+
+    child.stdout.on('data', d => out.push(d));
+    child.stderr.on('data', d => { stderr += d; });
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err.code === 'ENOENT' ? new Error(`${bin} is not installed`) : err);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code !== 0) return reject(new Error(`${bin} exited with ${code}: ${stderr.substring(0, 200)}`));
+      resolve(Buffer.concat(out));
+    });
+    child.stdin.on('error', () => {}); // engine exited before reading everything — reported via 'close'
+    child.stdin.end(input);
+  });
+}
+
+const engines = {
+  espeak: ({ voice }) => ({
+    voice: voice || 'en-us',
+    async synthesize(text) {
+      const wav = await run(process.env.ESPEAK_BIN || 'espeak-ng', ['-v', voice || 'en-us', '-s', String(RATE_WPM), '--stdout', '--stdin'], text);
+      const { samples, sampleRate } = parseWav(wav);
+      return pcmToTwilioMulaw(samples, sampleRate);
+    },
+  }),
+
+  piper: ({ voice }) => {
+    if (!voice) throw new Error('LOCAL_TTS_VOICE must point at a Piper .onnx model');
+    let sampleRate = 22050;
+    try {
+      sampleRate = JSON.parse(fs.readFileSync(`${voice}.json`, 'utf8')).audio?.sample_rate || sampleRate;
+    } catch {
+      console.warn(`[TTS] No readable ${voice}.json — assuming ${sampleRate}Hz Piper output`);
+    }
+    return {
+      voice,
+      async synthesize(text) {
+        let raw = await run(process.env.PIPER_BIN || 'piper', ['--model', voice, '--output_raw'], text);
+        if (raw.byteOffset % 2) raw = Buffer.from(raw); // Int16Array views need an even offset
+        const samples = new Int16Array(raw.buffer, raw.byteOffset, Math.floor(raw.length / 2));
+        return pcmToTwilioMulaw(samples, sampleRate);
+      },
+    };
+  },
+};
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.engine] - espeak | piper
+ * @param {string} [options.voice]
+ */
+function createLocalTts({ engine = ENGINE, voice = VOICE } = {}) {
+  const factory = engines[engine];
+  if (!factory) throw new Error(`Unknown local TTS engine "${engine}"`);
+  const backend = factory({ voice });
+  console.log(`[TTS] Local engine: ${engine} (${backend.voice})`);
+
+  return {
+    voice: `${engine}:${backend.voice}`,
+    synthesize: (text) => backend.synthesize(text.replace(/\s+/g, ' ').trim()),
+  };
+}
+
+module.exports = { createLocalTts };
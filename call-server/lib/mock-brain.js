@@ -0,0 +1,105 @@
+/**
+ * Mock Brain (LLM_PROVIDER=mock) — deterministic replies for tests and demos
+ *
+ * No model, no API key: replies come from a script, so a call plays out the
+ * same way every time. LLM_MOCK_SCRIPT is a JSON array (inline, or a path to a
+ * .json file) of entries:
+ *
+ * - "text" or { reply }               Spoken in order, one per turn
+ * - { match, reply }                  Spoken whenever the prospect's last line
+ *                                     matches the regex (case-insensitive);
+ *                                     checked before the in-order lines
+ * - { match?, reply, tool: { name, arguments } }
+ *                                     Also calls a tool first (e.g. book_meeting),
+ *                                     exactly as a real model would
+ *
+ * With no script (or once it runs out) Michael gives a generic opener, then a
+ * generic follow-up. Replies stream word by word so the speech pipeline
+ * behaves as it does with a real model.
+ *
+ * For exercising failover: LLM_MOCK_LATENCY_MS delays the first word and
+ * LLM_MOCK_FAIL=1 makes every request fail.
+ */
+
+const fs = require('fs');
+
+const DEFAULT_OPENING = "Hi, this is Michael — just so you know, I'm an AI assistant with the team. Do you have thirty seconds?";
+const DEFAULT_REPLY = 'That makes sense. Could you tell me a little more about how you handle that today?';
+const WORD_DELAY_MS = 15;
+
+function loadMockScript(source) {
+  if (!source) return [];
+  let entries = source;
+  if (typeof source === 'string') {
+    const raw = source.trim().startsWith('[') ? source : fs.readFileSync(source, 'utf8');
+    entries = JSON.parse(raw);
+  }
+  if (!Array.isArray(entries)) throw new Error('LLM_MOCK_SCRIPT must be a JSON array of replies');
+  return entries
+    .map(entry => (typeof entry === 'string' ? { reply: entry } : entry))
+    .filter(entry => entry && typeof entry.reply === 'string')
+    .map(entry => ({ ...entry, match: entry.match ? new RegExp(entry.match, 'i') : null }));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error('aborted'));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('aborted'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string|Array} [options.script] - Inline JSON, a path, or an array
+ * @param {number} [options.latencyMs] - Delay before the first word
+ * @param {boolean} [options.fail] - Fail every request
+ */
+function createMockBrain({
+  script = process.env.LLM_MOCK_SCRIPT,
+  latencyMs = parseInt(process.env.LLM_MOCK_LATENCY_MS) || 0,
+  fail = process.env.LLM_MOCK_FAIL === '1',
+} = {}) {
+  const entries = loadMockScript(script);
+  const rules = entries.filter(e => e.match);
+  const lines = entries.filter(e => !e.match);
+
+  function pick(messages) {
+    const lastUser = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    const rule = rules.find(r => r.match.test(lastUser));
+    if (rule) return rule;
+
+    // Position in the in-order lines = Michael's turns so far in this conversation
+    const turn = messages.filter(m => m.role === 'assistant').length;
+    if (turn < lines.length) return lines[turn];
+    return { reply: turn === 0 ? DEFAULT_OPENING : DEFAULT_REPLY };
+  }
+
+  async function* stream(systemPrompt, messages, { tools, onToolCall, signal } = {}) {
+    if (fail) throw new Error('Mock brain set to fail (LLM_MOCK_FAIL=1)');
+    if (latencyMs) await sleep(latencyMs, signal);
+
+    const entry = pick(messages);
+    if (entry.tool && Array.isArray(tools) && tools.length && typeof onToolCall === 'function') {
+      await onToolCall(entry.tool.name, JSON.stringify(entry.tool.arguments || {}));
+    }
+
+    const words = entry.reply.split(/(\s+)/).filter(Boolean);
+    for (let i = 0; i < words.length; i++) {
+      if (signal?.aborted) return;
+      if (i) await sleep(WORD_DELAY_MS, signal).catch(() => {});
+      yield words[i];
+    }
+  }
+
+  return { name: 'mock', model: 'mock', stream };
+}
+
+module.exports = { createMockBrain, loadMockScript };
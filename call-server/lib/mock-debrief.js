@@ -0,0 +1,84 @@
+/**
+ * Mock Debrief (DEBRIEF_PROVIDER=mock) — deterministic debriefs for tests and demos
+ *
+ * No model, no API key: the debrief is assembled from the call's real-time
+ * scoring, outcome and objections, so the same call always gets the same one.
+ *
+ * For exercising the repair loop and failures: DEBRIEF_MOCK_INVALID=n makes
+ * the first n drafts break the schema, and DEBRIEF_MOCK_FAIL=1 makes every
+ * request fail.
+ */
+
+const INTEREST_BY_SENTIMENT = { enthusiastic: 'HIGH', positive: 'MEDIUM' };
+
+const clampScore = (score) => Math.min(5, Math.max(1, Math.round(score || 1)));
+
+function buildMockDebrief(record) {
+  const scoring = record.scoring || {};
+  const outcome = record.outcome || {};
+  const firstName = record.firstName || 'there';
+  const booked = Boolean(outcome.meetingBooked);
+  const handled = (scoring.objectionHandling?.score || 0) >= 3;
+  const talk = scoring.talkRatio || {};
+
+  const result = booked
+    ? 'booked a meeting'
+    : outcome.callbackRequested ? 'got a callback request' : 'ended without a next step';
+
+  return {
+    score: {
+      value: scoring.overallScore ?? 50,
+      verdict: `Michael ${result} after ${scoring.exchangeCount || 0} exchanges.`,
+    },
+    scorecard: [
+      { metric: 'Talk Ratio', score: clampScore(talk.score), notes: `Prospect had ${talk.prospectPercent ?? '?'}% of the ${talk.source === 'audio' ? 'talk time' : 'words'}.` },
+      { metric: 'Objection Handling', score: clampScore(scoring.objectionHandling?.score), notes: `${scoring.objectionHandling?.count || 0} objection(s) raised.` },
+      { metric: 'Meeting Conversion', score: clampScore(scoring.meetingConversion?.score), notes: booked ? 'Meeting booked.' : 'No meeting booked.' },
+      { metric: 'Sentiment Management', score: clampScore(scoring.sentimentTrajectory?.score), notes: `Ended ${scoring.sentimentTrajectory?.finalLabel || record.sentiment?.label || 'neutral'}.` },
+      { metric: 'Qualification Depth', score: clampScore(scoring.qualificationDepth?.score), notes: `${scoring.qualificationDepth?.depth || 0} of 4 BANT criteria covered.` },
+    ],
+    summary: `Michael spoke with ${[record.firstName, record.lastName].filter(Boolean).join(' ') || 'the prospect'}${record.company ? ` at ${record.company}` : ''} and ${result}.`,
+    meeting: {
+      booked,
+      proposedTime: outcome.meeting?.start ? new Date(outcome.meeting.start).toISOString() : outcome.callbackTime || null,
+      interestLevel: booked ? 'HIGH' : INTEREST_BY_SENTIMENT[record.sentiment?.label] || 'LOW',
+      highlights: `Prospect share of the conversation: ${talk.prospectPercent ?? '?'}%.`,
+    },
+    objections: (record.objections || []).map(o => ({
+      objection: o.text || o.type,
+      response: 'Michael acknowledged it and kept the conversation going.',
+      handled,
+    })),
+    coachingNotes: ['Ask one more discovery question before pitching.'],
+    nextSteps: [booked ? 'Send the calendar invite and a short agenda.' : `Follow up with ${firstName} by email.`],
+    followUpEmail: {
+      subject: `Following up${record.company ? ` — ${record.company}` : ''}`,
+      body: `Hi ${firstName},\n\nThanks for taking the time to talk today.\n\nBest,\nMichael`,
+    },
+  };
+}
+
+function createMockDebrief({
+  invalidDrafts = parseInt(process.env.DEBRIEF_MOCK_INVALID) || 0,
+  fail = process.env.DEBRIEF_MOCK_FAIL === '1',
+} = {}) {
+  const attempts = new Map(); // sessionId → drafts written
+
+  return {
+    name: 'mock',
+    model: 'mock',
+
+    async draft({ record }) {
+      if (fail) throw new Error('Mock debrief failure (DEBRIEF_MOCK_FAIL=1)');
+      const attempt = (attempts.get(record.sessionId) || 0) + 1;
+      attempts.set(record.sessionId, attempt);
+
+      const debrief = buildMockDebrief(record);
+      if (attempt <= invalidDrafts) debrief.score.value = 150;
+      else attempts.delete(record.sessionId);
+      return { debrief, model: 'mock', usage: { inputTokens: 0, outputTokens: 0 } };
+    },
+  };
+}
+
+module.exports = { createMockDebrief };
@@ -1,35 +1,159 @@
 /**
- * OpenAI GPT-4o — Michael's Brain
+ * OpenAI Brain (LLM_PROVIDER=openai | openai-compatible)
  *
- * Handles multi-turn conversation for the cold call.
+ * Chat Completions adapter for lib/llm.js. The same adapter drives any server
+ * that speaks the API — Ollama, vLLM, LM Studio, llama.cpp — via `baseURL`.
  * Keeps responses short and natural for phone conversation.
+ *
+ * Optional tool calling: pass `tools` + `onToolCall` and any function calls the
+ * model makes are executed, their results fed back, and the model is asked
+ * again until it produces the words Michael should say.
+ *
+ * Two entry points:
+ * - generate: waits for the whole reply (openings, one-off lines)
+ * - stream: yields text deltas as they arrive, for the streaming
+ *   LLM → TTS → Twilio pipeline (see lib/speech-pipeline.js)
  */
 
 const OpenAI = require('openai');
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const MAX_TOOL_ROUNDS = 3;
 
 /**
- * Generate Michael's next response in the conversation.
- *
- * @param {string} systemPrompt - Michael's persona + context
- * @param {Array} messages - Conversation history [{role, content}]
- * @returns {string} Michael's response text
+ * Execute the model's tool calls and append the exchange to the conversation,
+ * so the next completion can phrase the reply around the results.
+ */
+async function runToolCalls(conversation, assistantMessage, onToolCall) {
+  conversation.push(assistantMessage);
+  for (const call of assistantMessage.tool_calls) {
+    const result = await onToolCall(call.function.name, call.function.arguments);
+    conversation.push({
+      role: 'tool',
+      tool_call_id: call.id,
+      content: JSON.stringify(result ?? { ok: true }),
+    });
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.name] - Provider name, for logs
+ * @param {string} [options.apiKey]
+ * @param {string} [options.baseURL] - OpenAI-compatible server; omit for api.openai.com
+ * @param {string} [options.model] - Default model
+ * @param {boolean} [options.tools=true] - false for local models without function calling
  */
-async function generateResponse(systemPrompt, messages) {
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o',
-    temperature: 0.85,
-    max_tokens: 200, // Keep it short — this is a phone call
-    messages: [
+function createOpenAiBrain({
+  name = 'openai',
+  apiKey = process.env.OPENAI_API_KEY,
+  baseURL,
+  model = process.env.OPENAI_MODEL || 'gpt-4o',
+  tools: supportsTools = true,
+} = {}) {
+  const openai = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+  function completionParams(conversation, tools, allowTools, settings) {
+    return {
+      model: settings.model || model,
+      temperature: settings.temperature ?? 0.85,
+      max_tokens: settings.maxTokens || 200, // Keep it short — this is a phone call
+      messages: conversation,
+      // parallel_tool_calls is OpenAI-only; compatible servers tend to reject unknown params
+      ...(allowTools ? { tools, tool_choice: 'auto', ...(baseURL ? {} : { parallel_tool_calls: false }) } : {}),
+    };
+  }
+
+  function canUseTools(tools, onToolCall) {
+    return supportsTools && Array.isArray(tools) && tools.length > 0 && typeof onToolCall === 'function';
+  }
+
+  /**
+   * Generate Michael's next response in the conversation.
+   *
+   * @param {string} systemPrompt - Michael's persona + context
+   * @param {Array} messages - Conversation history [{role, content}]
+   * @param {Object} [options]
+   * @param {Array} [options.tools] - OpenAI tool definitions (see lib/call-tools.js)
+   * @param {Function} [options.onToolCall] - async (name, argsJson) => result object
+   * @param {AbortSignal} [options.signal]
+   * @param {string} [options.model] - Also temperature, maxTokens; adapter defaults otherwise
+   * @returns {string} Michael's response text
+   */
+  async function generate(systemPrompt, messages, { tools, onToolCall, signal, ...settings } = {}) {
+    const conversation = [
       { role: 'system', content: systemPrompt },
       ...messages,
-    ],
-  });
+    ];
+    const useTools = canUseTools(tools, onToolCall);
+    let spoken = '';
+
+    for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+      const allowTools = useTools && round < MAX_TOOL_ROUNDS;
+      const response = await openai.chat.completions.create(completionParams(conversation, tools, allowTools, settings), { signal });
+
+      const message = response.choices[0]?.message;
+      if (message?.content) spoken = message.content;
+      if (!allowTools || !message?.tool_calls?.length) break;
+
+      // Run the requested tools and hand the results back for the spoken reply
+      await runToolCalls(conversation, message, onToolCall);
+    }
+
+    return spoken;
+  }
+
+  /**
+   * Stream Michael's next response as text deltas.
+   * Tool calls are assembled from the stream, executed, and the follow-up
+   * completion is streamed on — callers only ever see spoken text.
+   *
+   * @param {string} systemPrompt
+   * @param {Array} messages
+   * @param {Object} [options]
+   * @param {Array} [options.tools]
+   * @param {Function} [options.onToolCall]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP stream (barge-in)
+   * @param {string} [options.model] - Also temperature, maxTokens
+   * @yields {string} Text deltas
+   */
+  async function* stream(systemPrompt, messages, { tools, onToolCall, signal, ...settings } = {}) {
+    const conversation = [
+      { role: 'system', content: systemPrompt },
+      ...messages,
+    ];
+    const useTools = canUseTools(tools, onToolCall);
+
+    for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+      const allowTools = useTools && round < MAX_TOOL_ROUNDS;
+      const completion = await openai.chat.completions.create(
+        { ...completionParams(conversation, tools, allowTools, settings), stream: true },
+        { signal },
+      );
+
+      let content = '';
+      const toolCalls = [];
+      for await (const chunk of completion) {
+        const delta = chunk.choices[0]?.delta;
+        if (!delta) continue;
+        if (delta.content) {
+          content += delta.content;
+          yield delta.content;
+        }
+        // Tool call names/arguments arrive in fragments keyed by index
+        for (const part of delta.tool_calls || []) {
+          const call = toolCalls[part.index] || (toolCalls[part.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.function.name += part.function.name;
+          if (part.function?.arguments) call.function.arguments += part.function.arguments;
+        }
+      }
+
+      if (!allowTools || toolCalls.length === 0 || signal?.aborted) return;
+      await runToolCalls(conversation, { role: 'assistant', content: content || null, tool_calls: toolCalls.filter(Boolean) }, onToolCall);
+    }
+  }
 
-  return response.choices[0]?.message?.content || '';
+  return { name, model, generate, stream };
 }
 
-module.exports = { generateResponse };
+module.exports = { createOpenAiBrain };
@@ -0,0 +1,29 @@
+/**
+ * Phone number helpers
+ *
+ * Everything that keys on a phone number (campaign prospects, call lookups,
+ * the DNC registry) must agree on one canonical form, so numbers are
+ * normalized to E.164 before they're stored or compared.
+ */
+
+/**
+ * Normalize a phone number to E.164.
+ * 10-digit numbers are assumed to be US/Canada (+1), mirroring the frontend.
+ *
+ * @param {string} raw - Any human-entered format: "(347) 990-8998", "1-347-990-8998", "+44 20..."
+ * @returns {string|null} E.164 number, or null if it can't be a valid number
+ */
+function normalizePhone(raw) {
+  if (!raw) return null;
+  const str = String(raw).trim();
+  const digits = str.replace(/\D/g, '');
+
+  if (str.startsWith('+')) {
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits[0] === '1') return `+${digits}`;
+  return null;
+}
+
+module.exports = { normalizePhone };
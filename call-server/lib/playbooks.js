@@ -0,0 +1,300 @@
+/**
+ * Playbooks — Named, versioned pitch configurations for Michael
+ *
+ * A playbook stores everything buildSystemPrompt needs apart from the
+ * prospect: persona, what's being sold, tone, value props, objection handlers
+ * and an extra compliance block. Calls, simulations, chats and campaigns can
+ * start from one with `playbookId` (optionally `playbookVersion`) instead of
+ * sending the whole pitch each time.
+ *
+ * Versioning:
+ * - Every update appends a new immutable version; old versions are never
+ *   edited, so a call record's `playbook: { id, version }` always points at
+ *   the exact prompt inputs the call used.
+ * - Deleting a playbook archives it: no new calls, but its versions stay
+ *   readable for the calls that pinned them.
+ *
+ * Per-prospect overrides: any playbook field sent alongside `playbookId`
+ * (e.g. a different `industry` for this prospect) wins over the playbook for
+ * that call, and is listed in the pin's `overrides`.
+ *
+ * Storage: `playbooks` collection, one document per playbook holding its
+ * version history.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const TONES = ['professional', 'friendly', 'consultative'];
+
+// Prompt inputs a playbook can carry (and a call body can override)
+const PLAYBOOK_FIELDS = [
+  'persona', 'company', 'selling', 'industry', 'targetRole', 'tone', 'toneGuidance',
+  'valueProps', 'objectionHandlers', 'compliance', 'additionalContext',
+];
+
+const TEXT_FIELDS = ['company', 'selling', 'industry', 'targetRole', 'toneGuidance', 'compliance', 'additionalContext'];
+
+function invalid(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function isBlank(value) {
+  if (value == null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+}
+
+/**
+ * Value props come from the API as an array, or as the form's textarea
+ * (one per line, optional leading "-" bullets).
+ */
+function normalizeValueProps(value) {
+  const items = Array.isArray(value) ? value : String(value).split('\n');
+  return items
+    .map(item => String(item).replace(/^\s*[-•*]\s*/, '').trim())
+    .filter(Boolean);
+}
+
+function normalizeObjectionHandlers(value) {
+  if (!Array.isArray(value)) throw invalid('objectionHandlers must be an array of { objection, response }');
+  return value.map((handler, i) => {
+    const objection = typeof handler?.objection === 'string' ? handler.objection.trim() : '';
+    const response = typeof handler?.response === 'string' ? handler.response.trim() : '';
+    if (!objection || !response) throw invalid(`objectionHandlers[${i}] needs both objection and response`);
+    return { objection, response };
+  });
+}
+
+function normalizePersona(value) {
+  if (typeof value !== 'object' || Array.isArray(value)) throw invalid('persona must be an object: { name, title, background }');
+  const persona = {};
+  for (const key of ['name', 'title', 'background']) {
+    if (value[key] != null && String(value[key]).trim()) persona[key] = String(value[key]).trim();
+  }
+  return Object.keys(persona).length ? persona : null;
+}
+
+/**
+ * Validate playbook content. Fields missing from `input` are taken from
+ * `base` (the previous version), so updates can send only what changed;
+ * `null` or '' clears a field.
+ *
+ * @returns {Object} Content with only the fields that are set.
+ *          Throws with `err.status = 400` on a bad value.
+ */
+function normalizeContent(input = {}, base = {}) {
+  const content = {};
+  for (const field of PLAYBOOK_FIELDS) {
+    const value = field in input ? input[field] : base[field];
+    if (isBlank(value)) continue;
+
+    if (TEXT_FIELDS.includes(field)) {
+      if (typeof value !== 'string') throw invalid(`${field} must be a string`);
+      content[field] = value.trim();
+    } else if (field === 'tone') {
+      const tone = String(value).toLowerCase();
+      if (!TONES.includes(tone)) throw invalid(`tone must be one of: ${TONES.join(', ')}`);
+      content.tone = tone;
+    } else if (field === 'valueProps') {
+      const valueProps = normalizeValueProps(value);
+      if (valueProps.length) content.valueProps = valueProps;
+    } else if (field === 'objectionHandlers') {
+      content.objectionHandlers = normalizeObjectionHandlers(value);
+    } else if (field === 'persona') {
+      const persona = normalizePersona(value);
+      if (persona) content.persona = persona;
+    }
+  }
+  return content;
+}
+
+function sameContent(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * @param {Object} store - Store from createStore()
+ */
+function createPlaybooks(store) {
+  const collection = store.collection('playbooks');
+
+  function latest(playbook) {
+    return playbook.versions[playbook.versions.length - 1];
+  }
+
+  function summarize(playbook) {
+    const current = latest(playbook);
+    return {
+      id: playbook.id,
+      name: playbook.name,
+      description: playbook.description,
+      archived: playbook.archived,
+      version: current.version,
+      company: current.content.company || null,
+      tone: current.content.tone || null,
+      createdAt: playbook.createdAt,
+      updatedAt: playbook.updatedAt,
+    };
+  }
+
+  /** Full view: the latest version's content plus the version history (without content). */
+  function publicView(playbook) {
+    const current = latest(playbook);
+    return {
+      ...summarize(playbook),
+      content: current.content,
+      versions: playbook.versions.map(({ version, note, createdAt }) => ({ version, note, createdAt })),
+    };
+  }
+
+  function versionView(playbook, entry) {
+    return {
+      id: playbook.id,
+      name: playbook.name,
+      archived: playbook.archived,
+      version: entry.version,
+      latestVersion: latest(playbook).version,
+      note: entry.note,
+      createdAt: entry.createdAt,
+      content: entry.content,
+    };
+  }
+
+  return {
+    /**
+     * @param {Object} [filters]
+     * @param {boolean} [filters.includeArchived=false]
+     */
+    async list({ includeArchived = false } = {}) {
+      const playbooks = await collection.list();
+      return playbooks
+        .filter(p => includeArchived || !p.archived)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(summarize);
+    },
+
+    async get(id) {
+      const playbook = await collection.get(id);
+      return playbook ? publicView(playbook) : null;
+    },
+
+    /**
+     * One exact version of a playbook.
+     *
+     * @param {string} id
+     * @param {number} version
+     */
+    async getVersion(id, version) {
+      const playbook = await collection.get(id);
+      const entry = playbook?.versions.find(v => v.version === Number(version));
+      return entry ? versionView(playbook, entry) : null;
+    },
+
+    /**
+     * @param {Object} input
+     * @param {string} input.name
+     * @param {string} [input.description]
+     * @param {string} [input.note] - Change note for version 1
+     * @param {...*} input.content - Any of PLAYBOOK_FIELDS
+     */
+    async create({ name, description, note, ...fields }) {
+      if (typeof name !== 'string' || !name.trim()) throw invalid('Missing required field: name');
+      const now = Date.now();
+      const playbook = {
+        id: uuidv4(),
+        name: name.trim(),
+        description: typeof description === 'string' ? description.trim() : '',
+        archived: false,
+        createdAt: now,
+        updatedAt: now,
+        versions: [{ version: 1, note: note || 'Created', createdAt: now, content: normalizeContent(fields) }],
+      };
+      await collection.put(playbook.id, playbook);
+      console.log(`[Playbook ${playbook.id}] Created "${playbook.name}"`);
+      return publicView(playbook);
+    },
+
+    /**
+     * Publish a new version. Fields not sent carry over from the latest version;
+     * name and description are playbook-level and change in place. An update
+     * that leaves the content unchanged doesn't add a version.
+     *
+     * @returns {Promise<Object|null>} null if the playbook doesn't exist
+     */
+    async update(id, { name, description, note, ...fields }) {
+      const playbook = await collection.get(id);
+      if (!playbook) return null;
+      if (playbook.archived) throw Object.assign(new Error('Playbook is archived'), { status: 409 });
+
+      if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) throw invalid('name cannot be empty');
+        playbook.name = name.trim();
+      }
+      if (typeof description === 'string') playbook.description = description.trim();
+
+      const current = latest(playbook);
+      const content = normalizeContent(fields, current.content);
+      if (!sameContent(content, current.content)) {
+        playbook.versions.push({ version: current.version + 1, note: note || '', createdAt: Date.now(), content });
+        console.log(`[Playbook ${id}] Published version ${current.version + 1}`);
+      }
+      playbook.updatedAt = Date.now();
+      await collection.put(id, playbook);
+      return publicView(playbook);
+    },
+
+    /**
+     * Archive a playbook. Its versions stay readable for the calls that used them.
+     *
+     * @returns {Promise<Object|null>} null if the playbook doesn't exist
+     */
+    async archive(id) {
+      const playbook = await collection.get(id);
+      if (!playbook) return null;
+      if (!playbook.archived) {
+        playbook.archived = true;
+        playbook.updatedAt = Date.now();
+        await collection.put(id, playbook);
+        console.log(`[Playbook ${id}] Archived`);
+      }
+      return publicView(playbook);
+    },
+
+    /**
+     * Resolve `profile.playbookId` into the prompt fields for one call.
+     * The profile's own non-empty fields override the playbook's, and the
+     * result carries `playbook: { id, version, name, overrides }` to pin on the call.
+     * A profile without a playbookId, or one already resolved (a callback
+     * replaying a call's saved profile), is returned unchanged.
+     *
+     * @param {Object} profile - A call body or campaign config
+     * @returns {Promise<Object>} Throws with `err.status` 404 (unknown playbook / version),
+     *          409 (archived) or 400 (bad override)
+     */
+    async resolve(profile) {
+      if (!profile.playbookId || profile.playbook?.id === profile.playbookId) return profile;
+      const playbook = await collection.get(profile.playbookId);
+      if (!playbook) throw Object.assign(new Error(`Playbook "${profile.playbookId}" not found`), { status: 404 });
+      if (playbook.archived) throw Object.assign(new Error(`Playbook "${playbook.name}" is archived`), { status: 409 });
+
+      const entry = profile.playbookVersion != null
+        ? playbook.versions.find(v => v.version === Number(profile.playbookVersion))
+        : latest(playbook);
+      if (!entry) throw Object.assign(new Error(`Playbook "${playbook.name}" has no version ${profile.playbookVersion}`), { status: 404 });
+
+      const overrides = PLAYBOOK_FIELDS.filter(field => !isBlank(profile[field]));
+      const overridden = normalizeContent(Object.fromEntries(overrides.map(field => [field, profile[field]])));
+
+      return {
+        ...profile,
+        ...entry.content,
+        ...overridden,
+        playbookVersion: entry.version,
+        playbook: { id: playbook.id, version: entry.version, name: playbook.name, overrides },
+      };
+    },
+  };
+}
+
+module.exports = { createPlaybooks, normalizeContent, PLAYBOOK_FIELDS, TONES };
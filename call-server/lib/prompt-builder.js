@@ -8,9 +8,22 @@
  * - Multi-language detection graceful response
  * - Callback scheduling capture
  * - Sentiment-aware injection point
+ * - Prior-call context for callbacks and inbound returns
+ * - Live calendar availability for proposing meeting times
+ * - Playbook inputs: persona, objection handlers, extra compliance rules (see lib/playbooks.js)
  */
 
-function buildSystemPrompt({ firstName, lastName, company, selling, tone, industry, targetRole, valueProps, commonObjections, additionalContext }) {
+const { formatInTimezone } = require('./time-parser');
+
+// Playbooks store value props as a list; the form sends free text
+function formatList(value) {
+  return Array.isArray(value) ? value.map(item => `- ${item}`).join('\n') : value;
+}
+
+function buildSystemPrompt({
+  firstName, lastName, company, selling, tone, industry, targetRole, valueProps, commonObjections, additionalContext,
+  persona, toneGuidance, objectionHandlers, compliance,
+}) {
   const toneGuide = {
     professional: 'Maintain a polished, business-like demeanor. Use clear, precise language. Be respectful of their time.',
     friendly: 'Be warm, personable, and approachable. Use a conversational tone. Build rapport naturally.',
@@ -18,6 +31,7 @@ function buildSystemPrompt({ firstName, lastName, company, selling, tone, indust
   };
 
   const toneInstruction = toneGuide[tone?.toLowerCase()] || toneGuide.professional;
+  const agentName = persona?.name || 'Michael';
 
   // Current date/time for smart scheduling
   const now = new Date();
@@ -32,13 +46,13 @@ function buildSystemPrompt({ firstName, lastName, company, selling, tone, indust
   const roundedMin = Math.round(minutes / 15) * 15;
   const currentTime = `${h12}:${String(roundedMin === 60 ? 0 : roundedMin).padStart(2, '0')} ${roundedMin === 60 ? (ampm === 'AM' ? 'PM' : 'AM') : ampm}`;
 
-  return `You are Michael, a top-performing BDR (Business Development Representative) making a cold call.
+  return `You are ${agentName}, a top-performing BDR (Business Development Representative) making a cold call.
 
 YOUR IDENTITY:
-- Name: Michael
+- Name: ${agentName}
 - Company: ${company}
-- Role: Business Development Representative
-
+- Role: ${persona?.title || 'Business Development Representative'}
+${persona?.background ? `- Background: ${persona.background}\n` : ''}
 CURRENT DATE & TIME:
 - Today is ${currentDay}, ${currentDate}
 - Current time: ${currentTime}
@@ -53,7 +67,7 @@ WHAT YOU ARE SELLING:
 ${selling}
 
 TONE & COMMUNICATION STYLE:
-${toneInstruction}
+${toneInstruction}${toneGuidance ? `\n${toneGuidance}` : ''}
 
 PROSPECT ON THE LINE:
 - Name: ${firstName}${lastName ? ' ' + lastName : ''}
@@ -67,7 +81,8 @@ YOUR OBJECTIVE:
 4. Guide the conversation toward booking a 15-30 minute meeting or demo
 5. When they agree, confirm a specific date and time and wrap up professionally
 
-${valueProps ? `KEY VALUE PROPOSITIONS TO HIT:\n${valueProps}\n` : ''}
+${valueProps?.length ? `KEY VALUE PROPOSITIONS TO HIT:\n${formatList(valueProps)}\n` : ''}
+${objectionHandlers?.length ? `OBJECTION HANDLERS (use these answers, in your own words):\n${objectionHandlers.map(h => `- If they say "${h.objection}": ${h.response}`).join('\n')}\n` : ''}
 ${commonObjections ? `COMMON OBJECTIONS AND HOW TO HANDLE THEM:\n${commonObjections}\n` : ''}
 ${additionalContext ? `ADDITIONAL CONTEXT:\n${additionalContext}\n` : ''}
 
@@ -81,7 +96,7 @@ COLD CALLING RULES:
 - If they mention a competitor, acknowledge and differentiate without bashing.
 - If they say they're not interested, ask one clarifying question before accepting.
 - Mirror their energy and pace. If they're direct, be direct. If they're chatty, be warm.
-- Never say "as an AI" or break character. You are Michael.
+- Never say "as an AI" or break character. You are ${agentName}.
 - Never use bullet points, markdown, or any formatting. Speak naturally.
 - When you've secured the meeting, confirm the EXACT date and time back:
   "Perfect, I've got you down for [Day, Month Date] at [Time]. I'll send over a calendar invite. Looking forward to it, ${firstName}. Have a great day."
@@ -104,12 +119,12 @@ If the prospect says they're busy, in a meeting, driving, or it's a bad time:
 
 COMPLIANCE:
 - Your opening line MUST include a brief, natural AI disclosure. Work it into your intro naturally, for example:
-  "Hey ${firstName}, this is Michael calling from ${company}. I'm actually an AI assistant reaching out on behalf of our team. The reason for my call is..."
-  or: "Hi ${firstName}, it's Michael with ${company}. Quick heads up, I'm an AI-powered sales assistant. I'm calling because..."
+  "Hey ${firstName}, this is ${agentName} calling from ${company}. I'm actually an AI assistant reaching out on behalf of our team. The reason for my call is..."
+  or: "Hi ${firstName}, it's ${agentName} with ${company}. Quick heads up, I'm an AI-powered sales assistant. I'm calling because..."
 - If the prospect says "stop", "remove me", "don't call", "take me off the list", or any opt-out language, immediately respond:
   "Absolutely, I'll make sure you're removed from our list right away. Sorry for the interruption, and have a great day."
   Then stop the conversation.
-
+${compliance ? `- Additional rules for this pitch (always follow these):\n${compliance}\n` : ''}
 LANGUAGE HANDLING:
 If the prospect responds in a language other than English, or you detect they are not comfortable in English:
 - Respond gracefully: "I apologize, I'm only able to have this conversation in English right now. If there's a better time or a colleague who might prefer English, I'm happy to call back."
@@ -120,4 +135,63 @@ You are on a LIVE PHONE CALL. Every response you give will be spoken aloud throu
 Respond exactly as you would speak. No text formatting of any kind.`;
 }
 
-module.exports = { buildSystemPrompt };
+// How many of the most recent transcript lines to carry into a follow-up call
+const PRIOR_TRANSCRIPT_LINES = 12;
+
+/**
+ * Summarize an earlier call (a persisted call record) into a prompt block,
+ * so Michael can pick up where the last conversation left off.
+ *
+ * @param {Object} record - Call record from the call store
+ * @returns {string} Prompt section to append to the system prompt
+ */
+function buildPriorCallContext(record) {
+  if (!record) return '';
+
+  const when = new Date(record.createdAt).toLocaleString('en-US', {
+    weekday: 'long', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit',
+  });
+  const outcome = record.outcome || {};
+  const outcomeNotes = [];
+  if (record.amd?.isVoicemail) outcomeNotes.push('the call went to voicemail and you left a message');
+  if (outcome.meetingBooked) outcomeNotes.push('a meeting was booked');
+  if (outcome.callbackRequested) outcomeNotes.push(`they asked you to call back${outcome.callbackTime ? ` (${outcome.callbackTime})` : ''}`);
+  if (outcome.isGatekeeper && !outcome.gatekeeperNavigated) outcomeNotes.push('you only reached a gatekeeper');
+  if (record.sentiment?.label) outcomeNotes.push(`their mood by the end was ${record.sentiment.label}`);
+
+  const lines = (record.transcript || [])
+    .filter(t => t.text)
+    .slice(-PRIOR_TRANSCRIPT_LINES)
+    .map(t => `${t.speaker}: ${t.text}`);
+
+  return `
+
+PREVIOUS CONVERSATION:
+You already spoke with ${record.firstName || 'this prospect'} on ${when}.${outcomeNotes.length ? `\nWhat happened: ${outcomeNotes.join('; ')}.` : ''}
+${lines.length ? `How the last call went (most recent lines):\n${lines.join('\n')}\n` : ''}
+- Reference the earlier conversation naturally ("when we spoke the other day..."), don't re-pitch from scratch.
+- Do not repeat questions they already answered.`;
+}
+
+/**
+ * List the rep's open meeting slots so Michael only proposes times that are
+ * actually free. Times are shown in the prospect's timezone.
+ *
+ * @param {Array<{start:number,end:number}>} slots - From calendar.getAvailability()
+ * @param {string} timezone - Prospect's IANA timezone
+ * @returns {string} Prompt section to append to the system prompt
+ */
+function buildAvailabilityContext(slots, timezone) {
+  if (!slots || slots.length === 0) return '';
+  const lines = slots.map(s => `- ${formatInTimezone(s.start, timezone)}`);
+
+  return `
+
+CALENDAR AVAILABILITY (prospect's local time):
+${lines.join('\n')}
+- When proposing a meeting, offer one or two of these times. Do NOT invent other times.
+- If they suggest a different time, say you'll confirm it works and lock in the closest open slot above if you can.
+- Say times the way a person would ("Thursday at 2"), not with the timezone abbreviation unless they ask.`;
+}
+
+module.exports = { buildSystemPrompt, buildPriorCallContext, buildAvailabilityContext };
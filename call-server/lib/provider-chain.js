@@ -0,0 +1,43 @@
+/**
+ * Provider chain helpers — ordering and cooldown for failover wrappers
+ *
+ * A chain is a primary provider followed by its fallbacks, each entry a plain
+ * object carrying `failedAt` (epoch ms, 0 if it never failed). An entry that
+ * failed within the cooldown is moved behind the healthy ones rather than
+ * dropped, so it still gets a last try when nothing else works.
+ */
+
+/**
+ * Provider names for a chain, in order, without blanks, 'none' or repeats.
+ *
+ * @param {...string} names - e.g. (provider, fallback)
+ * @returns {string[]}
+ */
+function chainNames(...names) {
+  return names.filter((name, i) => name && name !== 'none' && names.indexOf(name) === i);
+}
+
+/**
+ * The chain in the order to try it: entries outside their cooldown first,
+ * then the ones that failed recently, each group keeping its original order.
+ *
+ * @param {Array<{failedAt: number}>} chain
+ * @param {number} cooldownMs
+ * @returns {Array<{failedAt: number}>}
+ */
+function orderByHealth(chain, cooldownMs) {
+  const now = Date.now();
+  const healthy = chain.filter(p => now - p.failedAt >= cooldownMs);
+  return [...healthy, ...chain.filter(p => !healthy.includes(p))];
+}
+
+/**
+ * Start an entry's cooldown.
+ *
+ * @param {{failedAt: number}} entry
+ */
+function startCooldown(entry) {
+  entry.failedAt = Date.now();
+}
+
+module.exports = { chainNames, orderByHealth, startCooldown };
@@ -0,0 +1,130 @@
+/**
+ * Salesforce CRM — Contacts, call Tasks, Events and follow-up Tasks via the REST API
+ *
+ * Config:
+ *   SALESFORCE_INSTANCE_URL   e.g. https://yourorg.my.salesforce.com (or scripts/mock-crm.js)
+ *   SALESFORCE_ACCESS_TOKEN   OAuth access token for an integration user
+ *   SALESFORCE_API_VERSION    Optional, default 59.0
+ *
+ * Contacts are matched on Email, then Phone. Salesforce contacts hang off an
+ * Account, so the prospect's company is matched (or created) as an Account by
+ * Name. Calls are logged the way Salesforce's own dialer does it: a completed
+ * Task with TaskSubtype "Call". Meetings are Events; callbacks are open Tasks.
+ */
+
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_DESCRIPTION_LENGTH = 32000; // Description is a 32K long text area
+
+// SOQL string literal
+function soqlString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function isoDate(epochMs) {
+  return new Date(epochMs).toISOString().slice(0, 10);
+}
+
+function createSalesforceCrm({
+  instanceUrl = process.env.SALESFORCE_INSTANCE_URL,
+  accessToken = process.env.SALESFORCE_ACCESS_TOKEN,
+  apiVersion = process.env.SALESFORCE_API_VERSION || '59.0',
+} = {}) {
+  if (!instanceUrl || !accessToken) {
+    throw new Error('SALESFORCE_INSTANCE_URL and SALESFORCE_ACCESS_TOKEN are required for the salesforce CRM provider');
+  }
+  const baseUrl = `${instanceUrl.replace(/\/+$/, '')}/services/data/v${apiVersion}`;
+
+  async function request(method, path, payload) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}` },
+      body: payload ? JSON.stringify(payload) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`Salesforce ${method} ${path.split('?')[0]} failed: ${response.status} ${await response.text()}`);
+    }
+    return response.status === 204 ? null : response.json();
+  }
+
+  async function findId(object, field, value) {
+    if (!value) return null;
+    const query = `SELECT Id FROM ${object} WHERE ${field} = ${soqlString(value)} LIMIT 1`;
+    const data = await request('GET', `/query?q=${encodeURIComponent(query)}`);
+    return data.records?.[0]?.Id || null;
+  }
+
+  async function create(object, fields) {
+    const created = await request('POST', `/sobjects/${object}`, fields);
+    return { id: created.id };
+  }
+
+  async function accountFor(company) {
+    if (!company) return null;
+    return (await findId('Account', 'Name', company)) || (await create('Account', { Name: company })).id;
+  }
+
+  return {
+    async upsertContact({ firstName, lastName, email, phone, company }) {
+      const fields = Object.fromEntries(Object.entries({
+        FirstName: firstName,
+        LastName: lastName,
+        Email: email,
+        Phone: phone,
+      }).filter(([, v]) => v));
+
+      const existing = (await findId('Contact', 'Email', email)) || (await findId('Contact', 'Phone', phone));
+      if (existing) {
+        await request('PATCH', `/sobjects/Contact/${existing}`, fields);
+        return { id: existing };
+      }
+      // LastName is required on Contact
+      return create('Contact', {
+        ...fields,
+        LastName: lastName || firstName || phone || email,
+        AccountId: (await accountFor(company)) || undefined,
+        LeadSource: 'Outbound Call',
+      });
+    },
+
+    logCall({ contactId, call }) {
+      return create('Task', {
+        WhoId: contactId,
+        Subject: call.title.slice(0, 255),
+        TaskSubtype: 'Call',
+        Status: 'Completed',
+        ActivityDate: isoDate(call.startedAt),
+        CallType: call.direction === 'inbound' ? 'Inbound' : 'Outbound',
+        CallDurationInSeconds: call.durationSeconds,
+        CallDisposition: call.disposition,
+        CallObject: call.callId,
+        Description: [call.summary, '', 'Transcript:', call.transcript].join('\n').slice(0, MAX_DESCRIPTION_LENGTH),
+      });
+    },
+
+    createMeeting({ contactId, meeting }) {
+      return create('Event', {
+        WhoId: contactId,
+        Subject: meeting.title.slice(0, 255),
+        StartDateTime: new Date(meeting.start).toISOString(),
+        EndDateTime: new Date(meeting.end).toISOString(),
+        Description: meeting.description,
+      });
+    },
+
+    createTask({ contactId, task }) {
+      return create('Task', {
+        WhoId: contactId,
+        Subject: task.subject.slice(0, 255),
+        Status: 'Not Started',
+        Priority: 'High',
+        ActivityDate: isoDate(task.dueAt),
+        ReminderDateTime: new Date(task.dueAt).toISOString(),
+        IsReminderSet: true,
+        Description: task.description,
+      });
+    },
+  };
+}
+
+module.exports = { createSalesforceCrm };
@@ -8,9 +8,12 @@
  * Labels: hostile, negative, neutral, positive, enthusiastic
  *
  * The sentiment is injected into Michael's system prompt so he can adapt
- * his tone and approach in real-time.
+ * his tone and approach in real-time. An experiment variant can replace the
+ * guidance for any label (see lib/experiments.js).
  */
 
+const SENTIMENT_LABELS = ['hostile', 'negative', 'neutral', 'positive', 'enthusiastic'];
+
 // Positive signal words/phrases (weighted)
 const POSITIVE_SIGNALS = [
   { pattern: /that('s| is) (great|awesome|amazing|fantastic|perfect|excellent)/i, weight: 3 },
@@ -171,7 +174,14 @@ The prospect is very interested! Strike while hot:
 - Mirror their enthusiasm`,
   };
 
+  // Experiment variant: its own guidance for this label ('' turns the injection off)
+  const variant = session.experiment?.changes?.sentimentInjections;
   let injection = injections[sentimentLabel] || '';
+  if (variant && sentimentLabel in variant) {
+    injection = variant[sentimentLabel]
+      ? `\n\nSENTIMENT NOTE — ${sentimentLabel.toUpperCase()} (${sentimentScore.toFixed(1)}/10):\n${variant[sentimentLabel]}`
+      : '';
+  }
 
   // Add barge-in awareness
   if (bargeInCount >= 2) {
@@ -181,4 +191,4 @@ The prospect is very interested! Strike while hot:
   return injection;
 }
 
-module.exports = { analyzeUtterance, updateSentiment, getSentimentPromptInjection };
+module.exports = { SENTIMENT_LABELS, analyzeUtterance, updateSentiment, getSentimentPromptInjection };
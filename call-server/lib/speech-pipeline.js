@@ -0,0 +1,126 @@
+/**
+ * Speech Pipeline — Streams LLM text → TTS audio → Twilio as it's produced
+ *
+ * Instead of waiting for the full completion, the full MP3 and an ffmpeg
+ * conversion, each sentence is sent to TTS the moment the model finishes it,
+ * and its audio is forwarded to Twilio as the first bytes arrive. First audio
+ * lands after roughly one sentence of tokens plus TTS time-to-first-byte.
+ *
+ *   tokens ──▶ sentence splitter ──▶ queue ──▶ TTS stream ──▶ send()
+ *   (producer, runs ahead)                     (consumer, one sentence at a time)
+ *
+ * A single AbortSignal covers every stage: aborting it (barge-in) cancels the
+ * OpenAI stream, the in-flight TTS request and any audio not yet sent.
+ */
+
+// Sentence ends: . ! ? (optionally followed by quotes/brackets) then whitespace
+const SENTENCE_END = /([.!?]+["')\]]*)\s+/g;
+// Don't flush tiny fragments like "Mr." or "Look." on their own — TTS prosody suffers
+const MIN_SENTENCE_CHARS = 12;
+const ABBREVIATIONS = /\b(mr|mrs|ms|dr|st|vs|etc|inc|e\.g|i\.e)\.$/i;
+
+/**
+ * Group a stream of text deltas into sentences.
+ *
+ * @param {AsyncIterable<string>} tokens
+ * @yields {string} Sentences (the final fragment is yielded even without punctuation)
+ */
+async function* splitSentences(tokens) {
+  let buffer = '';
+  for await (const token of tokens) {
+    buffer += token;
+    let start = 0;
+    let match;
+    SENTENCE_END.lastIndex = 0;
+    while ((match = SENTENCE_END.exec(buffer)) !== null) {
+      const end = match.index + match[1].length;
+      const candidate = buffer.slice(start, end).trim();
+      if (candidate.length >= MIN_SENTENCE_CHARS && !ABBREVIATIONS.test(candidate)) {
+        yield candidate;
+        start = SENTENCE_END.lastIndex;
+      }
+    }
+    buffer = buffer.slice(start);
+  }
+  const rest = buffer.trim();
+  if (rest) yield rest;
+}
+
+/**
+ * Run the full pipeline for one reply.
+ *
+ * @param {Object} options
+ * @param {AsyncIterable<string>} options.tokens - Text deltas (streamResponse)
+ * @param {Function} options.synthesize - (sentence, signal) => AsyncIterable<Buffer> of mulaw audio
+ * @param {Function} options.send - async (mulawChunk) => void; writes audio to the call
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onSentence] - (sentence) => void, as each sentence is queued
+ * @param {Function} [options.onTextComplete] - (fullText) => void, once the model has finished
+ * @returns {Promise<{ text: string, spokenText: string, audioBytes: number, firstAudioMs: number|null, aborted: boolean }>}
+ */
+async function runSpeechPipeline({ tokens, synthesize, send, signal, onSentence, onTextComplete }) {
+  const startedAt = Date.now();
+  const queue = [];
+  let producerDone = false;
+  let producerError = null;
+  let wake = null;
+  const notify = () => { if (wake) { wake(); wake = null; } };
+
+  let fullText = '';
+  // Producer: read the model as fast as it writes, queueing whole sentences
+  const producer = (async () => {
+    try {
+      const tee = (async function* () {
+        for await (const token of tokens) {
+          fullText += token;
+          yield token;
+        }
+      })();
+      for await (const sentence of splitSentences(tee)) {
+        if (signal?.aborted) break;
+        queue.push(sentence);
+        if (onSentence) onSentence(sentence);
+        notify();
+      }
+    } catch (err) {
+      if (!signal?.aborted) producerError = err;
+    } finally {
+      producerDone = true;
+      if (onTextComplete) onTextComplete(fullText.trim());
+      notify();
+    }
+  })();
+
+  // Consumer: speak sentences in order
+  let audioBytes = 0;
+  let firstAudioMs = null;
+  const spoken = [];
+  while (!signal?.aborted) {
+    if (queue.length === 0) {
+      if (producerDone) break;
+      await new Promise(resolve => { wake = resolve; });
+      continue;
+    }
+    const sentence = queue.shift();
+    for await (const chunk of synthesize(sentence, signal)) {
+      if (signal?.aborted) break;
+      if (firstAudioMs === null) firstAudioMs = Date.now() - startedAt;
+      audioBytes += chunk.length;
+      await send(chunk);
+    }
+    if (!signal?.aborted) spoken.push(sentence);
+  }
+
+  await producer;
+  if (producerError) throw producerError;
+
+  return {
+    text: fullText.trim(),
+    spokenText: spoken.join(' '),
+    audioBytes,
+    firstAudioMs,
+    aborted: Boolean(signal?.aborted),
+  };
+}
+
+module.exports = { splitSentences, runSpeechPipeline };
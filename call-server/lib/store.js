@@ -0,0 +1,167 @@
+/**
+ * Store — Pluggable persistence for call records and other server state
+ *
+ * Every long-lived piece of data the call server owns (finished calls today,
+ * anything else that must survive a Railway redeploy later) goes through a
+ * named collection on this store. Collections are simple keyed JSON documents.
+ *
+ * Adapters:
+ * - file (default): One JSON file per record under DATA_DIR/<collection>/.
+ *   Point DATA_DIR at a Railway volume so records survive redeploys.
+ * - memory: Process-local Map. Useful for local runs and throwaway environments.
+ *
+ * Custom adapters (SQLite, Postgres, Redis...) can be plugged in with
+ * registerAdapter(name, factory) and selected via STORE_ADAPTER.
+ *
+ * Adapter contract — every method is async:
+ *   get(collection, id)            → record | null
+ *   put(collection, id, record)    → record
+ *   delete(collection, id)         → boolean
+ *   list(collection)               → record[]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// ─── File adapter ───
+// Writes go to a temp file first and are renamed into place, so a crash
+// mid-write never leaves a half-written JSON document behind.
+function createFileAdapter({ dataDir = DEFAULT_DATA_DIR } = {}) {
+  const ensured = new Set();
+
+  async function dirFor(collection) {
+    const dir = path.join(dataDir, collection);
+    if (!ensured.has(dir)) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      ensured.add(dir);
+    }
+    return dir;
+  }
+
+  function fileName(id) {
+    // IDs come from URLs — never let them escape the collection directory
+    return `${String(id).replace(/[^\w.+-]/g, '_')}.json`;
+  }
+
+  return {
+    name: 'file',
+
+    async get(collection, id) {
+      const dir = await dirFor(collection);
+      try {
+        const raw = await fs.promises.readFile(path.join(dir, fileName(id)), 'utf8');
+        return JSON.parse(raw);
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async put(collection, id, record) {
+      const dir = await dirFor(collection);
+      const target = path.join(dir, fileName(id));
+      const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(record, null, 2));
+      await fs.promises.rename(tmp, target);
+      return record;
+    },
+
+    async delete(collection, id) {
+      const dir = await dirFor(collection);
+      try {
+        await fs.promises.unlink(path.join(dir, fileName(id)));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+
+    async list(collection) {
+      const dir = await dirFor(collection);
+      const files = (await fs.promises.readdir(dir)).filter(f => f.endsWith('.json'));
+      const records = [];
+      for (const file of files) {
+        try {
+          records.push(JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8')));
+        } catch (err) {
+          console.error(`[Store] Skipping unreadable record ${collection}/${file}: ${err.message}`);
+        }
+      }
+      return records;
+    },
+  };
+}
+
+// ─── Memory adapter ───
+function createMemoryAdapter() {
+  const collections = new Map();
+  const bucket = (collection) => {
+    if (!collections.has(collection)) collections.set(collection, new Map());
+    return collections.get(collection);
+  };
+  // Deep-copy on the way in and out so callers can't mutate stored state by reference
+  const clone = (record) => (record == null ? null : JSON.parse(JSON.stringify(record)));
+
+  return {
+    name: 'memory',
+    async get(collection, id) { return clone(bucket(collection).get(String(id))); },
+    async put(collection, id, record) { bucket(collection).set(String(id), clone(record)); return record; },
+    async delete(collection, id) { return bucket(collection).delete(String(id)); },
+    async list(collection) { return [...bucket(collection).values()].map(clone); },
+  };
+}
+
+const adapters = {
+  file: createFileAdapter,
+  memory: createMemoryAdapter,
+};
+
+/**
+ * Register a custom storage adapter.
+ *
+ * @param {string} name - Value to select it with via STORE_ADAPTER
+ * @param {Function} factory - (options) => adapter implementing the contract above
+ */
+function registerAdapter(name, factory) {
+  adapters[name] = factory;
+}
+
+/**
+ * Create a store backed by the configured adapter.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.adapter] - Adapter name (default: STORE_ADAPTER env or 'file')
+ * @returns {{ adapter: string, collection: Function }}
+ */
+function createStore(options = {}) {
+  const adapterName = options.adapter || process.env.STORE_ADAPTER || 'file';
+  const factory = adapters[adapterName];
+  if (!factory) {
+    throw new Error(`Unknown store adapter "${adapterName}" (available: ${Object.keys(adapters).join(', ')})`);
+  }
+  const adapter = factory(options);
+  console.log(`[Store] Using "${adapterName}" adapter${adapterName === 'file' ? ` (${options.dataDir || DEFAULT_DATA_DIR})` : ''}`);
+
+  return {
+    adapter: adapterName,
+
+    /**
+     * Get a handle on a named collection.
+     *
+     * @param {string} name - Collection name, e.g. 'calls'
+     */
+    collection(name) {
+      return {
+        get: (id) => adapter.get(name, id),
+        put: (id, record) => adapter.put(name, id, record),
+        delete: (id) => adapter.delete(name, id),
+        list: () => adapter.list(name),
+      };
+    },
+  };
+}
+
+module.exports = { createStore, registerAdapter };
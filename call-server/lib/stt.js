@@ -0,0 +1,119 @@
+/**
+ * STT — Pluggable real-time speech-to-text for the media stream
+ *
+ * Every provider takes the caller's audio (mulaw 8kHz mono, straight off the
+ * Twilio Media Stream) and reports back through the same callbacks, so the
+ * call pipeline doesn't care who is transcribing. Selected with STT_PROVIDER:
+ *
+ * - deepgram (default): Deepgram streaming API (nova-2). Needs DEEPGRAM_API_KEY.
+ * - local: An offline recognizer speaking the Vosk WebSocket protocol
+ *   (vosk-server, or anything compatible) at LOCAL_STT_URL. No cloud account.
+ * - fake: Scripted transcripts for tests and demos — see lib/fake-stt.js.
+ *
+ * Provider contract:
+ *   connect(sessionId, { onTranscript, onUtteranceEnd, onError }) → Promise<stream>
+ *     onTranscript(text, isFinal, metadata)   metadata: { confidence, detectedLanguage, turnStatus, words }
+ *                                             words: [{ start, end }] in seconds from the first audio sent
+ *     onUtteranceEnd()                        silence after speech — the turn is over
+ *   stream.send(mulawBuffer)
+ *   stream.finish()
+ *
+ * Providers only report what they hear; semantic turn detection (turnStatus on
+ * final results) is added here so every provider paces turns the same way.
+ * Custom providers can be added with registerProvider(name, factory).
+ */
+
+// ─── Enterprise: Semantic Turn Detection ───
+// Patterns that suggest the speaker is MID-THOUGHT (don't interrupt)
+const MID_THOUGHT_PATTERNS = [
+  /\b(and|but|so|because|however|also|plus|actually|basically|well)\s*$/i,
+  /,\s*$/,  // trailing comma
+  /\b(i think|i mean|you know|like)\s*$/i,
+  /\b(the thing is|here's what|what i'm saying is)\s*$/i,
+];
+
+// Patterns that suggest the speaker has FINISHED their thought
+const END_OF_TURN_PATTERNS = [
+  /[.!?]\s*$/,  // ends with punctuation
+  /\b(right|okay|sure|yeah|yes|no|nah|nope)\s*[.!?]?\s*$/i,
+  /\b(bye|goodbye|take care|have a good one)\s*[.!?]?\s*$/i,
+  /\b(what do you think|does that make sense|you know what i mean)\s*[.!?]?\s*$/i,
+  /\b(that's it|that's all|i'm done)\s*[.!?]?\s*$/i,
+];
+
+/**
+ * Analyze if the current transcript suggests the speaker is done talking
+ *
+ * @param {string} text - Current transcript text
+ * @returns {'complete' | 'mid-thought' | 'ambiguous'}
+ */
+function analyzeTurnCompletion(text) {
+  if (!text || !text.trim()) return 'ambiguous';
+
+  const trimmed = text.trim();
+
+  // Check end-of-turn first (higher priority)
+  if (END_OF_TURN_PATTERNS.some(p => p.test(trimmed))) return 'complete';
+
+  // Check mid-thought
+  if (MID_THOUGHT_PATTERNS.some(p => p.test(trimmed))) return 'mid-thought';
+
+  // Short responses (1-3 words) are usually complete turns
+  if (trimmed.split(/\s+/).length <= 3) return 'complete';
+
+  return 'ambiguous';
+}
+
+const providers = {
+  deepgram: (options) => require('./deepgram-stt').createDeepgramStt(options),
+  local: (options) => require('./local-stt').createLocalStt(options),
+  fake: (options) => require('./fake-stt').createFakeStt(options),
+};
+
+function registerProvider(name, factory) {
+  providers[name] = factory;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.provider] - deepgram | local | fake (default STT_PROVIDER)
+ * @returns {{ provider: string, backend: Object, connect: Function }}
+ */
+function createStt({ provider = process.env.STT_PROVIDER || 'deepgram', ...options } = {}) {
+  const factory = providers[provider];
+  if (!factory) throw new Error(`Unknown STT provider "${provider}"`);
+  const backend = factory(options);
+
+  return {
+    provider,
+    backend, // provider-specific extras, e.g. fake.say(sessionId, text)
+
+    /**
+     * Open a transcription stream for one call.
+     *
+     * @param {string} sessionId - For logging
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onTranscript - (text, isFinal, metadata) => void
+     * @param {Function} [callbacks.onUtteranceEnd] - () => void
+     * @param {Function} [callbacks.onError] - (error) => void
+     * @returns {Promise<{ send: Function, finish: Function }>}
+     */
+    connect(sessionId, { onTranscript, onUtteranceEnd, onError }) {
+      return backend.connect(sessionId, {
+        onTranscript: (text, isFinal, metadata = {}) => {
+          onTranscript(text, isFinal, {
+            detectedLanguage: null,
+            confidence: 0,
+            words: [],
+            ...metadata,
+            turnStatus: isFinal ? analyzeTurnCompletion(text) : 'ambiguous',
+          });
+        },
+        onUtteranceEnd: () => { if (onUtteranceEnd) onUtteranceEnd(); },
+        onError: (err) => { if (onError) onError(err); },
+      });
+    },
+  };
+}
+
+module.exports = { createStt, registerProvider, analyzeTurnCompletion };
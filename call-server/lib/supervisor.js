@@ -0,0 +1,101 @@
+/**
+ * Supervisor — Lets a sales manager steer a live call
+ *
+ * A supervisor connects to /call/supervise/:sessionId?token=... with a token
+ * scoped to that one session (returned by /call/initiate, or minted with
+ * POST /call/:sessionId/supervisor-token). Commands are JSON messages:
+ *
+ *   { type: 'whisper', text }      Private instruction folded into Michael's next prompt
+ *   { type: 'say', text }          Michael says exactly this line now (interrupts him)
+ *   { type: 'mute', muted }        Michael stops responding (takeover); prospect speech is still transcribed
+ *   { type: 'end' }                Hang up the call
+ *   { type: 'listen', enabled }    Fork both audio directions (mulaw, base64) to this socket
+ *
+ * Tokens are `<expiresAt>.<hmac>` signed with SUPERVISOR_SECRET (falls back to
+ * CALL_SERVER_SECRET), so the browser never holds the server secret.
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_TTL_MS = (parseInt(process.env.SUPERVISOR_TOKEN_TTL_MINUTES) || 240) * 60000;
+const MAX_TEXT_LENGTH = 500;
+const COMMANDS = ['whisper', 'say', 'mute', 'end', 'listen'];
+
+function signingSecret() {
+  return process.env.SUPERVISOR_SECRET || process.env.CALL_SERVER_SECRET || '';
+}
+
+function sign(sessionId, expiresAt) {
+  return crypto.createHmac('sha256', signingSecret()).update(`${sessionId}.${expiresAt}`).digest('base64url');
+}
+
+/**
+ * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs]
+ * @returns {string}
+ */
+function createSupervisorToken(sessionId, { ttlMs = TOKEN_TTL_MS } = {}) {
+  const expiresAt = Date.now() + ttlMs;
+  return `${expiresAt}.${sign(sessionId, expiresAt)}`;
+}
+
+/**
+ * @returns {boolean} True if the token was issued for this session and hasn't expired
+ */
+function verifySupervisorToken(token, sessionId) {
+  if (!token || !signingSecret()) return false;
+  const [expires, signature] = String(token).split('.');
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || !signature || expiresAt < Date.now()) return false;
+
+  const expected = Buffer.from(sign(sessionId, expiresAt));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Validate a raw WebSocket message into a command. Throws with a readable message.
+ *
+ * @returns {{ type: string, text?: string, muted?: boolean, enabled?: boolean }}
+ */
+function parseSupervisorCommand(raw) {
+  let msg;
+  try {
+    msg = JSON.parse(raw);
+  } catch {
+    throw new Error('Commands must be JSON');
+  }
+  if (!msg || !COMMANDS.includes(msg.type)) {
+    throw new Error(`Unknown command — expected one of ${COMMANDS.join(', ')}`);
+  }
+
+  if (msg.type === 'whisper' || msg.type === 'say') {
+    const text = typeof msg.text === 'string' ? msg.text.trim() : '';
+    if (!text) throw new Error(`${msg.type} needs text`);
+    return { type: msg.type, text: text.substring(0, MAX_TEXT_LENGTH) };
+  }
+  if (msg.type === 'mute') return { type: 'mute', muted: msg.muted !== false };
+  if (msg.type === 'listen') return { type: 'listen', enabled: msg.enabled !== false };
+  return { type: 'end' };
+}
+
+/**
+ * Pending whispers as a prompt block. Consumes them — each note steers one reply.
+ *
+ * @param {CallSession} session
+ * @returns {string}
+ */
+function takeSupervisorPromptInjection(session) {
+  if (!session.supervisorNotes.length) return '';
+  const notes = session.supervisorNotes.splice(0);
+  return `\n\nSUPERVISOR INSTRUCTIONS (private — follow them in your next reply, never mention or quote them):
+${notes.map(n => `- ${n}`).join('\n')}`;
+}
+
+module.exports = {
+  createSupervisorToken,
+  verifySupervisorToken,
+  parseSupervisorCommand,
+  takeSupervisorPromptInjection,
+};
@@ -0,0 +1,262 @@
+/**
+ * Time Parser — Turns spoken scheduling phrases into absolute timestamps
+ *
+ * Prospects say things like "tomorrow", "3pm", "Thursday afternoon",
+ * "next week" or "in two hours". This resolves those phrases against the
+ * current time *in the prospect's timezone* and returns an epoch timestamp.
+ *
+ * No external date library: timezone math uses Intl.DateTimeFormat, which
+ * ships with Node's full ICU build.
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/New_York';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, a: 1, an: 1, couple: 2, few: 3,
+};
+
+// Vague parts of day → a concrete hour (24h)
+const PART_OF_DAY_HOURS = {
+  morning: 10,
+  noon: 12,
+  lunch: 12,
+  afternoon: 14,
+  'end of day': 16,
+  evening: 17,
+  tonight: 18,
+};
+
+const DEFAULT_HOUR = 10; // when only a day is given
+
+function isValidTimezone(tz) {
+  if (!tz) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function resolveTimezone(tz) {
+  return isValidTimezone(tz) ? tz : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone.
+ */
+function getZonedParts(epochMs, timezone) {
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric',
+    weekday: 'long', hourCycle: 'h23',
+  });
+  const parts = {};
+  for (const { type, value } of fmt.formatToParts(new Date(epochMs))) parts[type] = value;
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),   // 1-12
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+  };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an epoch timestamp (DST-aware).
+ * Day/month overflow is normalized (e.g. day 32 rolls into next month).
+ */
+function zonedTimeToEpoch({ year, month, day, hour = 0, minute = 0 }, timezone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (epoch) => {
+    const p = getZonedParts(epoch, timezone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(epoch / 1000) * 1000;
+  };
+  // Two passes settle the offset across DST transitions
+  let epoch = asUtc - offsetAt(asUtc);
+  epoch = asUtc - offsetAt(epoch);
+  return epoch;
+}
+
+function parseNumber(word) {
+  if (/^\d+$/.test(word)) return parseInt(word);
+  return NUMBER_WORDS[word] ?? null;
+}
+
+/**
+ * Find a clock time in the text. Returns { hour, minute, matched } or null.
+ */
+function findClockTime(text) {
+  let m = text.match(/\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)(?=\W|$)/i);
+  if (m) {
+    let hour = parseInt(m[1]) % 12;
+    if (/^p/i.test(m[3])) hour += 12;
+    return { hour, minute: m[2] ? parseInt(m[2]) : 0, matched: m[0] };
+  }
+
+  m = text.match(/\b([01]?\d|2[0-3]):([0-5]\d)\b/);
+  if (m) {
+    let hour = parseInt(m[1]);
+    // "at 3:30" on a sales call means the afternoon
+    if (hour >= 1 && hour <= 7) hour += 12;
+    return { hour, minute: parseInt(m[2]), matched: m[0] };
+  }
+
+  m = text.match(/\b(?:at|around|after|before|by)\s+(\d{1,2}|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)(?:\s*o'?clock)?\b(?!\s*(?:minutes?|mins?|hours?|days?|weeks?))/i);
+  if (m) {
+    const n = parseNumber(m[1].toLowerCase());
+    if (n && n <= 12) {
+      // Bare business-hours numbers: 8-11 → morning, 12 → noon, 1-7 → afternoon
+      const hour = n === 12 ? 12 : n <= 7 ? n + 12 : n;
+      return { hour, minute: 0, matched: m[0] };
+    }
+  }
+
+  for (const [phrase, hour] of Object.entries(PART_OF_DAY_HOURS)) {
+    if (new RegExp(`\\b${phrase}\\b`, 'i').test(text)) {
+      return { hour, minute: 0, matched: phrase, vague: true };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find a day reference relative to `today` (zoned parts). Returns
+ * { year, month, day, matched } or { relativeMs, matched } or null.
+ */
+function findDay(text, today) {
+  const lower = text.toLowerCase();
+
+  let m = lower.match(/\bin\s+(?:a\s+)?(\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten|couple(?:\s+of)?|few)\s+(minutes?|mins?|hours?|days?|weeks?)\b/);
+  if (m) {
+    const n = parseNumber(m[1].replace(/\s+of$/, '')) || 1;
+    const unit = m[2];
+    const ms = unit.startsWith('min') ? 60000 : unit.startsWith('hour') ? 3600000 : unit.startsWith('day') ? 86400000 : 7 * 86400000;
+    return { relativeMs: n * ms, matched: m[0], dayOnly: /day|week/.test(unit) };
+  }
+
+  if (/\bday after tomorrow\b/.test(lower)) return { ...shiftDays(today, 2), matched: 'day after tomorrow' };
+  if (/\btomorrow\b/.test(lower)) return { ...shiftDays(today, 1), matched: 'tomorrow' };
+  if (/\b(today|tonight|later today|this (morning|afternoon|evening))\b/.test(lower)) return { ...shiftDays(today, 0), matched: 'today' };
+
+  m = lower.match(/\b(january|february|march|april|may|june|july|august|september|october|november|december)\s+(\d{1,2})(?:st|nd|rd|th)?\b/);
+  if (m) {
+    const month = MONTHS.indexOf(m[1]) + 1;
+    const day = parseInt(m[2]);
+    // An explicit date beats the weekday said alongside it ("Thursday, March 5th")
+    // Dates that already passed this year mean next year
+    const year = (month < today.month || (month === today.month && day < today.day)) ? today.year + 1 : today.year;
+    return { year, month, day, matched: m[0] };
+  }
+
+  m = lower.match(/\b(next|this|on)?\s*(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
+  if (m) {
+    const target = WEEKDAYS.indexOf(m[2]);
+    let delta = (target - today.weekday + 7) % 7;
+    if (delta === 0) delta = 7;                       // "Monday" said on a Monday = next Monday
+    if (m[1] === 'next' && delta < 7 && today.weekday !== 0 && target > today.weekday) {
+      // "next Thursday" said on a Tuesday usually means the Thursday of next week
+      delta += 7;
+    }
+    return { ...shiftDays(today, delta), matched: m[0].trim() };
+  }
+
+  m = lower.match(/\bthe\s+(\d{1,2})(?:st|nd|rd|th)\b/);
+  if (m) {
+    const day = parseInt(m[1]);
+    const rollMonth = day < today.day;
+    return { year: today.year, month: today.month + (rollMonth ? 1 : 0), day, matched: m[0] };
+  }
+
+  if (/\bnext week\b/.test(lower)) {
+    const delta = ((1 - today.weekday + 7) % 7) || 7; // following Monday
+    return { ...shiftDays(today, delta), matched: 'next week' };
+  }
+  if (/\b(later|in a bit|in a while)\b/.test(lower)) {
+    return { relativeMs: 2 * 3600000, matched: 'later' };
+  }
+  return null;
+}
+
+function shiftDays(today, delta) {
+  // Let Date normalize month/year overflow
+  const d = new Date(Date.UTC(today.year, today.month - 1, today.day + delta));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+/**
+ * Parse a spoken scheduling phrase into an absolute time.
+ *
+ * @param {string} text - e.g. "call me tomorrow at 3pm", "Thursday afternoon", "in two hours"
+ * @param {Object} [options]
+ * @param {string} [options.timezone] - IANA zone of the prospect (default DEFAULT_TIMEZONE)
+ * @param {number} [options.now] - Reference epoch ms (default Date.now())
+ * @returns {{ at: number, timezone: string, matched: string, precise: boolean } | null}
+ *          `precise` is false when the day or hour had to be assumed
+ */
+function parseSpokenTime(text, { timezone, now = Date.now() } = {}) {
+  if (!text || !text.trim()) return null;
+  const tz = resolveTimezone(timezone);
+  const today = getZonedParts(now, tz);
+
+  const clock = findClockTime(text);
+  const day = findDay(text, today);
+  if (!clock && !day) return null;
+
+  // Relative offsets ("in 2 hours") are absolute already
+  if (day?.relativeMs && !day.dayOnly) {
+    return { at: now + day.relativeMs, timezone: tz, matched: day.matched, precise: true };
+  }
+
+  let target;
+  if (day?.relativeMs) {
+    const shifted = getZonedParts(now + day.relativeMs, tz);
+    target = { year: shifted.year, month: shifted.month, day: shifted.day };
+  } else if (day) {
+    target = { year: day.year, month: day.month, day: day.day };
+  } else {
+    target = { year: today.year, month: today.month, day: today.day };
+  }
+
+  const hour = clock ? clock.hour : DEFAULT_HOUR;
+  const minute = clock ? clock.minute : 0;
+  let at = zonedTimeToEpoch({ ...target, hour, minute }, tz);
+
+  // A bare time that already passed today ("3pm" said at 4pm) means tomorrow
+  if (!day && at <= now) {
+    at = zonedTimeToEpoch({ ...shiftDays(today, 1), hour, minute }, tz);
+  }
+
+  return {
+    at,
+    timezone: tz,
+    matched: [day?.matched, clock?.matched].filter(Boolean).join(' '),
+    precise: Boolean(day && clock && !clock.vague),
+  };
+}
+
+/**
+ * Format an epoch in the prospect's timezone, e.g. "Thursday, March 14 at 3:00 PM EDT".
+ */
+function formatInTimezone(epochMs, timezone) {
+  return new Date(epochMs).toLocaleString('en-US', {
+    timeZone: resolveTimezone(timezone),
+    weekday: 'long', month: 'long', day: 'numeric',
+    hour: 'numeric', minute: '2-digit', timeZoneName: 'short',
+  }).replace(/, (\d{1,2}:\d{2})/, ' at $1');
+}
+
+module.exports = {
+  parseSpokenTime,
+  formatInTimezone,
+  getZonedParts,
+  zonedTimeToEpoch,
+  resolveTimezone,
+  DEFAULT_TIMEZONE,
+};
@@ -0,0 +1,291 @@
+/**
+ * TTS — Pluggable text-to-speech with caching and automatic failover
+ *
+ * Every provider returns mulaw 8kHz mono (Twilio's format). Selected with
+ * TTS_PROVIDER, with TTS_FALLBACK as the secondary voice:
+ *
+ * - elevenlabs (default): Michael's real voice. Streams replies as ulaw_8000.
+ * - local: Offline espeak-ng or Piper on the server — see lib/local-tts.js.
+ * - fixture: Deterministic tones / recorded lines for tests — see lib/fixture-tts.js.
+ *
+ * Failover: if the primary provider errors, the same line is synthesized by
+ * the fallback (default `local`; `none` to disable) instead of going silent.
+ * After a failure the primary is skipped for TTS_FAILOVER_COOLDOWN_MS so
+ * every sentence doesn't pay for a doomed request first.
+ *
+ * Provider contract:
+ *   voice                          → string, part of the cache key
+ *   synthesize(text, { voice })    → Promise<Buffer> mulaw; throws on failure
+ *   stream(text, { signal, voice }) → AsyncIterable<Buffer> (optional; falls back to synthesize)
+ * `voice` is an optional per-call voice (e.g. an ElevenLabs voice ID from an
+ * experiment variant). It only goes to the primary provider — a fallback
+ * speaks in its own voice — and providers without per-call voices ignore it.
+ *
+ * Enterprise features:
+ * - Response caching: Pre-generated audio for common phrases (50ms vs 500ms+),
+ *   keyed by provider + voice so a failover voice never leaks into Michael's
+ * - Cache hit/miss logging for monitoring
+ *
+ * Custom providers can be added with registerProvider(name, factory).
+ */
+
+const { chainNames, orderByHealth, startCooldown } = require('./provider-chain');
+
+const FAILOVER_COOLDOWN_MS = parseInt(process.env.TTS_FAILOVER_COOLDOWN_MS) || 30000;
+
+// ─── Enterprise: Response Cache ───
+// LRU-style cache for frequently spoken phrases
+// Key: provider:voice:normalized text, Value: { mulawBuffer, createdAt, hitCount }
+const CACHE_MAX_SIZE = 50;
+const CACHE_TTL_MS = 3600000; // 1 hour
+const CACHEABLE_LENGTH = 100; // short responses are likely to repeat
+
+// Phrases that are very likely to be spoken — pre-warm on first call
+const COMMON_PHRASES = [
+  'Could you give me 30 seconds?',
+  'I totally understand.',
+  'That makes sense.',
+  "I appreciate your time.",
+  'Let me be quick.',
+  'Absolutely, I hear you.',
+  "That's a great question.",
+  "Here's the thing.",
+];
+
+const providers = {
+  elevenlabs: (options) => require('./elevenlabs-tts').createElevenLabsTts(options),
+  local: (options) => require('./local-tts').createLocalTts(options),
+  fixture: (options) => require('./fixture-tts').createFixtureTts(options),
+};
+
+function registerProvider(name, factory) {
+  providers[name] = factory;
+}
+
+function normalizeForCache(text) {
+  return (text || '').trim().toLowerCase().replace(/[^\w\s]/g, '');
+}
+
+function createResponseCache() {
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0 };
+
+  return {
+    stats,
+    get size() {
+      return entries.size;
+    },
+
+    get(key, text) {
+      const entry = entries.get(key);
+      if (entry && (Date.now() - entry.createdAt) < CACHE_TTL_MS) {
+        entry.hitCount++;
+        stats.hits++;
+        console.log(`[TTS-Cache] HIT: "${text.substring(0, 40)}..." (hits: ${entry.hitCount})`);
+        return entry.mulawBuffer;
+      }
+      stats.misses++;
+      return null;
+    },
+
+    set(key, mulawBuffer) {
+      // Evict oldest if at capacity
+      if (entries.size >= CACHE_MAX_SIZE && !entries.has(key)) {
+        let oldestKey = null;
+        let oldestTime = Infinity;
+        for (const [k, v] of entries) {
+          if (v.createdAt < oldestTime) {
+            oldestTime = v.createdAt;
+            oldestKey = k;
+          }
+        }
+        if (oldestKey) entries.delete(oldestKey);
+      }
+      entries.set(key, { mulawBuffer, createdAt: Date.now(), hitCount: 0 });
+    },
+  };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Primary (default TTS_PROVIDER or elevenlabs)
+ * @param {string} [options.fallback] - Secondary (default TTS_FALLBACK or local; 'none' disables)
+ * @returns {{ providers: string[], synthesizeSpeech: Function, streamSpeech: Function, getCacheStats: Function }}
+ */
+function createTts({
+  provider = process.env.TTS_PROVIDER || 'elevenlabs',
+  fallback = process.env.TTS_FALLBACK || 'local',
+  ...options
+} = {}) {
+  const chain = [];
+  for (const name of chainNames(provider, fallback)) {
+    const factory = providers[name];
+    if (!factory) throw new Error(`Unknown TTS provider "${name}"`);
+    try {
+      chain.push({ name, backend: factory(options), failedAt: 0 });
+    } catch (err) {
+      // A broken fallback shouldn't take the primary voice down with it
+      if (name === provider) throw err;
+      console.error(`[TTS] Fallback provider "${name}" unavailable — ${err.message}`);
+    }
+  }
+
+  const cache = createResponseCache();
+  let failovers = 0;
+  const cacheKey = (p, text, voice) => `${p.name}:${voice || p.backend.voice || ''}:${normalizeForCache(text)}`;
+  const voiceFor = (p, voice) => (p === chain[0] ? voice || undefined : undefined);
+
+  // The chain is fixed at startup; a voice in cooldown is still tried before the line goes silent
+  const ordered = () => orderByHealth(chain, FAILOVER_COOLDOWN_MS);
+
+  function markFailed(p, err) {
+    startCooldown(p);
+    console.error(`[TTS] ${p.name} failed: ${err.message}`);
+  }
+
+  function markFailover(p, text) {
+    if (p === chain[0]) return;
+    failovers++;
+    console.warn(`[TTS] Failover: "${text.substring(0, 40)}" spoken by ${p.name}`);
+  }
+
+  // Whole-utterance synthesis by one provider; caches short lines. Throws on failure.
+  async function synthesizeWith(p, text, voice) {
+    const buffer = await p.backend.synthesize(text, { voice });
+    if (!buffer || !buffer.length) throw new Error('empty audio');
+    if (text.length < CACHEABLE_LENGTH) cache.set(cacheKey(p, text, voice), buffer);
+    markFailover(p, text);
+    return buffer;
+  }
+
+  /**
+   * Pre-warm the cache with common phrases (called once on first call)
+   */
+  let cacheWarmed = false;
+  async function warmCache() {
+    if (cacheWarmed) return;
+    cacheWarmed = true;
+    const primary = chain[0];
+    console.log(`[TTS-Cache] Warming cache with ${COMMON_PHRASES.length} common phrases (${primary.name})...`);
+
+    // Warm in background — don't block
+    for (const phrase of COMMON_PHRASES) {
+      try {
+        const buffer = await primary.backend.synthesize(phrase);
+        if (buffer) cache.set(cacheKey(primary, phrase), buffer);
+      } catch (e) {
+        console.error(`[TTS-Cache] Warm failed for: "${phrase}": ${e.message}`);
+      }
+    }
+    console.log(`[TTS-Cache] Cache warmed: ${cache.size} entries`);
+  }
+
+  /**
+   * Synthesize speech and return mulaw 8kHz audio buffer for Twilio.
+   * Checks cache first for ~50ms response on common phrases, then each
+   * provider in failover order.
+   *
+   * @param {string} text - Text to speak
+   * @param {Object} [options]
+   * @param {string} [options.voice] - Per-call voice for the primary provider
+   * @returns {Promise<Buffer|null>} Mulaw audio buffer, or null if every provider failed
+   */
+  async function synthesizeSpeech(text, { voice } = {}) {
+    if (!text || !text.trim()) {
+      console.log('[TTS] Skipped: empty text');
+      return null;
+    }
+
+    // Warm cache on first call (non-blocking background)
+    if (!cacheWarmed) warmCache();
+
+    for (const p of ordered()) {
+      const key = cacheKey(p, text, voiceFor(p, voice));
+      const cached = cache.get(key, text);
+      if (cached) return cached;
+
+      try {
+        return await synthesizeWith(p, text, voiceFor(p, voice));
+      } catch (err) {
+        markFailed(p, err);
+      }
+    }
+    console.error(`[TTS] All providers failed for "${text.substring(0, 60)}"`);
+    return null;
+  }
+
+  /**
+   * Stream speech as mulaw 8kHz chunks while the provider is still generating.
+   * Cached phrases are yielded in one piece. Aborting `signal` cancels the
+   * request mid-stream (barge-in). If a provider's stream fails before
+   * producing any audio, its whole-utterance path is tried, then the next
+   * provider takes the line.
+   *
+   * @param {string} text - Text to speak (typically one sentence)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {string} [options.voice] - Per-call voice for the primary provider
+   * @yields {Buffer} Mulaw audio chunks (arbitrary sizes)
+   */
+  async function* streamSpeech(text, { signal, voice } = {}) {
+    if (!text || !text.trim()) return;
+    if (!cacheWarmed) warmCache();
+
+    for (const p of ordered()) {
+      if (signal?.aborted) return;
+      const ownVoice = voiceFor(p, voice);
+      const key = cacheKey(p, text, ownVoice);
+      const cached = cache.get(key, text);
+      if (cached) {
+        yield cached;
+        return;
+      }
+
+      const chunks = [];
+      if (p.backend.stream) {
+        try {
+          for await (const chunk of p.backend.stream(text, { signal, voice: ownVoice })) {
+            if (signal?.aborted) return;
+            if (!chunks.length) markFailover(p, text);
+            chunks.push(chunk);
+            yield chunk;
+          }
+        } catch (err) {
+          if (signal?.aborted) return;
+          // Part of the line already played — switching voices mid-sentence would be worse than stopping
+          if (chunks.length) {
+            markFailed(p, err);
+            return;
+          }
+          console.error(`[TTS] ${p.name} stream failed: ${err.message} — trying whole-utterance synthesis`);
+        }
+
+        // Only cache complete, short utterances
+        const full = Buffer.concat(chunks);
+        if (full.length > 0) {
+          if (text.length < CACHEABLE_LENGTH) cache.set(key, full);
+          return;
+        }
+      }
+
+      try {
+        const buffer = await synthesizeWith(p, text, ownVoice);
+        if (!signal?.aborted) yield buffer;
+        return;
+      } catch (err) {
+        if (signal?.aborted) return;
+        markFailed(p, err);
+      }
+    }
+    if (!signal?.aborted) console.error(`[TTS] All providers failed for "${text.substring(0, 60)}"`);
+  }
+
+  function getCacheStats() {
+    return { ...cache.stats, size: cache.size, providers: chain.map(p => p.name), failovers };
+  }
+
+  console.log(`[TTS] Providers: ${chain.map(p => p.name).join(' → ')}`);
+  return { providers: chain.map(p => p.name), synthesizeSpeech, streamSpeech, getCacheStats };
+}
+
+module.exports = { createTts, registerProvider };
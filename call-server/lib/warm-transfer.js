@@ -0,0 +1,355 @@
+/**
+ * Warm Transfer — Hands a live prospect to a human rep mid-call
+ *
+ * Triggered by the transfer_to_human tool, an explicit request ("can I talk to
+ * a real person?"), the prospect's sentiment crossing TRANSFER_SENTIMENT_THRESHOLD,
+ * or the operator's Transfer button.
+ *
+ * Flow:
+ * 1. start() picks the next rep from the pool (round-robin) and dials them
+ *    while Michael keeps the prospect talking
+ * 2. The rep answers → their leg plays Michael's whisper (a spoken summary of
+ *    the call only the rep hears), then joins a conference named after the session
+ * 3. At the same moment the prospect's call is redirected out of the media
+ *    stream into that conference — they hear hold music until the rep joins
+ * 4. Rep busy / no answer → next rep in the pool; pool exhausted → Michael is
+ *    told and carries on. Rep drops during the whisper → the prospect is sent
+ *    back to Michael.
+ *
+ * Rep pools: TRANSFER_REP_NUMBERS (comma-separated) is the default pool;
+ * `transferNumbers` in a campaign's config (or the /call/initiate body)
+ * replaces it for those calls. Each pool has its own round-robin cursor.
+ *
+ * Transfer state lives on session.transfer and is persisted with the call record:
+ *   dialing → whispering → connected → completed
+ *                       ↘ failed (no rep answered / rep dropped / prospect hung up)
+ */
+
+const twilio = require('twilio');
+const { normalizePhone } = require('./phone');
+
+const REP_RING_TIMEOUT_SECONDS = 20;
+const WHISPER_WAIT_MS = 4000; // how long the rep's TwiML waits for the whisper audio
+const ACTIVE_STATES = ['dialing', 'whispering'];
+
+function parseRepNumbers(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(normalizePhone).filter(Boolean))];
+}
+
+/**
+ * Whisper template — summary (LLM or fallback) plus who/why.
+ */
+function buildWhisperText(session, { reason, summary }) {
+  const name = [session.firstName, session.lastName].filter(Boolean).join(' ') || 'the prospect';
+  const lastWords = [...session.transcript].reverse().find(t => t.speaker !== 'Michael')?.text;
+  const body = summary
+    || (lastWords ? `Their last words were: ${lastWords.substring(0, 200)}` : 'The call has just started.');
+
+  return [
+    `Warm transfer from Michael. You're about to speak with ${name}${session.company ? ` from ${session.company}` : ''}.`,
+    body,
+    reason ? `Reason for the transfer: ${reason}.` : '',
+    `They're currently ${session.sentimentLabel}. Connecting you now.`,
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Record-friendly view of a transfer (also sent in call_ended).
+ */
+function summarizeTransfer(transfer) {
+  if (!transfer) return null;
+  return {
+    ...transfer,
+    attempts: transfer.attempts.map(a => ({ ...a })),
+    talkSeconds: transfer.connectedAt && transfer.endedAt
+      ? Math.round((transfer.endedAt - transfer.connectedAt) / 1000)
+      : null,
+  };
+}
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.twilioClient
+ * @param {string} deps.fromNumber - Caller ID for the rep leg
+ * @param {Function} deps.getPublicUrl - () => base URL Twilio can reach
+ * @param {Function} deps.buildReturnTwiml - (sessionId) => TwiML that reconnects the prospect to Michael
+ * @param {Function} [deps.synthesize] - async (text) => mulaw Buffer|null, for the whisper in Michael's voice
+ * @param {Function} [deps.summarize] - async (session, reason) => short spoken summary of the call
+ * @param {Function} [deps.onUpdate] - (session, event) => void; event is the new transfer status
+ * @param {string|string[]} [deps.defaultNumbers] - Default rep pool (TRANSFER_REP_NUMBERS)
+ */
+function createWarmTransfer({
+  twilioClient,
+  fromNumber,
+  getPublicUrl,
+  buildReturnTwiml,
+  synthesize = async () => null,
+  summarize = async () => null,
+  onUpdate = () => {},
+  defaultNumbers = process.env.TRANSFER_REP_NUMBERS,
+}) {
+  const defaultPool = parseRepNumbers(defaultNumbers);
+  const cursors = new Map();   // pool key → next index
+  const live = new Map();      // sessionId → { session, whisperReady, whisperAudio }
+
+  function poolFor(session) {
+    const custom = parseRepNumbers(session.context?.transferNumbers);
+    if (custom.length) return { key: session.campaignId ? `campaign:${session.campaignId}` : `session:${session.sessionId}`, numbers: custom };
+    return { key: 'default', numbers: defaultPool };
+  }
+
+  function nextRep(session) {
+    const { key, numbers } = poolFor(session);
+    const tried = new Set(session.transfer.attempts.map(a => a.number));
+    const start = cursors.get(key) || 0;
+    for (let i = 0; i < numbers.length; i++) {
+      const index = (start + i) % numbers.length;
+      if (!tried.has(numbers[index])) {
+        cursors.set(key, (index + 1) % numbers.length);
+        return numbers[index];
+      }
+    }
+    return null;
+  }
+
+  function update(session, status, fields = {}) {
+    Object.assign(session.transfer, { status, ...fields });
+    console.log(`[${session.sessionId}] Transfer ${status}${fields.failureReason ? ` — ${fields.failureReason}` : ''}`);
+    onUpdate(session, status);
+  }
+
+  async function dialNextRep(session) {
+    const number = nextRep(session);
+    if (!number) {
+      update(session, 'failed', { failureReason: 'no rep answered', endedAt: Date.now() });
+      live.delete(session.sessionId);
+      return;
+    }
+
+    const base = getPublicUrl();
+    const attempt = { number, callSid: null, status: 'dialing', at: Date.now() };
+    session.transfer.attempts.push(attempt);
+    session.transfer.rep = number;
+
+    try {
+      const call = await twilioClient.calls.create({
+        to: number,
+        from: fromNumber,
+        url: `${base}/call/transfer/${session.sessionId}/rep`,
+        statusCallback: `${base}/call/transfer/${session.sessionId}/rep-status`,
+        statusCallbackEvent: ['answered', 'completed'],
+        statusCallbackMethod: 'POST',
+        timeout: REP_RING_TIMEOUT_SECONDS,
+      });
+      attempt.callSid = call.sid;
+      session.transfer.repCallSid = call.sid;
+      update(session, 'dialing');
+    } catch (err) {
+      attempt.status = 'failed';
+      console.error(`[${session.sessionId}] Could not dial rep ${number}: ${err.message}`);
+      return dialNextRep(session);
+    }
+  }
+
+  async function prepareWhisper(entry, reason) {
+    const { session } = entry;
+    let summary = null;
+    try {
+      summary = await summarize(session, reason);
+    } catch (err) {
+      console.error(`[${session.sessionId}] Whisper summary failed, using template: ${err.message}`);
+    }
+    session.transfer.whisper = buildWhisperText(session, { reason, summary });
+    try {
+      entry.whisperAudio = await synthesize(session.transfer.whisper);
+    } catch (err) {
+      console.error(`[${session.sessionId}] Whisper TTS failed, falling back to <Say>: ${err.message}`);
+    }
+  }
+
+  return {
+    /** True if a live transfer could be attempted for this session. */
+    hasReps(session) {
+      return poolFor(session).numbers.length > 0;
+    },
+
+    isActive(session) {
+      return Boolean(session.transfer && ACTIVE_STATES.includes(session.transfer.status));
+    },
+
+    /**
+     * Begin a warm transfer. Throws with `err.status` 409 (not possible right now)
+     * or 422 (no rep numbers configured).
+     *
+     * @param {CallSession} session
+     * @param {Object} options
+     * @param {string} [options.reason]
+     * @param {string} options.source - tool | request | sentiment | operator
+     */
+    async start(session, { reason = null, source }) {
+      if (this.isActive(session) || session.transfer?.status === 'connected') {
+        const err = new Error(`Transfer already ${session.transfer.status}`);
+        err.status = 409;
+        throw err;
+      }
+      if (!session.callSid || session.endedAt) {
+        const err = new Error('Call is not live');
+        err.status = 409;
+        throw err;
+      }
+      if (!this.hasReps(session)) {
+        const err = new Error('No transfer numbers configured (TRANSFER_REP_NUMBERS or transferNumbers)');
+        err.status = 422;
+        throw err;
+      }
+
+      session.transfer = {
+        status: 'dialing',
+        reason,
+        source,
+        room: `michael-${session.sessionId}`,
+        requestedAt: Date.now(),
+        rep: null,
+        repCallSid: null,
+        attempts: [],
+        answeredAt: null,
+        connectedAt: null,
+        endedAt: null,
+        failureReason: null,
+        whisper: null,
+      };
+      const entry = { session, whisperAudio: null, whisperReady: null };
+      live.set(session.sessionId, entry);
+      entry.whisperReady = prepareWhisper(entry, reason);
+
+      await dialNextRep(session);
+      return session.transfer;
+    },
+
+    /**
+     * TwiML for the rep's leg once they answer: whisper, then the conference.
+     * Also pulls the prospect out of Michael's media stream into the same room.
+     */
+    async handleRepAnswer(sessionId) {
+      const twiml = new twilio.twiml.VoiceResponse();
+      const entry = live.get(sessionId);
+      if (!entry || entry.session.transfer.status !== 'dialing') {
+        twiml.say('Sorry, this transfer is no longer available.');
+        twiml.hangup();
+        return twiml.toString();
+      }
+      const { session } = entry;
+
+      await Promise.race([entry.whisperReady, new Promise(resolve => setTimeout(resolve, WHISPER_WAIT_MS))]);
+      const whisper = session.transfer.whisper || buildWhisperText(session, { reason: session.transfer.reason });
+      if (entry.whisperAudio) twiml.play(`${getPublicUrl()}/call/transfer/${sessionId}/whisper`);
+      else twiml.say(whisper);
+
+      const dial = twiml.dial();
+      dial.conference({
+        startConferenceOnEnter: true,
+        endConferenceOnExit: true,
+        beep: false,
+        statusCallback: `${getPublicUrl()}/call/transfer/${sessionId}/conference`,
+        statusCallbackEvent: ['join'],
+      }, session.transfer.room);
+
+      // Move the prospect now so they're on hold music while the rep hears the whisper
+      const hold = new twilio.twiml.VoiceResponse();
+      hold.dial().conference({
+        startConferenceOnEnter: false,
+        endConferenceOnExit: true,
+        beep: false,
+      }, session.transfer.room);
+      try {
+        await twilioClient.calls(session.callSid).update({ twiml: hold.toString() });
+      } catch (err) {
+        update(session, 'failed', { failureReason: `could not bridge prospect: ${err.message}`, endedAt: Date.now() });
+        twilioClient.calls(session.transfer.repCallSid).update({ status: 'completed' }).catch(() => {});
+        live.delete(sessionId);
+        twiml.say('Sorry, the caller has already hung up.');
+        return twiml.toString();
+      }
+
+      const attempt = session.transfer.attempts[session.transfer.attempts.length - 1];
+      if (attempt) attempt.status = 'answered';
+      update(session, 'whispering', { answeredAt: Date.now() });
+      return twiml.toString();
+    },
+
+    /** Mulaw whisper audio for the rep leg's <Play>. */
+    getWhisperAudio(sessionId) {
+      return live.get(sessionId)?.whisperAudio || null;
+    },
+
+    /** Conference participant joined — the rep joining means the prospect is connected. */
+    handleConferenceEvent(sessionId, { StatusCallbackEvent, CallSid }) {
+      const entry = live.get(sessionId);
+      if (!entry || StatusCallbackEvent !== 'participant-join') return;
+      const { session } = entry;
+      if (CallSid === session.transfer.repCallSid && session.transfer.status === 'whispering') {
+        update(session, 'connected', { connectedAt: Date.now() });
+      }
+    },
+
+    /** Status callback for the rep leg. */
+    async handleRepStatus(sessionId, { CallSid, CallStatus }) {
+      const entry = live.get(sessionId);
+      if (!entry) return;
+      const { session } = entry;
+      const transfer = session.transfer;
+      if (CallSid !== transfer.repCallSid) return;
+
+      const attempt = transfer.attempts.find(a => a.callSid === CallSid);
+      if (['busy', 'no-answer', 'failed', 'canceled'].includes(CallStatus)) {
+        if (attempt) attempt.status = CallStatus;
+        if (transfer.status === 'dialing') await dialNextRep(session);
+        return;
+      }
+
+      if (CallStatus === 'completed') {
+        if (attempt && attempt.status !== 'answered') attempt.status = 'completed';
+        if (transfer.status === 'whispering') {
+          // Rep hung up before joining — the prospect is sitting on hold, send them back to Michael
+          update(session, 'failed', { failureReason: 'rep left before connecting', endedAt: Date.now() });
+          live.delete(sessionId);
+          try {
+            await twilioClient.calls(session.callSid).update({ twiml: buildReturnTwiml(sessionId).toString() });
+          } catch (err) {
+            console.error(`[${sessionId}] Could not return prospect to Michael: ${err.message}`);
+          }
+        } else if (transfer.status === 'dialing') {
+          await dialNextRep(session);
+        }
+      }
+    },
+
+    /** The prospect's call ended — settle the transfer and drop any ringing rep leg. */
+    handleCallEnded(session) {
+      const transfer = session.transfer;
+      live.delete(session.sessionId);
+      if (!transfer || transfer.endedAt) return;
+
+      if (transfer.status === 'connected') {
+        update(session, 'completed', { endedAt: Date.now() });
+        return;
+      }
+      if (ACTIVE_STATES.includes(transfer.status)) {
+        if (transfer.repCallSid) {
+          twilioClient.calls(transfer.repCallSid).update({ status: 'completed' }).catch(() => {});
+        }
+        update(session, 'failed', { failureReason: 'prospect hung up before the rep joined', endedAt: Date.now() });
+      }
+    },
+  };
+}
+
+// Appended to the system prompt while a rep is being dialed
+function getTransferPromptInjection(session) {
+  if (session.transfer?.status !== 'dialing') return '';
+  return `\n\nLIVE TRANSFER IN PROGRESS:
+You're getting a colleague on the line for the prospect right now. Let them know briefly, ask them to hang tight for a moment, and keep the conversation light while you wait. Don't start new topics.`;
+}
+
+module.exports = { createWarmTransfer, buildWhisperText, summarizeTransfer, getTransferPromptInjection, parseRepNumbers };
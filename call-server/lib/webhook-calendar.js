@@ -0,0 +1,69 @@
+/**
+ * Webhook Calendar — Delegates availability and booking to an HTTP endpoint
+ *
+ * Config:
+ *   CALENDAR_WEBHOOK_URL     Base URL, e.g. https://hooks.example.com/michael-calendar
+ *   CALENDAR_WEBHOOK_SECRET  Optional, sent as "Authorization: Bearer <secret>"
+ *
+ * Contract (JSON both ways, times as ISO 8601 strings):
+ *   POST {base}/availability  { from, to }
+ *        → { busy: [{ start, end }] }
+ *   POST {base}/events        { uid, start, end, summary, description, attendees: [{ email, name }], timezone }
+ *        → { id, url? }
+ *
+ * Anything that speaks this contract works: a Zapier/Make flow, an internal
+ * scheduling service, or a ten-line local stand-in for testing.
+ */
+
+const REQUEST_TIMEOUT_MS = 8000;
+
+function createWebhookCalendar({
+  url = process.env.CALENDAR_WEBHOOK_URL,
+  secret = process.env.CALENDAR_WEBHOOK_SECRET,
+} = {}) {
+  if (!url) throw new Error('CALENDAR_WEBHOOK_URL is required for the webhook calendar provider');
+  const baseUrl = url.replace(/\/+$/, '');
+
+  async function post(path, payload) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(secret ? { Authorization: `Bearer ${secret}` } : {}),
+      },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`Calendar webhook ${path} failed: ${response.status} ${await response.text()}`);
+    }
+    return response.json();
+  }
+
+  return {
+    async getBusy({ from, to }) {
+      const data = await post('/availability', {
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+      });
+      return (data.busy || [])
+        .map(b => ({ start: Date.parse(b.start), end: Date.parse(b.end) }))
+        .filter(b => !Number.isNaN(b.start) && !Number.isNaN(b.end));
+    },
+
+    async createEvent({ uid, start, end, summary, description, attendees, timezone }) {
+      const data = await post('/events', {
+        uid,
+        start: new Date(start).toISOString(),
+        end: new Date(end).toISOString(),
+        summary,
+        description,
+        attendees,
+        timezone,
+      });
+      return { id: data.id || uid, url: data.url || null };
+    },
+  };
+}
+
+module.exports = { createWebhookCalendar };
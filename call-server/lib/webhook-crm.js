@@ -0,0 +1,67 @@
+/**
+ * Webhook CRM — Delegates CRM writes to an HTTP endpoint
+ *
+ * Config:
+ *   CRM_WEBHOOK_URL     Base URL, e.g. https://hooks.example.com/michael-crm
+ *   CRM_WEBHOOK_SECRET  Optional, sent as "Authorization: Bearer <secret>"
+ *
+ * Contract (JSON both ways, times as ISO 8601 strings; every response is { id }):
+ *   POST {base}/contacts  { firstName, lastName, email, phone, company }   (upsert)
+ *   POST {base}/calls     { contactId, callId, direction, channel, phone, title, startedAt, endedAt,
+ *                           durationSeconds, disposition, summary, transcript, scoring }
+ *   POST {base}/meetings  { contactId, callId, start, end, timezone, title, description }
+ *   POST {base}/tasks     { contactId, callId, dueAt, subject, description }
+ *
+ * For CRMs without a built-in adapter: a Zapier/Make flow, an internal
+ * service, or scripts/mock-crm.js while testing.
+ */
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+const iso = (epochMs) => (epochMs ? new Date(epochMs).toISOString() : null);
+
+function createWebhookCrm({
+  url = process.env.CRM_WEBHOOK_URL,
+  secret = process.env.CRM_WEBHOOK_SECRET,
+} = {}) {
+  if (!url) throw new Error('CRM_WEBHOOK_URL is required for the webhook CRM provider');
+  const baseUrl = url.replace(/\/+$/, '');
+
+  async function post(path, payload) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(secret ? { Authorization: `Bearer ${secret}` } : {}),
+      },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`CRM webhook ${path} failed: ${response.status} ${await response.text()}`);
+    }
+    const data = await response.json();
+    if (!data?.id) throw new Error(`CRM webhook ${path} returned no id`);
+    return { id: String(data.id) };
+  }
+
+  return {
+    upsertContact(contact) {
+      return post('/contacts', contact);
+    },
+
+    logCall({ contactId, call }) {
+      return post('/calls', { contactId, ...call, startedAt: iso(call.startedAt), endedAt: iso(call.endedAt) });
+    },
+
+    createMeeting({ contactId, meeting }) {
+      return post('/meetings', { contactId, ...meeting, start: iso(meeting.start), end: iso(meeting.end) });
+    },
+
+    createTask({ contactId, task }) {
+      return post('/tasks', { contactId, ...task, dueAt: iso(task.dueAt) });
+    },
+  };
+}
+
+module.exports = { createWebhookCrm };
@@ -0,0 +1,437 @@
+/**
+ * Webhooks — Signed call lifecycle events pushed to subscriber endpoints
+ *
+ * Everything broadcastToUI sends the operator's browser (meeting booked,
+ * opt-out, gatekeeper, sentiment, call ended...) is also published here, so
+ * downstream tools can react without a browser tab open. Subscribers register
+ * an HTTPS URL and the event types they want; each matching event is POSTed
+ * to them as JSON.
+ *
+ * Payload:
+ *   { id, type, occurredAt, call: { sessionId, direction, channel, simulated, ... }, data: { ...event } }
+ *
+ * Headers:
+ *   X-Michael-Event       event type
+ *   X-Michael-Delivery    delivery id (stable across retries and replays — dedupe on it)
+ *   X-Michael-Attempt     1, 2, 3...
+ *   X-Michael-Signature   t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with the subscription secret>
+ *
+ * Delivery:
+ * - Any 2xx is success. Timeouts, network errors, 5xx, 408 and 429 are
+ *   retried with exponential backoff (WEBHOOK_RETRY_BASE_MS doubling, with
+ *   jitter) up to WEBHOOK_MAX_ATTEMPTS; other 4xx are not retried.
+ * - A delivery that runs out of attempts lands in the dead-letter log
+ *   (`webhook_deliveries` collection) and can be replayed once the endpoint
+ *   is fixed. Retries in flight are persisted too, so a redeploy resumes them.
+ * - Order is not guaranteed across retries; use occurredAt.
+ *
+ * UI plumbing (audio frames, interim transcripts, supervisor state) is never
+ * published — only the events in WEBHOOK_EVENTS.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const WEBHOOK_EVENTS = [
+  'call_status', 'call_ended',
+  'user_speech', 'michael_speech', 'barge_in', 'sentiment_update', 'language_detected',
+  'gatekeeper_detected', 'gatekeeper_navigated', 'voicemail_detected',
+  'callback_requested', 'callback_scheduled', 'opt_out_detected',
+  'meeting_booked', 'calendar_event',
+  'transfer_update', 'recording_update', 'supervisor_action', 'crm_sync',
+  'debrief_ready',
+];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 10000;
+const RETRY_MAX_MS = 3600000;
+const REQUEST_TIMEOUT_MS = 10000;
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+function invalid(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Check an X-Michael-Signature header against the raw request body — what a
+ * receiver does (copy it, or use it from Node directly).
+ *
+ * @returns {boolean}
+ */
+function verifySignature(secret, header, body, { toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(p => p.trim().split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!secret || !timestamp || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const given = Buffer.from(parts.v1);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// 1st retry after ~base, doubling each time, ±20% so a recovering endpoint isn't hit in lockstep
+function retryDelay(attempt) {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || ''));
+  } catch {
+    throw invalid('`url` must be a valid URL');
+  }
+  // Plain http only for local receivers while testing
+  if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && LOCAL_HOSTS.includes(parsed.hostname))) {
+    throw invalid('`url` must use https');
+  }
+  return parsed.toString();
+}
+
+function normalizeEvents(events) {
+  if (events == null) return ['*'];
+  if (!Array.isArray(events) || !events.length) throw invalid('`events` must be a non-empty array of event types (or ["*"])');
+  const unknown = events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) throw invalid(`Unknown event type(s): ${unknown.join(', ')}. Valid: ${WEBHOOK_EVENTS.join(', ')}`);
+  return events.includes('*') ? ['*'] : [...new Set(events)];
+}
+
+/**
+ * Who the event is about — enough for a receiver to route it without a lookup.
+ */
+function describeCall(session) {
+  return {
+    sessionId: session.sessionId,
+    callSid: session.callSid || null,
+    direction: session.direction || 'outbound',
+    channel: session.channel || 'phone',
+    simulated: Boolean(session.simulated),
+    campaignId: session.campaignId || null,
+    playbookId: session.playbook?.id || null,
+    experiment: session.experiment ? { id: session.experiment.id, variant: session.experiment.variant } : null,
+    prospect: {
+      firstName: session.firstName || null,
+      lastName: session.lastName || null,
+      company: session.company || null,
+      phone: session.phone || null,
+      email: session.email || null,
+    },
+  };
+}
+
+/**
+ * @param {Object} store - Store from createStore()
+ */
+function createWebhooks(store) {
+  const collection = store.collection('webhooks');
+  const deliveries = store.collection('webhook_deliveries');
+  const subscriptions = new Map(); // id → subscription
+  const stats = new Map();         // id → { delivered, failed, lastDeliveryAt, lastError } since restart
+  const timers = new Map();        // delivery id → retry timer
+
+  function publicView(subscription) {
+    const { secret, ...rest } = subscription;
+    return { ...rest, secretHint: `…${secret.slice(-4)}`, stats: stats.get(subscription.id) || null };
+  }
+
+  function deliveryView(delivery) {
+    const { event, persisted, ...rest } = delivery;
+    return { ...rest, eventId: event.id, eventType: event.type, sessionId: event.call?.sessionId || null, event };
+  }
+
+  function persist(subscription) {
+    subscription.updatedAt = Date.now();
+    return collection.put(subscription.id, { ...subscription });
+  }
+
+  function saveDelivery(delivery) {
+    delivery.updatedAt = Date.now();
+    return deliveries.put(delivery.id, { ...delivery })
+      .catch(err => console.error(`[Webhook] Failed to persist delivery ${delivery.id}: ${err.message}`));
+  }
+
+  function record(subscriptionId, outcome) {
+    const entry = stats.get(subscriptionId) || { delivered: 0, failed: 0, lastDeliveryAt: null, lastError: null };
+    if (outcome.ok) {
+      entry.delivered++;
+      entry.lastDeliveryAt = Date.now();
+    } else {
+      entry.failed++;
+      entry.lastError = outcome.error;
+    }
+    stats.set(subscriptionId, entry);
+  }
+
+  // One POST. Never throws.
+  async function send(subscription, event, { deliveryId, attempt }) {
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Michael-Webhooks/1.0',
+          'X-Michael-Event': event.type,
+          'X-Michael-Delivery': deliveryId,
+          'X-Michael-Attempt': String(attempt),
+          'X-Michael-Signature': `t=${timestamp},v1=${sign(subscription.secret, timestamp, body)}`,
+        },
+        body,
+        redirect: 'manual', // a redirect is a misconfigured endpoint, not somewhere to re-POST the payload
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      const ok = response.status >= 200 && response.status < 300;
+      return { ok, statusCode: response.status, error: ok ? null : `HTTP ${response.status}`, durationMs: Date.now() - startedAt };
+    } catch (err) {
+      return { ok: false, statusCode: null, error: err.name === 'TimeoutError' ? 'timed out' : err.message, durationMs: Date.now() - startedAt };
+    }
+  }
+
+  function scheduleRetry(delivery) {
+    clearTimeout(timers.get(delivery.id));
+    const timer = setTimeout(() => {
+      timers.delete(delivery.id);
+      attempt(delivery);
+    }, Math.max(0, delivery.nextAttemptAt - Date.now()));
+    timer.unref();
+    timers.set(delivery.id, timer);
+  }
+
+  async function attempt(delivery) {
+    const subscription = subscriptions.get(delivery.subscriptionId);
+    if (!subscription) {
+      // Subscription deleted while this was waiting — nobody to deliver to
+      if (delivery.persisted) await deliveries.delete(delivery.id).catch(() => {});
+      return;
+    }
+    if (!subscription.active) {
+      delivery.status = 'dead';
+      delivery.lastError = 'subscription paused';
+      delivery.deadAt = Date.now();
+      delivery.persisted = true;
+      await saveDelivery(delivery);
+      return;
+    }
+
+    delivery.attempts++;
+    delivery.url = subscription.url;
+    const outcome = await send(subscription, delivery.event, { deliveryId: delivery.id, attempt: delivery.attempts });
+    record(subscription.id, outcome);
+
+    if (outcome.ok) {
+      Object.assign(delivery, { status: 'delivered', deliveredAt: Date.now(), lastError: null, lastStatusCode: outcome.statusCode });
+      if (delivery.persisted) {
+        await deliveries.delete(delivery.id).catch(err => console.error(`[Webhook] Failed to clear delivery ${delivery.id}: ${err.message}`));
+        console.log(`[Webhook] ${delivery.event.type} → ${subscription.url} delivered on attempt ${delivery.attempts}`);
+      }
+      return;
+    }
+
+    delivery.lastError = outcome.error;
+    delivery.lastStatusCode = outcome.statusCode;
+    delivery.persisted = true;
+    const retryable = !outcome.statusCode || outcome.statusCode >= 500 || [408, 429].includes(outcome.statusCode);
+    if (retryable && delivery.attempts < MAX_ATTEMPTS) {
+      delivery.status = 'retrying';
+      delivery.nextAttemptAt = Date.now() + retryDelay(delivery.attempts);
+      await saveDelivery(delivery);
+      scheduleRetry(delivery);
+      console.warn(`[Webhook] ${delivery.event.type} → ${subscription.url} failed (${outcome.error}), retry ${delivery.attempts + 1}/${MAX_ATTEMPTS} in ${Math.round((delivery.nextAttemptAt - Date.now()) / 1000)}s`);
+    } else {
+      delivery.status = 'dead';
+      delivery.nextAttemptAt = null;
+      delivery.deadAt = Date.now();
+      await saveDelivery(delivery);
+      console.error(`[Webhook] ${delivery.event.type} → ${subscription.url} dead-lettered after ${delivery.attempts} attempt(s): ${outcome.error}`);
+    }
+  }
+
+  function matches(subscription, event) {
+    if (!subscription.active) return false;
+    if (event.call?.simulated && !subscription.includeSimulated) return false;
+    return subscription.events.includes('*') || subscription.events.includes(event.type);
+  }
+
+  function applyChanges(subscription, { url, events, description, includeSimulated, active }) {
+    if (url !== undefined) subscription.url = normalizeUrl(url);
+    if (events !== undefined) subscription.events = normalizeEvents(events);
+    if (description !== undefined) subscription.description = String(description || '').trim().slice(0, 500);
+    if (includeSimulated !== undefined) subscription.includeSimulated = Boolean(includeSimulated);
+    if (active !== undefined) subscription.active = Boolean(active);
+  }
+
+  /**
+   * Dead-lettered deliveries (and retries in flight with status=retrying), newest first.
+   */
+  async function deadLetters({ subscriptionId, status = 'dead', limit = 50 } = {}) {
+    let entries = await deliveries.list();
+    if (status !== 'all') entries = entries.filter(d => d.status === status);
+    if (subscriptionId) entries = entries.filter(d => d.subscriptionId === subscriptionId);
+    entries.sort((a, b) => b.createdAt - a.createdAt);
+    return { total: entries.length, deliveries: entries.slice(0, limit).map(deliveryView) };
+  }
+
+  /**
+   * Re-send a dead letter now with a fresh set of attempts.
+   * @returns {Promise<Object|null>} The delivery after the first new attempt, or null if not found
+   */
+  async function replay(deliveryId) {
+    const delivery = await deliveries.get(deliveryId);
+    if (!delivery) return null;
+    if (delivery.status !== 'dead') throw Object.assign(new Error(`Delivery is ${delivery.status}, not dead-lettered`), { status: 409 });
+    if (!subscriptions.has(delivery.subscriptionId)) throw Object.assign(new Error('Subscription no longer exists'), { status: 409 });
+
+    Object.assign(delivery, { status: 'delivering', attempts: 0, replays: (delivery.replays || 0) + 1, replayedAt: Date.now(), deadAt: null });
+    await attempt(delivery);
+    return deliveryView(delivery);
+  }
+
+  return {
+    /**
+     * Load subscriptions and resume retries that were waiting when the server stopped.
+     */
+    async restore() {
+      for (const subscription of await collection.list()) subscriptions.set(subscription.id, subscription);
+      let resumed = 0;
+      for (const delivery of await deliveries.list()) {
+        if (delivery.status !== 'retrying') continue;
+        scheduleRetry(delivery);
+        resumed++;
+      }
+      if (subscriptions.size) console.log(`[Webhook] Restored ${subscriptions.size} subscription(s), ${resumed} retr${resumed === 1 ? 'y' : 'ies'} pending`);
+    },
+
+    /**
+     * @param {Object} input
+     * @param {string} input.url - https endpoint (http only for localhost)
+     * @param {string[]} [input.events=['*']] - Event types to receive
+     * @param {string} [input.description]
+     * @param {boolean} [input.includeSimulated=false] - Also send events from simulator and chat runs
+     * @param {string} [input.secret] - Signing secret (generated if omitted)
+     * @returns {Promise<Object>} The subscription, including its secret (the only time it is returned)
+     */
+    async create({ url, events, description = '', includeSimulated = false, secret } = {}) {
+      if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+        throw invalid('`secret` must be a string of at least 16 characters');
+      }
+      const subscription = {
+        id: uuidv4(),
+        url: null,
+        events: null,
+        description: '',
+        includeSimulated: false,
+        active: true,
+        secret: secret || `whsec_${crypto.randomBytes(24).toString('hex')}`,
+        createdAt: Date.now(),
+      };
+      // Required fields always go through validation, even when missing
+      applyChanges(subscription, { url: url ?? '', events: events ?? null, description, includeSimulated });
+      await persist(subscription);
+      subscriptions.set(subscription.id, subscription);
+      console.log(`[Webhook] Subscription ${subscription.id} → ${subscription.url} (${subscription.events.join(', ')})`);
+      return { ...publicView(subscription), secret: subscription.secret };
+    },
+
+    list() {
+      return [...subscriptions.values()].sort((a, b) => a.createdAt - b.createdAt).map(publicView);
+    },
+
+    get(id) {
+      const subscription = subscriptions.get(id);
+      return subscription ? publicView(subscription) : null;
+    },
+
+    /**
+     * Change url, events, description, includeSimulated or active (pause / resume).
+     */
+    async update(id, changes = {}) {
+      const subscription = subscriptions.get(id);
+      if (!subscription) return null;
+      const updated = { ...subscription };
+      applyChanges(updated, changes);
+      await persist(updated);
+      subscriptions.set(id, updated);
+      return publicView(updated);
+    },
+
+    async remove(id) {
+      if (!subscriptions.has(id)) return false;
+      await collection.delete(id);
+      subscriptions.delete(id);
+      stats.delete(id);
+      return true;
+    },
+
+    /**
+     * Publish a UI event to every matching subscription. Fire-and-forget —
+     * never blocks or throws into the call.
+     *
+     * @param {Object} uiEvent - What broadcastToUI sends ({ type, ...data })
+     * @param {Object} session - CallSession (or anything with a sessionId)
+     */
+    publish(uiEvent, session) {
+      if (!subscriptions.size || !WEBHOOK_EVENTS.includes(uiEvent?.type)) return;
+      const { type, ...data } = uiEvent;
+      const event = { id: uuidv4(), type, occurredAt: new Date().toISOString(), call: describeCall(session), data };
+
+      for (const subscription of subscriptions.values()) {
+        if (!matches(subscription, event)) continue;
+        const delivery = {
+          id: uuidv4(),
+          subscriptionId: subscription.id,
+          url: subscription.url,
+          event,
+          status: 'delivering',
+          attempts: 0,
+          replays: 0,
+          lastError: null,
+          lastStatusCode: null,
+          nextAttemptAt: null,
+          createdAt: Date.now(),
+          persisted: false, // only written to the store once it needs a retry
+        };
+        attempt(delivery).catch(err => console.error(`[Webhook] Delivery ${delivery.id} crashed: ${err.message}`));
+      }
+    },
+
+    deadLetters,
+    replay,
+
+    /**
+     * Send a `ping` right now, once, and report what the endpoint answered.
+     */
+    async test(id) {
+      const subscription = subscriptions.get(id);
+      if (!subscription) return null;
+      const event = { id: uuidv4(), type: 'ping', occurredAt: new Date().toISOString(), call: null, data: { message: 'Webhook test from Michael' } };
+      const outcome = await send(subscription, event, { deliveryId: uuidv4(), attempt: 1 });
+      record(id, outcome);
+      return outcome;
+    },
+
+    /**
+     * Replay every dead letter for a subscription, oldest first.
+     */
+    async replayAll(subscriptionId) {
+      if (!subscriptions.has(subscriptionId)) return null;
+      const { deliveries: dead } = await deadLetters({ subscriptionId, limit: Infinity });
+      const results = [];
+      for (const delivery of dead.reverse()) results.push(await replay(delivery.id));
+      return {
+        replayed: results.length,
+        delivered: results.filter(r => r.status === 'delivered').length,
+        deliveries: results.map(({ id, status, lastError }) => ({ id, status, lastError })),
+      };
+    },
+  };
+}
+
+module.exports = { createWebhooks, verifySignature, describeCall, WEBHOOK_EVENTS };
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in CRM for testing the CRM sync without a HubSpot or Salesforce account.
+ *
+ *   npm run mock-crm                         # listens on :4010
+ *   npm run mock-crm -- --port 4020 --fail calls
+ *
+ * Speaks enough of each dialect for lib/crm.js's adapters:
+ *   hubspot     CRM_PROVIDER=hubspot HUBSPOT_ACCESS_TOKEN=test HUBSPOT_API_URL=http://localhost:4010
+ *   salesforce  CRM_PROVIDER=salesforce SALESFORCE_ACCESS_TOKEN=test SALESFORCE_INSTANCE_URL=http://localhost:4010
+ *   webhook     CRM_PROVIDER=webhook CRM_WEBHOOK_URL=http://localhost:4010/webhook
+ *
+ * --port  Port to listen on (default MOCK_CRM_PORT or 4010)
+ * --fail  Answer 500 to any request whose path contains this text, to exercise retries
+ *
+ * Everything is kept in memory and logged as it arrives. GET /_records returns
+ * it all as JSON (contacts, accounts, calls, meetings, tasks); DELETE /_records
+ * clears it.
+ */
+
+const express = require('express');
+
+function parseArgs(argv) {
+  const args = { port: parseInt(process.env.MOCK_CRM_PORT) || 4010, fail: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') args.port = parseInt(argv[++i]);
+    else if (argv[i] === '--fail') args.fail = argv[++i];
+  }
+  return args;
+}
+
+function createMockCrm({ fail = null } = {}) {
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  let records;
+  let nextId;
+  const reset = () => {
+    records = { contacts: [], accounts: [], calls: [], meetings: [], tasks: [] };
+    nextId = 1001;
+  };
+  reset();
+
+  function add(kind, dialect, fields) {
+    const record = { id: String(nextId++), dialect, ...fields, createdAt: new Date().toISOString() };
+    records[kind].push(record);
+    console.log(`[MockCRM] ${dialect} ${kind.slice(0, -1)} ${record.id} created`);
+    return record;
+  }
+
+  function patch(kind, id, fields) {
+    const record = records[kind].find(r => r.id === id);
+    if (!record) return null;
+    Object.assign(record, fields, { updatedAt: new Date().toISOString() });
+    console.log(`[MockCRM] ${record.dialect} ${kind.slice(0, -1)} ${id} updated`);
+    return record;
+  }
+
+  const find = (kind, field, value) => (value ? records[kind].find(r => r[field] === value) : null);
+
+  app.use((req, res, next) => {
+    if (req.path.startsWith('/_records')) return next();
+    if (fail && req.path.includes(fail)) {
+      console.log(`[MockCRM] ${req.method} ${req.path} → 500 (--fail ${fail})`);
+      return res.status(500).json({ message: `Mock failure for paths containing "${fail}"` });
+    }
+    const isWebhook = req.path.startsWith('/webhook');
+    if (!isWebhook && !/^Bearer \S+/.test(req.headers.authorization || '')) {
+      return res.status(401).json({ message: 'Missing bearer token' });
+    }
+    next();
+  });
+
+  // ─── HubSpot CRM v3 objects ───
+  const HUBSPOT_TYPES = ['contacts', 'calls', 'meetings', 'tasks'];
+
+  app.post('/crm/v3/objects/contacts/search', (req, res) => {
+    const filter = req.body.filterGroups?.[0]?.filters?.[0] || {};
+    const match = records.contacts.find(r => r.dialect === 'hubspot' && r.properties?.[filter.propertyName] === filter.value);
+    res.json({ total: match ? 1 : 0, results: match ? [{ id: match.id, properties: match.properties }] : [] });
+  });
+
+  app.post('/crm/v3/objects/:type', (req, res) => {
+    if (!HUBSPOT_TYPES.includes(req.params.type)) return res.status(404).json({ message: 'Unknown object type' });
+    const { id, properties } = add(req.params.type, 'hubspot', { properties: req.body.properties, associations: req.body.associations });
+    res.status(201).json({ id, properties });
+  });
+
+  app.patch('/crm/v3/objects/:type/:id', (req, res) => {
+    const record = HUBSPOT_TYPES.includes(req.params.type) && records[req.params.type].find(r => r.id === req.params.id);
+    if (!record) return res.status(404).json({ message: 'Object not found' });
+    patch(req.params.type, record.id, { properties: { ...record.properties, ...req.body.properties } });
+    res.json({ id: record.id, properties: record.properties });
+  });
+
+  // ─── Salesforce REST ───
+  const SOBJECT_KINDS = { Contact: 'contacts', Account: 'accounts', Event: 'meetings' };
+  const sobjectKind = (object, fields = {}) => (object === 'Task' ? (fields.TaskSubtype === 'Call' ? 'calls' : 'tasks') : SOBJECT_KINDS[object]);
+
+  app.get('/services/data/:version/query', (req, res) => {
+    const match = /FROM (\w+) WHERE (\w+) = '((?:[^'\\]|\\.)*)'/i.exec(req.query.q || '');
+    if (!match) return res.status(400).json([{ errorCode: 'MALFORMED_QUERY', message: 'Mock only supports single-field equality' }]);
+    const [, object, field, raw] = match;
+    const value = raw.replace(/\\(.)/g, '$1');
+    const found = records[sobjectKind(object)]?.find(r => r.dialect === 'salesforce' && r[field] === value);
+    res.json({ totalSize: found ? 1 : 0, done: true, records: found ? [{ attributes: { type: object }, Id: found.id }] : [] });
+  });
+
+  app.post('/services/data/:version/sobjects/:object', (req, res) => {
+    const kind = sobjectKind(req.params.object, req.body);
+    if (!kind) return res.status(404).json([{ errorCode: 'NOT_FOUND', message: `Unknown sObject ${req.params.object}` }]);
+    if (req.params.object === 'Contact' && !req.body.LastName) {
+      return res.status(400).json([{ errorCode: 'REQUIRED_FIELD_MISSING', message: 'Required fields are missing: [LastName]' }]);
+    }
+    const { id } = add(kind, 'salesforce', req.body);
+    res.status(201).json({ id, success: true, errors: [] });
+  });
+
+  app.patch('/services/data/:version/sobjects/:object/:id', (req, res) => {
+    const kind = sobjectKind(req.params.object, req.body);
+    if (!kind || !patch(kind, req.params.id, req.body)) return res.status(404).json([{ errorCode: 'NOT_FOUND', message: 'Record not found' }]);
+    res.sendStatus(204);
+  });
+
+  // ─── Generic webhook contract (lib/webhook-crm.js) ───
+  app.post('/webhook/contacts', (req, res) => {
+    const existing = records.contacts.find(r => r.dialect === 'webhook'
+      && ((req.body.email && r.email === req.body.email) || (req.body.phone && r.phone === req.body.phone)));
+    const record = existing ? patch('contacts', existing.id, req.body) : add('contacts', 'webhook', req.body);
+    res.json({ id: record.id });
+  });
+
+  for (const kind of ['calls', 'meetings', 'tasks']) {
+    app.post(`/webhook/${kind}`, (req, res) => {
+      if (!find('contacts', 'id', req.body.contactId)) return res.status(400).json({ error: 'Unknown contactId' });
+      res.json({ id: add(kind, 'webhook', req.body).id });
+    });
+  }
+
+  // ─── Inspection ───
+  app.get('/_records', (req, res) => res.json(records));
+  app.delete('/_records', (req, res) => {
+    reset();
+    res.sendStatus(204);
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  createMockCrm({ fail: args.fail }).listen(args.port, () => {
+    console.log(`[MockCRM] Listening on http://localhost:${args.port}${args.fail ? ` (failing paths containing "${args.fail}")` : ''}`);
+  });
+}
+
+module.exports = { createMockCrm };
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Run call-simulator scenarios against a running call server.
+ *
+ *   npm run simulate                              # every scenario in scenarios/
+ *   npm run simulate -- scenarios/busy.json       # one file (or directory)
+ *   npm run simulate -- --url https://michael.example.com --audio --json
+ *
+ * --url    Call server (default SIMULATOR_URL, or http://localhost:$PORT)
+ * --audio  Speak the prospect's lines as audio through the server's STT instead of injecting text
+ * --json   Print full results as JSON
+ *
+ * Uses CALL_SERVER_SECRET from the environment / .env. Exits 1 if any scenario fails.
+ * See lib/call-simulator.js for the scenario format.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { loadScenarios, runScenario } = require('../lib/call-simulator');
+
+function parseArgs(argv) {
+  const args = { targets: [], url: process.env.SIMULATOR_URL || `http://localhost:${process.env.PORT || 3000}`, input: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--url') args.url = argv[++i];
+    else if (argv[i] === '--audio') args.input = 'audio';
+    else if (argv[i] === '--json') args.json = true;
+    else args.targets.push(argv[i]);
+  }
+  if (!args.targets.length) args.targets.push(path.join(__dirname, '..', 'scenarios'));
+  args.url = args.url.replace(/\/$/, '');
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const scenarios = loadScenarios(args.targets);
+  const results = [];
+
+  for (const scenario of scenarios) {
+    if (!args.json) console.log(`\n▶ ${scenario.name}${scenario.persona ? ` (${scenario.persona})` : ''}`);
+    try {
+      const result = await runScenario(scenario, {
+        baseUrl: args.url,
+        input: args.input,
+        onLine: args.json ? undefined : (speaker, text) => console.log(`  ${speaker === 'michael' ? 'Michael ' : 'Prospect'}: ${text}`),
+      });
+      results.push(result);
+      if (!args.json) {
+        const score = result.scoring?.overallScore ?? '—';
+        console.log(`  ${result.passed ? '✓ passed' : '✗ FAILED'} — score ${score}, ended by ${result.endedBy}, ${(result.durationMs / 1000).toFixed(1)}s`);
+        for (const note of result.notes) console.log(`    note: ${note}`);
+        for (const failure of result.failures) console.log(`    ✗ ${failure}`);
+      }
+    } catch (err) {
+      results.push({ name: scenario.name, passed: false, failures: [err.message] });
+      if (!args.json) console.log(`  ✗ ERROR — ${err.message}`);
+    }
+  }
+
+  const failed = results.filter(r => !r.passed).length;
+  if (args.json) console.log(JSON.stringify(results, null, 2));
+  else console.log(`\n${results.length - failed}/${results.length} scenarios passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
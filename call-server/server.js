@@ -4,14 +4,14 @@
  * This server handles the real-time phone call pipeline:
  * 1. Initiates outbound calls via Twilio
  * 2. Receives audio via Twilio Media Streams (WebSocket)
- * 3. Transcribes speech in real-time via Deepgram
- * 4. Generates responses via OpenAI GPT-4o
- * 5. Converts responses to speech via ElevenLabs
- * 6. Streams audio back to Twilio (plays to phone)
+ * 3. Transcribes speech in real-time via Deepgram (or a local / scripted provider, see lib/stt.js)
+ * 4. Generates responses via OpenAI GPT-4o (streamed token by token; Claude / local / mock brains, see lib/llm.js)
+ * 5. Converts each sentence to speech via ElevenLabs as soon as it's complete (local voice on failover)
+ * 6. Streams audio back to Twilio (plays to phone) while later sentences are still generating
  * 7. Relays live transcript to browser via WebSocket
  *
  * Enterprise features:
- * - Barge-in detection: Stops TTS within 200ms when prospect interrupts
+ * - Barge-in detection: Stops TTS within 200ms when prospect interrupts (aborts LLM, TTS and playback)
  * - Voicemail detection: AMD via Twilio + graceful handling
  * - Real-time sentiment tracking: Adapts Michael's tone dynamically
  * - TCPA compliance: AI disclosure in opening line
@@ -19,8 +19,24 @@
  * - Response caching: ~50ms response for common TTS phrases
  * - Gatekeeper handling: Detects receptionist, navigates past
  * - Multi-language detection: Graceful handling of non-English speakers
- * - Callback scheduling: Captures preferred time when prospect is busy
- * - Opt-out keyword detection: Immediate compliance with DNC requests
+ * - Callback scheduling: Captures preferred time when prospect is busy, redials then (prospect's timezone)
+ * - Opt-out keyword detection: Immediate compliance with DNC requests, recorded in a DNC registry checked before every dial
+ * - Calendar booking: Proposes real open slots, creates the event + invite on confirmation
+ * - Tool calling: book_meeting / schedule_callback / mark_opt_out / transfer_to_human / end_call
+ * - Warm transfer: Bridges hot prospects to a live rep (round-robin pool) after a spoken whisper summary
+ * - Supervisor console: Whisper instructions, force a line, mute/takeover, end, listen-in (token-scoped WS)
+ * - Persistent call records: Transcript, scoring and outcomes survive restarts
+ * - Campaign dialer: Batch lists with concurrency limits, pacing and retries
+ * - Inbound callbacks: Prospects who call the Twilio number back reach Michael with prior context
+ * - Call simulator: Scripted personas drive the full pipeline over a fake media stream (POST /call/simulate)
+ * - Text chat: Typed turns through the same prompt and conversation rules, no telephony (POST /chat)
+ * - Browser calls: Talk to Michael from the page's microphone, no phone number needed (POST /call/browser)
+ * - Playbooks: Named, versioned pitches; calls start from one with playbookId and pin the version they used
+ * - A/B experiments: Random per-call variants (opening, tone, voice, sentiment guidance, model) with per-variant results
+ * - Analytics: Connect / voicemail / meeting rates, scores, objections and gatekeeper trends over time (GET /analytics)
+ * - CRM sync: Contact upsert + call activity, meeting and callback task in HubSpot, Salesforce or a webhook (CRM_PROVIDER)
+ * - Outbound webhooks: HMAC-signed call lifecycle events to subscribed endpoints, with retries, dead letters and replay
+ * - Post-call debrief: Claude scores and summarizes every finished call server-side, stored with the record (GET /call/:id/debrief)
  *
  * Deploy to Railway (needs persistent WebSocket connections).
  */
@@ -42,11 +58,32 @@ const { WebSocketServer, WebSocket } = require('ws');
 const twilio = require('twilio');
 const { v4: uuidv4 } = require('uuid');
 const { CallSession } = require('./lib/call-session');
-const { initDeepgram, processAudio } = require('./lib/deepgram-stt');
-const { generateResponse } = require('./lib/openai-brain');
-const { synthesizeSpeech, getCacheStats } = require('./lib/elevenlabs-tts');
-const { buildSystemPrompt } = require('./lib/prompt-builder');
-const { updateSentiment, getSentimentPromptInjection } = require('./lib/sentiment');
+const { createStt, analyzeTurnCompletion } = require('./lib/stt');
+const { createBrain, normalizeModelSettings } = require('./lib/llm');
+const { createTts } = require('./lib/tts');
+const { runSpeechPipeline } = require('./lib/speech-pipeline');
+const { buildSystemPrompt, buildPriorCallContext, buildAvailabilityContext } = require('./lib/prompt-builder');
+const { OPT_OUT_RESPONSE, detectTransferRequest, detectMeetingBooked, reviewProspectTurn, buildTurnPrompt } = require('./lib/conversation');
+const { createStore } = require('./lib/store');
+const { createCallRecords, summarizeRecord } = require('./lib/call-records');
+const { computeAnalytics } = require('./lib/analytics');
+const { createCampaignManager } = require('./lib/campaign-manager');
+const { createCallbackScheduler, summarizeJob } = require('./lib/callback-scheduler');
+const { createDncRegistry } = require('./lib/dnc-registry');
+const { createPlaybooks } = require('./lib/playbooks');
+const { createExperiments, applyVariant, summarizeResults } = require('./lib/experiments');
+const { createCalendar } = require('./lib/calendar');
+const { createCrm } = require('./lib/crm');
+const { createDebriefer } = require('./lib/debrief');
+const { createWebhooks } = require('./lib/webhooks');
+const { parseSpokenTime, formatInTimezone, resolveTimezone } = require('./lib/time-parser');
+const { buildCallTools, parseToolDatetime, createToolExecutor } = require('./lib/call-tools');
+const { createWarmTransfer, summarizeTransfer } = require('./lib/warm-transfer');
+const { createSupervisorToken, verifySupervisorToken, parseSupervisorCommand } = require('./lib/supervisor');
+const { createCallRecorder, createRecordingStore, recordingDecision } = require('./lib/call-recorder');
+const { createBrowserLine } = require('./lib/browser-media');
+const { parseCsv } = require('./lib/csv');
+const { normalizePhone } = require('./lib/phone');
 
 // ─── Config ───
 const PORT = process.env.PORT || 3000;
@@ -54,6 +91,15 @@ const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
 const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
 const TWILIO_PHONE_NUMBER = process.env.TWILIO_PHONE_NUMBER;
 const CALL_SERVER_SECRET = process.env.CALL_SERVER_SECRET;
+// Structured tool calls (book_meeting, end_call...) decide outcomes; LLM_TOOLS=off falls back to regex detection
+const TOOLS_ENABLED = (process.env.LLM_TOOLS || 'on').toLowerCase() !== 'off';
+// Default number for simulated calls — 555-01xx is reserved for fiction, never a real subscriber
+const SIMULATED_PHONE = '+12125550100';
+// A chat nobody has typed into for this long is ended (and saved) like a finished call
+const CHAT_IDLE_MS = (parseInt(process.env.CHAT_IDLE_MINUTES) || 30) * 60000;
+// Auto warm-transfer once the prospect's sentiment score (-10..10) reaches this; unset = off
+const transferThreshold = parseFloat(process.env.TRANSFER_SENTIMENT_THRESHOLD);
+const TRANSFER_SENTIMENT_THRESHOLD = Number.isFinite(transferThreshold) ? transferThreshold : null;
 // Always include the Netlify URL even if env var doesn't have it
 const ALWAYS_ALLOWED = ['https://michael-voice-agent.netlify.app', 'https://michael.mantyl.ai', 'https://tools.mantyl.ai'];
 const ALLOWED_ORIGINS = [...new Set([
@@ -83,14 +129,92 @@ app.use((req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', origin);
   }
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
   if (req.method === 'OPTIONS') return res.sendStatus(204);
   next();
 });
 
+// ─── Shared-secret auth for server-to-server / admin routes ───
+function requireSecret(req, res, next) {
+  if (req.headers.authorization !== `Bearer ${CALL_SERVER_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+// ─── Per-session routes: the shared secret, or the token issued with that session (?token=) ───
+function requireSessionAccess(req, res, next) {
+  const authorized = req.headers.authorization === `Bearer ${CALL_SERVER_SECRET}`
+    || verifySupervisorToken(req.query.token, req.params.sessionId);
+  if (!authorized) return res.status(401).json({ error: 'Unauthorized' });
+  next();
+}
+
 // ─── Active Call Sessions ───
 const sessions = new Map();
 
+// ─── Persistent call records (survive the 5-min cleanup and redeploys) ───
+const store = createStore();
+const callRecords = createCallRecords(store);
+
+// ─── Do-Not-Call registry (checked before every dial) ───
+const dnc = createDncRegistry(store);
+
+// ─── Playbooks (named, versioned pitches calls can start from) ───
+const playbooks = createPlaybooks(store);
+
+// ─── A/B experiments (variant assignment per call) ───
+const experiments = createExperiments(store);
+experiments.restore().catch(err => console.error(`[Experiment] Restore failed: ${err.message}`));
+
+// ─── Outbound webhooks (call lifecycle events → subscriber endpoints) ───
+const webhooks = createWebhooks(store);
+webhooks.restore().catch(err => console.error(`[Webhook] Restore failed: ${err.message}`));
+
+// Finished call recordings (WAV files, see lib/call-recorder.js)
+const recordings = createRecordingStore();
+dnc.load().catch(err => console.error(`[DNC] Load failed: ${err.message}`));
+
+// ─── Calendar (availability + invites for booked meetings; null when not configured) ───
+let calendar = null;
+// ─── Text-to-speech (TTS_PROVIDER, failing over to TTS_FALLBACK — see lib/tts.js) ───
+const { synthesizeSpeech, streamSpeech, getCacheStats } = createTts();
+const { generateResponse, streamResponse, getStats: getBrainStats } = createBrain();
+
+// ─── Speech-to-text provider (STT_PROVIDER: deepgram | local | fake) ───
+let stt = null;
+try {
+  stt = createStt();
+  console.log(`[STT] Provider: ${stt.provider}`);
+} catch (err) {
+  console.error(`[STT] Disabled — ${err.message}`);
+}
+
+try {
+  calendar = createCalendar();
+  if (calendar) console.log(`[Calendar] Provider: ${calendar.provider} (${calendar.meetingMinutes}-min meetings, ${calendar.timezone})`);
+} catch (err) {
+  console.error(`[Calendar] Disabled — ${err.message}`);
+}
+
+// ─── CRM (contact + call activity sync when a call ends; null when not configured) ───
+let crm = null;
+try {
+  crm = createCrm();
+  if (crm) console.log(`[CRM] Provider: ${crm.provider}`);
+} catch (err) {
+  console.error(`[CRM] Disabled — ${err.message}`);
+}
+
+// ─── Debrief (post-call analysis written when a call ends; null when not configured) ───
+let debriefer = null;
+try {
+  debriefer = createDebriefer();
+  if (debriefer) console.log(`[Debrief] Provider: ${debriefer.provider} (${debriefer.model})`);
+} catch (err) {
+  console.error(`[Debrief] Disabled — ${err.message}`);
+}
+
 // ─── Health Check ───
 app.get('/', (req, res) => {
   res.json({
@@ -98,7 +222,9 @@ app.get('/', (req, res) => {
     agent: 'michael',
     activeCalls: sessions.size,
     uptime: process.uptime(),
+    stt: stt?.provider || null,
     ttsCache: getCacheStats(),
+    llm: getBrainStats(),
   });
 });
 app.get('/health', (req, res) => {
@@ -151,51 +277,41 @@ app.get('/voice/preview', async (req, res) => {
   }
 });
 
-// ─── POST /call/initiate — Start a call ───
-app.post('/call/initiate', async (req, res) => {
-  // Verify shared secret
-  const auth = req.headers.authorization;
-  if (auth !== `Bearer ${CALL_SERVER_SECRET}`) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-
-  const {
-    firstName, lastName, email, phone, company,
-    selling, tone, industry, targetRole,
-    valueProps, commonObjections, additionalContext
-  } = req.body;
-
-  if (!phone || !firstName || !selling || !company) {
-    return res.status(400).json({ error: 'Missing required fields: phone, firstName, selling, company' });
-  }
+// ─── Public URLs Twilio uses to reach this server ───
+function getPublicUrl() {
+  return process.env.RAILWAY_PUBLIC_DOMAIN
+    ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`
+    : process.env.SERVER_URL || `http://localhost:${PORT}`;
+}
 
-  const sessionId = uuidv4();
-  const systemPrompt = buildSystemPrompt({
-    firstName, lastName, company, selling, tone,
-    industry, targetRole, valueProps, commonObjections, additionalContext
-  });
+function getPublicWsUrl() {
+  return process.env.RAILWAY_PUBLIC_DOMAIN
+    ? `wss://${process.env.RAILWAY_PUBLIC_DOMAIN}`
+    : process.env.WS_URL || `ws://localhost:${PORT}`;
+}
 
-  // Create session
-  const session = new CallSession({
-    sessionId,
-    phone,
-    firstName,
-    lastName,
-    email,
-    company,
-    systemPrompt,
-    context: req.body,
-  });
-  sessions.set(sessionId, session);
+/**
+ * Create a CallSession for a prospect and dial them through Twilio.
+ * Shared by the single-call route, the campaign dialer and the callback scheduler.
+ *
+ * @param {Object} profile - Prospect + pitch fields (the /call/initiate body)
+ * @param {Object} [options]
+ * @param {string} [options.campaignId]
+ * @param {string} [options.prospectId]
+ * @param {string} [options.previousSessionId] - Earlier call this one follows up on;
+ *                                               its transcript is added to the prompt
+ * @returns {Promise<CallSession>} Session with callSid set. Throws if Twilio rejects the call,
+ *          or with `err.blocked = true` if the number is on the DNC list.
+ */
+async function placeCall(profile, { campaignId = null, prospectId = null, previousSessionId = null } = {}) {
+  const session = await createOutboundSession(profile, { campaignId, prospectId, previousSessionId });
+  const { sessionId, phone } = session;
 
   try {
-    // Determine the public URL for webhooks
-    const serverUrl = process.env.RAILWAY_PUBLIC_DOMAIN
-      ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`
-      : process.env.SERVER_URL || `http://localhost:${PORT}`;
+    const serverUrl = getPublicUrl();
 
     console.log(`[${sessionId}] Server URL for webhooks: ${serverUrl}`);
-    console.log(`[${sessionId}] Calling ${phone} from ${TWILIO_PHONE_NUMBER}`);
+    console.log(`[${sessionId}] Calling ${phone} from ${TWILIO_PHONE_NUMBER}${campaignId ? ` (campaign ${campaignId})` : ''}`);
     console.log(`[${sessionId}] Webhook URL: ${serverUrl}/call/webhook/${sessionId}`);
 
     // Initiate outbound call via Twilio
@@ -216,22 +332,464 @@ app.post('/call/initiate', async (req, res) => {
 
     session.callSid = call.sid;
     session.status = 'initiating';
+    callRecords.save(session);
 
     console.log(`[${sessionId}] Call initiated: ${call.sid} → ${phone} (status: ${call.status})`);
+    return session;
+  } catch (err) {
+    console.error(`[${sessionId}] Failed to initiate call:`, err.message);
+    console.error(`[${sessionId}] Full error:`, JSON.stringify(err, null, 2));
+    sessions.delete(sessionId);
+    throw err;
+  }
+}
+
+/**
+ * Build and register the CallSession for an outbound call, without dialing.
+ * placeCall dials it through Twilio; POST /call/simulate hands it to the call simulator;
+ * POST /chat talks to it in text; POST /call/browser waits for the browser's microphone.
+ *
+ * @returns {Promise<CallSession>} Throws with `err.blocked = true` if the number is on the DNC list,
+ *          or with `err.status` if the number isn't a valid phone number or its playbook can't be
+ *          used (see playbooks.resolve).
+ */
+async function createOutboundSession(rawProfile, { campaignId = null, prospectId = null, previousSessionId = null, simulated = false, channel = 'phone' } = {}) {
+  // Campaign dials arrive with the campaign's pinned playbookId; route bodies are already resolved
+  const resolved = await playbooks.resolve(rawProfile);
+
+  // Stored in E.164 — call lookups, callbacks and the DNC list all compare numbers in that form
+  const phone = resolved.phone ? normalizePhone(resolved.phone) : null;
+  if (resolved.phone && !phone) {
+    throw Object.assign(new Error(`Invalid phone number: ${resolved.phone}`), { status: 400 });
+  }
+
+  // Compliance: never dial a number that has opted out. Fails closed if the registry can't be read.
+  // Browser calls have no number — nothing is dialed.
+  const blocked = phone ? await dnc.check(phone) : null;
+  if (blocked) {
+    console.warn(`[DNC] Refusing to dial ${phone} — on the DNC list since ${new Date(blocked.addedAt).toISOString()} (${blocked.source})`);
+    const err = new Error(`${phone} is on the Do-Not-Call list`);
+    err.blocked = true;
+    throw err;
+  }
+
+  const prior = previousSessionId ? await callRecords.get(previousSessionId).catch(() => null) : null;
+
+  // A/B experiment: a follow-up keeps the variant of the call it follows
+  const experiment = experiments.assign({
+    playbookId: resolved.playbook?.id, campaignId, channel, simulated, previous: prior?.experiment,
+  });
+  const profile = { ...(experiment ? applyVariant(resolved, experiment.changes) : resolved), phone };
+  const {
+    firstName, lastName, email, company,
+    selling, tone, industry, targetRole,
+    valueProps, commonObjections, additionalContext,
+    persona, toneGuidance, objectionHandlers, compliance,
+  } = profile;
+
+  const sessionId = uuidv4();
+  let systemPrompt = buildSystemPrompt({
+    firstName, lastName, company, selling, tone,
+    industry, targetRole, valueProps, commonObjections, additionalContext,
+    persona, toneGuidance, objectionHandlers, compliance,
+  });
+  if (prior) systemPrompt += buildPriorCallContext(prior);
+
+  // Create session
+  const session = new CallSession({
+    sessionId,
+    phone,
+    firstName,
+    lastName,
+    email,
+    company,
+    systemPrompt,
+    context: profile,
+    campaignId,
+    prospectId,
+    previousSessionId,
+    simulated,
+    channel,
+    playbook: profile.playbook || null,
+    experiment,
+  });
+  if (experiment) console.log(`[${sessionId}] Experiment "${experiment.name}": variant ${experiment.variant}`);
+  applyRecordingDecision(session, profile.record);
+  sessions.set(sessionId, session);
+  attachAvailability(session); // resolves while the phone rings
+  return session;
+}
+
+// ─── Campaign dialer ───
+const campaigns = createCampaignManager({ store, dial: placeCall });
+campaigns.restore().catch(err => console.error(`[Campaign] Restore failed: ${err.message}`));
+
+// ─── Callback scheduler ───
+const callbacks = createCallbackScheduler({ store, dial: placeCall });
+callbacks.restore().catch(err => console.error(`[Callback] Restore failed: ${err.message}`));
+
+// ─── Warm transfer to a live rep ───
+const transfers = createWarmTransfer({
+  twilioClient,
+  fromNumber: TWILIO_PHONE_NUMBER,
+  getPublicUrl,
+  buildReturnTwiml: buildMediaStreamTwiml,
+  synthesize: synthesizeSpeech,
+  summarize: summarizeForRep,
+  onUpdate: handleTransferUpdate,
+});
 
+/**
+ * Expand a call body's playbookId into its prompt fields (fields sent in the body win)
+ * and validate its model settings. Throws with `err.status` for the route to return.
+ */
+async function resolveCallBody(body) {
+  const profile = await playbooks.resolve(body);
+  return { ...profile, llm: normalizeModelSettings(profile.llm) };
+}
+
+// ─── POST /call/initiate — Start a call ───
+// Body: prospect + pitch fields, or { playbookId, playbookVersion?, ...prospect fields and per-call overrides }
+app.post('/call/initiate', requireSecret, async (req, res) => {
+  try {
+    req.body = await resolveCallBody(req.body);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  const { firstName, phone, company, selling } = req.body;
+  if (!phone || !firstName || !selling || !company) {
+    return res.status(400).json({ error: 'Missing required fields: phone, firstName, selling, company' });
+  }
+
+  try {
+    const session = await placeCall(req.body);
     res.json({
-      sessionId,
-      callSid: call.sid,
+      sessionId: session.sessionId,
+      callSid: session.callSid,
       status: 'initiating',
+      supervisorToken: createSupervisorToken(session.sessionId),
     });
   } catch (err) {
-    console.error(`[${sessionId}] Failed to initiate call:`, err.message);
-    console.error(`[${sessionId}] Full error:`, JSON.stringify(err, null, 2));
-    sessions.delete(sessionId);
+    if (err.blocked) return res.status(403).json({ error: err.message, dnc: true });
+    if (err.status) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: `Failed to initiate call: ${err.message}` });
   }
 });
 
+// ─── POST /call/simulate — Start a call with no phone line, for the call simulator ───
+// Same body as /call/initiate. Nothing is dialed: the caller connects to mediaPath as if it
+// were Twilio's Media Stream (see lib/call-simulator.js) and listens on transcriptPath.
+app.post('/call/simulate', requireSecret, async (req, res) => {
+  try {
+    req.body = await resolveCallBody(req.body);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  const { firstName, company, selling } = req.body;
+  if (!firstName || !selling || !company) {
+    return res.status(400).json({ error: 'Missing required fields: firstName, selling, company' });
+  }
+
+  try {
+    const session = await createOutboundSession({ phone: SIMULATED_PHONE, ...req.body }, { simulated: true });
+    session.status = 'in-progress';
+    callRecords.save(session);
+    console.log(`[${session.sessionId}] Simulated call created for ${firstName} at ${company}`);
+    res.status(201).json({
+      sessionId: session.sessionId,
+      status: session.status,
+      mediaPath: `/call/media/${session.sessionId}`,
+      transcriptPath: `/call/transcript/${session.sessionId}`,
+    });
+  } catch (err) {
+    if (err.blocked) return res.status(403).json({ error: err.message, dnc: true });
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: `Failed to start simulated call: ${err.message}` });
+  }
+});
+
+// ─── POST /call/browser — Start a call over the browser's microphone instead of a phone ───
+// Same body as /call/initiate minus the phone. Nothing is dialed: the page connects to mediaPath
+// (see lib/browser-media.js) and Michael opens as soon as its audio starts flowing.
+app.post('/call/browser', requireSecret, async (req, res) => {
+  try {
+    req.body = await resolveCallBody(req.body);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  const { firstName, company, selling } = req.body;
+  if (!firstName || !selling || !company) {
+    return res.status(400).json({ error: 'Missing required fields: firstName, selling, company' });
+  }
+
+  try {
+    const session = await createOutboundSession({ ...req.body, phone: null }, { channel: 'browser' });
+    session.status = 'initiating';
+    callRecords.save(session);
+    console.log(`[${session.sessionId}] Browser call created for ${firstName} at ${company}`);
+    res.json({
+      sessionId: session.sessionId,
+      status: session.status,
+      mediaPath: `/call/browser/${session.sessionId}`,
+      supervisorToken: createSupervisorToken(session.sessionId),
+    });
+  } catch (err) {
+    res.status(500).json({ error: `Failed to start browser call: ${err.message}` });
+  }
+});
+
+// ─── POST /chat — Start a text chat with Michael (prompt iteration, no phone) ───
+// Same body as /call/initiate minus the phone. Michael's opening comes back in the response and on
+// transcriptPath; each typed turn goes to POST /chat/:sessionId/message. Chats are saved to call
+// history like simulated calls — no DNC, calendar or callback side effects.
+app.post('/chat', requireSecret, async (req, res) => {
+  try {
+    req.body = await resolveCallBody(req.body);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  const { firstName, company, selling } = req.body;
+  if (!firstName || !selling || !company) {
+    return res.status(400).json({ error: 'Missing required fields: firstName, selling, company' });
+  }
+
+  let session;
+  try {
+    session = await createOutboundSession({ ...req.body, phone: SIMULATED_PHONE, record: false }, { simulated: true, channel: 'chat' });
+    session.status = 'in-progress';
+    const opening = await generateResponse(session.systemPrompt, [{ role: 'user', content: outboundOpeningInstruction(session) }], {
+      settings: session.context?.llm,
+      recover: true,
+    });
+    session.addMessage('assistant', opening);
+    touchChat(session);
+    callRecords.save(session);
+    console.log(`[${session.sessionId}] Chat started with ${firstName} at ${company} — Michael opens: "${opening}"`);
+    res.status(201).json({
+      sessionId: session.sessionId,
+      status: session.status,
+      reply: opening,
+      transcriptPath: `/call/transcript/${session.sessionId}`,
+      supervisorToken: createSupervisorToken(session.sessionId), // authorizes this chat's turns, end and debrief
+    });
+  } catch (err) {
+    if (session) sessions.delete(session.sessionId);
+    if (err.blocked) return res.status(403).json({ error: err.message, dnc: true });
+    res.status(500).json({ error: `Failed to start chat: ${err.message}` });
+  }
+});
+
+// ─── POST /chat/:sessionId/message — One typed prospect turn; returns Michael's reply ───
+app.post('/chat/:sessionId/message', requireSessionAccess, async (req, res) => {
+  const session = sessions.get(req.params.sessionId);
+  if (!session || session.channel !== 'chat') return res.status(404).json({ error: 'Chat not found' });
+  const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+  if (!text) return res.status(400).json({ error: 'Missing text' });
+  if (session.endedAt) return res.status(409).json({ error: 'This chat has ended', ...chatState(session) });
+  if (session.chatBusy) return res.status(409).json({ error: 'Michael is still replying to the last message' });
+
+  session.chatBusy = true;
+  try {
+    const reply = await runChatTurn(session, text);
+    res.json({ reply, ...chatState(session) });
+  } catch (err) {
+    console.error(`[${session.sessionId}] Chat turn failed: ${err.message}`);
+    res.status(500).json({ error: `Michael could not reply: ${err.message}` });
+  } finally {
+    session.chatBusy = false;
+  }
+});
+
+// ─── POST /chat/:sessionId/end — Finish a chat; it's scored and saved like a call ───
+app.post('/chat/:sessionId/end', requireSessionAccess, (req, res) => {
+  const session = sessions.get(req.params.sessionId);
+  if (!session || session.channel !== 'chat') return res.status(404).json({ error: 'Chat not found' });
+  endChat(session, 'ended by user');
+  res.json({
+    ...chatState(session),
+    transcript: session.getFullTranscript(),
+    scoring: session.getCallScoring(),
+  });
+});
+
+// ─── POST /campaigns — Create and start a batch campaign ───
+// Body: { name, config: { company, selling, tone, ... } | { playbookId, ... }, prospects: [...] | csv: "firstName,phone,...", settings, start }
+app.post('/campaigns', requireSecret, async (req, res) => {
+  const { name, config = {}, prospects, csv, settings, start } = req.body;
+
+  // Resolve the playbook once to validate it and pin its current version for every dial;
+  // each dial re-resolves it with that prospect's overrides
+  let resolved;
+  try {
+    resolved = await resolveCallBody(config);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  if (!resolved.company || !resolved.selling) {
+    return res.status(400).json({ error: 'Missing required config fields: company, selling' });
+  }
+  config.llm = resolved.llm;
+  if (config.playbookId) config.playbookVersion = resolved.playbookVersion;
+
+  let rows;
+  if (Array.isArray(prospects)) rows = prospects;
+  else if (typeof csv === 'string') rows = parseCsv(csv);
+  else return res.status(400).json({ error: 'Provide prospects (array) or csv (string)' });
+
+  try {
+    const result = await campaigns.create({ name, config, rows, settings, start: start !== false });
+    if (result.campaign.progress.total === 0) {
+      return res.status(400).json({ error: 'No valid prospects in list', rejected: result.rejected });
+    }
+    res.status(201).json(result);
+  } catch (err) {
+    console.error(`[Campaign] Create failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to create campaign' });
+  }
+});
+
+// ─── GET /campaigns — List campaigns with progress ───
+app.get('/campaigns', requireSecret, (req, res) => {
+  res.json({ campaigns: campaigns.list() });
+});
+
+// ─── GET /campaigns/:id — Campaign detail with per-prospect status ───
+app.get('/campaigns/:id', requireSecret, (req, res) => {
+  const campaign = campaigns.get(req.params.id);
+  if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+  res.json(campaign);
+});
+
+// ─── POST /campaigns/:id/(pause|resume|cancel) ───
+for (const action of ['pause', 'resume', 'cancel']) {
+  app.post(`/campaigns/:id/${action}`, requireSecret, (req, res) => {
+    const campaign = campaigns[action](req.params.id);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+    res.json(campaign);
+  });
+}
+
+// ─── GET /playbooks — Playbook list with latest version (?archived=1 includes archived ones) ───
+app.get('/playbooks', requireSecret, async (req, res) => {
+  try {
+    res.json({ playbooks: await playbooks.list({ includeArchived: req.query.archived === '1' }) });
+  } catch (err) {
+    console.error(`[Playbook] List failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to list playbooks' });
+  }
+});
+
+// ─── POST /playbooks — Body: { name, description, persona, company, selling, tone, valueProps, objectionHandlers, compliance, ... } ───
+app.post('/playbooks', requireSecret, async (req, res) => {
+  try {
+    res.status(201).json(await playbooks.create(req.body));
+  } catch (err) {
+    if (!err.status) console.error(`[Playbook] Create failed: ${err.message}`);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to create playbook' });
+  }
+});
+
+// ─── GET /playbooks/:id — Latest version's content and the version history ───
+app.get('/playbooks/:id', requireSecret, async (req, res) => {
+  try {
+    const playbook = await playbooks.get(req.params.id);
+    if (!playbook) return res.status(404).json({ error: 'Playbook not found' });
+    res.json(playbook);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch playbook' });
+  }
+});
+
+// ─── GET /playbooks/:id/versions/:version — The exact content a call pinned ───
+app.get('/playbooks/:id/versions/:version', requireSecret, async (req, res) => {
+  try {
+    const version = await playbooks.getVersion(req.params.id, req.params.version);
+    if (!version) return res.status(404).json({ error: 'Playbook version not found' });
+    res.json(version);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch playbook version' });
+  }
+});
+
+// ─── PUT /playbooks/:id — Publish a new version. Body: changed fields + optional note ───
+app.put('/playbooks/:id', requireSecret, async (req, res) => {
+  try {
+    const playbook = await playbooks.update(req.params.id, req.body);
+    if (!playbook) return res.status(404).json({ error: 'Playbook not found' });
+    res.json(playbook);
+  } catch (err) {
+    if (!err.status) console.error(`[Playbook] Update ${req.params.id} failed: ${err.message}`);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to update playbook' });
+  }
+});
+
+// ─── DELETE /playbooks/:id — Archive: no new calls, versions stay readable ───
+app.delete('/playbooks/:id', requireSecret, async (req, res) => {
+  try {
+    const playbook = await playbooks.archive(req.params.id);
+    if (!playbook) return res.status(404).json({ error: 'Playbook not found' });
+    res.json(playbook);
+  } catch (err) {
+    console.error(`[Playbook] Archive ${req.params.id} failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to archive playbook' });
+  }
+});
+
+// ─── GET /experiments — A/B experiments, newest first ───
+app.get('/experiments', requireSecret, (req, res) => {
+  res.json({ experiments: experiments.list() });
+});
+
+// ─── POST /experiments — Body: { name, variants: [{ key, name, weight, changes }], scope, start } ───
+app.post('/experiments', requireSecret, async (req, res) => {
+  try {
+    res.status(201).json(await experiments.create(req.body));
+  } catch (err) {
+    if (!err.status) console.error(`[Experiment] Create failed: ${err.message}`);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to create experiment' });
+  }
+});
+
+// ─── GET /experiments/:id — Experiment with per-variant results and significance vs the control ───
+app.get('/experiments/:id', requireSecret, async (req, res) => {
+  const experiment = experiments.get(req.params.id);
+  if (!experiment) return res.status(404).json({ error: 'Experiment not found' });
+  try {
+    const { calls } = await callRecords.list({ experimentId: experiment.id, limit: Infinity });
+    res.json({ ...experiment, results: summarizeResults(experiment, calls) });
+  } catch (err) {
+    console.error(`[Experiment] Results for ${experiment.id} failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to compute experiment results' });
+  }
+});
+
+// ─── POST /experiments/:id/(pause|resume|complete) ───
+for (const action of ['pause', 'resume', 'complete']) {
+  app.post(`/experiments/:id/${action}`, requireSecret, (req, res) => {
+    const experiment = experiments[action](req.params.id);
+    if (!experiment) return res.status(404).json({ error: 'Experiment not found' });
+    res.json(experiment);
+  });
+}
+
+// ─── TwiML that connects a call to the bidirectional media stream for a session ───
+function buildMediaStreamTwiml(sessionId) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  const connect = twiml.connect();
+  connect.stream({
+    url: `${getPublicWsUrl()}/call/media/${sessionId}`,
+    name: 'michael-media',
+  });
+
+  // Keep the call alive while media stream is open
+  twiml.pause({ length: 3600 });
+  return twiml;
+}
+
 // ─── POST /call/webhook/:sessionId — Twilio calls this when user picks up ───
 app.post('/call/webhook/:sessionId', (req, res) => {
   const { sessionId } = req.params;
@@ -245,22 +803,10 @@ app.post('/call/webhook/:sessionId', (req, res) => {
     return res.type('text/xml').send(twiml.toString());
   }
 
-  const serverUrl = process.env.RAILWAY_PUBLIC_DOMAIN
-    ? `wss://${process.env.RAILWAY_PUBLIC_DOMAIN}`
-    : process.env.WS_URL || `ws://localhost:${PORT}`;
-
-  // Build TwiML to connect a bidirectional media stream
-  const twiml = new twilio.twiml.VoiceResponse();
-  const connect = twiml.connect();
-  connect.stream({
-    url: `${serverUrl}/call/media/${sessionId}`,
-    name: 'michael-media',
-  });
-
-  // Keep the call alive while media stream is open
-  twiml.pause({ length: 3600 });
+  const twiml = buildMediaStreamTwiml(sessionId);
 
   session.status = 'connected';
+  callRecords.save(session);
   broadcastToUI(sessionId, { type: 'status', value: 'connected' });
 
   console.log(`[${sessionId}] Call connected, media stream starting`);
@@ -275,6 +821,8 @@ app.post('/call/amd/:sessionId', async (req, res) => {
 
   if (session) {
     console.log(`[${sessionId}] AMD result: ${AnsweredBy} (detection took ${MachineDetectionDuration}ms)`);
+    session.answeredBy = AnsweredBy || null;
+    callRecords.save(session);
 
     if (AnsweredBy === 'machine_end_beep' || AnsweredBy === 'machine_end_silence' || AnsweredBy === 'machine_end_other') {
       // Voicemail detected — leave a personalized message or hang up
@@ -286,21 +834,21 @@ app.post('/call/amd/:sessionId', async (req, res) => {
       try {
         // Generate a personalized voicemail using OpenAI
         const vmPrompt = `The call went to voicemail. Leave a brief, compelling voicemail message (under 20 seconds / 3 sentences max) for ${session.firstName}. Mention you're calling from ${session.company}, briefly state the value prop, and ask them to call back or mention you'll try again. Sound natural and friendly, not scripted. Do NOT say you're an AI in the voicemail.`;
-        const vmResponse = await generateResponse(vmPrompt, []);
+        const vmResponse = await generateResponse(vmPrompt, [], { settings: session.context?.llm });
 
         if (vmResponse && session.mediaWs && session.streamSid && !session.voicemailHandled) {
           session.voicemailHandled = true;
-          session.addMessage('assistant', `[Voicemail] ${vmResponse}`);
+          const vmLine = session.addMessage('assistant', `[Voicemail] ${vmResponse}`);
           broadcastToUI(sessionId, { type: 'michael_speech', text: `[Voicemail] ${vmResponse}` });
 
-          const vmAudio = await synthesizeSpeech(vmResponse);
+          const vmAudio = await synthesizeSpeech(vmResponse, { voice: session.voice });
+          let playback = null;
           if (vmAudio && session.mediaWs && session.streamSid) {
-            await sendAudioToTwilio(session.mediaWs, session.streamSid, vmAudio, sessionId);
+            playback = await sendAudioToTwilio(session.mediaWs, session.streamSid, vmAudio, sessionId, vmLine);
           }
 
-          // Hang up after voicemail plays (estimate duration + 2s buffer)
-          const vmDuration = vmAudio ? Math.ceil((vmAudio.length / 8000) * 1000) + 2000 : 5000;
-          setTimeout(async () => {
+          // Hang up once the voicemail has played (its end mark comes back) + 2s buffer
+          const hangUp = async () => {
             try {
               if (session.callSid) {
                 console.log(`[${sessionId}] Voicemail sent. Hanging up.`);
@@ -309,7 +857,9 @@ app.post('/call/amd/:sessionId', async (req, res) => {
             } catch (e) {
               console.error(`[${sessionId}] Error hanging up after voicemail:`, e.message);
             }
-          }, vmDuration);
+          };
+          if (playback) playback.played.then(() => setTimeout(hangUp, 2000));
+          else setTimeout(hangUp, 5000);
         }
       } catch (vmErr) {
         console.error(`[${sessionId}] Voicemail generation error:`, vmErr.message);
@@ -333,52 +883,284 @@ app.post('/call/amd/:sessionId', async (req, res) => {
   res.sendStatus(200);
 });
 
+// ─── Apply a Twilio call status to a session (outbound and inbound calls) ───
+function handleCallStatus(session, CallStatus, CallDuration) {
+  const { sessionId } = session;
+  session.status = CallStatus;
+  if (CallDuration) session.duration = parseInt(CallDuration);
+
+  broadcastToUI(sessionId, {
+    type: 'call_status',
+    status: CallStatus,
+    duration: CallDuration,
+  });
+
+  console.log(`[${sessionId}] Status: ${CallStatus} (${CallDuration || 0}s)`);
+
+  const isTerminal = ['completed', 'busy', 'no-answer', 'canceled', 'failed'].includes(CallStatus);
+  if (isTerminal && !session.endedAt) session.endedAt = Date.now();
+  if (isTerminal) {
+    transfers.handleCallEnded(session);
+    finishRecording(session);
+  }
+  callRecords.save(session);
+
+  if (session.campaignId) campaigns.handleCallStatus(session, CallStatus);
+
+  let callbackScheduling = null;
+  if (isTerminal && session.callbackRequested && !session.callbackJobId && !session.optedOut && !session.meetingBooked && !session.simulated && session.phone) {
+    session.callbackJobId = 'pending'; // guard against a duplicate terminal callback racing the write
+    callbackScheduling = callbacks.scheduleFromSession(session)
+      .then(job => {
+        session.callbackJobId = job.id;
+        session.callbackScheduledFor = job.scheduledFor;
+        callRecords.save(session);
+        broadcastToUI(sessionId, { type: 'callback_scheduled', callbackId: job.id, scheduledFor: job.scheduledFor, timezone: job.timezone });
+      })
+      .catch(err => {
+        session.callbackJobId = null;
+        console.error(`[${sessionId}] Failed to schedule callback: ${err.message}`);
+      });
+  }
+
+  if (isTerminal) {
+    syncToCrm(session, callbackScheduling)
+      .catch(err => {
+        session.crm = { provider: crm.provider, status: 'failed', error: err.message };
+        callRecords.save(session);
+        console.error(`[${sessionId}] Failed to sync call to CRM: ${err.message}`);
+        broadcastToUI(sessionId, { type: 'crm_sync', provider: crm.provider, status: 'failed', error: err.message });
+      });
+    writeDebrief(session)
+      .catch(err => {
+        session.debrief = { provider: debriefer.provider, status: 'failed', error: err.message };
+        callRecords.save(session);
+        console.error(`[${sessionId}] Failed to write debrief: ${err.message}`);
+        broadcastToUI(sessionId, { type: 'debrief_ready', status: 'failed', debrief: null, error: err.message });
+      });
+  }
+
+  if (isTerminal) {
+    // Enterprise: Include scoring data in call_ended event
+    broadcastToUI(sessionId, {
+      type: 'call_ended',
+      reason: CallStatus,
+      transcript: session.getFullTranscript(),
+      duration: session.duration,
+      scoring: session.getCallScoring(),
+      isVoicemail: session.isVoicemail,
+      callbackRequested: session.callbackRequested,
+      callbackTime: session.callbackTime,
+      transfer: summarizeTransfer(session.transfer),
+    });
+
+    // Clean up after a delay
+    setTimeout(() => {
+      sessions.delete(sessionId);
+      console.log(`[${sessionId}] Session cleaned up`);
+    }, 300000); // Keep for 5 min so late status callbacks and the UI still find it
+  }
+}
+
+// ─── CRM: log the finished call — after any callback is scheduled, so its task is due at the redial ───
+async function syncToCrm(session, callbackScheduling) {
+  if (!crm || session.simulated || session.crm) return;
+  session.crm = { provider: crm.provider, status: 'pending' }; // guard against a duplicate terminal status
+  await callbackScheduling;
+  session.crm = await crm.syncCall(session.toRecord());
+  callRecords.save(session);
+  broadcastToUI(session.sessionId, { type: 'crm_sync', provider: session.crm.provider, status: session.crm.status, error: session.crm.error });
+}
+
+// ─── Debrief: analyse the finished call from its transcript and real-time scoring ───
+async function writeDebrief(session) {
+  if (!debriefer || session.debrief) return;
+  session.debrief = { provider: debriefer.provider, status: 'pending' }; // guard against a duplicate terminal status
+  session.debrief = await debriefer.generate(session.toRecord());
+  callRecords.save(session);
+  const { status, report, error } = session.debrief;
+  broadcastToUI(session.sessionId, { type: 'debrief_ready', status, debrief: report, error });
+}
+
 // ─── POST /call/status/:sessionId — Twilio status callbacks ───
 app.post('/call/status/:sessionId', (req, res) => {
-  const { sessionId } = req.params;
   const { CallStatus, CallDuration } = req.body;
-  const session = sessions.get(sessionId);
+  const session = sessions.get(req.params.sessionId);
+  if (session) handleCallStatus(session, CallStatus, CallDuration);
+  res.sendStatus(200);
+});
 
-  if (session) {
-    session.status = CallStatus;
-    if (CallDuration) session.duration = parseInt(CallDuration);
+// ─── POST /call/inbound — Twilio number's Voice webhook (prospect calls Michael back) ───
+app.post('/call/inbound', async (req, res) => {
+  const { From, CallSid } = req.body;
+  const phone = normalizePhone(From);
+  const twiml = new twilio.twiml.VoiceResponse();
 
-    broadcastToUI(sessionId, {
-      type: 'call_status',
-      status: CallStatus,
-      duration: CallDuration,
-    });
+  // Find the most recent call we placed to this number
+  let prior = null;
+  try {
+    if (phone) prior = (await callRecords.list({ phone, limit: 1 })).calls[0] || null;
+  } catch (err) {
+    console.error(`[Inbound] Call record lookup failed for ${From}: ${err.message}`);
+  }
 
-    console.log(`[${sessionId}] Status: ${CallStatus} (${CallDuration || 0}s)`);
+  if (!prior || !prior.context?.selling) {
+    console.log(`[Inbound] ${From} (${CallSid}) has no prior call on record — playing fallback message`);
+    twiml.say("Thanks for calling. We're not able to take your call right now, but we'll be in touch soon. Goodbye.");
+    twiml.hangup();
+    return res.type('text/xml').send(twiml.toString());
+  }
 
-    if (['completed', 'busy', 'no-answer', 'canceled', 'failed'].includes(CallStatus)) {
-      // Enterprise: Include scoring data in call_ended event
-      broadcastToUI(sessionId, {
-        type: 'call_ended',
-        reason: CallStatus,
-        transcript: session.getFullTranscript(),
-        duration: session.duration,
-        scoring: session.getCallScoring(),
-        isVoicemail: session.isVoicemail,
-        callbackRequested: session.callbackRequested,
-        callbackTime: session.callbackTime,
-      });
+  const sessionId = uuidv4();
+  const systemPrompt = buildSystemPrompt(prior.context) + buildPriorCallContext(prior);
+  const session = new CallSession({
+    sessionId,
+    phone,
+    firstName: prior.firstName,
+    lastName: prior.lastName,
+    email: prior.email,
+    company: prior.company,
+    systemPrompt,
+    context: prior.context,
+    campaignId: prior.campaignId,
+    prospectId: prior.prospectId,
+    direction: 'inbound',
+    previousSessionId: prior.sessionId,
+    playbook: prior.playbook || null,
+    experiment: prior.experiment ? experiments.assign({ previous: prior.experiment }) : null,
+  });
+  session.callSid = CallSid;
+  session.status = 'connected';
+  applyRecordingDecision(session, prior.context.record);
+  sessions.set(sessionId, session);
+  callRecords.save(session);
+  attachAvailability(session);
 
-      // Clean up after a delay
-      setTimeout(() => {
-        sessions.delete(sessionId);
-        console.log(`[${sessionId}] Session cleaned up`);
-      }, 300000); // Keep for 5 min for debrief
+  console.log(`[${sessionId}] INBOUND call from ${phone} (${CallSid}) — returning call ${prior.sessionId}`);
+  res.type('text/xml').send(buildMediaStreamTwiml(sessionId).toString());
+});
+
+// ─── POST /call/inbound/status — Status callback configured on the Twilio number ───
+app.post('/call/inbound/status', (req, res) => {
+  const { CallSid, CallStatus, CallDuration } = req.body;
+  const session = [...sessions.values()].find(s => s.callSid === CallSid && s.direction === 'inbound');
+  if (session) handleCallStatus(session, CallStatus, CallDuration);
+  res.sendStatus(200);
+});
+
+// ─── POST /call/:sessionId/transfer — Operator asks for a warm transfer to a rep ───
+app.post('/call/:sessionId/transfer', requireSessionAccess, async (req, res) => {
+  const session = sessions.get(req.params.sessionId);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+
+  try {
+    const transfer = await transfers.start(session, { reason: req.body?.reason || 'Operator requested transfer', source: 'operator' });
+    res.json({ transfer: summarizeTransfer(transfer) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── POST /call/:sessionId/supervisor-token — Mint a supervisor console token for a live call ───
+app.post('/call/:sessionId/supervisor-token', requireSecret, (req, res) => {
+  if (!sessions.has(req.params.sessionId)) return res.status(404).json({ error: 'Session not found' });
+  res.json({ token: createSupervisorToken(req.params.sessionId) });
+});
+
+// ─── GET /call/:sessionId/recording — Stereo WAV (left: prospect, right: Michael) ───
+// Auth: the shared secret, or the session's supervisor token as ?token= so an <audio> element can load it
+app.get('/call/:sessionId/recording', async (req, res) => {
+  const { sessionId } = req.params;
+  const authorized = req.headers.authorization === `Bearer ${CALL_SERVER_SECRET}`
+    || verifySupervisorToken(req.query.token, sessionId);
+  if (!authorized) return res.status(401).json({ error: 'Unauthorized' });
+
+  const file = await recordings.find(sessionId);
+  if (!file) {
+    const session = sessions.get(sessionId);
+    const pending = session && ['recording', 'processing'].includes(session.recording.status);
+    return res.status(pending ? 409 : 404).json({ error: pending ? 'Recording is not ready yet' : 'No recording for this call' });
+  }
+  // sendFile handles Range requests, so the browser player can seek
+  res.sendFile(file, { headers: { 'Content-Type': 'audio/wav', 'Cache-Control': 'private, no-store' } });
+});
+
+// ─── GET /call/:sessionId/debrief — Post-call debrief (202 while it's still being written) ───
+// Auth: the shared secret, or the session's supervisor token as ?token=
+app.get('/call/:sessionId/debrief', async (req, res) => {
+  const { sessionId } = req.params;
+  const authorized = req.headers.authorization === `Bearer ${CALL_SERVER_SECRET}`
+    || verifySupervisorToken(req.query.token, sessionId);
+  if (!authorized) return res.status(401).json({ error: 'Unauthorized' });
+
+  try {
+    const live = sessions.get(sessionId);
+    const record = live ? live.toRecord() : await callRecords.get(sessionId);
+    if (!record) return res.status(404).json({ error: 'Call not found' });
+    if (!record.endedAt) return res.status(409).json({ error: 'Call has not ended yet' });
+    if (!record.debrief) {
+      return res.status(404).json({ error: debriefer ? 'No debrief for this call' : 'Debriefs are not configured (set ANTHROPIC_API_KEY or DEBRIEF_PROVIDER)' });
     }
+    res.status(record.debrief.status === 'pending' ? 202 : 200).json({ sessionId, ...record.debrief });
+  } catch (err) {
+    console.error(`[Debrief] Fetch ${sessionId} failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to fetch debrief' });
+  }
+});
+
+// ─── POST /call/transfer/:sessionId/rep — Twilio: the rep picked up (whisper, then bridge) ───
+app.post('/call/transfer/:sessionId/rep', async (req, res) => {
+  const twiml = await transfers.handleRepAnswer(req.params.sessionId);
+  res.type('text/xml').send(twiml);
+});
+
+// ─── GET /call/transfer/:sessionId/whisper — Whisper audio in Michael's voice (rep leg <Play>) ───
+app.get('/call/transfer/:sessionId/whisper', (req, res) => {
+  const audio = transfers.getWhisperAudio(req.params.sessionId);
+  if (!audio) return res.sendStatus(404);
+  res.set({ 'Content-Type': 'audio/basic', 'Content-Length': audio.length });
+  res.send(audio);
+});
+
+// ─── POST /call/transfer/:sessionId/rep-status — Status callbacks for the rep leg ───
+app.post('/call/transfer/:sessionId/rep-status', async (req, res) => {
+  try {
+    await transfers.handleRepStatus(req.params.sessionId, req.body);
+  } catch (err) {
+    console.error(`[${req.params.sessionId}] Rep status handling failed: ${err.message}`);
   }
+  res.sendStatus(200);
+});
 
+// ─── POST /call/transfer/:sessionId/conference — Conference participant events ───
+app.post('/call/transfer/:sessionId/conference', (req, res) => {
+  transfers.handleConferenceEvent(req.params.sessionId, req.body);
   res.sendStatus(200);
 });
 
 // ─── GET /call/session/:sessionId — Get session info ───
-app.get('/call/session/:sessionId', (req, res) => {
-  const session = sessions.get(req.params.sessionId);
-  if (!session) return res.status(404).json({ error: 'Session not found' });
+app.get('/call/session/:sessionId', async (req, res) => {
+  const { sessionId } = req.params;
+  const authorized = req.headers.authorization === `Bearer ${CALL_SERVER_SECRET}`
+    || verifySupervisorToken(req.query.token, sessionId);
+  if (!authorized) return res.status(401).json({ error: 'Unauthorized' });
+
+  const session = sessions.get(sessionId);
+  if (!session) {
+    // Live session already cleaned up — fall back to the persisted record
+    const record = await callRecords.get(sessionId).catch(() => null);
+    if (!record) return res.status(404).json({ error: 'Session not found' });
+    return res.json({
+      sessionId: record.sessionId,
+      status: record.status,
+      transcript: record.transcript,
+      duration: record.duration,
+      messageCount: record.transcript.length,
+      scoring: record.scoring,
+      sentiment: { score: record.sentiment.score, label: record.sentiment.label },
+      recording: record.recording || null,
+    });
+  }
 
   res.json({
     sessionId: session.sessionId,
@@ -388,9 +1170,302 @@ app.get('/call/session/:sessionId', (req, res) => {
     messageCount: session.messages.length,
     scoring: session.getCallScoring(),
     sentiment: { score: session.sentimentScore, label: session.sentimentLabel },
+    recording: session.recording,
   });
 });
 
+// ─── GET /calls — List past calls (newest first; ?phone= &status= &since= &playbookId= &playbookVersion= &experimentId=) ───
+app.get('/calls', requireSecret, async (req, res) => {
+  try {
+    const { phone, status, since, playbookId, experimentId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+    const result = await callRecords.list({
+      phone,
+      status,
+      since: since ? Date.parse(since) || parseInt(since) : undefined,
+      playbookId,
+      playbookVersion: parseInt(req.query.playbookVersion) || undefined,
+      experimentId,
+      limit,
+      offset,
+    });
+    res.json({ total: result.total, limit, offset, calls: result.calls.map(summarizeRecord) });
+  } catch (err) {
+    console.error(`[Calls] List failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to list calls' });
+  }
+});
+
+// ─── GET /analytics — Dashboard trends (?from= &to= &playbookId= &industry= &targetRole= &interval=day|week &includeSimulated=1) ───
+// from / to take ISO dates or epoch ms; a bare date for `to` covers that whole day. Defaults to the last 30 days.
+app.get('/analytics', requireSecret, async (req, res) => {
+  const parseTime = (value) => (value ? Date.parse(value) || parseInt(value) || null : null);
+  const { playbookId, industry, targetRole, interval } = req.query;
+  let to = parseTime(req.query.to) || Date.now();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.to || '')) to += 24 * 60 * 60 * 1000 - 1;
+  const from = parseTime(req.query.from) || to - 30 * 24 * 60 * 60 * 1000;
+  if (from > to) return res.status(400).json({ error: '`from` must be before `to`' });
+
+  try {
+    const { calls } = await callRecords.list({ since: from, limit: Infinity });
+    res.json(computeAnalytics(calls, {
+      from, to, playbookId, industry, targetRole, interval,
+      includeSimulated: req.query.includeSimulated === '1',
+    }));
+  } catch (err) {
+    console.error(`[Analytics] Failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to compute analytics' });
+  }
+});
+
+// ─── GET /calls/:id — Full record for a past call ───
+app.get('/calls/:id', requireSecret, async (req, res) => {
+  try {
+    const record = await callRecords.get(req.params.id);
+    if (!record) return res.status(404).json({ error: 'Call not found' });
+    res.json(record);
+  } catch (err) {
+    console.error(`[Calls] Fetch ${req.params.id} failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to fetch call' });
+  }
+});
+
+// ─── POST /calls/:id/crm-sync — Retry a failed CRM sync (only the steps that didn't go through) ───
+app.post('/calls/:id/crm-sync', requireSecret, async (req, res) => {
+  if (!crm) return res.status(400).json({ error: 'No CRM configured (set CRM_PROVIDER)' });
+  try {
+    const live = sessions.get(req.params.id);
+    const record = live ? live.toRecord() : await callRecords.get(req.params.id);
+    if (!record) return res.status(404).json({ error: 'Call not found' });
+    if (!record.endedAt) return res.status(409).json({ error: 'Call has not ended yet' });
+    if (record.simulated) return res.status(400).json({ error: 'Simulated calls are not synced to the CRM' });
+    if (live && record.crm?.status === 'pending') return res.status(409).json({ error: 'A CRM sync is already running for this call' });
+
+    const result = await crm.syncCall(record, record.crm);
+    if (live) {
+      live.crm = result;
+      callRecords.save(live);
+    } else {
+      await callRecords.update(record.sessionId, { crm: result });
+    }
+    res.status(result.status === 'failed' ? 502 : 200).json(result);
+  } catch (err) {
+    console.error(`[CRM] Re-sync of ${req.params.id} failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to sync call to the CRM' });
+  }
+});
+
+// ─── GET /webhooks — Webhook subscriptions (secrets are never returned after creation) ───
+app.get('/webhooks', requireSecret, (req, res) => {
+  res.json({ webhooks: webhooks.list() });
+});
+
+// ─── POST /webhooks — Subscribe { url, events?: [...] | ['*'], description?, includeSimulated?, secret? } ───
+app.post('/webhooks', requireSecret, async (req, res) => {
+  try {
+    res.status(201).json(await webhooks.create(req.body));
+  } catch (err) {
+    if (!err.status) console.error(`[Webhook] Create failed: ${err.message}`);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to create webhook' });
+  }
+});
+
+// ─── GET /webhooks/dead-letters — Deliveries that ran out of retries (?subscriptionId= &status=dead|retrying|all &limit=) ───
+app.get('/webhooks/dead-letters', requireSecret, async (req, res) => {
+  const { subscriptionId, status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  try {
+    res.json(await webhooks.deadLetters({ subscriptionId, status, limit }));
+  } catch (err) {
+    console.error(`[Webhook] Dead-letter list failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to list dead letters' });
+  }
+});
+
+// ─── POST /webhooks/dead-letters/:id/replay — Re-send one dead letter now (retries again if it fails) ───
+app.post('/webhooks/dead-letters/:id/replay', requireSecret, async (req, res) => {
+  try {
+    const delivery = await webhooks.replay(req.params.id);
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+    res.json(delivery);
+  } catch (err) {
+    if (!err.status) console.error(`[Webhook] Replay ${req.params.id} failed: ${err.message}`);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to replay delivery' });
+  }
+});
+
+// ─── GET /webhooks/:id — One subscription with delivery stats since the last restart ───
+app.get('/webhooks/:id', requireSecret, (req, res) => {
+  const webhook = webhooks.get(req.params.id);
+  if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+  res.json(webhook);
+});
+
+// ─── PUT /webhooks/:id — Change url, events, description, includeSimulated, or active (pause/resume) ───
+app.put('/webhooks/:id', requireSecret, async (req, res) => {
+  try {
+    const webhook = await webhooks.update(req.params.id, req.body);
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+    res.json(webhook);
+  } catch (err) {
+    if (!err.status) console.error(`[Webhook] Update ${req.params.id} failed: ${err.message}`);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to update webhook' });
+  }
+});
+
+// ─── DELETE /webhooks/:id — Unsubscribe (pending retries are dropped) ───
+app.delete('/webhooks/:id', requireSecret, async (req, res) => {
+  try {
+    if (!(await webhooks.remove(req.params.id))) return res.status(404).json({ error: 'Webhook not found' });
+    res.json({ deleted: true });
+  } catch (err) {
+    console.error(`[Webhook] Delete ${req.params.id} failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// ─── POST /webhooks/:id/test — Send a signed `ping` and report the endpoint's answer ───
+app.post('/webhooks/:id/test', requireSecret, async (req, res) => {
+  const result = await webhooks.test(req.params.id);
+  if (!result) return res.status(404).json({ error: 'Webhook not found' });
+  res.json(result);
+});
+
+// ─── POST /webhooks/:id/replay — Replay every dead letter for this subscription, oldest first ───
+app.post('/webhooks/:id/replay', requireSecret, async (req, res) => {
+  try {
+    const result = await webhooks.replayAll(req.params.id);
+    if (!result) return res.status(404).json({ error: 'Webhook not found' });
+    res.json(result);
+  } catch (err) {
+    console.error(`[Webhook] Replay for ${req.params.id} failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to replay dead letters' });
+  }
+});
+
+// ─── GET /callbacks — Scheduled callbacks (soonest first) ───
+app.get('/callbacks', requireSecret, (req, res) => {
+  const { status = 'pending', phone } = req.query;
+  const jobs = callbacks.list({
+    status: status === 'all' ? undefined : status,
+    phone: phone ? normalizePhone(phone) || phone : undefined,
+  });
+  res.json({ callbacks: jobs.map(summarizeJob) });
+});
+
+// ─── GET /callbacks/:id ───
+app.get('/callbacks/:id', requireSecret, (req, res) => {
+  const job = callbacks.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Callback not found' });
+  res.json(summarizeJob(job));
+});
+
+// ─── POST /callbacks/:id/reschedule — Body: { at: ISO | epoch ms } or { phrase: "friday at 2pm" } ───
+app.post('/callbacks/:id/reschedule', requireSecret, async (req, res) => {
+  try {
+    const job = await callbacks.reschedule(req.params.id, req.body);
+    if (!job) return res.status(404).json({ error: 'Callback not found' });
+    res.json(summarizeJob(job));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── POST /callbacks/:id/cancel ───
+app.post('/callbacks/:id/cancel', requireSecret, async (req, res) => {
+  try {
+    const job = await callbacks.cancel(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Callback not found' });
+    res.json(summarizeJob(job));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── GET /dnc — Blocked numbers (?source=opt-out|admin|import) ───
+app.get('/dnc', requireSecret, async (req, res) => {
+  try {
+    res.json({ entries: await dnc.list({ source: req.query.source }) });
+  } catch (err) {
+    console.error(`[DNC] List failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to list DNC entries' });
+  }
+});
+
+// ─── GET /dnc/export — Download the registry as CSV ───
+app.get('/dnc/export', requireSecret, async (req, res) => {
+  try {
+    res.setHeader('Content-Disposition', `attachment; filename="dnc-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.type('text/csv').send(await dnc.exportCsv());
+  } catch (err) {
+    console.error(`[DNC] Export failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to export DNC list' });
+  }
+});
+
+// ─── POST /dnc/import — Body: { csv: "phone,reason\n..." } ───
+app.post('/dnc/import', requireSecret, async (req, res) => {
+  if (typeof req.body.csv !== 'string') return res.status(400).json({ error: 'Provide csv (string) with a phone column' });
+  try {
+    res.json(await dnc.importCsv(req.body.csv, { addedBy: req.body.addedBy || 'import' }));
+  } catch (err) {
+    console.error(`[DNC] Import failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to import DNC list' });
+  }
+});
+
+// ─── GET /dnc/audit — Add/remove history with triggering transcript snippets (?phone=) ───
+app.get('/dnc/audit', requireSecret, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    res.json({ events: await dnc.history({ phone: req.query.phone, limit }) });
+  } catch (err) {
+    console.error(`[DNC] Audit fetch failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to fetch DNC audit log' });
+  }
+});
+
+// ─── POST /dnc — Body: { phone, reason, addedBy } ───
+app.post('/dnc', requireSecret, async (req, res) => {
+  const { phone, reason, addedBy } = req.body;
+  try {
+    const result = await dnc.add(phone, { source: 'admin', reason, addedBy: addedBy || 'admin' });
+    if (!result) return res.status(400).json({ error: 'Invalid or missing phone' });
+    callbacks.cancelForPhone(result.entry.phone, 'number added to DNC list');
+    res.status(result.created ? 201 : 200).json(result.entry);
+  } catch (err) {
+    console.error(`[DNC] Add failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to add DNC entry' });
+  }
+});
+
+// ─── GET /dnc/:phone — Is this number blocked? ───
+app.get('/dnc/:phone', requireSecret, async (req, res) => {
+  try {
+    const entry = await dnc.check(req.params.phone);
+    if (!entry) return res.status(404).json({ error: 'Number is not on the DNC list' });
+    res.json(entry);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to check DNC list' });
+  }
+});
+
+// ─── DELETE /dnc/:phone — Body (optional): { reason, removedBy } ───
+app.delete('/dnc/:phone', requireSecret, async (req, res) => {
+  try {
+    const removed = await dnc.remove(req.params.phone, {
+      reason: req.body?.reason || '',
+      removedBy: req.body?.removedBy || 'admin',
+    });
+    if (!removed) return res.status(404).json({ error: 'Number is not on the DNC list' });
+    res.json({ removed: true });
+  } catch (err) {
+    console.error(`[DNC] Remove failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to remove DNC entry' });
+  }
+});
+
 // ─── Create HTTP server ───
 const server = http.createServer(app);
 
@@ -408,6 +1483,13 @@ wss.on('connection', (ws, req) => {
     return;
   }
 
+  // Route 1b: Browser call — the page's microphone in place of a phone line
+  const browserMatch = path.match(/^\/call\/browser\/(.+)$/);
+  if (browserMatch) {
+    handleBrowserConnection(ws, browserMatch[1]);
+    return;
+  }
+
   // Route 2: Browser transcript relay
   const transcriptMatch = path.match(/^\/call\/transcript\/(.+)$/);
   if (transcriptMatch) {
@@ -415,58 +1497,17 @@ wss.on('connection', (ws, req) => {
     return;
   }
 
+  // Route 3: Supervisor console (token-authenticated)
+  const superviseMatch = path.match(/^\/call\/supervise\/(.+)$/);
+  if (superviseMatch) {
+    handleSupervisorConnection(ws, superviseMatch[1], url.searchParams.get('token'));
+    return;
+  }
+
   console.log(`Unknown WebSocket path: ${path}`);
   ws.close();
 });
 
-// ─── Enterprise: Opt-out keyword detection ───
-const OPT_OUT_PATTERNS = [
-  /\b(quit|cancel|unsubscribe)\b/i,
-  /\bstop\s*(calling|contacting|this|it)\b/i, // "stop calling me" — context-specific
-  /\bstop\s*$/i, // standalone "stop" at end of utterance
-  /\btake me off/i,
-  /\bdon't call (me|again)/i,
-  /\bremove (me|my number)/i,
-  /\bdo not call/i,
-  /\bno more calls/i,
-];
-
-function detectOptOut(text) {
-  return OPT_OUT_PATTERNS.some(p => p.test(text));
-}
-
-// ─── Enterprise: Gatekeeper detection ───
-const GATEKEEPER_PATTERNS = [
-  /\bwho('s| is) calling/i,
-  /\bwhat('s| is) (this|it) (regarding|about|in reference)/i,
-  /\bcan i (ask |tell her |tell him )?what (this|it)('s| is) (about|regarding)/i,
-  /\b(he|she)('s| is) (not available|in a meeting|busy|out|unavailable)/i,
-  /\blet me (transfer|connect|put you through)/i,
-  /\b(receptionist|front desk|operator) speaking/i,
-  /\bthis is .{1,20}'s (office|assistant)/i,
-  /\bi('ll| will) see if/i,
-  /\bcan i take a message/i,
-  /\bmay i ask who/i,
-];
-
-function detectGatekeeper(text) {
-  return GATEKEEPER_PATTERNS.some(p => p.test(text));
-}
-
-// ─── Enterprise: Callback request detection ───
-const CALLBACK_PATTERNS = [
-  /\bcall (me )?(back|later|another time|tomorrow|next week)/i,
-  /\b(bad|terrible|wrong) time/i,
-  /\b(busy|swamped|slammed|in a meeting|driving|can't talk)/i,
-  /\bnot a good time/i,
-  /\btry (me )?(again|back|later)/i,
-  /\bcan you (call|reach|try) (back|again|later)/i,
-];
-
-function detectCallbackRequest(text) {
-  return CALLBACK_PATTERNS.some(p => p.test(text));
-}
-
 // ─── Twilio Media Stream Handler ───
 async function handleMediaStream(ws, sessionId) {
   const session = sessions.get(sessionId);
@@ -480,10 +1521,13 @@ async function handleMediaStream(ws, sessionId) {
   session.mediaWs = ws;
   session.streamSid = null;
 
-  // Initialize Deepgram for real-time STT
-  let deepgramConnection = null;
+  // Real-time STT stream (Deepgram, local or fake — see lib/stt.js)
+  let sttStream = null;
   let isProcessingResponse = false;
-  let audioQueue = []; // Queue audio until Deepgram is ready
+  let audioQueue = []; // Queue audio until the STT stream is ready
+  // Twilio media timestamps restart with every stream (e.g. back from a failed transfer) —
+  // this is where the current stream starts on the recording's timeline
+  let recordingOffsetMs = 0;
   session.openingCooldown = true; // Suppress responses while Michael's opening line plays
   // Safety timeout — clear cooldown after 15s max to prevent frozen calls
   setTimeout(() => {
@@ -495,13 +1539,18 @@ async function handleMediaStream(ws, sessionId) {
 
   // ─── Enterprise: Accumulated transcript for semantic turn detection ───
   let accumulatedTranscript = '';
+  let turnStartedAt = null; // first words of the turn heard — transcript timestamp for recording playback
   let turnTimer = null;
+  // When the prospect was actually talking: word timestamps count from the first audio sent to STT
+  let sttAudioStartedAt = null;
+  let segmentStartedAt = null; // first transcript since the last final — fallback when there are no word timestamps
+  let turnSpeech = null;       // { startedAt, endedAt, speechMs, source } across the finals of this turn
   const TURN_WAIT_MS = 600; // Wait 600ms after last final transcript before responding
   const TURN_WAIT_MID_THOUGHT_MS = 1500; // Wait longer if mid-thought detected
 
-  // IMPORTANT: Register the message handler FIRST, before awaiting Deepgram.
+  // IMPORTANT: Register the message handler FIRST, before awaiting the STT connection.
   // Twilio sends 'connected' and 'start' events immediately on WebSocket open.
-  // If we await Deepgram init first, we miss these events and streamSid is never set.
+  // If we await STT init first, we miss these events and streamSid is never set.
   ws.on('message', (data) => {
     try {
       const msg = JSON.parse(data);
@@ -515,34 +1564,73 @@ async function handleMediaStream(ws, sessionId) {
           session.streamSid = msg.start.streamSid;
           console.log(`[${sessionId}] Media stream: started (streamSid: ${session.streamSid})`);
 
+          if (session.recording.enabled && !session.recorder) {
+            session.recorder = createCallRecorder();
+            session.recording = { ...session.recording, status: 'recording', startedAt: session.recorder.startedAt };
+            console.log(`[${sessionId}] Recording started`);
+          }
+          if (session.recorder) recordingOffsetMs = session.recorder.elapsedMs();
+
           // Guard against duplicate 'start' events triggering double intro
           if (!session.openingSent) {
             session.openingSent = true;
             setTimeout(async () => {
-              await sendOpeningLine(session);
+              if (session.direction === 'inbound') await sendInboundOpening(session);
+              else await sendOpeningLine(session);
+            }, 800);
+          } else if (session.resumeAfterTransfer) {
+            // Prospect was sent back from a transfer that fell through — pick the conversation back up
+            session.resumeAfterTransfer = false;
+            setTimeout(async () => {
+              await speakSystemTurn(session, TRANSFER_FAILED_INSTRUCTION);
+              session.openingCooldown = false;
             }, 800);
           } else {
             console.warn(`[${sessionId}] Duplicate 'start' event — skipping opening`);
           }
           break;
 
-        case 'media':
-          // ─── NOTE: Barge-in is handled at the Deepgram level (onTranscript) ───
+        case 'media': {
+          // ─── NOTE: Barge-in is handled at the STT level (onTranscript) ───
           // We do NOT trigger barge-in on raw media packets because Twilio sends
           // continuous audio in both directions — ambient noise and echo would
           // cause false-positive barge-ins on every single response, clipping the
-          // beginning of Michael's speech. Instead, we rely on Deepgram to detect
+          // beginning of Michael's speech. Instead, we rely on the recognizer to detect
           // actual speech content before interrupting.
 
-          // Forward audio to Deepgram for transcription
-          if (deepgramConnection) {
-            const audioData = Buffer.from(msg.media.payload, 'base64');
-            processAudio(deepgramConnection, audioData);
-          } else {
-            // Queue audio until Deepgram is ready
+          // Supervisor listen-in: prospect's side of the call
+          if (session.listeners.size) forwardAudioToListeners(session, 'inbound', msg.media.payload);
+
+          const audioData = Buffer.from(msg.media.payload, 'base64');
+          if (session.recorder) {
+            session.recorder.write('inbound', audioData, recordingOffsetMs + (Number(msg.media.timestamp) || 0));
+          }
+
+          // Forward audio to the STT provider for transcription
+          if (sttAudioStartedAt === null && (sttStream || audioQueue)) sttAudioStartedAt = Date.now();
+          if (sttStream) {
+            sttStream.send(audioData);
+          } else if (audioQueue) {
+            // Queue audio until the STT stream is ready
             audioQueue.push(msg.media.payload);
           }
           break;
+        }
+
+        case 'mark': {
+          // Michael's audio reached a mark (or was cleared) — the real edges of his line on the phone
+          const mark = session.playbackMarks.get(msg.mark?.name);
+          if (mark) {
+            session.playbackMarks.delete(msg.mark.name);
+            mark.onPlayed(Date.now());
+          }
+          break;
+        }
+
+        case 'prospect_text':
+          // Call simulator only: a prospect line delivered as if the STT provider had heard it
+          if (session.simulated && typeof msg.text === 'string') injectTranscript(msg.text);
+          break;
 
         case 'stop':
           console.log(`[${sessionId}] Media stream: stopped`);
@@ -554,20 +1642,23 @@ async function handleMediaStream(ws, sessionId) {
   });
 
   // ─── Process a complete user turn and generate Michael's response ───
-  async function processUserTurn(fullText) {
+  async function processUserTurn(fullText, speech) {
     if (!fullText.trim()) return;
     if (isProcessingResponse) return;
 
+    // Prospect is with (or being handed to) a human rep — Michael is out of the conversation
+    if (session.transfer && ['whispering', 'connected'].includes(session.transfer.status)) return;
+
     // ─── Guard: If meeting is already booked, do NOT generate any more responses ───
     // The hangup timer is already ticking — just ignore any new speech from the prospect.
-    if (session.meetingBooked) {
-      console.log(`[${sessionId}] Meeting already booked — ignoring user speech: "${fullText}"`);
+    if (session.meetingBooked || session.pendingHangup) {
+      console.log(`[${sessionId}] Call is wrapping up (${session.pendingHangup || 'meeting booked'}) — ignoring user speech: "${fullText}"`);
       return;
     }
 
     if (session.openingCooldown) {
       console.log(`[${sessionId}] User speech during opening cooldown (queued, no response): "${fullText}"`);
-      session.addMessage('user', fullText);
+      session.addMessage('user', fullText, { at: speech.startedAt, timing: speech });
       broadcastToUI(sessionId, { type: 'user_speech', text: fullText, final: true });
       return;
     }
@@ -576,108 +1667,86 @@ async function handleMediaStream(ws, sessionId) {
     if (session.isVoicemail) return;
 
     console.log(`[${sessionId}] User said: "${fullText}"`);
-    session.addMessage('user', fullText);
+    session.addMessage('user', fullText, { at: speech.startedAt, timing: speech });
     broadcastToUI(sessionId, { type: 'user_speech', text: fullText, final: true });
 
+    const review = reviewProspectTurn(session, fullText);
+
     // ─── Enterprise: Opt-out detection ───
-    if (detectOptOut(fullText)) {
-      console.log(`[${sessionId}] OPT-OUT detected: "${fullText}"`);
+    if (review.optOut) {
       isProcessingResponse = true;
-      broadcastToUI(sessionId, { type: 'opt_out_detected' });
+      recordOptOut(session, 'Prospect asked not to be called');
 
-      const optOutResponse = "Absolutely, I'll make sure you're removed from our list right away. Sorry for the interruption, and have a great day.";
-      session.addMessage('assistant', optOutResponse);
-      broadcastToUI(sessionId, { type: 'michael_speech', text: optOutResponse });
+      const optOutLine = session.addMessage('assistant', OPT_OUT_RESPONSE);
+      broadcastToUI(sessionId, { type: 'michael_speech', text: OPT_OUT_RESPONSE });
       broadcastToUI(sessionId, { type: 'status', value: 'speaking' });
 
-      const optOutAudio = await synthesizeSpeech(optOutResponse);
+      const optOutAudio = await synthesizeSpeech(OPT_OUT_RESPONSE, { voice: session.voice });
+      let playback = null;
       if (optOutAudio && session.mediaWs && session.streamSid) {
-        await sendAudioToTwilio(session.mediaWs, session.streamSid, optOutAudio, sessionId);
+        playback = await sendAudioToTwilio(session.mediaWs, session.streamSid, optOutAudio, sessionId, optOutLine);
       }
 
-      // Hang up after opt-out
-      setTimeout(async () => {
-        try {
-          if (session.callSid) await twilioClient.calls(session.callSid).update({ status: 'completed' });
-        } catch (e) {}
-      }, 4000);
+      // Hang up after opt-out, once the goodbye has played
+      if (playback) playback.played.then(() => hangUpAfter(session, 1000, 'opted out'));
+      else hangUpAfter(session, 4000, 'opted out');
       return;
     }
 
-    // ─── Enterprise: Gatekeeper detection ───
-    if (!session.gatekeeperNavigated && detectGatekeeper(fullText)) {
-      session.isGatekeeper = true;
-      console.log(`[${sessionId}] GATEKEEPER detected: "${fullText}"`);
-      broadcastToUI(sessionId, { type: 'gatekeeper_detected' });
-    }
-    // If we hear the prospect's name after gatekeeper, mark as navigated
-    if (session.isGatekeeper && fullText.toLowerCase().includes(session.firstName.toLowerCase())) {
-      if (/\b(speaking|here|this is|hi|hello)\b/i.test(fullText)) {
-        session.isGatekeeper = false;
-        session.gatekeeperNavigated = true;
-        console.log(`[${sessionId}] Gatekeeper NAVIGATED — now talking to ${session.firstName}`);
-        broadcastToUI(sessionId, { type: 'gatekeeper_navigated' });
-      }
-    }
-
-    // ─── Enterprise: Callback detection ───
-    if (detectCallbackRequest(fullText) && !session.callbackRequested) {
-      session.callbackRequested = true;
-      console.log(`[${sessionId}] Callback request detected: "${fullText}"`);
-      broadcastToUI(sessionId, { type: 'callback_requested' });
-
-      // Check if they specified a time
-      const timeMatch = fullText.match(/(\d{1,2}(?::\d{2})?\s*(?:am|pm)|\b(?:morning|afternoon|evening)\b|\b(?:tomorrow|monday|tuesday|wednesday|thursday|friday)\b)/i);
-      if (timeMatch) {
-        session.callbackTime = timeMatch[0];
-        console.log(`[${sessionId}] Callback time captured: "${session.callbackTime}"`);
+    // Gatekeeper, callback request and sentiment (see lib/conversation.js)
+    for (const event of review.events) broadcastToUI(sessionId, event);
+    const { sentiment } = review;
+
+    // ─── Warm transfer triggers: hot sentiment, or an explicit ask when the model isn't deciding ───
+    if (!session.transfer && transfers.hasReps(session)) {
+      const source = (TRANSFER_SENTIMENT_THRESHOLD !== null && sentiment.score >= TRANSFER_SENTIMENT_THRESHOLD) ? 'sentiment'
+        : (!TOOLS_ENABLED && detectTransferRequest(fullText)) ? 'request'
+        : null;
+      if (source) {
+        const reason = source === 'sentiment'
+          ? `Prospect is ${sentiment.label} (sentiment ${sentiment.score.toFixed(1)})`
+          : `Prospect asked for a person: "${fullText}"`;
+        // Dialing runs in the background — session.transfer is set immediately, so this reply already mentions it
+        transfers.start(session, { reason, source })
+          .catch(err => console.error(`[${sessionId}] Transfer not started: ${err.message}`));
       }
     }
 
-    // ─── Enterprise: Update sentiment ───
-    const sentiment = updateSentiment(session, fullText);
-    broadcastToUI(sessionId, {
-      type: 'sentiment_update',
-      score: sentiment.score,
-      label: sentiment.label,
-    });
-
     // ─── Enterprise: Non-English detection ───
     if (session.nonEnglishDetected) {
       // Already handled, don't keep responding
       return;
     }
 
+    // ─── Supervisor takeover: keep transcribing, but Michael stays quiet ───
+    if (session.muted) {
+      console.log(`[${sessionId}] Michael is muted by a supervisor — not responding`);
+      return;
+    }
+
     // ─── PRE-RESPONSE: Check if the user just confirmed a meeting that Michael ALREADY CONFIRMED ───
     // This fires ONLY when Michael's LAST message already contains the full booking confirmation
     // (e.g., "I've got you down for Thursday, March 5th at 2:00 PM. I'll send over a calendar invite.")
     // We use strict mode so that a mere proposal ("How about Thursday?") does NOT trigger this —
     // Michael must have explicitly confirmed the booking before we hang up without generating a response.
+    // With tool calling on, book_meeting makes this decision instead.
     const lastMichaelMsg = [...session.messages].reverse().find(m => m.role === 'assistant');
     const lastMichaelText = lastMichaelMsg?.content || '';
-    if (detectMeetingBooked(lastMichaelText, fullText, { requireExplicitConfirmation: true })) {
+    if (!TOOLS_ENABLED && detectMeetingBooked(lastMichaelText, fullText, { requireExplicitConfirmation: true })) {
       // Meeting is 100% confirmed — Michael already said the confirmation, user just agreed.
       // Do NOT generate another response. Just hang up cleanly.
       session.meetingBooked = true;
+      callRecords.save(session);
       isProcessingResponse = true;
       console.log(`[${sessionId}] Meeting CONFIRMED (pre-response check). User said: "${fullText}". Hanging up immediately.`);
       broadcastToUI(sessionId, {
         type: 'meeting_booked',
         message: 'Michael has booked a meeting!',
       });
+      bookMeeting(session, { michaelText: lastMichaelText, userText: fullText });
 
       // Estimate how long Michael's last audio is still playing (if any), then hang up
-      const hangupDelay = session.isSpeaking ? 3000 : 1000;
-      setTimeout(async () => {
-        try {
-          if (session.callSid) {
-            console.log(`[${sessionId}] Hanging up after confirmed meeting.`);
-            await twilioClient.calls(session.callSid).update({ status: 'completed' });
-          }
-        } catch (hangupErr) {
-          console.error(`[${sessionId}] Error hanging up after meeting confirm:`, hangupErr.message);
-        }
-      }, hangupDelay);
+      hangUpAfter(session, session.isSpeaking ? 3000 : 1000, 'meeting confirmed');
       return; // Do NOT generate another response
     }
 
@@ -685,58 +1754,82 @@ async function handleMediaStream(ws, sessionId) {
     isProcessingResponse = true;
     broadcastToUI(sessionId, { type: 'status', value: 'thinking' });
 
+    // One abort signal for the whole turn: a barge-in cancels the OpenAI stream,
+    // the in-flight ElevenLabs request and any audio not yet sent to Twilio.
+    const turnAbort = new AbortController();
+    session.bargeInAbort = turnAbort;
+
     try {
       // ─── Enterprise: Inject sentiment context into prompt ───
-      const sentimentInjection = getSentimentPromptInjection(session);
-      const dynamicPrompt = session.systemPrompt + sentimentInjection;
-
-      const response = await generateResponse(
-        dynamicPrompt,
-        session.messages,
-      );
-
-      console.log(`[${sessionId}] Michael says: "${response}"`);
-      session.addMessage('assistant', response);
-
-      // Send text to UI
-      broadcastToUI(sessionId, {
-        type: 'michael_speech',
-        text: response,
-        final: true,
+      const dynamicPrompt = buildTurnPrompt(session, { tools: TOOLS_ENABLED });
+
+      const tokens = streamResponse(dynamicPrompt, session.messages, {
+        signal: turnAbort.signal,
+        settings: session.context?.llm,
+        recover: true, // every brain down → "sorry, could you repeat that?" rather than silence
+        ...(TOOLS_ENABLED ? {
+          tools: buildCallTools({ timezone: session.context?.timezone }),
+          onToolCall: createToolExecutor(buildToolHandlers(session), `[${sessionId}] Tool`),
+        } : {}),
       });
-      broadcastToUI(sessionId, { type: 'status', value: 'speaking' });
 
-      // Convert to speech and play on phone
-      const audioBuffer = await synthesizeSpeech(response);
-      console.log(`[${sessionId}] TTS result: audioBuffer=${audioBuffer ? audioBuffer.length + ' bytes' : 'NULL'}, mediaWs=${session.mediaWs ? 'OPEN(state=' + session.mediaWs.readyState + ')' : 'NULL'}, streamSid=${session.streamSid || 'NULL'}`);
-      if (audioBuffer && session.mediaWs && session.streamSid) {
-        await sendAudioToTwilio(session.mediaWs, session.streamSid, audioBuffer, sessionId);
-      } else {
-        console.error(`[${sessionId}] SKIPPED audio send! audioBuffer=${!!audioBuffer}, mediaWs=${!!session.mediaWs}, streamSid=${!!session.streamSid}`);
+      // Stream: tokens → sentences → ElevenLabs (ulaw_8000) → Twilio, first audio after the first sentence
+      const canPlay = Boolean(session.mediaWs && session.streamSid);
+      if (!canPlay) {
+        console.error(`[${sessionId}] SKIPPED audio send! mediaWs=${!!session.mediaWs}, streamSid=${!!session.streamSid}`);
       }
+      const writer = canPlay
+        ? createTwilioAudioWriter({ sessionId, mediaWs: session.mediaWs, streamSid: session.streamSid, session, signal: turnAbort.signal })
+        : null;
+
+      let spokeFirst = false;
+      const result = await runSpeechPipeline({
+        tokens,
+        signal: turnAbort.signal,
+        synthesize: (sentence, signal) => streamSpeech(sentence, { signal, voice: session.voice }),
+        send: async (chunk) => {
+          if (!spokeFirst) {
+            spokeFirst = true;
+            broadcastToUI(sessionId, { type: 'status', value: 'speaking' });
+          }
+          if (writer) await writer.write(chunk);
+        },
+        onSentence: (sentence) => {
+          broadcastToUI(sessionId, { type: 'michael_speech', text: sentence, final: false });
+        },
+        onTextComplete: (text) => {
+          if (!text) return;
+          console.log(`[${sessionId}] Michael says: "${text}"`);
+          // Recorded as soon as the model finishes, so a barge-in mid-playback still sees it in history
+          session.addMessage('assistant', text, { at: writer?.playbackStartedAt || Date.now(), timing: writer?.timing });
+          broadcastToUI(sessionId, { type: 'michael_speech', text, final: true });
+        },
+      });
+      if (writer) writer.end();
+      const response = result.text;
+
+      console.log(`[${sessionId}] Turn audio: ${result.audioBytes} bytes, first audio after ${result.firstAudioMs ?? '—'}ms${result.aborted ? ' (interrupted)' : ''}`);
+      if (result.aborted) return;
 
       // Check if meeting was booked (post-response — Michael just proposed the meeting)
-      if (detectMeetingBooked(response, fullText)) {
+      if (!TOOLS_ENABLED && detectMeetingBooked(response, fullText)) {
         session.meetingBooked = true;
+        callRecords.save(session);
         broadcastToUI(sessionId, {
           type: 'meeting_booked',
           message: 'Michael has booked a meeting!',
         });
+        bookMeeting(session, { michaelText: response, userText: fullText });
+        session.pendingHangup = 'meeting_booked';
+      }
 
-        // Michael's response already contains the confirmation + goodbye.
-        // Wait for the audio to finish playing, then hang up. No extra closing line needed.
-        const estimatedAudioMs = audioBuffer ? Math.ceil((audioBuffer.length / 8000) * 1000) : 5000;
-        console.log(`[${sessionId}] Meeting booked! Hanging up after audio finishes (~${estimatedAudioMs}ms + 2s buffer)...`);
-        setTimeout(async () => {
-          try {
-            if (session.callSid) {
-              console.log(`[${sessionId}] Audio finished. Hanging up call ${session.callSid}`);
-              await twilioClient.calls(session.callSid).update({ status: 'completed' });
-            }
-          } catch (hangupErr) {
-            console.error(`[${sessionId}] Error hanging up call:`, hangupErr.message);
-          }
-        }, estimatedAudioMs + 2000);
+      // A tool (book_meeting, end_call, mark_opt_out) or the booking check above ended the call.
+      // Michael's response already contains the goodbye — wait for the audio to finish, then hang up.
+      if (session.pendingHangup) {
+        const reason = session.pendingHangup;
+        console.log(`[${sessionId}] Ending call (${reason}) after audio finishes (~${writer ? writer.remainingPlaybackMs() : 5000}ms + 2s buffer)...`);
+        if (writer) writer.played.then(() => hangUpAfter(session, 2000, reason));
+        else hangUpAfter(session, 7000, reason);
       }
     } catch (err) {
       console.error(`[${sessionId}] Response generation error:`, err.message);
@@ -746,110 +1839,157 @@ async function handleMediaStream(ws, sessionId) {
     }
   }
 
-  // Now initialize Deepgram (the message handler above will queue audio in the meantime)
-  try {
-    deepgramConnection = await initDeepgram(sessionId, {
-      // Called when Deepgram produces a transcript
-      onTranscript: async (text, isFinal, metadata) => {
-        if (!isFinal) {
-          // Send interim results to UI for real-time feel
-          broadcastToUI(sessionId, {
-            type: 'user_speech_interim',
-            text,
-          });
-
-          // ─── Enterprise: Barge-in — actual speech detected during Michael talking ───
-          // This is the ONLY barge-in layer. It fires when Deepgram detects real speech
-          // (not ambient noise). 500ms grace period protects against echo of Michael's
-          // own voice bleeding through the prospect's microphone at the start of playback.
-          if (session.isSpeaking && text.trim().length > 0 &&
-              (Date.now() - (session.speakingStartedAt || 0)) > 500) {
-            session.bargeInCount++;
-            session.isSpeaking = false;
-            if (session.bargeInAbort) {
-              session.bargeInAbort.abort();
-              session.bargeInAbort = null;
-            }
-            if (session.mediaWs && session.mediaWs.readyState === WebSocket.OPEN && session.streamSid) {
-              session.mediaWs.send(JSON.stringify({ event: 'clear', streamSid: session.streamSid }));
-            }
-            console.log(`[${sessionId}] BARGE-IN (speech detected, count: ${session.bargeInCount}) — cleared audio`);
-            broadcastToUI(sessionId, { type: 'barge_in', count: session.bargeInCount });
-          }
+  // Transcript handlers — fed by the STT stream, or directly by the call simulator (injectTranscript)
+  const sttHandlers = {
+    // Called when the STT provider produces a transcript
+    onTranscript: async (text, isFinal, metadata) => {
+      if (!turnStartedAt && text.trim()) turnStartedAt = Date.now();
+      if (!segmentStartedAt && text.trim()) segmentStartedAt = Date.now();
 
-          return;
+      if (!isFinal) {
+        // Send interim results to UI for real-time feel
+        broadcastToUI(sessionId, {
+          type: 'user_speech_interim',
+          text,
+        });
+
+        // ─── Enterprise: Barge-in — actual speech detected during Michael talking ───
+        // This is the ONLY barge-in layer. It fires when the recognizer hears real speech
+        // (not ambient noise). 500ms grace period protects against echo of Michael's
+        // own voice bleeding through the prospect's microphone at the start of playback.
+        if (session.isSpeaking && text.trim().length > 0 &&
+            (Date.now() - (session.speakingStartedAt || 0)) > 500) {
+          session.bargeInCount++;
+          interruptMichael(session);
+          console.log(`[${sessionId}] BARGE-IN (speech detected, count: ${session.bargeInCount}) — cleared audio`);
+          broadcastToUI(sessionId, { type: 'barge_in', count: session.bargeInCount });
         }
 
-        if (!text.trim()) return;
-
-        // ─── Enterprise: Language detection ───
-        // NOTE: Currently disabled because detect_language and language='en-US' are
-        // incompatible in Deepgram (causes 400). detectedLanguage will always be null.
-        // To re-enable: remove language='en-US' from deepgram-stt.js and add detect_language: true.
-        if (metadata?.detectedLanguage && metadata.detectedLanguage !== 'en' && metadata.detectedLanguage !== 'en-US') {
-          if (!session.nonEnglishDetected) {
-            session.nonEnglishDetected = true;
-            session.detectedLanguage = metadata.detectedLanguage;
-            console.log(`[${sessionId}] NON-ENGLISH detected: ${metadata.detectedLanguage}`);
-            broadcastToUI(sessionId, { type: 'language_detected', language: metadata.detectedLanguage });
-          }
+        return;
+      }
+
+      if (!text.trim()) return;
+
+      // ─── Enterprise: Language detection ───
+      // NOTE: Currently disabled because detect_language and language='en-US' are
+      // incompatible in Deepgram (causes 400). detectedLanguage will always be null.
+      // To re-enable: remove language='en-US' from deepgram-stt.js and add detect_language: true.
+      if (metadata?.detectedLanguage && metadata.detectedLanguage !== 'en' && metadata.detectedLanguage !== 'en-US') {
+        if (!session.nonEnglishDetected) {
+          session.nonEnglishDetected = true;
+          session.detectedLanguage = metadata.detectedLanguage;
+          console.log(`[${sessionId}] NON-ENGLISH detected: ${metadata.detectedLanguage}`);
+          broadcastToUI(sessionId, { type: 'language_detected', language: metadata.detectedLanguage });
         }
+      }
 
-        // ─── Enterprise: Semantic turn detection ───
-        // Accumulate final transcripts and use turn analysis to decide when to respond
-        accumulatedTranscript += (accumulatedTranscript ? ' ' : '') + text;
+      // ─── Enterprise: Semantic turn detection ───
+      // Accumulate final transcripts and use turn analysis to decide when to respond
+      accumulatedTranscript += (accumulatedTranscript ? ' ' : '') + text;
+      addTurnSpeech(metadata?.words);
 
-        // Clear any existing turn timer
-        if (turnTimer) clearTimeout(turnTimer);
+      // Clear any existing turn timer
+      if (turnTimer) clearTimeout(turnTimer);
 
-        const turnStatus = metadata?.turnStatus || 'ambiguous';
+      const turnStatus = metadata?.turnStatus || 'ambiguous';
 
-        // Determine wait time based on turn analysis
-        let waitMs = TURN_WAIT_MS;
-        if (turnStatus === 'mid-thought') {
-          waitMs = TURN_WAIT_MID_THOUGHT_MS;
-          console.log(`[${sessionId}] Mid-thought detected, waiting ${waitMs}ms: "${text}"`);
-        } else if (turnStatus === 'complete') {
-          waitMs = 300; // Respond faster on clearly complete turns
-        }
+      // Determine wait time based on turn analysis
+      let waitMs = TURN_WAIT_MS;
+      if (turnStatus === 'mid-thought') {
+        waitMs = TURN_WAIT_MID_THOUGHT_MS;
+        console.log(`[${sessionId}] Mid-thought detected, waiting ${waitMs}ms: "${text}"`);
+      } else if (turnStatus === 'complete') {
+        waitMs = 300; // Respond faster on clearly complete turns
+      }
 
-        // Set timer to process the full accumulated turn
-        turnTimer = setTimeout(() => {
-          const fullTurn = accumulatedTranscript.trim();
-          accumulatedTranscript = '';
-          turnTimer = null;
-          processUserTurn(fullTurn);
-        }, waitMs);
-      },
+      // Set timer to process the full accumulated turn
+      turnTimer = setTimeout(() => processUserTurn(...takeTurn()), waitMs);
+    },
 
-      // Called on utterance end (silence detected)
-      onUtteranceEnd: () => {
-        // If we have accumulated text, process it now (silence = turn is over)
-        if (accumulatedTranscript.trim() && !isProcessingResponse) {
-          if (turnTimer) clearTimeout(turnTimer);
-          const fullTurn = accumulatedTranscript.trim();
-          accumulatedTranscript = '';
-          turnTimer = null;
-          processUserTurn(fullTurn);
-        }
-      },
+    // Called on utterance end (silence detected)
+    onUtteranceEnd: () => {
+      // If we have accumulated text, process it now (silence = turn is over)
+      if (accumulatedTranscript.trim() && !isProcessingResponse) {
+        if (turnTimer) clearTimeout(turnTimer);
+        processUserTurn(...takeTurn());
+      }
+    },
+
+    onError: (err) => {
+      console.error(`[${sessionId}] STT error:`, err);
+    },
+  };
+
+  // ─── Extend this turn's speech span with a final transcript ───
+  // Word timestamps when the recognizer sent them, otherwise first transcript → now
+  function addTurnSpeech(words) {
+    const now = Date.now();
+    const heard = words?.length && sttAudioStartedAt !== null
+      ? {
+        startedAt: sttAudioStartedAt + Math.round(words[0].start * 1000),
+        endedAt: sttAudioStartedAt + Math.round(words[words.length - 1].end * 1000),
+        source: 'words',
+      }
+      : { startedAt: segmentStartedAt || now, endedAt: now, source: 'estimate' };
+    segmentStartedAt = null;
+
+    const speechMs = Math.max(0, heard.endedAt - heard.startedAt);
+    turnSpeech = turnSpeech
+      ? {
+        startedAt: Math.min(turnSpeech.startedAt, heard.startedAt),
+        endedAt: Math.max(turnSpeech.endedAt, heard.endedAt),
+        speechMs: turnSpeech.speechMs + speechMs,
+        source: turnSpeech.source === 'words' && heard.source === 'words' ? 'words' : 'estimate',
+      }
+      : { ...heard, speechMs };
+  }
 
-      onError: (err) => {
-        console.error(`[${sessionId}] Deepgram error:`, err);
-      },
-    });
+  // ─── Hand over the accumulated turn: [text, speech span] for processUserTurn ───
+  function takeTurn() {
+    const now = Date.now();
+    const fullTurn = accumulatedTranscript.trim();
+    const speech = turnSpeech || { startedAt: turnStartedAt || now, endedAt: now, speechMs: now - (turnStartedAt || now), source: 'estimate' };
+    accumulatedTranscript = '';
+    turnStartedAt = null;
+    turnSpeech = null;
+    turnTimer = null;
+    return [fullTurn, speech];
+  }
+
+  // ─── Call simulator: a typed prospect line, reported the way a recognizer would ───
+  const injectTimers = new Set();
+  function injectTranscript(text) {
+    const later = (fn, ms) => {
+      const timer = setTimeout(() => {
+        injectTimers.delete(timer);
+        fn();
+      }, ms);
+      injectTimers.add(timer);
+    };
+    console.log(`[${sessionId}] Simulator: prospect says "${text}"`);
+    sttHandlers.onTranscript(text, false, { confidence: 1, turnStatus: 'ambiguous' });
+    later(() => {
+      sttHandlers.onTranscript(text, true, { confidence: 1, turnStatus: analyzeTurnCompletion(text) });
+      later(sttHandlers.onUtteranceEnd, 300);
+    }, 150);
+  }
+
+  // Now open the STT stream (the message handler above will queue audio in the meantime)
+  try {
+    if (!stt) throw new Error('No STT provider configured');
+    sttStream = await stt.connect(sessionId, sttHandlers);
 
-    // Flush any audio that was queued while Deepgram was initializing
+    // Flush any audio that was queued while the STT stream was opening
     if (audioQueue.length > 0) {
-      console.log(`[${sessionId}] Flushing ${audioQueue.length} queued audio packets to Deepgram`);
+      console.log(`[${sessionId}] Flushing ${audioQueue.length} queued audio packets to ${stt.provider} STT`);
       for (const payload of audioQueue) {
-        const audioData = Buffer.from(payload, 'base64');
-        processAudio(deepgramConnection, audioData);
+        sttStream.send(Buffer.from(payload, 'base64'));
       }
       audioQueue = [];
     }
   } catch (err) {
-    console.error(`[${sessionId}] Failed to init Deepgram:`, err.message);
+    console.error(`[${sessionId}] Failed to open ${stt?.provider || ''} STT stream:`, err.message);
+    audioQueue = null; // nothing will ever drain it
     console.error(`[${sessionId}] WARNING: Call will continue without STT — Michael can still deliver opening line`);
     // Do NOT close the WebSocket here! The media stream must stay open
     // so Michael's opening line can still play. The call will be one-way
@@ -858,10 +1998,14 @@ async function handleMediaStream(ws, sessionId) {
 
   ws.on('close', () => {
     console.log(`[${sessionId}] Media stream closed`);
-    if (deepgramConnection) {
-      deepgramConnection.finish();
+    callRecords.save(session);
+    if (sttStream) {
+      sttStream.finish();
     }
     if (turnTimer) clearTimeout(turnTimer);
+    for (const timer of injectTimers) clearTimeout(timer);
+    // No Twilio to report it — the simulated prospect or browser caller hung up
+    if (!session.callSid && session.mediaWs === ws) endLocalCall(session, 'prospect hung up');
   });
 
   ws.on('error', (err) => {
@@ -871,20 +2015,50 @@ async function handleMediaStream(ws, sessionId) {
 
 // ─── Send Michael's opening line ───
 async function sendOpeningLine(session) {
-  const { sessionId, context } = session;
-  const firstName = context.firstName || 'there';
+  await deliverOpening(session, outboundOpeningInstruction(session));
+}
+
+// ─── What Michael is told when an outbound call (or a chat) connects ───
+function outboundOpeningInstruction(session) {
+  const firstName = session.context.firstName || 'there';
+
+  if (session.previousSessionId) {
+    // Scheduled callback — the prospect asked us to call back at this time
+    return `[SYSTEM: The call has just connected. "${firstName}" asked you to call back at this time during your earlier call (see PREVIOUS CONVERSATION). Greet them by name, remind them they asked you to call back now, and ask if this is still a good time. You MUST include a natural AI disclosure (e.g. "I'm the AI assistant from the team"). Keep it under 2-3 sentences.]`;
+  }
+
+  // A/B experiment: the variant's own opening guidance — the disclosure requirement stays
+  const variantOpening = session.experiment?.changes?.openingInstruction;
+  if (variantOpening) {
+    return `[SYSTEM: The call has just connected. The prospect "${firstName}" has picked up the phone. ${variantOpening} You MUST include a natural AI disclosure in this opening (e.g. "I'm an AI assistant calling on behalf of our team").]`;
+  }
 
   // Enterprise: TCPA compliance — AI disclosure is now baked into the system prompt
   // The prompt-builder already includes disclosure instructions
+  return `[SYSTEM: The call has just connected. The prospect "${firstName}" has picked up the phone. Deliver your opening line. You MUST include a natural AI disclosure in this opening (e.g. "I'm an AI assistant calling on behalf of our team"). Keep it under 2-3 sentences. Be natural, confident, and immediately establish who you are and why you're calling.]`;
+}
+
+// ─── Answer an inbound call from a prospect returning Michael's call ───
+async function sendInboundOpening(session) {
+  const firstName = session.context.firstName || 'there';
+
+  await deliverOpening(session, `[SYSTEM: You are ANSWERING the phone. "${firstName}" is calling you back after your earlier call (see PREVIOUS CONVERSATION). Answer warmly, greet them by name, thank them for getting back to you, and briefly remind them what you spoke about or why you reached out. You MUST include a natural AI disclosure (e.g. "just so you know, I'm an AI assistant with the team"). Keep it under 2-3 sentences and end by inviting them to talk.]`);
+}
+
+const RECORDING_DISCLOSURE_INSTRUCTION = `[SYSTEM: This call is being recorded. Say so briefly and naturally in this opening (e.g. "just so you know, this call is recorded").]`;
+
+// ─── Generate, speak and transcribe an opening turn, then lift the opening cooldown ───
+async function deliverOpening(session, instruction) {
+  const { sessionId } = session;
   const openingMessages = [
-    { role: 'user', content: `[SYSTEM: The call has just connected. The prospect "${firstName}" has picked up the phone. Deliver your opening line. You MUST include a natural AI disclosure in this opening (e.g. "I'm an AI assistant calling on behalf of our team"). Keep it under 2-3 sentences. Be natural, confident, and immediately establish who you are and why you're calling.]` },
+    { role: 'user', content: session.recording.enabled ? `${instruction} ${RECORDING_DISCLOSURE_INSTRUCTION}` : instruction },
   ];
 
   try {
-    const opening = await generateResponse(session.systemPrompt, openingMessages);
+    const opening = await generateResponse(session.systemPrompt, openingMessages, { settings: session.context?.llm });
     console.log(`[${sessionId}] Michael opens: "${opening}"`);
 
-    session.addMessage('assistant', opening);
+    const line = session.addMessage('assistant', opening);
     broadcastToUI(sessionId, {
       type: 'michael_speech',
       text: opening,
@@ -893,23 +2067,28 @@ async function sendOpeningLine(session) {
     broadcastToUI(sessionId, { type: 'status', value: 'speaking' });
 
     // Synthesize and play
-    const audioBuffer = await synthesizeSpeech(opening);
+    const audioBuffer = await synthesizeSpeech(opening, { voice: session.voice });
     console.log(`[${sessionId}] Opening TTS result: audioBuffer=${audioBuffer ? audioBuffer.length + ' bytes' : 'NULL'}, mediaWs=${session.mediaWs ? 'OPEN(state=' + session.mediaWs.readyState + ')' : 'NULL'}, streamSid=${session.streamSid || 'NULL'}`);
+    let playback = null;
     if (audioBuffer && session.mediaWs && session.streamSid) {
-      await sendAudioToTwilio(session.mediaWs, session.streamSid, audioBuffer, sessionId);
+      playback = await sendAudioToTwilio(session.mediaWs, session.streamSid, audioBuffer, sessionId, line);
     } else {
       console.error(`[${sessionId}] SKIPPED opening audio send! audioBuffer=${!!audioBuffer}, mediaWs=${!!session.mediaWs}, streamSid=${!!session.streamSid}`);
     }
 
     broadcastToUI(sessionId, { type: 'status', value: 'listening' });
 
-    // Estimate audio duration: mulaw 8kHz = 8000 bytes/sec
-    const estimatedDurationMs = audioBuffer ? Math.ceil((audioBuffer.length / 8000) * 1000) + 1500 : 6000;
-    console.log(`[${sessionId}] Opening cooldown will clear in ${estimatedDurationMs}ms`);
-    setTimeout(() => {
+    // Lift the cooldown a beat after the opening has finished playing (its end mark comes back)
+    const liftCooldown = (delayMs) => setTimeout(() => {
       session.openingCooldown = false;
       console.log(`[${sessionId}] Opening cooldown cleared — now accepting user speech`);
-    }, estimatedDurationMs);
+    }, delayMs);
+    if (playback) {
+      console.log(`[${sessionId}] Opening cooldown will clear 1500ms after playback ends (~${playback.remainingPlaybackMs()}ms)`);
+      playback.played.then(() => liftCooldown(1500));
+    } else {
+      liftCooldown(6000);
+    }
   } catch (err) {
     console.error(`[${sessionId}] Failed to send opening:`, err.message);
     session.openingCooldown = false; // Clear cooldown on error so call isn't stuck
@@ -917,82 +2096,229 @@ async function sendOpeningLine(session) {
 }
 
 // ─── Send audio to Twilio via Media Stream (async with pacing + barge-in support) ───
-async function sendAudioToTwilio(mediaWs, streamSid, mulawBuffer, sessionId = 'unknown') {
+// line: the transcript entry being spoken, so its playback span gets measured.
+// Resolves to the writer (await writer.played for the end of playback), or null if nothing was sent.
+async function sendAudioToTwilio(mediaWs, streamSid, mulawBuffer, sessionId = 'unknown', line = null) {
   if (mediaWs.readyState !== WebSocket.OPEN) {
     console.error(`[${sessionId}] CANNOT send audio: WebSocket not open (readyState=${mediaWs.readyState})`);
-    return;
+    return null;
   }
 
+  // Create an abort controller for this audio send
+  const abortController = new AbortController();
   const session = sessions.get(sessionId);
+  if (session) session.bargeInAbort = abortController;
 
-  // ─── Enterprise: Mark that Michael is speaking (for barge-in detection) ───
-  if (session) {
-    session.isSpeaking = true;
-    session.speakingStartedAt = Date.now(); // Grace period: ignore barge-in for first ~800ms
-    // Create an abort controller for this audio send
-    const abortController = new AbortController();
-    session.bargeInAbort = abortController;
-
-    // Auto-clear speaking flag when audio finishes
-    const estimatedDurationMs = Math.ceil((mulawBuffer.length / 8000) * 1000);
-    setTimeout(() => {
-      if (session.isSpeaking) {
-        session.isSpeaking = false;
-        session.bargeInAbort = null;
-      }
-    }, estimatedDurationMs + 500);
-  }
+  console.log(`[${sessionId}] Sending ${mulawBuffer.length} bytes mulaw to Twilio as ${Math.ceil(mulawBuffer.length / 160)} chunks (streamSid: ${streamSid})`);
+  const writer = createTwilioAudioWriter({ sessionId, mediaWs, streamSid, session, signal: abortController.signal, line });
+  await writer.write(mulawBuffer);
+  writer.end();
+  return writer;
+}
 
-  // Twilio expects base64-encoded mulaw audio in 20ms chunks (160 bytes at 8kHz)
-  const chunkSize = 160;
-  const totalChunks = Math.ceil(mulawBuffer.length / chunkSize);
-  console.log(`[${sessionId}] Sending ${mulawBuffer.length} bytes mulaw to Twilio as ${totalChunks} chunks (streamSid: ${streamSid})`);
+// How long past the estimated end of playback to wait for a mark that never comes back
+const MARK_ECHO_GRACE_MS = 1000;
+let playbackMarkSeq = 0;
 
+/**
+ * Paced writer for mulaw audio to a Twilio Media Stream. Accepts buffers of any
+ * size (e.g. straight off a TTS stream), re-frames them into 20ms / 160-byte
+ * frames, and keeps the barge-in window (session.isSpeaking) open until the
+ * utterance has finished playing on the phone.
+ *
+ * A Twilio `mark` goes out before the first frame and after the last; Twilio
+ * echoes each one back when playback reaches it (or at once when 'clear' drops
+ * the audio), so the line's timing span — { startedAt, endedAt, source,
+ * interrupted } — is what the prospect actually heard. It starts out as an
+ * estimate from the frames queued and becomes source 'mark' once both echoes
+ * are in. Pass the transcript entry as `line` to have it attached there.
+ */
+function createTwilioAudioWriter({ sessionId, mediaWs, streamSid, session, signal, line = null }) {
+  // Twilio expects base64-encoded mulaw audio in 20ms chunks (160 bytes at 8kHz)
+  const FRAME_BYTES = 160;
   // Send in batches to avoid flooding the WebSocket buffer.
   const BATCH_SIZE = 50;
   const BATCH_PAUSE_MS = 20;
 
-  let sentChunks = 0;
-  for (let i = 0; i < mulawBuffer.length; i += chunkSize) {
-    // ─── Enterprise: Check for barge-in abort ───
-    if (session?.bargeInAbort?.signal?.aborted) {
-      console.log(`[${sessionId}] Audio send ABORTED at chunk ${sentChunks}/${totalChunks} (barge-in)`);
-      break;
+  let carry = Buffer.alloc(0);
+  let sentFrames = 0;
+  let playbackStartedAt = null;
+  let playbackEndsAt = 0;
+  let stopped = false;
+
+  const timing = { startedAt: null, endedAt: null, source: 'estimate', interrupted: false };
+  if (line) line.timing = timing;
+  const markPrefix = `${sessionId}:${++playbackMarkSeq}`;
+  let startHeard = false;
+  let endMarkSent = false;
+  let playedOut = false;
+  let fallbackTimer = null;
+  const markNames = [];
+  let resolvePlayed;
+  const played = new Promise(resolve => { resolvePlayed = resolve; });
+
+  function finishPlayback() {
+    if (playedOut) return;
+    playedOut = true;
+    clearTimeout(fallbackTimer);
+    for (const name of markNames) session?.playbackMarks.delete(name);
+    if (session && session.bargeInAbort?.signal === signal) {
+      session.isSpeaking = false;
+      session.bargeInAbort = null;
     }
+    resolvePlayed();
+  }
+
+  function sendMark(edge, onPlayed) {
+    if (!session || mediaWs.readyState !== WebSocket.OPEN) return false;
+    const name = `${markPrefix}:${edge}`;
+    try {
+      mediaWs.send(JSON.stringify({ event: 'mark', streamSid, mark: { name } }));
+    } catch (err) {
+      return false;
+    }
+    session.playbackMarks.set(name, { onPlayed });
+    markNames.push(name);
+    return true;
+  }
+
+  function sendEndMark() {
+    endMarkSent = true;
+    if (timing.endedAt === null || playbackEndsAt < timing.endedAt) timing.endedAt = playbackEndsAt;
+    const sent = sendMark('end', (at) => {
+      timing.endedAt = Math.max(at, timing.startedAt ?? at);
+      if (startHeard) timing.source = 'mark';
+      finishPlayback();
+    });
+    // No echo coming (socket gone, or a client that doesn't echo marks) — fall back to the estimate
+    fallbackTimer = setTimeout(finishPlayback, Math.max(0, playbackEndsAt - Date.now()) + (sent ? MARK_ECHO_GRACE_MS : 0));
+  }
+
+  // Barge-in: whatever is still queued is dropped by 'clear', so the line ends now
+  signal?.addEventListener('abort', () => {
+    if (sentFrames === 0 || playedOut) return;
+    timing.interrupted = true;
+    if (!endMarkSent) sendEndMark();
+  }, { once: true });
 
+  function sendFrame(frame) {
+    if (stopped) return false;
+    // ─── Enterprise: Check for barge-in abort ───
+    if (signal?.aborted) {
+      console.log(`[${sessionId}] Audio send ABORTED after ${sentFrames} chunks (barge-in)`);
+      stopped = true;
+      return false;
+    }
     if (mediaWs.readyState !== WebSocket.OPEN) {
-      console.error(`[${sessionId}] WebSocket closed mid-send at chunk ${sentChunks}/${totalChunks}`);
-      break;
+      console.error(`[${sessionId}] WebSocket closed mid-send after ${sentFrames} chunks`);
+      stopped = true;
+      return false;
     }
 
-    const chunk = mulawBuffer.slice(i, Math.min(i + chunkSize, mulawBuffer.length));
-    const payload = {
-      event: 'media',
-      streamSid,
-      media: {
-        payload: chunk.toString('base64'),
-      },
-    };
-    try {
-      mediaWs.send(JSON.stringify(payload));
-      sentChunks++;
-    } catch (err) {
-      console.error(`[${sessionId}] Error sending chunk ${sentChunks}: ${err.message}`);
-      break;
+    // ─── Enterprise: Mark that Michael is speaking (for barge-in detection) ───
+    if (session && sentFrames === 0) {
+      session.isSpeaking = true;
+      session.speakingStartedAt = Date.now(); // Grace period: ignore barge-in for the first ~500ms
+      sendMark('start', (at) => {
+        startHeard = true;
+        timing.startedAt = at;
+      });
     }
 
-    // Yield to event loop every BATCH_SIZE chunks to prevent buffer flooding
-    if (sentChunks % BATCH_SIZE === 0) {
-      await new Promise(resolve => setTimeout(resolve, BATCH_PAUSE_MS));
+    const payload = frame.toString('base64');
+    try {
+      mediaWs.send(JSON.stringify({
+        event: 'media',
+        streamSid,
+        media: { payload },
+      }));
+    } catch (err) {
+      console.error(`[${sessionId}] Error sending chunk ${sentFrames}: ${err.message}`);
+      stopped = true;
+      return false;
     }
+    sentFrames++;
+    // Supervisor listen-in: Michael's side of the call
+    if (session?.listeners.size) forwardAudioToListeners(session, 'outbound', payload);
+    // Twilio queues frames back to back, so this one plays once everything before it has
+    const playsAt = Math.max(playbackEndsAt, Date.now());
+    if (playbackStartedAt === null) playbackStartedAt = playsAt;
+    if (timing.startedAt === null) timing.startedAt = playsAt;
+    if (session?.recorder) session.recorder.write('outbound', frame, playsAt - session.recorder.startedAt);
+    playbackEndsAt = playsAt + Math.ceil((frame.length / 8000) * 1000);
+    return true;
   }
 
-  // Clear speaking state when done
-  if (session) {
-    session.isSpeaking = false;
+  return {
+    /** Queue audio for playback. Resolves once it has been handed to Twilio. */
+    async write(buffer) {
+      let data = carry.length ? Buffer.concat([carry, buffer]) : buffer;
+      let offset = 0;
+      for (; offset + FRAME_BYTES <= data.length; offset += FRAME_BYTES) {
+        if (!sendFrame(data.subarray(offset, offset + FRAME_BYTES))) {
+          carry = Buffer.alloc(0);
+          return;
+        }
+        // Yield to event loop every BATCH_SIZE chunks to prevent buffer flooding
+        if (sentFrames % BATCH_SIZE === 0) {
+          await new Promise(resolve => setTimeout(resolve, BATCH_PAUSE_MS));
+        }
+      }
+      carry = Buffer.from(data.subarray(offset));
+    },
+
+    /** Flush the final partial frame, and mark the end so the speaking flag clears once it has played. */
+    end() {
+      if (carry.length) sendFrame(carry);
+      carry = Buffer.alloc(0);
+      console.log(`[${sessionId}] Sent ${sentFrames} audio chunks to Twilio${stopped ? ' (stopped early)' : ''}`);
+
+      if (sentFrames === 0) return finishPlayback();
+      if (!endMarkSent) sendEndMark();
+    },
+
+    /** Resolves once everything sent has finished playing on the phone (or was cleared). */
+    get played() {
+      return played;
+    },
+
+    /** { startedAt, endedAt, source, interrupted } — when this audio was actually heard. */
+    get timing() {
+      return timing;
+    },
+
+    /** How much of what was sent is still playing on the phone (estimated from the frames queued). */
+    remainingPlaybackMs() {
+      return Math.max(0, playbackEndsAt - Date.now());
+    },
+
+    get framesSent() {
+      return sentFrames;
+    },
+
+    /** When the first frame starts playing on the phone (null until something is sent). */
+    get playbackStartedAt() {
+      return playbackStartedAt;
+    },
+  };
+}
+
+// ─── Browser call audio: the page's microphone stands in for Twilio (see lib/browser-media.js) ───
+function handleBrowserConnection(ws, sessionId) {
+  const session = sessions.get(sessionId);
+  // One connection per call — a dropped socket hangs up, like a dropped phone line
+  const problem = !session || session.channel !== 'browser' ? 'Session not found'
+    : session.endedAt || session.mediaWs ? 'Call already connected or ended'
+    : null;
+  if (problem) {
+    console.warn(`[${sessionId}] Browser call connection rejected: ${problem}`);
+    ws.send(JSON.stringify({ event: 'error', message: problem }));
+    ws.close();
+    return;
   }
 
-  console.log(`[${sessionId}] Sent ${sentChunks}/${totalChunks} audio chunks to Twilio`);
+  handleCallStatus(session, 'in-progress');
+  handleMediaStream(createBrowserLine(ws, { sessionId }), sessionId);
 }
 
 // ─── Browser Transcript Connection ───
@@ -1029,9 +2355,131 @@ function handleTranscriptConnection(ws, sessionId) {
   });
 }
 
+// ─── Supervisor Console Connection ───
+function handleSupervisorConnection(ws, sessionId, token) {
+  const session = sessions.get(sessionId);
+  if (!session || !verifySupervisorToken(token, sessionId)) {
+    console.warn(`[${sessionId}] Supervisor connection rejected (${session ? 'bad token' : 'no session'})`);
+    ws.send(JSON.stringify({ type: 'error', message: session ? 'Unauthorized' : 'Session not found' }));
+    ws.close(4401);
+    return;
+  }
+
+  session.supervisors.add(ws);
+  console.log(`[${sessionId}] Supervisor connected (${session.supervisors.size} watching)`);
+
+  const sendState = () => ws.send(JSON.stringify({
+    type: 'supervisor_state',
+    muted: session.muted,
+    listening: session.listeners.has(ws),
+    pendingWhispers: session.supervisorNotes.length,
+    status: session.status,
+  }));
+  sendState();
+
+  ws.on('message', async (data) => {
+    let command;
+    try {
+      command = parseSupervisorCommand(data.toString());
+    } catch (err) {
+      ws.send(JSON.stringify({ type: 'error', message: err.message }));
+      return;
+    }
+
+    session.supervisorActions.push({ type: command.type, text: command.text, muted: command.muted, at: Date.now() });
+    console.log(`[${sessionId}] Supervisor ${command.type}${command.text ? `: "${command.text}"` : ''}`);
+
+    switch (command.type) {
+      case 'whisper':
+        session.supervisorNotes.push(command.text);
+        break;
+
+      case 'say':
+        await supervisorSay(session, command.text);
+        break;
+
+      case 'mute':
+        session.muted = command.muted;
+        if (session.muted) interruptMichael(session);
+        break;
+
+      case 'end':
+        session.endReason = 'supervisor';
+        clearTimeout(session.hangupTimer);
+        session.hangupTimer = null;
+        hangUpAfter(session, 0, 'ended by supervisor');
+        break;
+
+      case 'listen':
+        if (command.enabled) session.listeners.add(ws);
+        else session.listeners.delete(ws);
+        break;
+    }
+
+    callRecords.save(session);
+    broadcastToUI(sessionId, { type: 'supervisor_action', action: command.type, text: command.text, muted: session.muted });
+    sendState();
+  });
+
+  const detach = () => {
+    session.supervisors.delete(ws);
+    session.listeners.delete(ws);
+  };
+  ws.on('close', () => {
+    detach();
+    console.log(`[${sessionId}] Supervisor disconnected`);
+  });
+  ws.on('error', (err) => {
+    console.error(`[${sessionId}] Supervisor WS error:`, err.message);
+    detach();
+  });
+}
+
+// ─── Stop whatever Michael is saying or generating (barge-in, supervisor mute/say) ───
+function interruptMichael(session) {
+  session.isSpeaking = false;
+  // Audio still queued on Twilio's side is discarded by 'clear' — the prospect never hears it
+  if (session.recorder) session.recorder.truncate('outbound', session.recorder.elapsedMs());
+  if (session.bargeInAbort) {
+    session.bargeInAbort.abort();
+    session.bargeInAbort = null;
+  }
+  if (session.mediaWs && session.mediaWs.readyState === WebSocket.OPEN && session.streamSid) {
+    session.mediaWs.send(JSON.stringify({ event: 'clear', streamSid: session.streamSid }));
+  }
+  forwardAudioToListeners(session, 'clear');
+}
+
+// ─── Supervisor forces a line: cut Michael off and say it verbatim ───
+async function supervisorSay(session, text) {
+  const { sessionId } = session;
+  interruptMichael(session);
+  const line = session.addMessage('assistant', text);
+  broadcastToUI(sessionId, { type: 'michael_speech', text, final: true });
+
+  const audioBuffer = await synthesizeSpeech(text, { voice: session.voice });
+  if (audioBuffer && session.mediaWs && session.streamSid) {
+    await sendAudioToTwilio(session.mediaWs, session.streamSid, audioBuffer, sessionId, line);
+  } else {
+    console.error(`[${sessionId}] Supervisor line not played (audio=${!!audioBuffer}, stream=${!!session.streamSid})`);
+  }
+}
+
+// ─── Listen-in: fork call audio (base64 mulaw 8kHz) to supervisors who asked for it ───
+// track: inbound (prospect) | outbound (Michael) | clear (Michael's queued audio was dropped)
+function forwardAudioToListeners(session, track, payload) {
+  if (!session.listeners.size) return;
+  const message = JSON.stringify(track === 'clear' ? { type: 'audio_clear' } : { type: 'audio', track, payload });
+  for (const ws of session.listeners) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(message);
+  }
+}
+
 // ─── Broadcast to all connected browsers for a session ───
 function broadcastToUI(sessionId, data) {
   const session = sessions.get(sessionId);
+  // Webhook subscribers get the lifecycle events whether or not a browser is watching
+  webhooks.publish(data, session || { sessionId });
   if (!session?.uiConnections) return;
 
   const payload = JSON.stringify(data);
@@ -1042,110 +2490,370 @@ function broadcastToUI(sessionId, data) {
   }
 }
 
-// ─── Detect if a meeting was booked (STRICT — requires explicit date+time confirmation) ───
-//
-// options.requireExplicitConfirmation (default: false)
-//   When true (used by the PRE-response check), Michael's text must contain explicit
-//   booking confirmation language ("I've got you down", "calendar invite", etc.) —
-//   NOT just a proposal ("How about Thursday?"). This prevents the call from hanging up
-//   before Michael confirms back to the prospect.
-//
-//   When false (used by the POST-response check), any scheduling language from Michael
-//   is accepted since Michael's response was just generated and should contain the
-//   confirmation naturally.
-//
-function detectMeetingBooked(michaelText, userText, options = {}) {
-  const { requireExplicitConfirmation = false } = options;
-  const michaelLower = (michaelText || '').toLowerCase();
-  const userLower = (userText || '').toLowerCase();
-  const combined = `${michaelLower} ${userLower}`;
-
-  // Step 1: A SPECIFIC time must be mentioned (not just "morning" or "afternoon")
-  const specificTimePatterns = [
-    /\b\d{1,2}\s*(am|pm|a\.m\.|p\.m\.)\b/,
-    /\b\d{1,2}:\d{2}\b/,
-  ];
-  const hasSpecificTime = specificTimePatterns.some(pat => pat.test(combined));
-
-  // Step 2: A SPECIFIC day must also be mentioned
-  const specificDayPatterns = [
-    /\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/i,
-    /\b(tomorrow)\b/i,
-    /\b(january|february|march|april|may|june|july|august|september|october|november|december)\s+\d{1,2}\b/,
-    /\b(next\s+(monday|tuesday|wednesday|thursday|friday|saturday|sunday))\b/i,
-    /\bthis\s+(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/i,
-  ];
-  const hasSpecificDay = specificDayPatterns.some(pat => pat.test(combined));
-
-  // Must have BOTH a day AND a time (not just one)
-  if (!hasSpecificTime || !hasSpecificDay) return false;
-
-  // Step 3: The PROSPECT must explicitly confirm with scheduling-specific language
-  const confirmPhrases = [
-    'that works', 'works for me', 'that time works', 'that day works',
-    'let\'s do it', 'book it', 'let\'s book it', 'see you then',
-    'looking forward', 'i\'ll be there', 'count me in', 'put me down',
-    'lock it in', 'i can do that', 'i\'m available then',
-    'sounds good', 'sounds great', 'sounds perfect',
-    'perfect let\'s do', 'yes that works', 'yeah that works',
-    'sure that works', 'ok that works', 'great see you',
-    'should work', 'think it should work', 'think that works',
-    'that should be fine', 'that\'s fine', 'i can make that work',
-    'i think so', 'i believe so', 'that should work',
-    'i can do that time', 'i can make it', 'i\'m free then',
-    'ok sounds good', 'okay sounds good', 'okay great',
-  ];
-  const confirmWithTimePatterns = [
-    /\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\s+(works|is good|is fine|is perfect|should work)\b/i,
-    /\b\d{1,2}\s*(am|pm)\s+(works|is good|is fine|is perfect|should work)\b/i,
-    /\b(yes|yeah|yep|sure|ok|okay).{0,20}(works|book|schedule|perfect|great|do it|see you|sounds good)/i,
-    /\b(works|perfect|great).{0,20}(see you|looking forward|i'll be there)/i,
-    /\bi\s+think\s+(it\s+)?(should|could|will)\s+work/i,
-  ];
+// ─── Calendar: load the rep's open slots into the session prompt ───
+// Never blocks the call — if the calendar is slow or down, Michael just proposes times without it.
+async function attachAvailability(session) {
+  if (!calendar) return;
+  const timezone = session.context?.timezone;
+  try {
+    const slots = await calendar.getAvailability({ prospectTimezone: timezone });
+    session.offeredSlots = slots;
+    session.availabilityPrompt = buildAvailabilityContext(slots, timezone);
+    console.log(`[${session.sessionId}] Calendar: ${slots.length} open slot(s) loaded into prompt`);
+  } catch (err) {
+    console.error(`[${session.sessionId}] Calendar availability failed: ${err.message}`);
+  }
+}
+
+// ─── Calendar: create the event once a booking is confirmed ───
+// `start` comes from the book_meeting tool. Without it, the agreed time is read from Michael's
+// confirmation ("I've got you down for Thursday, March 5th at 2 PM") and falls back to the
+// prospect's words. Never throws — the outcome is recorded on session.meeting.
+async function bookMeeting(session, { start = null, michaelText = '', userText = '' } = {}) {
+  const { sessionId } = session;
+  if (session.meeting?.status === 'booked' || session.meeting?.status === 'booking') return;
+
+  const timezone = session.context?.timezone;
+  const parsed = start
+    ? { at: start, timezone: resolveTimezone(timezone) }
+    : [michaelText, userText]
+      .map(text => parseSpokenTime(text, { timezone }))
+      .find(p => p && p.at > Date.now());
+
+  session.meeting = {
+    status: 'booking',
+    start: parsed?.at || null,
+    timezone: parsed?.timezone || null,
+    agreedText: michaelText || null,
+    attendeeEmail: session.email || null,
+    provider: calendar?.provider || null,
+    eventId: null,
+    eventUrl: null,
+    error: null,
+  };
+
+  if (!parsed) {
+    session.meeting.status = 'unscheduled';
+    session.meeting.error = 'Could not read the agreed date/time from the conversation';
+  } else if (!calendar) {
+    session.meeting.status = 'not-configured';
+  } else if (session.simulated) {
+    session.meeting.status = 'simulated'; // no invite to a made-up prospect
+  } else {
+    const name = [session.firstName, session.lastName].filter(Boolean).join(' ');
+    try {
+      // Book it regardless — the prospect already said yes — but flag double-bookings for the rep
+      const end = parsed.at + calendar.meetingMinutes * 60000;
+      session.meeting.conflict = !(await calendar.isFree(parsed.at, end).catch(() => true));
+      const event = await calendar.createEvent({
+        uid: `michael-${sessionId}@${process.env.RAILWAY_PUBLIC_DOMAIN || 'michael-call-server'}`,
+        start: parsed.at,
+        summary: `${session.company} <> ${name}`,
+        description: [
+          `Booked by Michael on a call with ${name}${session.phone ? ` (${session.phone})` : ''}.`,
+          session.context?.selling ? `Topic: ${String(session.context.selling).slice(0, 500)}` : '',
+          `Agreed on the call: "${michaelText}"`,
+          `Call ID: ${sessionId}`,
+        ].filter(Boolean).join('\n'),
+        attendees: [{ email: session.email, name }],
+        timezone: parsed.timezone,
+      });
+      session.meeting.status = 'booked';
+      session.meeting.eventId = event.id;
+      session.meeting.eventUrl = event.url || null;
+    } catch (err) {
+      session.meeting.status = 'failed';
+      session.meeting.error = err.message;
+    }
+  }
+
+  const when = session.meeting.start ? formatInTimezone(session.meeting.start, session.meeting.timezone) : 'unknown time';
+  if (session.meeting.status === 'booked') {
+    console.log(`[${sessionId}] Calendar event created for ${when}${session.email ? ` — invite to ${session.email}` : ' — no prospect email on file'}${session.meeting.conflict ? ' (CONFLICTS with an existing event)' : ''}`);
+  } else {
+    console.warn(`[${sessionId}] Meeting at ${when} not put on a calendar (${session.meeting.status})${session.meeting.error ? `: ${session.meeting.error}` : ''}`);
+  }
+
+  callRecords.save(session);
+  broadcastToUI(sessionId, { type: 'calendar_event', ...session.meeting, when });
+}
+
+// ─── Opt-out: keep Michael's promise — DNC list, no callbacks, flagged on the record ───
+function recordOptOut(session, reason) {
+  const { sessionId } = session;
+  if (session.optedOut) return;
+  session.optedOut = true;
+  callRecords.save(session);
+  broadcastToUI(sessionId, { type: 'opt_out_detected' });
+  if (session.simulated) return; // a scenario's number must stay dialable for the next run
+  if (!session.phone) return;     // browser call — no number to block
+
+  callbacks.cancelForPhone(session.phone, 'prospect opted out');
+  dnc.add(session.phone, {
+    source: 'opt-out',
+    reason,
+    addedBy: 'michael',
+    sessionId,
+    snippet: session.getFullTranscript().slice(-3),
+  }).catch(err => console.error(`[${sessionId}] Failed to add ${session.phone} to DNC: ${err.message}`));
+}
+
+// ─── Recording consent: decided once per call, before it connects ───
+function applyRecordingDecision(session, record) {
+  const { enabled, reason } = recordingDecision({ phone: session.phone, record });
+  session.recording = { enabled, reason, status: enabled ? 'pending' : 'off' };
+  if (!enabled) console.log(`[${session.sessionId}] Not recording: ${reason}`);
+}
+
+// ─── Write the finished recording to disk and note it on the call record ───
+async function finishRecording(session) {
+  const { sessionId, recorder } = session;
+  if (!recorder) return;
+  session.recorder = null;
+  session.recording = { ...session.recording, status: 'processing' };
+
+  try {
+    const { bytes } = await recordings.save(sessionId, recorder.toWav());
+    session.recording = { ...session.recording, status: 'ready', durationMs: recorder.durationMs, bytes };
+    console.log(`[${sessionId}] Recording saved (${Math.round(recorder.durationMs / 1000)}s, ${bytes} bytes)`);
+  } catch (err) {
+    session.recording = { ...session.recording, status: 'failed' };
+    console.error(`[${sessionId}] Failed to save recording: ${err.message}`);
+  }
+  callRecords.save(session);
+  broadcastToUI(sessionId, { type: 'recording_update', recording: session.recording });
+}
+
+// ─── End the Twilio call after `delayMs` (lets the last audio finish playing) ───
+function hangUpAfter(session, delayMs, reason) {
+  if (session.hangupTimer) return;
+  session.hangupTimer = setTimeout(async () => {
+    try {
+      if (!session.callSid) {
+        endLocalCall(session, reason);
+      } else {
+        console.log(`[${session.sessionId}] Hanging up call ${session.callSid} (${reason})`);
+        await twilioClient.calls(session.callSid).update({ status: 'completed' });
+      }
+    } catch (hangupErr) {
+      console.error(`[${session.sessionId}] Error hanging up call:`, hangupErr.message);
+    }
+  }, delayMs);
+}
+
+// ─── Simulated, chat and browser calls have no Twilio to report the hangup — close the stream and settle it here ───
+function endLocalCall(session, reason) {
+  if (session.endedAt) return;
+  clearTimeout(session.chatIdleTimer);
+  console.log(`[${session.sessionId}] Ending ${session.simulated ? 'simulated' : session.channel} call (${reason})`);
+  const duration = Math.round((Date.now() - session.createdAt) / 1000);
+  handleCallStatus(session, 'completed', String(duration));
+  if (session.mediaWs && session.mediaWs.readyState === WebSocket.OPEN) session.mediaWs.close();
+}
+
+// ─── Text chat: a typed prospect turn through the same rules as a spoken one (see processUserTurn) ───
+// Returns Michael's reply, or '' when he stays quiet. Ends the chat wherever the call would have hung up.
+async function runChatTurn(session, text) {
+  const { sessionId } = session;
+  touchChat(session);
+  console.log(`[${sessionId}] Prospect typed: "${text}"`);
+  session.addMessage('user', text);
+  broadcastToUI(sessionId, { type: 'user_speech', text, final: true });
+
+  const review = reviewProspectTurn(session, text);
+  if (review.optOut) {
+    recordOptOut(session, 'Prospect asked not to be called');
+    session.addMessage('assistant', OPT_OUT_RESPONSE);
+    broadcastToUI(sessionId, { type: 'michael_speech', text: OPT_OUT_RESPONSE, final: true });
+    endChat(session, 'opted out');
+    return OPT_OUT_RESPONSE;
+  }
+  for (const event of review.events) broadcastToUI(sessionId, event);
+
+  if (session.muted) return '';
+
+  // Prospect agreed to a booking Michael already confirmed — the call would hang up here without a reply
+  const lastMichaelText = [...session.messages].reverse().find(m => m.role === 'assistant')?.content || '';
+  if (!TOOLS_ENABLED && detectMeetingBooked(lastMichaelText, text, { requireExplicitConfirmation: true })) {
+    session.meetingBooked = true;
+    broadcastToUI(sessionId, { type: 'meeting_booked', message: 'Michael has booked a meeting!' });
+    await bookMeeting(session, { michaelText: lastMichaelText, userText: text });
+    endChat(session, 'meeting confirmed');
+    return '';
+  }
+
+  broadcastToUI(sessionId, { type: 'status', value: 'thinking' });
+  const reply = await generateResponse(buildTurnPrompt(session, { tools: TOOLS_ENABLED }), session.messages, {
+    settings: session.context?.llm,
+    recover: true,
+    ...(TOOLS_ENABLED ? {
+      tools: buildCallTools({ timezone: session.context?.timezone }),
+      onToolCall: createToolExecutor(buildToolHandlers(session), `[${sessionId}] Tool`),
+    } : {}),
+  });
+  if (reply) {
+    console.log(`[${sessionId}] Michael replies: "${reply}"`);
+    session.addMessage('assistant', reply);
+    broadcastToUI(sessionId, { type: 'michael_speech', text: reply, final: true });
+  }
+
+  if (!TOOLS_ENABLED && detectMeetingBooked(reply, text)) {
+    session.meetingBooked = true;
+    broadcastToUI(sessionId, { type: 'meeting_booked', message: 'Michael has booked a meeting!' });
+    bookMeeting(session, { michaelText: reply, userText: text });
+    session.pendingHangup = 'meeting_booked';
+  }
+
+  if (session.pendingHangup) {
+    endChat(session, session.pendingHangup);
+  } else {
+    callRecords.save(session);
+    broadcastToUI(sessionId, { type: 'status', value: 'listening' });
+  }
+  return reply;
+}
+
+// ─── Restart a chat's idle clock — an abandoned chat is ended and saved, not left in memory ───
+function touchChat(session) {
+  clearTimeout(session.chatIdleTimer);
+  session.chatIdleTimer = setTimeout(() => endChat(session, 'chat idle'), CHAT_IDLE_MS);
+  session.chatIdleTimer.unref?.();
+}
+
+// ─── End a chat the way a call ends: scored, saved, debriefed, call_ended to the UI ───
+function endChat(session, reason) {
+  if (session.endedAt) return;
+  session.chatEndReason = reason;
+  endLocalCall(session, reason);
+}
+
+// ─── What a chat client needs after each turn to show where the conversation stands ───
+function chatState(session) {
+  return {
+    ended: Boolean(session.endedAt),
+    endReason: session.endedAt ? session.chatEndReason : null,
+    sentiment: { score: session.sentimentScore, label: session.sentimentLabel },
+    isGatekeeper: session.isGatekeeper,
+    callbackRequested: session.callbackRequested,
+    callbackTime: session.callbackTime,
+    meetingBooked: session.meetingBooked,
+    meeting: session.meeting,
+    optedOut: session.optedOut,
+  };
+}
+
+// ─── Have Michael speak unprompted, with the conversation so far (e.g. a transfer fell through) ───
+async function speakSystemTurn(session, instruction) {
+  const { sessionId } = session;
+  try {
+    const text = await generateResponse(session.systemPrompt, [...session.messages, { role: 'user', content: instruction }], { settings: session.context?.llm });
+    if (!text) return;
+    console.log(`[${sessionId}] Michael (unprompted): "${text}"`);
+    const line = session.addMessage('assistant', text);
+    broadcastToUI(sessionId, { type: 'michael_speech', text, final: true });
+
+    const audioBuffer = await synthesizeSpeech(text, { voice: session.voice });
+    if (audioBuffer && session.mediaWs && session.streamSid) {
+      await sendAudioToTwilio(session.mediaWs, session.streamSid, audioBuffer, sessionId, line);
+    }
+  } catch (err) {
+    console.error(`[${sessionId}] Unprompted turn failed: ${err.message}`);
+  }
+}
+
+const TRANSFER_FAILED_INSTRUCTION = `[SYSTEM: The live transfer to your colleague did not go through — nobody could pick up. Apologize briefly, and offer to book a time for them to talk instead. One or two sentences.]`;
+
+// ─── Spoken summary the rep hears before being bridged in (falls back to a template in lib/warm-transfer.js) ───
+async function summarizeForRep(session, reason) {
+  const transcript = session.getFullTranscript().slice(-12).map(t => `${t.speaker}: ${t.text}`).join('\n');
+  if (!transcript) return null;
+  const prompt = `You brief a sales rep who is about to take a live call transfer. In two short spoken sentences, say what the prospect cares about and where the conversation stands. No greetings, no names of tools, plain speech only.${reason ? ` Transfer reason: ${reason}.` : ''}`;
+  return Promise.race([
+    generateResponse(prompt, [{ role: 'user', content: transcript }], { settings: session.context?.llm }),
+    new Promise(resolve => setTimeout(() => resolve(null), 5000)),
+  ]);
+}
+
+// ─── Transfer state changes: persist, tell the UI, and let Michael recover from a failed transfer ───
+function handleTransferUpdate(session, status) {
+  const { sessionId } = session;
+  callRecords.save(session);
+  broadcastToUI(sessionId, { type: 'transfer_update', ...summarizeTransfer(session.transfer) });
 
-  const prospectConfirmed = confirmPhrases.some(phrase => userLower.includes(phrase))
-    || confirmWithTimePatterns.some(pat => pat.test(userLower));
-
-  if (!prospectConfirmed) return false;
-
-  // Step 4: Michael must have used scheduling language.
-  //
-  // In STRICT mode (pre-response check): Michael must have already explicitly CONFIRMED
-  // the booking — not just proposed a time. This ensures we don't hang up before Michael
-  // says "I've got you down for..." and mentions sending a calendar invite.
-  //
-  // In NORMAL mode (post-response check): Any scheduling language is accepted since
-  // Michael's response was just generated.
-
-  if (requireExplicitConfirmation) {
-    // STRICT: Only explicit booking confirmation language from Michael
-    const confirmationPhrases = [
-      'i\'ve got you down', 'got you down for', 'i have you down',
-      'calendar invite', 'send over a calendar', 'send you a calendar',
-      'i\'ll send', 'pencil you in', 'you\'re booked',
-      'booked for', 'confirmed for', 'set up for',
-      'you\'re all set', 'all set for',
-      'talk soon', 'talk to you',
-    ];
-    const michaelConfirmed = confirmationPhrases.some(phrase => michaelLower.includes(phrase));
-    if (!michaelConfirmed) return false;
+  if (status !== 'failed' || session.endedAt) return;
+  if (session.mediaWs && session.mediaWs.readyState === WebSocket.OPEN) {
+    speakSystemTurn(session, TRANSFER_FAILED_INSTRUCTION);
   } else {
-    // NORMAL: Any scheduling language (proposals + confirmations)
-    const schedulingPhrases = [
-      'how about', 'does that work', 'would that work', 'can you do',
-      'let me book', 'i\'ll send', 'calendar invite',
-      'schedule', 'book a time', 'set up a meeting',
-      'i\'ve got you down', 'got you down for', 'pencil you in', 'block off',
-      'work for you', 'talk soon', 'looking forward to it',
-      'have a great', 'have a good',
-    ];
-    const michaelProposed = schedulingPhrases.some(phrase => michaelLower.includes(phrase));
-    if (!michaelProposed) return false;
-  }
-
-  const mode = requireExplicitConfirmation ? 'STRICT/pre-response' : 'NORMAL/post-response';
-  console.log(`[detectMeetingBooked] TRIGGERED (${mode}) — Michael: "${michaelText}", User: "${userText}"`);
-  return true;
+    session.resumeAfterTransfer = true; // prospect is being sent back — speak once the new stream starts
+  }
+}
+
+// ─── Tool handlers: what the model's function calls do to a live session (see lib/call-tools.js) ───
+// Results go back to the model so its spoken reply matches what actually happened.
+function buildToolHandlers(session) {
+  const { sessionId } = session;
+  const timezone = session.context?.timezone;
+
+  return {
+    async book_meeting({ datetime }) {
+      const start = parseToolDatetime(datetime, timezone);
+      if (!start || start <= Date.now()) {
+        return { ok: false, error: `"${datetime}" is not a valid future time — confirm the exact day and time with the prospect` };
+      }
+      session.meetingBooked = true;
+      session.pendingHangup = 'meeting_booked';
+      callRecords.save(session);
+      broadcastToUI(sessionId, { type: 'meeting_booked', message: 'Michael has booked a meeting!' });
+      bookMeeting(session, { start }); // calendar write runs in the background — don't stall the reply
+
+      return {
+        ok: true,
+        when: formatInTimezone(start, timezone),
+        inviteTo: session.email || null,
+        next: session.email
+          ? 'Confirm the day and time back, say the invite is on its way, and say goodbye. The call ends after this reply.'
+          : 'Confirm the day and time back and say goodbye. The call ends after this reply.',
+      };
+    },
+
+    async schedule_callback({ datetime, note }) {
+      const at = parseToolDatetime(datetime, timezone);
+      if (!at || at <= Date.now()) {
+        return { ok: false, error: `"${datetime}" is not a valid future time — ask when would be better` };
+      }
+      session.callbackRequested = true;
+      session.callbackAt = at;
+      session.callbackTime = formatInTimezone(at, timezone);
+      session.callbackNote = note || null;
+      callRecords.save(session);
+      broadcastToUI(sessionId, { type: 'callback_requested', callbackTime: session.callbackTime });
+      return { ok: true, when: session.callbackTime, next: 'Confirm the callback time back to them, thank them, and end the call.' };
+    },
+
+    async mark_opt_out({ reason }) {
+      recordOptOut(session, reason || 'Prospect asked not to be called');
+      session.pendingHangup = 'opted_out';
+      return { ok: true, next: "Confirm they won't be contacted again, apologize for the interruption, and say goodbye. The call ends after this reply." };
+    },
+
+    async transfer_to_human({ reason }) {
+      try {
+        await transfers.start(session, { reason: reason || null, source: 'tool' });
+      } catch (err) {
+        if (err.status === 409 && transfers.isActive(session)) {
+          return { ok: true, next: 'A colleague is already being dialed. Ask them to hang tight a moment longer.' };
+        }
+        return { ok: false, error: 'No rep is available to take a live transfer right now. Offer to have someone follow up or book a time instead.' };
+      }
+      return { ok: true, next: "You're dialing a colleague now. Tell the prospect you're getting them on the line and ask them to hold for a moment. Do not say goodbye." };
+    },
+
+    async end_call({ reason }) {
+      session.pendingHangup = reason || 'other';
+      session.endReason = reason || 'other';
+      return { ok: true, next: 'Say a brief, friendly goodbye. The call ends after this reply.' };
+    },
+  };
 }
 
 // ─── Start Server ───
@@ -1162,9 +2870,10 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log(`ENV check — TWILIO_AUTH_TOKEN: ${TWILIO_AUTH_TOKEN ? 'set' : 'MISSING'}`);
   console.log(`ENV check — TWILIO_PHONE_NUMBER: ${TWILIO_PHONE_NUMBER || 'MISSING'}`);
   console.log(`ENV check — CALL_SERVER_SECRET: ${CALL_SERVER_SECRET ? 'set' : 'MISSING'}`);
-  console.log(`ENV check — OPENAI_API_KEY: ${process.env.OPENAI_API_KEY ? 'set' : 'MISSING'}`);
+  const { provider: llmProvider, fallback: llmFallback } = getBrainStats();
+  console.log(`ENV check — LLM_PROVIDER: ${llmProvider}${llmFallback !== 'none' ? ` → ${llmFallback}` : ''} (OPENAI_API_KEY: ${process.env.OPENAI_API_KEY ? 'set' : 'MISSING'})`);
   console.log(`ENV check — ELEVENLABS_API_KEY: ${process.env.ELEVENLABS_API_KEY ? 'set' : 'MISSING'}`);
-  console.log(`ENV check — DEEPGRAM_API_KEY: ${process.env.DEEPGRAM_API_KEY ? 'set' : 'MISSING'}`);
+  console.log(`ENV check — STT_PROVIDER: ${stt?.provider || 'DISABLED'}${stt?.provider === 'deepgram' ? ` (DEEPGRAM_API_KEY: ${process.env.DEEPGRAM_API_KEY ? 'set' : 'MISSING'})` : ''}`);
   console.log(`Enterprise features: barge-in, AMD, sentiment, TCPA, semantic-turn, TTS-cache, scoring, gatekeeper, callback`);
 
   // Self-check: verify port is actually accepting connections
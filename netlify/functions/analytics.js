@@ -0,0 +1,109 @@
+/**
+ * Michael — BDR Voice Agent — Analytics Proxy
+ *
+ * Netlify serverless function behind the analytics dashboard. Forwards the
+ * dashboard's filters to the call server, which rolls persisted call records
+ * up into rates, scores and objection trends.
+ *
+ * The data covers every call, so the caller must present DASHBOARD_TOKEN
+ * before the call server's secret is attached.
+ *
+ * @endpoint GET /api/analytics → /.netlify/functions/analytics
+ * @header Authorization: Bearer <DASHBOARD_TOKEN>
+ * @query { from?, to?, playbookId?, industry?, targetRole?, interval?, includeSimulated? }
+ * @env CALL_SERVER_URL — URL of the Railway call server
+ * @env CALL_SERVER_SECRET — Shared secret for authentication
+ * @env DASHBOARD_TOKEN — Access token the dashboard's users sign in with
+ */
+
+const crypto = require('crypto');
+
+const ALLOWED_ORIGINS = [
+  'https://michael-voice-agent.netlify.app',
+  'https://michael.mantyl.ai',
+  'https://tools.mantyl.ai',
+  'http://localhost:8888',
+  'http://localhost:3000',
+];
+
+const FORWARDED_PARAMS = ['from', 'to', 'playbookId', 'industry', 'targetRole', 'interval', 'includeSimulated'];
+
+function getCorsHeaders(origin) {
+  const allowed = ALLOWED_ORIGINS.includes(origin) ? origin : ALLOWED_ORIGINS[0];
+  return {
+    'Access-Control-Allow-Origin': allowed,
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json',
+  };
+}
+
+function isDashboardCaller(event, dashboardToken) {
+  const header = event.headers.authorization || event.headers.Authorization || '';
+  const presented = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(dashboardToken);
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
+
+exports.handler = async (event) => {
+  const origin = event.headers.origin || event.headers.Origin || '';
+  const cors = getCorsHeaders(origin);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: cors, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers: cors, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  const callServerUrl = process.env.CALL_SERVER_URL;
+  const callServerSecret = process.env.CALL_SERVER_SECRET;
+  const dashboardToken = process.env.DASHBOARD_TOKEN;
+
+  if (!callServerUrl || !callServerSecret) {
+    return {
+      statusCode: 500,
+      headers: cors,
+      body: JSON.stringify({ error: { message: 'Server configuration error: Call server not configured.' } }),
+    };
+  }
+
+  if (!dashboardToken) {
+    return {
+      statusCode: 500,
+      headers: cors,
+      body: JSON.stringify({ error: { message: 'Server configuration error: DASHBOARD_TOKEN not set.' } }),
+    };
+  }
+
+  if (!isDashboardCaller(event, dashboardToken)) {
+    return { statusCode: 401, headers: cors, body: JSON.stringify({ error: { message: 'Unauthorized' } }) };
+  }
+
+  try {
+    const query = new URLSearchParams();
+    for (const key of FORWARDED_PARAMS) {
+      const value = event.queryStringParameters?.[key];
+      if (value) query.set(key, value);
+    }
+
+    const response = await fetch(`${callServerUrl}/analytics?${query}`, {
+      headers: { 'Authorization': `Bearer ${callServerSecret}` },
+    });
+
+    const data = await response.json();
+
+    return {
+      statusCode: response.status,
+      headers: cors,
+      body: JSON.stringify(data),
+    };
+  } catch (err) {
+    return {
+      statusCode: 500,
+      headers: cors,
+      body: JSON.stringify({ error: { message: 'Failed to load analytics. Please try again.' } }),
+    };
+  }
+};
@@ -0,0 +1,102 @@
+/**
+ * Michael — BDR Voice Agent — Text Chat Proxy
+ *
+ * Netlify serverless function behind the "Chat with Michael" mode. Forwards
+ * chat turns to the call server, where they run through the same prompt and
+ * conversation rules as a phone call — no telephony, STT or TTS.
+ *
+ * Starting a chat uses the shared secret, like placing a call. After that only
+ * whoever started it may talk to it or end it: `start` returns the chat's
+ * supervisorToken, the caller passes it back as `token`, and the call server
+ * checks it. The secret is never attached to those requests.
+ *
+ * @endpoint POST /api/chat → /.netlify/functions/chat
+ * @body { action: 'start', ...form }                  → { sessionId, reply, transcriptPath, supervisorToken }
+ *       { action: 'message', sessionId, token, text } → { reply, ended, sentiment, ... }
+ *       { action: 'end', sessionId, token }           → { transcript, scoring, ... }
+ * @env CALL_SERVER_URL — URL of the Railway call server
+ * @env CALL_SERVER_SECRET — Shared secret for authentication
+ */
+
+const ALLOWED_ORIGINS = [
+  'https://michael-voice-agent.netlify.app',
+  'https://michael.mantyl.ai',
+  'https://tools.mantyl.ai',
+  'http://localhost:8888',
+  'http://localhost:3000',
+];
+
+function getCorsHeaders(origin) {
+  const allowed = ALLOWED_ORIGINS.includes(origin) ? origin : ALLOWED_ORIGINS[0];
+  return {
+    'Access-Control-Allow-Origin': allowed,
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json',
+  };
+}
+
+exports.handler = async (event) => {
+  const origin = event.headers.origin || event.headers.Origin || '';
+  const cors = getCorsHeaders(origin);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: cors, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers: cors, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  const callServerUrl = process.env.CALL_SERVER_URL;
+  const callServerSecret = process.env.CALL_SERVER_SECRET;
+
+  if (!callServerUrl || !callServerSecret) {
+    return {
+      statusCode: 500,
+      headers: cors,
+      body: JSON.stringify({ error: { message: 'Server configuration error: Call server not configured.' } }),
+    };
+  }
+
+  try {
+    const { action, sessionId, token, ...body } = JSON.parse(event.body || '{}');
+
+    let path;
+    const headers = { 'Content-Type': 'application/json' };
+    if (action === 'start') {
+      path = '/chat';
+      headers['Authorization'] = `Bearer ${callServerSecret}`;
+    } else if (action === 'message' || action === 'end') {
+      if (!sessionId || !/^[\w-]+$/.test(sessionId)) {
+        return { statusCode: 400, headers: cors, body: JSON.stringify({ error: 'Missing sessionId' }) };
+      }
+      if (!token) {
+        return { statusCode: 401, headers: cors, body: JSON.stringify({ error: { message: 'Unauthorized' } }) };
+      }
+      path = `/chat/${sessionId}/${action}?token=${encodeURIComponent(token)}`;
+    } else {
+      return { statusCode: 400, headers: cors, body: JSON.stringify({ error: 'action must be start, message or end' }) };
+    }
+
+    const response = await fetch(`${callServerUrl}${path}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(action === 'message' ? { text: body.text } : body),
+    });
+
+    const data = await response.json();
+
+    return {
+      statusCode: response.status,
+      headers: cors,
+      body: JSON.stringify(data),
+    };
+  } catch (err) {
+    return {
+      statusCode: 500,
+      headers: cors,
+      body: JSON.stringify({ error: { message: 'Failed to reach Michael. Please try again.' } }),
+    };
+  }
+};
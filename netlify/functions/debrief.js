@@ -1,23 +1,21 @@
 /**
- * Michael — BDR Voice Agent — Debrief Proxy (Claude API)
+ * Michael — BDR Voice Agent — Debrief Proxy
  *
- * Generates post-call analysis: transcript summary, meeting details,
- * next steps, follow-up email, AND enterprise call scoring.
+ * The call server writes the debrief itself when a call ends (score,
+ * scorecard, summary, meeting details, objections, coaching notes, next
+ * steps, follow-up email — see call-server/lib/debrief.js), so it exists even
+ * if the page was closed mid-call. This function fetches it for the page.
  *
- * Enterprise features:
- * - Call quality scoring (0-100)
- * - Talk-time ratio analysis
- * - Objection handling assessment
- * - Qualification depth (BANT)
- * - Sentiment trajectory
- * - Callback/voicemail handling notes
+ * Only whoever started the call may read it: the caller passes the
+ * supervisorToken the call server issued with the session, and the call
+ * server checks it. The shared secret is never attached here.
  *
- * @endpoint POST /api/debrief → /.netlify/functions/debrief
- * @env ANTHROPIC_API_KEY — Required.
+ * 202 means the debrief is still being written — poll again.
+ *
+ * @endpoint GET /api/debrief?sessionId=&token= → /.netlify/functions/debrief
+ * @env CALL_SERVER_URL — URL of the Railway call server
  */
 
-const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
-
 const ALLOWED_ORIGINS = [
   'https://michael-voice-agent.netlify.app',
   'https://michael.mantyl.ai',
@@ -31,7 +29,7 @@ function getCorsHeaders(origin) {
   return {
     'Access-Control-Allow-Origin': allowed,
     'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
     'Content-Type': 'application/json',
   };
 }
@@ -44,130 +42,43 @@ exports.handler = async (event) => {
     return { statusCode: 204, headers: cors, body: '' };
   }
 
-  if (event.httpMethod !== 'POST') {
+  if (event.httpMethod !== 'GET') {
     return { statusCode: 405, headers: cors, body: JSON.stringify({ error: 'Method not allowed' }) };
   }
 
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
+  const callServerUrl = process.env.CALL_SERVER_URL;
+
+  if (!callServerUrl) {
     return {
       statusCode: 500,
       headers: cors,
-      body: JSON.stringify({ error: { message: 'Anthropic API key not configured.' } }),
+      body: JSON.stringify({ error: { message: 'Server configuration error: Call server not configured.' } }),
     };
   }
 
-  try {
-    const { transcript, context, scoring } = JSON.parse(event.body);
-
-    // Build scoring context if available
-    let scoringContext = '';
-    if (scoring) {
-      scoringContext = `
-CALL ANALYTICS DATA (from real-time tracking):
-- Overall Score: ${scoring.overallScore}/100
-- Talk Ratio: Prospect spoke ${scoring.talkRatio?.prospectPercent || '?'}% / Michael spoke ${scoring.talkRatio?.michaelPercent || '?'}%
-- Objections Raised: ${scoring.objectionHandling?.count || 0}
-- Meeting Booked: ${scoring.meetingConversion?.booked ? 'YES' : 'NO'}
-- Callback Requested: ${scoring.meetingConversion?.callbackRequested ? 'YES' : 'NO'}
-- Qualification Depth (BANT): ${scoring.qualificationDepth?.depth || 0}/4 (Budget: ${scoring.qualificationDepth?.checklist?.budget ? 'Y' : 'N'}, Authority: ${scoring.qualificationDepth?.checklist?.authority ? 'Y' : 'N'}, Need: ${scoring.qualificationDepth?.checklist?.need ? 'Y' : 'N'}, Timeline: ${scoring.qualificationDepth?.checklist?.timeline ? 'Y' : 'N'})
-- Sentiment Trajectory: ${scoring.sentimentTrajectory?.finalLabel || 'unknown'}
-- Barge-in Count: ${scoring.bargeInCount || 0} (times prospect interrupted)
-- Exchange Count: ${scoring.exchangeCount || 0} back-and-forth exchanges
-`;
-    }
-
-    const systemPrompt = `You are analyzing a cold call transcript between Michael (a BDR/sales development rep) and a prospect. Generate a structured debrief with scoring.
-
-CONTEXT:
-- Michael's Company: ${context.company || 'Unknown'}
-- Product/Service Being Sold: ${context.selling || 'Unknown'}
-- Prospect: ${context.firstName || 'Unknown'} ${context.lastName || ''}
-- Tone Used: ${context.tone || 'professional'}
-${context.industry ? `- Industry: ${context.industry}` : ''}
-${scoringContext}
-
-Provide your analysis in these exact sections:
-
-## CALL SCORE: [X/100]
-[One sentence: what this score means — e.g. "Strong discovery call with good objection handling but missed the close."]
-
-## SCORECARD
-| Metric | Score | Notes |
-|--------|-------|-------|
-| Talk Ratio | [1-5] | [How balanced was the conversation? Ideal: prospect 60-70%] |
-| Objection Handling | [1-5] | [How well did Michael handle pushback?] |
-| Meeting Conversion | [1-5] | [Did Michael successfully book a meeting?] |
-| Sentiment Management | [1-5] | [Did the prospect's sentiment improve over the call?] |
-| Qualification Depth | [1-5] | [How many BANT criteria were explored?] |
-
-## CALL SUMMARY
-[2-3 sentence overview: how the call went, key moments, and outcome]
-
-## MEETING DETAILS
-Meeting Booked: [YES/NO]
-Proposed Time: [if discussed, otherwise "Not discussed"]
-Prospect Interest Level: [HIGH/MEDIUM/LOW]
-Key Objections Raised: [list any, or "None"]
-Call Duration Highlights: [what worked well, what could improve]
-
-## COACHING NOTES
-[2-3 specific, actionable coaching tips for Michael to improve. Reference specific moments in the call.]
-
-## NEXT STEPS
-[Numbered list of 3-5 specific, actionable next steps for the sales team]
-
-## FOLLOW-UP EMAIL
-Subject: [specific, relevant subject line]
-[Professional follow-up email, 100-150 words, referencing specific points from the call. Address the prospect by first name. Include a clear CTA.]`;
-
-    const messages = [
-      {
-        role: 'user',
-        content: `Here is the full call transcript:\n\n${transcript}\n\nPlease generate the debrief with scoring.`,
-      },
-    ];
+  const { sessionId, token } = event.queryStringParameters || {};
+  if (!sessionId) {
+    return { statusCode: 400, headers: cors, body: JSON.stringify({ error: { message: 'sessionId is required.' } }) };
+  }
+  if (!token) {
+    return { statusCode: 401, headers: cors, body: JSON.stringify({ error: { message: 'Unauthorized' } }) };
+  }
 
-    const response = await fetch(ANTHROPIC_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
-        model: 'claude-haiku-4-5-20251001',
-        max_tokens: 3000,
-        system: systemPrompt,
-        messages,
-      }),
-    });
+  try {
+    const response = await fetch(`${callServerUrl}/call/${encodeURIComponent(sessionId)}/debrief?token=${encodeURIComponent(token)}`);
 
     const data = await response.json();
 
-    if (data.content && data.content[0]) {
-      return {
-        statusCode: 200,
-        headers: cors,
-        body: JSON.stringify({
-          content: data.content[0].text,
-          model: data.model,
-          usage: data.usage,
-          scoring, // Pass through the real-time scoring data
-        }),
-      };
-    }
-
     return {
       statusCode: response.status,
       headers: cors,
-      body: JSON.stringify({ error: { message: data.error?.message || 'Debrief generation failed.' } }),
+      body: JSON.stringify(data),
     };
   } catch (err) {
     return {
       statusCode: 500,
       headers: cors,
-      body: JSON.stringify({ error: { message: 'Internal server error.' } }),
+      body: JSON.stringify({ error: { message: 'Failed to load the debrief. Please try again.' } }),
     };
   }
 };
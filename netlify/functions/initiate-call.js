@@ -5,7 +5,11 @@
  * Railway-hosted call server. Acts as a secure proxy so the browser
  * never talks directly to the call server.
  *
+ * With `mode: 'browser'` no phone is dialed — the call server returns a
+ * mediaPath the page streams its microphone to instead.
+ *
  * @endpoint POST /api/initiate-call → /.netlify/functions/initiate-call
+ * @body { ...form, mode?: 'phone' | 'browser' }
  * @env CALL_SERVER_URL — URL of the Railway call server
  * @env CALL_SERVER_SECRET — Shared secret for authentication
  */
@@ -52,10 +56,11 @@ exports.handler = async (event) => {
   }
 
   try {
-    const body = JSON.parse(event.body);
+    const { mode, ...body } = JSON.parse(event.body);
 
     // Forward to call server
-    const response = await fetch(`${callServerUrl}/call/initiate`, {
+    const route = mode === 'browser' ? '/call/browser' : '/call/initiate';
+    const response = await fetch(`${callServerUrl}${route}`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -0,0 +1,86 @@
+/**
+ * Michael — BDR Voice Agent — Warm Transfer Proxy
+ *
+ * Netlify serverless function behind the operator's "Transfer to Rep" button.
+ * Forwards the request to the call server, which dials a rep from the pool,
+ * whispers a summary and bridges the prospect in.
+ *
+ * Only whoever started the call may transfer it: the caller passes the
+ * supervisorToken the call server issued with the session, and the call
+ * server checks it. The shared secret is never attached here.
+ *
+ * @endpoint POST /api/transfer-call → /.netlify/functions/transfer-call
+ * @body { sessionId, token, reason? }
+ * @env CALL_SERVER_URL — URL of the Railway call server
+ */
+
+const ALLOWED_ORIGINS = [
+  'https://michael-voice-agent.netlify.app',
+  'https://michael.mantyl.ai',
+  'https://tools.mantyl.ai',
+  'http://localhost:8888',
+  'http://localhost:3000',
+];
+
+function getCorsHeaders(origin) {
+  const allowed = ALLOWED_ORIGINS.includes(origin) ? origin : ALLOWED_ORIGINS[0];
+  return {
+    'Access-Control-Allow-Origin': allowed,
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json',
+  };
+}
+
+exports.handler = async (event) => {
+  const origin = event.headers.origin || event.headers.Origin || '';
+  const cors = getCorsHeaders(origin);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: cors, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers: cors, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  const callServerUrl = process.env.CALL_SERVER_URL;
+
+  if (!callServerUrl) {
+    return {
+      statusCode: 500,
+      headers: cors,
+      body: JSON.stringify({ error: { message: 'Server configuration error: Call server not configured.' } }),
+    };
+  }
+
+  try {
+    const { sessionId, token, reason } = JSON.parse(event.body || '{}');
+    if (!sessionId || !/^[\w-]+$/.test(sessionId)) {
+      return { statusCode: 400, headers: cors, body: JSON.stringify({ error: 'Missing sessionId' }) };
+    }
+    if (!token) {
+      return { statusCode: 401, headers: cors, body: JSON.stringify({ error: { message: 'Unauthorized' } }) };
+    }
+
+    const response = await fetch(`${callServerUrl}/call/${sessionId}/transfer?token=${encodeURIComponent(token)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason }),
+    });
+
+    const data = await response.json();
+
+    return {
+      statusCode: response.status,
+      headers: cors,
+      body: JSON.stringify(data),
+    };
+  } catch (err) {
+    return {
+      statusCode: 500,
+      headers: cors,
+      body: JSON.stringify({ error: { message: 'Failed to request transfer. Please try again.' } }),
+    };
+  }
+};